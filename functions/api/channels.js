@@ -2,6 +2,7 @@
 import { fetchUploadConfig } from '../utils/sysConfig.js';
 import { getUploadConfig } from './manage/sysConfig/upload.js';
 import { getDatabase } from '../utils/databaseAdapter.js';
+import { listChannelDrivers } from '../utils/channels/index.js';
 
 export async function onRequest(context) {
     const { request, env } = context;
@@ -25,28 +26,13 @@ export async function onRequest(context) {
         }
 
         // 构建渠道列表，返回渠道名称和实际的 Channel 类型
-        const channels = {
-            telegram: uploadConfig.telegram.channels.map(ch => ({
+        const channels = {};
+        for (const driver of listChannelDrivers()) {
+            channels[driver.name] = (uploadConfig[driver.name]?.channels || []).map(ch => ({
                 name: ch.name,
-                type: 'TelegramNew'
-            })),
-            cfr2: uploadConfig.cfr2.channels.map(ch => ({
-                name: ch.name,
-                type: 'CloudflareR2'
-            })),
-            s3: uploadConfig.s3.channels.map(ch => ({
-                name: ch.name,
-                type: 'S3'
-            })),
-            discord: uploadConfig.discord.channels.map(ch => ({
-                name: ch.name,
-                type: 'Discord'
-            })),
-            huggingface: uploadConfig.huggingface.channels.map(ch => ({
-                name: ch.name,
-                type: 'HuggingFace'
-            }))
-        };
+                type: driver.channel
+            }));
+        }
 
         return new Response(JSON.stringify(channels), {
             status: 200,
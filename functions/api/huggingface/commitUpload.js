@@ -9,15 +9,18 @@ import { fetchUploadConfig } from '../../utils/sysConfig.js';
 import { getDatabase } from '../../utils/databaseAdapter.js';
 import { moderateContent, endUpload } from '../../upload/uploadTools.js';
 import { userAuthCheck, UnauthorizedResponse } from '../../utils/userAuth.js';
+import { isInHomeDir } from '../../utils/userManager.js';
+import { checkUploadQuota, setUploaderMetadata } from '../../utils/quotaManager.js';
+import { isDirAllowedForToken } from '../../utils/tokenValidator.js';
 
 export async function onRequestPost(context) {
-    const { request, env, waitUntil } = context;
+    const { request, env, waitUntil, data } = context;
     const url = new URL(request.url);
 
     try {
         // 鉴权
         const requiredPermission = 'upload';
-        if (!await userAuthCheck(env, url, request, requiredPermission)) {
+        if (!await userAuthCheck(env, url, request, requiredPermission, data)) {
             return UnauthorizedResponse('Unauthorized');
         }
 
@@ -33,6 +36,24 @@ export async function onRequestPost(context) {
             });
         }
 
+        // 普通用户只能上传到自己的主目录下，限定了目录的 API Token 只能上传到允许的目录
+        const fileDir = fullId.split('/').slice(0, -1).join('/');
+        if (!isInHomeDir(data.user, fileDir) || !isDirAllowedForToken(data.apiToken, fileDir)) {
+            return new Response(JSON.stringify({ error: 'File path is outside of the allowed directories' }), {
+                status: 403,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        // 检查上传配额
+        const quota = await checkUploadQuota(context, fileSize);
+        if (!quota.allowed) {
+            return new Response(JSON.stringify({ error: quota.message, remaining: quota.remaining }), {
+                status: quota.status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
         // 获取 HuggingFace 配置
         const uploadConfig = await fetchUploadConfig(env);
         const hfSettings = uploadConfig.huggingface;
@@ -100,6 +121,9 @@ export async function onRequestPost(context) {
             Label: "None"
         };
 
+        // 记录上传用户和 API Token
+        setUploaderMetadata(metadata, data);
+
         // 图像审查（公开仓库）
         if (!hfChannel.isPrivate) {
             try {
@@ -118,7 +142,8 @@ export async function onRequestPost(context) {
             env,
             waitUntil,
             uploadConfig,
-            url
+            url,
+            data
         };
         waitUntil(endUpload(uploadContext, fullId, metadata));
 
@@ -13,17 +13,20 @@
 import { HuggingFaceAPI } from '../../utils/huggingfaceAPI.js';
 import { fetchUploadConfig } from '../../utils/sysConfig.js';
 import { userAuthCheck, UnauthorizedResponse } from '../../utils/userAuth.js';
+import { resolveUploadFolder } from '../../utils/userManager.js';
+import { checkUploadQuota } from '../../utils/quotaManager.js';
+import { isDirAllowedForToken, isChannelAllowedForToken } from '../../utils/tokenValidator.js';
 import { buildUniqueFileId } from '../../upload/uploadTools.js';
 
 export async function onRequestPost(context) {
-    const { request, env } = context;
+    const { request, env, data } = context;
     const url = new URL(request.url);
     context.url = url;  // 将 url 添加到 context 以便 buildUniqueFileId 使用
 
     try {
         // 鉴权
         const requiredPermission = 'upload';
-        if (!await userAuthCheck(env, url, request, requiredPermission)) {
+        if (!await userAuthCheck(env, url, request, requiredPermission, data)) {
             return UnauthorizedResponse('Unauthorized');
         }
 
@@ -39,6 +42,15 @@ export async function onRequestPost(context) {
             });
         }
 
+        // 检查上传配额
+        const quota = await checkUploadQuota(context, fileSize);
+        if (!quota.allowed) {
+            return new Response(JSON.stringify({ error: quota.message, remaining: quota.remaining }), {
+                status: quota.status,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
         // 获取 HuggingFace 配置
         const uploadConfig = await fetchUploadConfig(env);
         const hfSettings = uploadConfig.huggingface;
@@ -76,6 +88,25 @@ export async function onRequestPost(context) {
             url.searchParams.set('uploadFolder', uploadFolder);
         }
 
+        // 普通用户只能上传到自己的主目录下
+        if (data.user) {
+            const requestFolder = (url.searchParams.get('uploadFolder') || '').replace(/^\/+/, '').replace(/\/{2,}/g, '/').replace(/\/$/, '');
+            url.searchParams.set('uploadFolder', resolveUploadFolder(data.user, requestFolder));
+        }
+
+        // 限定了使用范围的 API Token：检查上传渠道和上传目录
+        if (data.apiToken) {
+            if (data.apiToken.allowedDirs.length > 0 && !url.searchParams.get('uploadFolder')) {
+                url.searchParams.set('uploadFolder', data.apiToken.allowedDirs[0]);
+            }
+            if (!isChannelAllowedForToken(data.apiToken, 'huggingface') || !isDirAllowedForToken(data.apiToken, url.searchParams.get('uploadFolder'))) {
+                return new Response(JSON.stringify({ error: 'Upload channel or folder is not allowed for this token' }), {
+                    status: 403,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+        }
+
         // 使用统一的文件命名函数生成文件ID
         const fullId = await buildUniqueFileId(context, fileName, fileType || 'application/octet-stream');
 
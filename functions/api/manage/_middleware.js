@@ -1,11 +1,13 @@
 import { fetchSecurityConfig } from "../../utils/sysConfig";
 import { checkDatabaseConfig } from "../../utils/middleware";
-import { validateApiToken } from "../../utils/tokenValidator";
-import { getDatabase } from "../../utils/databaseAdapter.js";
+import { validateApiToken, toTokenIdentity, isDirAllowedForToken } from "../../utils/tokenValidator";
+import { getDatabase, isSystemKey } from "../../utils/databaseAdapter.js";
+import { authenticateUser, isAdminUser, isFileOwnedBy, isInHomeDir } from "../../utils/userManager.js";
+import { verifyAdminPassword } from "./sysConfig/security.js";
+import { getSession, resolveSessionUser, verifyCsrfToken } from "../../utils/sessionManager.js";
 
 let securityConfig = {}
 let basicUser = ""
-let basicPass = ""
 
 async function errorHandling(context) {
   try {
@@ -76,34 +78,235 @@ function BadRequestException(reason) {
 }
 
 
+// 普通用户可以访问的管理接口，其余接口（设置、Token、用户管理等）仅限管理员
+const USER_ALLOWED_ROUTES = ['check', 'login', 'logout', 'list', 'delete', 'move', 'rename', 'metadata', 'sign', 'block', 'white', 'tags', 'trash'];
+
+// API Token 访问普通用户接口所需的权限，修改数据的接口都需要显式授予对应权限
+// 签名链接、元数据和黑白名单会影响私有文件和内容审查，需要 manage 权限
+const TOKEN_ROUTE_PERMISSIONS = {
+  list: 'list',
+  delete: 'delete',
+  trash: 'delete', // 回收站操作同样需要删除权限
+  move: 'move',
+  rename: 'rename',
+  tags: 'tags',
+  metadata: 'manage',
+  sign: 'manage',
+  block: 'manage',
+  white: 'manage',
+};
+
+// 不读取也不修改文件数据的接口，Token 有效即可访问
+const TOKEN_PUBLIC_ROUTES = ['check', 'login', 'logout'];
+
 /**
  * 根据请求路径提取所需权限
- * @param {string} pathname - 请求路径
- * @returns {string|null} 需要的权限类型或null
+ * 仅限管理员的接口（设置、Token、用户管理、审计日志等）和索引维护操作需要显式授予的 admin 权限
+ * @param {URL} url - 请求 URL
+ * @returns {string|null} 需要的权限类型，仅 TOKEN_PUBLIC_ROUTES 中的接口返回 null
+ */
+function extractRequiredPermission(url) {
+  const route = url.pathname.split('/')[3] || '';
+
+  if (!USER_ALLOWED_ROUTES.includes(route) || (route === 'list' && url.searchParams.get('action'))) {
+    return 'admin';
+  }
+
+  if (TOKEN_PUBLIC_ROUTES.includes(route)) {
+    return null;
+  }
+
+  return TOKEN_ROUTE_PERMISSIONS[route] || 'admin';
+}
+
+// 针对单个文件操作、需要校验文件归属的接口
+const FILE_ROUTES = ['delete', 'move', 'rename', 'metadata', 'sign', 'block', 'white', 'tags'];
+
+// 支持 folder=true 文件夹操作的接口，由处理函数通过 readIndex 按用户和Token范围过滤文件
+const FOLDER_ROUTES = ['delete', 'move'];
+
+// 是否为文件夹操作请求，其他接口的 folder 参数不跳过文件校验
+function isFolderRequest(route, url) {
+  return FOLDER_ROUTES.includes(route) && url.searchParams.get('folder') === 'true';
+}
+
+function ForbiddenException(reason) {
+  return new Response(reason, {
+    status: 403,
+    statusText: 'Forbidden',
+    headers: {
+      'Content-Type': 'text/plain;charset=UTF-8',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+/**
+ * 校验普通用户的请求：只能访问允许的接口，且只能操作自己的文件
+ * @param {Object} context - 上下文对象
+ * @param {Object} user - 用户信息
+ * @returns {Promise<Response|null>} 无权限时返回错误响应，否则返回 null
+ */
+async function authorizeUserRequest(context, user) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+
+  // 路径格式：/api/manage/<route>/<fileId>
+  const pathParts = url.pathname.split('/').slice(3);
+  const route = pathParts[0] || '';
+  const filePath = decodeURIComponent(pathParts.slice(1).join('/')).split(',').join('/');
+
+  if (!USER_ALLOWED_ROUTES.includes(route)) {
+    return ForbiddenException('Admin permission required.');
+  }
+
+  // 索引维护等特殊操作仅限管理员
+  if (route === 'list' && url.searchParams.get('action')) {
+    return ForbiddenException('Admin permission required.');
+  }
+
+  // 移动和重命名的目标位置必须在主目录下
+  if (route === 'move' && !isInHomeDir(user, url.searchParams.get('dist') || '')) {
+    return ForbiddenException('Target directory is outside of your home directory.');
+  }
+  if (route === 'rename') {
+    const body = await request.clone().json().catch(() => ({}));
+    const newFileId = typeof body.newFileId === 'string' ? body.newFileId : '';
+    if (!isInHomeDir(user, newFileId.split('/').slice(0, -1).join('/'))) {
+      return ForbiddenException('Target directory is outside of your home directory.');
+    }
+  }
+
+  if (!FILE_ROUTES.includes(route)) {
+    return null;
+  }
+
+  // 批量标签操作，逐个校验文件归属
+  let fileIds = [filePath];
+  if (route === 'tags' && (filePath === 'batch' || filePath === 'autocomplete')) {
+    if (filePath === 'autocomplete') {
+      return null;
+    }
+    const body = await request.clone().json().catch(() => ({}));
+    fileIds = Array.isArray(body.fileIds) ? body.fileIds : [];
+  }
+
+  // 文件夹操作通过列表接口获取文件，列表已按用户过滤；文件夹本身必须在主目录下
+  if (isFolderRequest(route, url)) {
+    return isInHomeDir(user, filePath) ? null : ForbiddenException('Folder is outside of your home directory.');
+  }
+
+  const db = getDatabase(env);
+  for (const fileId of fileIds) {
+    const record = await db.getWithMetadata(fileId);
+    if (!record || !isFileOwnedBy(user, record.metadata)) {
+      return ForbiddenException('You can only manage your own files.');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 校验限定了目录的API Token请求：移动、重命名的目标位置和被操作的文件都必须在允许的目录内
+ * 列表和文件夹操作由 readIndex 按允许的目录过滤
+ * @param {Object} context - 上下文对象
+ * @param {Object} token - Token身份信息
+ * @returns {Promise<Response|null>} 无权限时返回错误响应，否则返回 null
  */
-function extractRequiredPermission(pathname) {
-  // 提取路径中的关键部分
-  const pathParts = pathname.toLowerCase().split('/');
+async function authorizeTokenRequest(context, token) {
+  if (token.allowedDirs.length === 0) {
+    return null;
+  }
+
+  const { request } = context;
+  const url = new URL(request.url);
+
+  const pathParts = url.pathname.split('/').slice(3);
+  const route = pathParts[0] || '';
+  const filePath = decodeURIComponent(pathParts.slice(1).join('/')).split(',').join('/');
+
+  if (route === 'list' && url.searchParams.get('action')) {
+    return ForbiddenException('Token is restricted to specific directories.');
+  }
+
+  if (route === 'move' && !isDirAllowedForToken(token, url.searchParams.get('dist') || '')) {
+    return ForbiddenException('Target directory is not allowed for this token.');
+  }
+  if (route === 'rename') {
+    const body = await request.clone().json().catch(() => ({}));
+    const newFileId = typeof body.newFileId === 'string' ? body.newFileId : '';
+    if (!isDirAllowedForToken(token, newFileId.split('/').slice(0, -1).join('/'))) {
+      return ForbiddenException('Target directory is not allowed for this token.');
+    }
+  }
+
+  if (isFolderRequest(route, url)) {
+    return isDirAllowedForToken(token, filePath) ? null : ForbiddenException('Folder is not allowed for this token.');
+  }
+  if (!FILE_ROUTES.includes(route)) {
+    return null;
+  }
 
-  // 检查是否包含delete路径
-  if (pathParts.includes('delete')) {
-    return 'delete';
+  let fileIds = [filePath];
+  if (route === 'tags' && (filePath === 'batch' || filePath === 'autocomplete')) {
+    if (filePath === 'autocomplete') {
+      return null;
+    }
+    const body = await request.clone().json().catch(() => ({}));
+    fileIds = Array.isArray(body.fileIds) ? body.fileIds : [];
   }
 
-  // 检查是否包含list路径
-  if (pathParts.includes('list')) {
-    return 'list';
+  for (const fileId of fileIds) {
+    if (!isDirAllowedForToken(token, fileId.split('/').slice(0, -1).join('/'))) {
+      return ForbiddenException('File is outside of the directories allowed for this token.');
+    }
   }
 
-  // 其他情况返回null
   return null;
 }
 
+/**
+ * 系统数据的键（见 isSystemKey）不能作为文件被修改或删除
+ * @param {Object} context - 上下文对象
+ * @returns {Promise<Response>}
+ */
+async function protectSystemKeys(context) {
+  const { request } = context;
+  const url = new URL(request.url);
+
+  const pathParts = url.pathname.split('/').slice(3);
+  const route = pathParts[0] || '';
+  const filePath = decodeURIComponent(pathParts.slice(1).join('/')).split(',').join('/');
+
+  const targets = [];
+  if (FILE_ROUTES.includes(route)) {
+    targets.push(filePath);
+  }
+  if (route === 'move') {
+    targets.push(url.searchParams.get('dist') || '');
+  }
+  if (route === 'rename' || route === 'trash' || (route === 'tags' && filePath === 'batch')) {
+    const body = await request.clone().json().catch(() => ({}));
+    if (typeof body.newFileId === 'string') {
+      targets.push(body.newFileId);
+    }
+    if (Array.isArray(body.fileIds)) {
+      targets.push(...body.fileIds.map(String));
+    }
+  }
+
+  if (targets.some(isSystemKey)) {
+    return ForbiddenException('System keys cannot be modified.');
+  }
+  return context.next();
+}
+
 // CORS 跨域响应头
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, DELETE, PUT, PATCH, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
   'Access-Control-Max-Age': '86400',
 };
 
@@ -120,37 +323,96 @@ async function authentication(context) {
   // 读取安全配置
   securityConfig = await fetchSecurityConfig(context.env);
   basicUser = securityConfig.auth.admin.adminUsername
-  basicPass = securityConfig.auth.admin.adminPassword
 
   if (typeof basicUser == "undefined" || basicUser == null || basicUser == "") {
     // 无需身份验证
     return context.next();
   } else {
 
+    const db = getDatabase(context.env);
+    const route = new URL(context.request.url).pathname.split('/')[3] || '';
+
+    // 登录接口自行校验用户名和密码
+    if (route === 'login' && context.request.method === 'POST') {
+      return context.next();
+    }
+
+    // 优先使用会话 Cookie 认证
+    const session = await getSession(db, context.env, context.request);
+    if (session) {
+      const account = await resolveSessionUser(db, session, securityConfig);
+      // 会话认证的修改类请求必须携带 CSRF Token，同时携带 Authorization 头的请求回退到该头认证
+      if (account && verifyCsrfToken(context.request, session)) {
+        context.data.user = account;
+        context.data.session = session;
+        if (!isAdminUser(account)) {
+          const denied = await authorizeUserRequest(context, account);
+          if (denied) {
+            return denied;
+          }
+        }
+        return context.next();
+      }
+      if (account && !context.request.headers.has('Authorization')) {
+        return ForbiddenException('Invalid CSRF token.');
+      }
+    }
+
     if (context.request.headers.has('Authorization')) {
       // 首先尝试使用API Token验证
 
       // 根据请求的 url 判断所需权限
-      const pathname = new URL(context.request.url).pathname;
-      const requiredPermission = extractRequiredPermission(pathname);
+      const requiredPermission = extractRequiredPermission(new URL(context.request.url));
 
-      const db = getDatabase(context.env);
       const tokenValidation = await validateApiToken(context.request, db, requiredPermission);
+      if (tokenValidation.forbidden) {
+        return ForbiddenException(`API token is missing the ${requiredPermission} permission.`);
+      }
       if (tokenValidation.valid) {
         // Token验证通过，继续处理请求
+        context.data.apiToken = toTokenIdentity(tokenValidation.token);
+        const denied = await authorizeTokenRequest(context, context.data.apiToken);
+        if (denied) {
+          return denied;
+        }
         return context.next();
       }
 
       // 回退到使用传统身份认证方式
       const { user, pass } = basicAuthentication(context.request);
-      if (basicUser !== user || basicPass !== pass) {
-        return UnauthorizedException('Invalid credentials.');
-      } else {
+      if (basicUser === user && await verifyAdminPassword(db, context.env, pass)) {
+        // 启用两步验证后管理员账号只能通过登录接口获取会话
+        if (securityConfig.twoFactor?.enabled) {
+          return UnauthorizedException('Two-factor authentication is enabled, please sign in with the login form.');
+        }
+        context.data.user = { username: user, role: 'admin', homeDir: '' };
+        context.data.authType = 'admin';
         return context.next();
       }
 
-    } else {
-      // 要求客户端进行基本认证
+      // 最后尝试用户账户认证
+      const account = await authenticateUser(db, user, pass);
+      if (!account) {
+        return UnauthorizedException('Invalid credentials.');
+      }
+
+      // 启用两步验证后管理员角色的用户同样只能通过登录接口获取会话
+      if (account.role === 'admin' && securityConfig.twoFactor?.enabled) {
+        return UnauthorizedException('Two-factor authentication is enabled, please sign in with the login form.');
+      }
+
+      context.data.user = account;
+      context.data.authType = 'user';
+      if (!isAdminUser(account)) {
+        const denied = await authorizeUserRequest(context, account);
+        if (denied) {
+          return denied;
+        }
+      }
+      return context.next();
+
+    } else if (route === 'login') {
+      // 兼容旧版登录方式：要求客户端进行基本认证
       return new Response('You need to login.', {
         status: 401,
         headers: {
@@ -159,10 +421,13 @@ async function authentication(context) {
           // 'WWW-Authenticate': 'None',
         },
       });
+    } else {
+      // 其他接口不再弹出浏览器的基本认证对话框，由前端跳转到登录页
+      return UnauthorizedException('You need to login.');
     }
 
   }
 
 }
 
-export const onRequest = [checkDatabaseConfig, errorHandling, authentication];
\ No newline at end of file
+export const onRequest = [checkDatabaseConfig, errorHandling, authentication, protectSystemKeys];
\ No newline at end of file
@@ -0,0 +1,74 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { recordAudit } from '../../utils/auditLog.js';
+import { listFileAliases, deleteFileAlias, pruneFileAliases } from '../../utils/fileAlias.js';
+
+export async function onRequest(context) {
+    // 文件别名管理，支持列出、删除别名，清理失效的别名
+    const {
+      request,
+      env
+    } = context;
+
+    const db = getDatabase(env);
+    const url = new URL(request.url)
+    const method = request.method
+    const action = url.searchParams.get('action') || ''
+
+    // GET - 分页列出别名，prefix 按旧文件 ID 前缀筛选
+    if (method === 'GET') {
+        const limit = parseInt(url.searchParams.get('limit'), 10)
+        const result = await listFileAliases(db, {
+            prefix: (url.searchParams.get('prefix') || '').replace(/^\/+/, ''),
+            limit: Math.min(Math.max(isNaN(limit) ? 50 : limit, 1), 200),
+            cursor: url.searchParams.get('cursor') || ''
+        })
+        return jsonResponse(result)
+    }
+
+    // DELETE - 删除指定别名，action=prune 时清理目标文件已不存在的别名，olderThan 指定天数时同时清理更早创建的别名
+    if (method === 'DELETE') {
+        if (action === 'prune') {
+            const olderThan = parseInt(url.searchParams.get('olderThan'), 10)
+            if (url.searchParams.has('olderThan') && (isNaN(olderThan) || olderThan < 0)) {
+                return jsonResponse({ error: 'olderThan 必须是非负整数' }, 400)
+            }
+
+            const before = isNaN(olderThan) ? 0 : Date.now() - olderThan * 24 * 60 * 60 * 1000
+            const result = await pruneFileAliases(db, { before })
+            if (result.pruned.length > 0) {
+                await recordAudit(context, {
+                    action: 'alias.prune',
+                    targets: result.pruned,
+                    before: { olderThan: isNaN(olderThan) ? null : olderThan }
+                })
+            }
+            return jsonResponse(result)
+        }
+
+        const id = (url.searchParams.get('id') || '').replace(/^\/+/, '')
+        if (!id) {
+            return jsonResponse({ error: '缺少别名的文件 ID' }, 400)
+        }
+
+        const result = await deleteFileAlias(db, id)
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'alias.delete',
+                targets: [id],
+                before: result.alias
+            })
+        }
+        return jsonResponse(result, result.success ? 200 : 404)
+    }
+
+    return new Response('Method not allowed', { status: 405 })
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'content-type': 'application/json',
+        },
+    })
+}
@@ -1,4 +1,10 @@
 import { getDatabase } from '../../utils/databaseAdapter.js';
+import { normalizeQuota } from '../../utils/quotaManager.js';
+import { hashToken, verifyToken, timingSafeEqual } from '../../utils/passwordHash.js';
+import { recordAudit } from '../../utils/auditLog.js';
+
+const TOKEN_PREFIX_LENGTH = 15 // 保存的Token前缀长度，仅用于列表展示和快速筛选
+const TOKEN_USED_KEY_PREFIX = 'manage@apiToken@used@' // Token最近使用时间单独保存，请求路径上不改写安全设置
 
 export async function onRequest(context) {
     // API Token管理，支持创建、删除、列出Token
@@ -24,7 +30,7 @@ export async function onRequest(context) {
     // POST - 创建新Token
     if (method === 'POST') {
         const body = await request.json()
-        const { name, permissions, owner } = body
+        const { name, permissions, owner, quota, expiresAt, allowedDirs, allowedChannels, allowedIps, s3Credentials } = body
 
         if (!name || !permissions || !owner) {
             return new Response(JSON.stringify({ error: '缺少必要参数' }), {
@@ -35,7 +41,14 @@ export async function onRequest(context) {
             })
         }
 
-        const token = await createApiToken(db, name, permissions, owner)
+        const token = await createApiToken(db, name, permissions, owner, { quota, expiresAt, allowedDirs, allowedChannels, allowedIps, s3Credentials })
+        // Token 明文和 S3 密钥只返回给调用方，不写入审计日志
+        const { token: _token, s3SecretAccessKey, ...auditToken } = token
+        await recordAudit(context, {
+            action: 'token.create',
+            targets: [token.id],
+            after: auditToken
+        })
         return new Response(JSON.stringify(token), {
             headers: {
                 'content-type': 'application/json',
@@ -56,7 +69,15 @@ export async function onRequest(context) {
             })
         }
 
+        const before = (await getApiTokens(db)).tokens.find(token => token.id === tokenId)
         const result = await deleteApiToken(db, tokenId)
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'token.revoke',
+                targets: [tokenId],
+                before
+            })
+        }
         return new Response(JSON.stringify(result), {
             headers: {
                 'content-type': 'application/json',
@@ -64,12 +85,12 @@ export async function onRequest(context) {
         })
     }
 
-    // PUT - 更新Token权限
+    // PUT - 更新Token权限、配额和使用范围
     if (method === 'PUT') {
         const body = await request.json()
-        const { tokenId, permissions } = body
+        const { tokenId, ...updates } = body
 
-        if (!tokenId || !permissions) {
+        if (!tokenId || Object.keys(updates).length === 0) {
             return new Response(JSON.stringify({ error: '缺少必要参数' }), {
                 status: 400,
                 headers: {
@@ -78,7 +99,16 @@ export async function onRequest(context) {
             })
         }
 
-        const result = await updateApiToken(db, tokenId, permissions)
+        const before = (await getApiTokens(db)).tokens.find(token => token.id === tokenId)
+        const result = await updateApiToken(db, tokenId, updates)
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'token.update',
+                targets: [tokenId],
+                before,
+                after: result.token
+            })
+        }
         return new Response(JSON.stringify(result), {
             headers: {
                 'content-type': 'application/json',
@@ -96,24 +126,29 @@ async function getApiTokens(db) {
     const tokens = settings.apiTokens?.tokens || {}
     
     // 返回时不包含实际token值，只返回基本信息
-    const tokenList = Object.keys(tokens).map(id => {
+    const tokenList = await Promise.all(Object.keys(tokens).map(async id => {
         const token = tokens[id]
+        const lastUsedAt = await db.get(TOKEN_USED_KEY_PREFIX + id)
         return {
             id,
             name: token.name,
             owner: token.owner,
             permissions: token.permissions,
+            quota: normalizeQuota(token.quota),
+            ...normalizeTokenScope(token),
             createdAt: token.createdAt,
             updatedAt: token.updatedAt,
-            token: token.token.substr(0, 15) + '...' // 只显示前15位
+            lastUsedAt: lastUsedAt || token.lastUsedAt || null,
+            s3AccessKeyId: token.s3AccessKeyId || null,
+            token: (token.tokenPrefix || token.token?.substr(0, TOKEN_PREFIX_LENGTH) || '') + '...' // 只显示前15位
         }
-    })
+    }))
     
     return { tokens: tokenList }
 }
 
 // 创建新的API Token
-async function createApiToken(db, name, permissions, owner) {
+async function createApiToken(db, name, permissions, owner, options = {}) {
     const settingsStr = await db.get('manage@sysConfig@security')
     const settings = settingsStr ? JSON.parse(settingsStr) : {}
     
@@ -125,30 +160,31 @@ async function createApiToken(db, name, permissions, owner) {
     const token = generateApiToken()
     const now = new Date().toISOString()
     
+    // 只保存Token的加盐哈希，明文仅在创建时返回一次
     const tokenData = {
         id: tokenId,
         name,
-        token,
+        tokenHash: await hashToken(token),
+        tokenPrefix: token.substr(0, TOKEN_PREFIX_LENGTH),
         owner,
         permissions,
+        quota: normalizeQuota(options.quota),
+        ...normalizeTokenScope(options),
         createdAt: now,
         updatedAt: now
     }
     
+    // S3 兼容接口的签名凭证（可选），签名校验需要原始密钥，因此不做哈希
+    if (options.s3Credentials) {
+        Object.assign(tokenData, generateS3Credentials())
+    }
+    
     settings.apiTokens.tokens[tokenId] = tokenData
     
     // 保存到数据库
     await db.put('manage@sysConfig@security', JSON.stringify(settings))
     
-    return {
-        id: tokenId,
-        name,
-        token,
-        owner,
-        permissions,
-        createdAt: now,
-        updatedAt: now
-    }
+    return { ...stripTokenSecret(tokenData), token, s3SecretAccessKey: tokenData.s3SecretAccessKey }
 }
 
 // 删除API Token
@@ -164,12 +200,13 @@ async function deleteApiToken(db, tokenId) {
     
     // 保存到数据库
     await db.put('manage@sysConfig@security', JSON.stringify(settings))
+    await db.delete(TOKEN_USED_KEY_PREFIX + tokenId)
     
     return { success: true, message: 'Token 已删除' }
 }
 
-// 更新API Token权限
-async function updateApiToken(db, tokenId, permissions) {
+// 更新API Token权限、配额和使用范围
+async function updateApiToken(db, tokenId, updates) {
     const settingsStr = await db.get('manage@sysConfig@security')
     const settings = settingsStr ? JSON.parse(settingsStr) : {}
     
@@ -177,8 +214,23 @@ async function updateApiToken(db, tokenId, permissions) {
         return { error: 'Token 不存在' }
     }
     
-    settings.apiTokens.tokens[tokenId].permissions = permissions
-    settings.apiTokens.tokens[tokenId].updatedAt = new Date().toISOString()
+    const tokenData = settings.apiTokens.tokens[tokenId]
+    if (updates.permissions) {
+        tokenData.permissions = updates.permissions
+    }
+    if (updates.quota) {
+        tokenData.quota = normalizeQuota(updates.quota)
+    }
+    Object.assign(tokenData, normalizeTokenScope({ ...tokenData, ...updates }))
+
+    // s3Credentials 为 true 时重新生成 S3 凭证，为 false 时移除
+    if (updates.s3Credentials === true) {
+        Object.assign(tokenData, generateS3Credentials())
+    } else if (updates.s3Credentials === false) {
+        delete tokenData.s3AccessKeyId
+        delete tokenData.s3SecretAccessKey
+    }
+    tokenData.updatedAt = new Date().toISOString()
     
     // 保存到数据库
     await db.put('manage@sysConfig@security', JSON.stringify(settings))
@@ -186,7 +238,36 @@ async function updateApiToken(db, tokenId, permissions) {
     return { 
         success: true, 
         message: 'Token 权限已更新',
-        token: settings.apiTokens.tokens[tokenId]
+        token: stripTokenSecret(tokenData),
+        // 新生成的 Secret Access Key 仅返回一次
+        s3SecretAccessKey: updates.s3Credentials === true ? tokenData.s3SecretAccessKey : undefined
+    }
+}
+
+// 获取Token最近使用时间，未使用过时返回 null（供Token验证使用）
+export async function getApiTokenLastUsed(db, tokenId) {
+    return await db.get(TOKEN_USED_KEY_PREFIX + tokenId)
+}
+
+// 记录Token最近使用时间（供Token验证使用），只写入该Token自己的键
+export async function touchApiToken(db, tokenId) {
+    await db.put(TOKEN_USED_KEY_PREFIX + tokenId, new Date().toISOString())
+}
+
+// 规范化Token使用范围：有效期、允许的目录前缀、上传渠道和IP白名单
+function normalizeTokenScope(options) {
+    const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(item => String(item).trim())
+        .filter(item => item)
+
+    const expiresAt = options.expiresAt ? new Date(options.expiresAt) : null
+
+    return {
+        expiresAt: expiresAt && !isNaN(expiresAt.getTime()) ? expiresAt.toISOString() : null,
+        // 目录前缀统一为无头有尾的格式
+        allowedDirs: toList(options.allowedDirs).map(dir => dir.replace(/^\/+/, '').replace(/\/{2,}/g, '/').replace(/\/?$/, '/')).filter(dir => dir !== '/'),
+        allowedChannels: toList(options.allowedChannels).map(channel => channel.toLowerCase()),
+        allowedIps: toList(options.allowedIps)
     }
 }
 
@@ -200,6 +281,24 @@ function generateApiToken() {
     return result
 }
 
+// 生成S3凭证：20位 Access Key ID 和 40位 Secret Access Key
+function generateS3Credentials() {
+    const upperChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+    const secretChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+    const idBytes = crypto.getRandomValues(new Uint8Array(16))
+    const secretBytes = crypto.getRandomValues(new Uint8Array(40))
+
+    let accessKeyId = 'IMGB'
+    for (const b of idBytes) {
+        accessKeyId += upperChars.charAt(b % upperChars.length)
+    }
+    let secretAccessKey = ''
+    for (const b of secretBytes) {
+        secretAccessKey += secretChars.charAt(b % secretChars.length)
+    }
+    return { s3AccessKeyId: accessKeyId, s3SecretAccessKey: secretAccessKey }
+}
+
 // 生成Token ID
 function generateTokenId() {
     return Date.now().toString(36) + Math.random().toString(36).substring(2)
@@ -207,16 +306,68 @@ function generateTokenId() {
 
 // 根据Token获取权限（供其他API使用）
 export async function getTokenPermissions(db, token) {
+    const tokenData = await findApiToken(db, token)
+    return tokenData ? tokenData.permissions : null
+}
+
+// 根据Token值查找完整的Token记录（供其他API使用）
+export async function findApiToken(db, token) {
+    if (!token) {
+        return null
+    }
+
     const settingsStr = await db.get('manage@sysConfig@security')
     const settings = settingsStr ? JSON.parse(settingsStr) : {}
     const tokens = settings.apiTokens?.tokens || {}
+    const tokenPrefix = token.substr(0, TOKEN_PREFIX_LENGTH)
     
     // 查找匹配的token
     for (const tokenId in tokens) {
-        if (tokens[tokenId].token === token) {
-            return tokens[tokenId].permissions
+        const tokenData = tokens[tokenId]
+
+        if (tokenData.tokenHash) {
+            if (tokenData.tokenPrefix === tokenPrefix && await verifyToken(token, tokenData.tokenHash)) {
+                return { ...stripTokenSecret(tokenData), id: tokenId }
+            }
+            continue
+        }
+
+        // 旧版本明文保存的Token，首次使用时迁移为哈希
+        if (timingSafeEqual(token, tokenData.token)) {
+            tokenData.tokenHash = await hashToken(token)
+            tokenData.tokenPrefix = tokenPrefix
+            delete tokenData.token
+            await db.put('manage@sysConfig@security', JSON.stringify(settings))
+            return { ...stripTokenSecret(tokenData), id: tokenId }
         }
     }
     
     return null
 }
+
+// 根据S3 Access Key ID查找Token记录（供S3兼容接口校验签名使用，包含 Secret Access Key）
+export async function findApiTokenByAccessKey(db, accessKeyId) {
+    if (!accessKeyId) {
+        return null
+    }
+
+    const settingsStr = await db.get('manage@sysConfig@security')
+    const settings = settingsStr ? JSON.parse(settingsStr) : {}
+    const tokens = settings.apiTokens?.tokens || {}
+
+    for (const tokenId in tokens) {
+        const tokenData = tokens[tokenId]
+        if (tokenData.s3AccessKeyId && timingSafeEqual(accessKeyId, tokenData.s3AccessKeyId)) {
+            const { token, tokenHash, ...record } = tokenData
+            return { ...record, id: tokenId }
+        }
+    }
+
+    return null
+}
+
+// 去掉Token哈希、明文和S3密钥，返回可公开的Token信息
+function stripTokenSecret(tokenData) {
+    const { token, tokenHash, s3SecretAccessKey, ...publicData } = tokenData
+    return publicData
+}
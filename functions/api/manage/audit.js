@@ -0,0 +1,71 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { queryAuditLog, auditLogToCsv } from '../../utils/auditLog.js';
+
+// CORS 跨域响应头
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Max-Age': '86400',
+};
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_EXPORT_LIMIT = 10000;
+
+export async function onRequest(context) {
+    // 审计日志查询，只读，支持按操作者、操作类型、目标文件和时间范围筛选，format=csv 时导出 CSV
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET') {
+        return new Response(JSON.stringify({ success: false, message: 'Method not allowed. Use GET.' }), {
+            status: 405,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+    }
+
+    const format = url.searchParams.get('format') || 'json';
+    const maxLimit = format === 'csv' ? MAX_EXPORT_LIMIT : MAX_LIMIT;
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || (format === 'csv' ? MAX_EXPORT_LIMIT : DEFAULT_LIMIT), maxLimit);
+
+    const result = await queryAuditLog(getDatabase(env), {
+        actor: url.searchParams.get('actor') || '',
+        actions: (url.searchParams.get('action') || '').split(',').map(action => action.trim()).filter(action => action),
+        target: url.searchParams.get('target') || '',
+        from: parseTime(url.searchParams.get('from')) ?? 0,
+        to: parseTime(url.searchParams.get('to')) ?? Infinity,
+        limit,
+        cursor: url.searchParams.get('cursor') || null,
+    });
+
+    if (format === 'csv') {
+        const fileName = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+        // 添加 BOM，便于表格软件正确识别中文
+        return new Response('\uFEFF' + auditLogToCsv(result.entries), {
+            headers: {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="${fileName}"`,
+                'Cache-Control': 'no-store',
+                ...corsHeaders,
+            },
+        });
+    }
+
+    return new Response(JSON.stringify({
+        success: true,
+        entries: result.entries,
+        cursor: result.cursor,
+    }), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...corsHeaders },
+    });
+}
+
+// 解析时间参数：毫秒时间戳或 ISO 日期字符串，无效时返回 null
+function parseTime(value) {
+    if (!value) {
+        return null;
+    }
+    const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    return isNaN(time) ? null : time;
+}
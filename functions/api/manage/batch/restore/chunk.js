@@ -5,6 +5,7 @@
  */
 
 import { getDatabase } from '../../../../utils/databaseAdapter.js';
+import { recordAudit } from '../../../../utils/auditLog.js';
 
 // CORS 跨域响应头
 const corsHeaders = {
@@ -109,7 +110,7 @@ export async function onRequestPost(context) {
           // 加回 manage@ 前缀
           const fullKey = key.startsWith('manage@') ? key : `manage@${key}`;
           await db.put(fullKey, valueToStore);
-          return { success: true };
+          return { success: true, key: fullKey };
         } catch (error) {
           return { success: false, key, error: error.message };
         }
@@ -124,6 +125,13 @@ export async function onRequestPost(context) {
           errors.push({ key: result.key, error: result.error });
         }
       }
+
+      // 设置中包含密码和密钥，审计日志只记录恢复的键
+      await recordAudit(context, {
+        action: 'settings.restore',
+        targets: results.filter(result => result.success).map(result => result.key),
+        after: { restoredCount, failedCount }
+      });
     }
 
     return jsonResponse({
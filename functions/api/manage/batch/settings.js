@@ -131,8 +131,8 @@ export async function onRequestGet(context) {
       for (const item of listResult.keys) {
         const key = item.name;
         
-        // 跳过索引相关键
-        if (isIndexRelatedKey(key)) {
+        // 跳过索引相关键和缩略图记录
+        if (isIndexRelatedKey(key) || key.startsWith('manage@thumbnail@')) {
           continue;
         }
 
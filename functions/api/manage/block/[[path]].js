@@ -1,6 +1,9 @@
 import { purgeCFCache, purgeRandomFileListCache, purgePublicFileListCache } from "../../../utils/purgeCache";
 import { addFileToIndex } from "../../../utils/indexManager.js";
 import { getDatabase } from "../../../utils/databaseAdapter.js";
+import { recordAudit } from "../../../utils/auditLog.js";
+import { toClientMetadata } from "../../../utils/channels/index.js";
+import { dispatchWebhookEvent, toWebhookFile } from "../../../utils/webhookManager.js";
 
 export async function onRequest(context) {
     // Contents of context object
@@ -29,9 +32,10 @@ export async function onRequest(context) {
     const value = await db.getWithMetadata(params.path);
 
     //change the metadata
+    const previousListType = value.metadata.ListType || 'None';
     value.metadata.ListType = "Block"
     await db.put(params.path, value.value, {metadata: value.metadata});
-    const info = JSON.stringify(value.metadata);
+    const info = JSON.stringify(toClientMetadata(context, value.metadata));
 
     // 清除CDN缓存
     await purgeCFCache(env, cdnUrl);
@@ -44,5 +48,16 @@ export async function onRequest(context) {
     // 更新索引
     waitUntil(addFileToIndex(context, params.path, value.metadata));
 
+    waitUntil(dispatchWebhookEvent(context, 'file.blocked', {
+      files: [toWebhookFile(params.path, value.metadata, url.origin)]
+    }));
+
+    await recordAudit(context, {
+      action: 'file.block',
+      targets: [params.path],
+      before: { ListType: previousListType },
+      after: { ListType: "Block" }
+    });
+
     return new Response(info);
 }
\ No newline at end of file
@@ -0,0 +1,138 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { getIndexMeta, readIndex } from '../../utils/indexManager.js';
+import { getUploadConfig } from './sysConfig/upload.js';
+import { getChannelDriver, listChannelDrivers } from '../../utils/channels/index.js';
+import { listReplicaRecords } from '../../utils/replicationManager.js';
+
+export async function onRequest(context) {
+    // 存储渠道状态，检查各渠道配置是否可用，并返回支持容量限制的渠道的用量；POST 方法对指定渠道进行对账
+    const {
+      request,
+      env
+    } = context;
+
+    const url = new URL(request.url)
+    const method = request.method
+
+    if (method === 'POST') {
+        return await handleReconcile(context)
+    }
+    if (method !== 'GET') {
+        return new Response('Method not allowed', { status: 405 })
+    }
+
+    // type 为上传参数 uploadChannel 的取值，name 为渠道名称，均可选
+    const type = url.searchParams.get('type') || ''
+    const name = url.searchParams.get('name') || ''
+    if (type && !getChannelDriver(type)) {
+        return jsonResponse({ error: '未知的渠道类型' }, 400)
+    }
+
+    const uploadConfig = await getUploadConfig(getDatabase(env), env)
+    const indexMeta = await getIndexMeta(context)
+    const channelStats = indexMeta.channelStats || {}
+
+    const channels = []
+    for (const driver of listChannelDrivers()) {
+        if (type && driver.name !== type) {
+            continue
+        }
+
+        for (const channel of uploadConfig[driver.name]?.channels || []) {
+            if (name && channel.name !== name) {
+                continue
+            }
+
+            channels.push({
+                type: driver.name,
+                channel: driver.channel,
+                name: channel.name,
+                enabled: !!channel.enabled,
+                health: await checkChannelHealth(driver, channel, env),
+                quota: driver.quota ? getChannelQuota(channel, channelStats) : null
+            })
+        }
+    }
+
+    return jsonResponse({ channels })
+}
+
+// 对账：比较渠道中实际存储的对象与该渠道的文件记录，只返回差异，不做修改
+async function handleReconcile(context) {
+    const { request, env } = context
+
+    const body = await request.json().catch(() => ({}))
+    const driver = getChannelDriver(body.type)
+    if (!driver) {
+        return jsonResponse({ error: '未知的渠道类型' }, 400)
+    }
+    if (!driver.reconcile) {
+        return jsonResponse({ error: '该渠道不支持对账' }, 400)
+    }
+
+    const uploadConfig = await getUploadConfig(getDatabase(env), env)
+    const channel = (uploadConfig[driver.name]?.channels || []).find(item => item.name === body.name)
+    if (!channel) {
+        return jsonResponse({ error: '渠道不存在' }, 404)
+    }
+
+    const listing = await readIndex(context, {
+        count: -1,
+        includeSubdirFiles: true,
+        channelName: `${driver.channel}:${channel.name}`,
+        owner: null,
+        allowedDirs: null,
+        trash: 'include'
+    })
+    // 存放在该渠道中的副本同样是该渠道的存储对象
+    const records = [...(listing.files || []), ...await listReplicaRecords(context, driver, channel.name)]
+
+    try {
+        const result = await driver.reconcile(channel, records)
+        const recordedBytes = records.reduce((sum, record) => sum + (Number(record.metadata.FileSizeBytes) || 0), 0)
+
+        return jsonResponse({
+            type: driver.name,
+            name: channel.name,
+            ...result,
+            recorded: {
+                fileCount: records.length,
+                usedMB: Number((recordedBytes / 1024 / 1024).toFixed(2))
+            }
+        })
+    } catch (error) {
+        return jsonResponse({ error: error.message }, 500)
+    }
+}
+
+// 检查渠道是否可用，检查出错时视为不可用
+async function checkChannelHealth(driver, channel, env) {
+    try {
+        return await driver.healthCheck(channel, env)
+    } catch (error) {
+        return { success: false, error: error.message }
+    }
+}
+
+// 渠道用量取自索引元数据中的 channelStats，与上传时的容量过滤一致
+function getChannelQuota(channel, channelStats) {
+    const stats = channelStats[channel.name] || { usedMB: 0, fileCount: 0 }
+    const limitGB = channel.quota?.enabled ? channel.quota.limitGB || null : null
+
+    return {
+        usedMB: stats.usedMB,
+        fileCount: stats.fileCount,
+        limitGB,
+        threshold: limitGB ? channel.quota.threshold || 95 : null,
+        usedPercent: limitGB ? Number(((stats.usedMB / 1024 / limitGB) * 100).toFixed(2)) : null
+    }
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'content-type': 'application/json',
+        },
+    })
+}
@@ -1,9 +1,15 @@
-import { S3Client, DeleteObjectCommand } from "@aws-sdk/client-s3";
 import { purgeCFCache, purgeRandomFileListCache, purgePublicFileListCache } from "../../../utils/purgeCache";
-import { removeFileFromIndex, batchRemoveFilesFromIndex } from "../../../utils/indexManager.js";
+import { readIndex, addFileToIndex, removeFileFromIndex, batchRemoveFilesFromIndex, removeFileHashRef } from "../../../utils/indexManager.js";
 import { getDatabase } from '../../../utils/databaseAdapter.js';
-import { DiscordAPI } from '../../../utils/discordAPI.js';
-import { HuggingFaceAPI } from '../../../utils/huggingfaceAPI.js';
+import { deleteFolders } from '../../../utils/folderManager.js';
+import { recordAudit } from '../../../utils/auditLog.js';
+import { trashFile, getTrashRetentionDays } from '../../../utils/trashManager.js';
+import { dispatchWebhookEvent, toWebhookFile } from '../../../utils/webhookManager.js';
+import { getDriverByChannel } from '../../../utils/channels/index.js';
+import { deleteReplicas } from '../../../utils/replicationManager.js';
+import { clearDownloadCount } from '../../../utils/downloadCounter.js';
+import { isInHomeDir } from '../../../utils/userManager.js';
+import { isDirAllowedForToken } from '../../../utils/tokenValidator.js';
 
 // CORS 跨域响应头
 const corsHeaders = {
@@ -18,38 +24,63 @@ export async function onRequest(context) {
 
     const url = new URL(request.url);
 
+    // 默认移入回收站，permanent=true 或未启用回收站时彻底删除
+    const permanent = url.searchParams.get('permanent') === 'true' || await getTrashRetentionDays(env) === 0;
+
     // 读取folder参数，判断是否为文件夹删除请求
     const folder = url.searchParams.get('folder');
     if (folder === 'true') {
         try {
             params.path = decodeURIComponent(params.path);
+            const folderPath = params.path.split(',').join('/');
+
+            // 文件夹记录不按文件归属过滤，删除前确认整个文件夹在用户主目录和Token允许的目录内
+            const { user, apiToken } = context.data || {};
+            if (!isInHomeDir(user, folderPath) || !isDirAllowedForToken(apiToken, folderPath)) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: 'Folder is outside of the allowed directories'
+                }), {
+                    status: 403,
+                    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+                });
+            }
+
             // 使用队列存储需要处理的文件夹
             const folderQueue = [{
-                path: params.path.split(',').join('/')
+                path: folderPath
             }];
 
             const deletedFiles = [];
+            const deletedMetadata = {};
             const failedFiles = [];
 
             while (folderQueue.length > 0) {
                 const currentFolder = folderQueue.shift();
 
-                // 获取指定目录下的所有文件
-                const listUrl = new URL(`${url.origin}/api/manage/list?count=-1&dir=${currentFolder.path}`);
-                const listRequest = new Request(listUrl, request);
-                const listResponse = await fetch(listRequest);
-                const listData = await listResponse.json();
+                // 获取指定目录下的所有文件（按当前请求的用户和Token范围过滤），彻底删除时包括回收站中的文件
+                const listData = await readIndex(context, {
+                    directory: currentFolder.path,
+                    count: -1,
+                    trash: permanent ? 'include' : 'exclude'
+                });
+                if (!listData.success) {
+                    throw new Error('Failed to read index');
+                }
 
                 const files = listData.files;
 
                 // 处理当前文件夹下的所有文件
                 for (const file of files) {
-                    const fileId = file.name;
+                    const fileId = file.id;
                     const cdnUrl = `https://${url.hostname}/file/${fileId}`;
 
-                    const success = await deleteFile(env, fileId, cdnUrl, url);
+                    const success = permanent
+                        ? await deleteFile(env, fileId, cdnUrl, url)
+                        : await moveToTrash(context, fileId);
                     if (success) {
                         deletedFiles.push(fileId);
+                        deletedMetadata[fileId] = file.metadata;
                     } else {
                         failedFiles.push(fileId);
                     }
@@ -64,15 +95,33 @@ export async function onRequest(context) {
                 }
             }
 
-            // 批量从索引中删除文件
-            if (deletedFiles.length > 0) {
+            // 删除持久化的文件夹记录（包括空文件夹），移入回收站时保留记录，恢复其中的文件时一并恢复
+            await deleteFolders(getDatabase(env), folderPath, { trash: !permanent });
+
+            // 批量从索引中删除文件（移入回收站的文件已在索引中标记）
+            if (permanent && deletedFiles.length > 0) {
                 waitUntil(batchRemoveFilesFromIndex(context, deletedFiles));
             }
 
+            if (deletedFiles.length > 0) {
+                waitUntil(dispatchWebhookEvent(context, 'file.deleted', {
+                    files: deletedFiles.map(fileId => toWebhookFile(fileId, deletedMetadata[fileId], url.origin)),
+                    trashed: !permanent
+                }));
+            }
+
+            await recordAudit(context, {
+                action: 'folder.delete',
+                targets: deletedFiles,
+                before: deletedMetadata,
+                after: { failed: failedFiles, trashed: !permanent }
+            });
+
             return new Response(JSON.stringify({
                 success: true,
                 deleted: deletedFiles,
-                failed: failedFiles
+                failed: failedFiles,
+                trashed: !permanent
             }), {
                 headers: { 'Content-Type': 'application/json', ...corsHeaders }
             });
@@ -95,17 +144,39 @@ export async function onRequest(context) {
         const fileId = params.path.split(',').join('/');
         const cdnUrl = `https://${url.hostname}/file/${fileId}`;
 
-        const success = await deleteFile(env, fileId, cdnUrl, url);
-        if (!success) {
-            throw new Error('Delete file failed');
-        } else {
-            // 从索引中删除文件
-            waitUntil(removeFileFromIndex(context, fileId));
+        // 删除前记录文件元数据，写入审计日志
+        const record = await getDatabase(env).getWithMetadata(fileId);
+
+        if (permanent) {
+            const success = await deleteFile(env, fileId, cdnUrl, url);
+            if (!success) {
+                throw new Error('Delete file failed');
+            } else {
+                // 从索引中删除文件
+                waitUntil(removeFileFromIndex(context, fileId));
+            }
+        } else if (record) {
+            await trashFile(context, fileId);
+        }
+
+        if (record) {
+            waitUntil(dispatchWebhookEvent(context, 'file.deleted', {
+                files: [toWebhookFile(fileId, record.metadata, url.origin)],
+                trashed: !permanent
+            }));
         }
 
+        await recordAudit(context, {
+            action: 'file.delete',
+            targets: [fileId],
+            before: record?.metadata || null,
+            after: { trashed: !permanent }
+        });
+
         return new Response(JSON.stringify({
             success: true,
-            fileId: fileId
+            fileId: fileId,
+            trashed: !permanent
         }), {
             headers: { 'Content-Type': 'application/json', ...corsHeaders }
         });
@@ -120,8 +191,41 @@ export async function onRequest(context) {
     }
 }
 
-// 删除单个文件的核心函数
-async function deleteFile(env, fileId, cdnUrl, url) {
+// 将文件移入回收站，失败时返回 false
+async function moveToTrash(context, fileId) {
+    try {
+        await trashFile(context, fileId);
+        return true;
+    } catch (e) {
+        console.error('Move file to trash failed:', e);
+        return false;
+    }
+}
+
+// 将副本合并到共享同一存储对象的其他文件记录中，已记录相同渠道副本的记录不重复添加
+async function inheritReplicas(env, fileIds, replicas) {
+    const db = getDatabase(env);
+
+    for (const refId of fileIds) {
+        const record = await db.getWithMetadata(refId);
+        if (!record?.metadata) {
+            continue;
+        }
+
+        const existing = record.metadata.Replicas || [];
+        const missing = replicas.filter(replica => !existing.some(item => item.Channel === replica.Channel && item.ChannelName === replica.ChannelName));
+        if (missing.length === 0) {
+            continue;
+        }
+
+        const metadata = { ...record.metadata, Replicas: [...existing, ...missing] };
+        await db.put(refId, record.value || '', { metadata });
+        await addFileToIndex({ env }, refId, metadata);
+    }
+}
+
+// 删除单个文件的核心函数（过期文件清理等场景复用）
+export async function deleteFile(env, fileId, cdnUrl, url) {
     try {
         // 读取图片信息
         const db = getDatabase(env);
@@ -133,25 +237,38 @@ async function deleteFile(env, fileId, cdnUrl, url) {
             return true;
         }
 
-        // 如果是R2渠道的图片，需要删除R2中对应的图片
-        if (img.metadata?.Channel === 'CloudflareR2') {
-            const R2DataBase = env.img_r2;
-            await R2DataBase.delete(fileId);
+        // 内容去重的文件，仍有其他文件引用同一存储对象时只删除记录
+        let hasOtherRefs = false;
+        if (img.metadata?.FileHash) {
+            const remainingRefs = await removeFileHashRef({ env }, img.metadata.FileHash, fileId);
+            hasOtherRefs = remainingRefs.length > 0;
+
+            // 后台复制只写入源文件记录，其他引用接管存储对象时一并接管副本，最后一个引用删除时才删除副本
+            if (hasOtherRefs && img.metadata.Replicas?.length) {
+                await inheritReplicas(env, remainingRefs, img.metadata.Replicas);
+            }
         }
 
-        // S3 渠道的图片，需要删除S3中对应的图片
-        if (img.metadata?.Channel === 'S3') {
-            await deleteS3File(img);
+        if (!hasOtherRefs) {
+            // 删除渠道中存储的文件内容（R2、S3 对象，Discord 消息，HuggingFace 文件等）
+            const driver = getDriverByChannel(img.metadata?.Channel);
+            if (driver?.delete) {
+                await driver.delete(env, fileId, img.metadata);
+            }
+
+            // 删除其他渠道中的副本
+            await deleteReplicas(env, fileId, img.metadata);
         }
 
-        // Discord 渠道的图片，需要删除 Discord 中对应的消息
-        if (img.metadata?.Channel === 'Discord') {
-            await deleteDiscordFile(img);
+        // 删除缩略图（每条文件记录的缩略图独立，与存储对象是否共享无关）
+        if (img.metadata?.ThumbnailId) {
+            const thumbnailCdnUrl = `https://${url.hostname}/file/${img.metadata.ThumbnailId}`;
+            await deleteFile(env, img.metadata.ThumbnailId, thumbnailCdnUrl, url);
         }
 
-        // HuggingFace 渠道的图片，需要删除 HuggingFace 中对应的文件
-        if (img.metadata?.Channel === 'HuggingFace') {
-            await deleteHuggingFaceFile(img);
+        // 删除下载计数
+        if (img.metadata?.MaxDownloads) {
+            await clearDownloadCount(env, fileId, img.metadata);
         }
 
         // 删除数据库中的记录
@@ -172,80 +289,3 @@ async function deleteFile(env, fileId, cdnUrl, url) {
         return false;
     }
 }
-
-// 删除 S3 渠道的图片
-async function deleteS3File(img) {
-    const s3Client = new S3Client({
-        region: img.metadata?.S3Region || "auto",
-        endpoint: img.metadata?.S3Endpoint,
-        credentials: {
-            accessKeyId: img.metadata?.S3AccessKeyId,
-            secretAccessKey: img.metadata?.S3SecretAccessKey
-        },
-        forcePathStyle: img.metadata?.S3PathStyle || false // 是否启用路径风格
-    });
-
-    const bucketName = img.metadata?.S3BucketName;
-    const key = img.metadata?.S3FileKey;
-
-    try {
-        await s3Client.send(new DeleteObjectCommand({
-            Bucket: bucketName,
-            Key: key,
-        }));
-        return true;
-    } catch (error) {
-        console.error("S3 Delete Failed:", error);
-        return false;
-    }
-}
-
-// 删除 Discord 渠道的图片（删除 Discord 消息）
-async function deleteDiscordFile(img) {
-    const botToken = img.metadata?.DiscordBotToken;
-    const channelId = img.metadata?.DiscordChannelId;
-    const messageId = img.metadata?.DiscordMessageId;
-
-    if (!botToken || !channelId || !messageId) {
-        console.warn('Discord file missing required metadata for deletion');
-        return false;
-    }
-
-    try {
-        const discordAPI = new DiscordAPI(botToken);
-        const success = await discordAPI.deleteMessage(channelId, messageId);
-        if (!success) {
-            console.error('Discord Delete Failed: API returned false');
-        }
-        return success;
-    } catch (error) {
-        console.error("Discord Delete Failed:", error);
-        return false;
-    }
-}
-
-
-// 删除 HuggingFace 渠道的图片
-async function deleteHuggingFaceFile(img) {
-    const token = img.metadata?.HfToken;
-    const repo = img.metadata?.HfRepo;
-    const filePath = img.metadata?.HfFilePath;
-    const isPrivate = img.metadata?.HfIsPrivate || false;
-
-    if (!token || !repo || !filePath) {
-        console.warn('HuggingFace file missing required metadata for deletion');
-        return false;
-    }
-
-    try {
-        const huggingfaceAPI = new HuggingFaceAPI(token, repo, isPrivate);
-        const success = await huggingfaceAPI.deleteFile(filePath, `Delete ${filePath}`);
-        if (!success) {
-            console.error('HuggingFace Delete Failed: API returned false');
-        }
-        return success;
-    } catch (error) {
-        console.error("HuggingFace Delete Failed:", error);
-        return false;
-    }
-}
@@ -0,0 +1,305 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { recordAudit } from '../../utils/auditLog.js';
+import { readIndex } from '../../utils/indexManager.js';
+import { isDirAllowedForToken } from '../../utils/tokenValidator.js';
+import { purgeRandomFileListCache, purgePublicFileListCache } from '../../utils/purgeCache.js';
+import {
+    normalizeFolderPath, getFolder, listFolders, createFolder, updateFolder, deleteFolders
+} from '../../utils/folderManager.js';
+import {
+    createFolderMoveJob, getFolderMoveJob, runFolderMoveJob, restartFolderMoveJob, isFolderMoveJobResumable
+} from '../../utils/folderMoveJob.js';
+import { onRequest as deleteHandler } from './delete/[[path]].js';
+
+export async function onRequest(context) {
+    // 文件夹管理，支持创建、移动、重命名、删除文件夹，查看和修改文件夹属性
+    const {
+      request,
+      env,
+      data
+    } = context;
+
+    const db = getDatabase(env);
+    const url = new URL(request.url)
+    const method = request.method
+    const action = url.searchParams.get('action') || ''
+
+    // GET - 获取文件夹属性和统计信息，未指定 path 时列出 parent 下的所有文件夹记录，action=job 时查询移动任务进度
+    if (method === 'GET') {
+        if (action === 'job') {
+            const job = await getFolderMoveJob(db, url.searchParams.get('id'))
+            if (!job || !isFolderAllowed(data, job.from) || !isFolderAllowed(data, job.to)) {
+                return jsonResponse({ error: '任务不存在' }, 404)
+            }
+            return jsonResponse({ job: { ...job, resumable: isFolderMoveJobResumable(job) } })
+        }
+
+        const path = normalizeFolderPath(url.searchParams.get('path'))
+        if (!path) {
+            const parent = normalizeFolderPath(url.searchParams.get('parent'))
+            const folders = await listFolders(db, parent)
+            return jsonResponse({ folders: folders.filter(folder => isFolderAllowed(data, folder.path)) })
+        }
+
+        if (!isFolderAllowed(data, path)) {
+            return jsonResponse({ error: '无权访问该文件夹' }, 403)
+        }
+
+        const folder = await getFolderSummary(context, path)
+        if (!folder) {
+            return jsonResponse({ error: '文件夹不存在' }, 404)
+        }
+        return jsonResponse({ folder })
+    }
+
+    // POST - 创建文件夹，action=move / rename 时创建移动、重命名任务，action=resume 时继续执行失败或中断的任务，action=run 执行任务的下一批
+    if (method === 'POST') {
+        const body = await request.json()
+        if (action === 'resume') {
+            return await resumeFolderMove(context, body.id)
+        }
+        if (action === 'run') {
+            return await runFolderMoveBatch(context, body.id, body.batch)
+        }
+
+        const { path: rawPath, ...attributes } = body
+        const path = normalizeFolderPath(rawPath)
+
+        if (!path) {
+            return jsonResponse({ error: '缺少文件夹路径' }, 400)
+        }
+        if (!isFolderAllowed(data, path)) {
+            return jsonResponse({ error: '无权访问该文件夹' }, 403)
+        }
+
+        if (action === 'rename') {
+            return await renameFolder(context, path, body.name, body.redirect === true)
+        }
+        if (action === 'move') {
+            return await moveFolder(context, path, normalizeFolderPath(body.dist), body.name, body.redirect === true)
+        }
+
+        const result = await createFolder(db, path, attributes)
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'folder.create',
+                targets: [path],
+                after: result.folder
+            })
+            await purgeFolderListCache(url.origin, path)
+        }
+        return jsonResponse(result, result.success ? 200 : 400)
+    }
+
+    // PUT - 修改文件夹属性
+    if (method === 'PUT') {
+        const body = await request.json()
+        const { path: rawPath, ...attributes } = body
+        const path = normalizeFolderPath(rawPath)
+
+        if (!path || Object.keys(attributes).length === 0) {
+            return jsonResponse({ error: '缺少必要参数' }, 400)
+        }
+        if (!isFolderAllowed(data, path)) {
+            return jsonResponse({ error: '无权访问该文件夹' }, 403)
+        }
+        if (!await folderExists(context, path)) {
+            return jsonResponse({ error: '文件夹不存在' }, 404)
+        }
+
+        const before = await getFolder(db, path)
+        const result = await updateFolder(db, path, attributes)
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'folder.update',
+                targets: [path],
+                before,
+                after: result.folder
+            })
+            await purgeFolderListCache(url.origin, path)
+        }
+        return jsonResponse(result, result.success ? 200 : 400)
+    }
+
+    // DELETE - 删除文件夹，文件夹中有文件时需要 recursive=true，文件按删除接口的规则移入回收站或彻底删除
+    if (method === 'DELETE') {
+        const path = normalizeFolderPath(url.searchParams.get('path'))
+
+        if (!path) {
+            return jsonResponse({ error: '缺少文件夹路径' }, 400)
+        }
+        if (!isFolderAllowed(data, path)) {
+            return jsonResponse({ error: '无权访问该文件夹' }, 403)
+        }
+
+        const listing = await readIndex(context, { directory: path, countOnly: true })
+        if (listing.totalCount > 0) {
+            if (url.searchParams.get('recursive') !== 'true') {
+                return jsonResponse({ error: '文件夹不为空' }, 409)
+            }
+
+            const deleteUrl = new URL(`/api/manage/delete/${encodeFolderPath(path)}`, url.origin)
+            deleteUrl.searchParams.set('folder', 'true')
+            if (url.searchParams.get('permanent') === 'true') {
+                deleteUrl.searchParams.set('permanent', 'true')
+            }
+            return await callFolderApi(context, deleteHandler, deleteUrl, 'DELETE', path)
+        }
+
+        const result = await deleteFolders(db, path)
+        if (result.deleted.length === 0) {
+            return jsonResponse({ success: false, error: '文件夹不存在' }, 404)
+        }
+
+        await recordAudit(context, {
+            action: 'folder.delete',
+            targets: result.deleted,
+            before: { folder: path }
+        })
+        await purgeFolderListCache(url.origin, path)
+        return jsonResponse(result)
+    }
+
+    return new Response('Method not allowed', { status: 405 })
+}
+
+// 重命名文件夹：在原位置改名，文件和子文件夹记录随之移动
+async function renameFolder(context, path, name, redirect) {
+    if (!isValidFolderName(name)) {
+        return jsonResponse({ error: '无效的文件夹名称' }, 400)
+    }
+
+    const parent = path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : ''
+    const targetPath = parent ? `${parent}/${name}` : name
+    if (targetPath === path) {
+        return jsonResponse({ error: '新名称与原名称相同' }, 400)
+    }
+    return await startFolderMove(context, path, targetPath, redirect)
+}
+
+// 移动文件夹到 dist 下，可同时改名，未指定名称时保持原名
+async function moveFolder(context, path, dist, name, redirect) {
+    const folderName = name === undefined ? path.split('/').pop() : name
+    if (!isValidFolderName(folderName)) {
+        return jsonResponse({ error: '无效的文件夹名称' }, 400)
+    }
+
+    const targetPath = dist ? `${dist}/${folderName}` : folderName
+    if (targetPath === path || targetPath.startsWith(path + '/')) {
+        return jsonResponse({ error: '不能将文件夹移动到自身或其子文件夹中' }, 400)
+    }
+    return await startFolderMove(context, path, targetPath, redirect)
+}
+
+// 创建移动任务并在后台执行，客户端通过 action=job 查询进度
+async function startFolderMove(context, path, targetPath, redirect) {
+    if (!isFolderAllowed(context.data, targetPath)) {
+        return jsonResponse({ error: '无权访问该文件夹' }, 403)
+    }
+    if (!await folderExists(context, path)) {
+        return jsonResponse({ error: '文件夹不存在' }, 404)
+    }
+    if (await folderExists(context, targetPath) || await getDatabase(context.env).get(targetPath)) {
+        return jsonResponse({ error: '目标文件夹已存在' }, 409)
+    }
+
+    const result = await createFolderMoveJob(context, path, targetPath, { redirect })
+    if (!result.success) {
+        return jsonResponse(result, 400)
+    }
+
+    context.waitUntil(runFolderMoveJob(context, result.job.id, result.job.batch))
+    return jsonResponse({ success: true, job: result.job }, 202)
+}
+
+// 继续执行失败或中断的移动任务，之前失败的文件会被重试
+async function resumeFolderMove(context, jobId) {
+    const job = await getFolderMoveJob(getDatabase(context.env), jobId)
+    if (!job || !isFolderAllowed(context.data, job.from) || !isFolderAllowed(context.data, job.to)) {
+        return jsonResponse({ error: '任务不存在' }, 404)
+    }
+    if (!isFolderMoveJobResumable(job)) {
+        return jsonResponse({ error: job.status === 'completed' ? '任务已完成' : '任务正在执行' }, 409)
+    }
+
+    const restarted = await restartFolderMoveJob(context, job.id)
+    context.waitUntil(runFolderMoveJob(context, restarted.id, restarted.batch))
+    return jsonResponse({ success: true, job: restarted }, 202)
+}
+
+// 执行移动任务的下一批，由上一批完成后发起；批次序号不一致的请求不会执行
+async function runFolderMoveBatch(context, jobId, batch) {
+    const job = await getFolderMoveJob(getDatabase(context.env), jobId)
+    if (!job || !isFolderAllowed(context.data, job.from) || !isFolderAllowed(context.data, job.to)) {
+        return jsonResponse({ error: '任务不存在' }, 404)
+    }
+    if (job.status !== 'running' || (job.batch || 0) !== batch) {
+        return jsonResponse({ error: '任务批次已执行' }, 409)
+    }
+
+    context.waitUntil(runFolderMoveJob(context, job.id, batch))
+    return jsonResponse({ success: true, job }, 202)
+}
+
+function isValidFolderName(name) {
+    return typeof name === 'string' && !!name && !name.includes('/') && name !== '.' && name !== '..'
+}
+
+// 在当前请求中调用删除接口处理文件夹中的文件，直接返回其响应
+async function callFolderApi(context, handler, url, method, path) {
+    return await handler({
+        ...context,
+        request: new Request(url.toString(), { method }),
+        params: { path: path.split('/').map(encodeURIComponent) }
+    })
+}
+
+// 文件夹有记录，或其中有文件、子文件夹记录时存在
+async function folderExists(context, path) {
+    const db = getDatabase(context.env)
+    if (await getFolder(db, path) || (await listFolders(db, path)).length > 0) {
+        return true
+    }
+
+    const listing = await readIndex(context, { directory: path, countOnly: true })
+    return listing.totalCount > 0
+}
+
+// 文件夹属性及文件数、子文件夹数、总大小，文件夹不存在时返回 null
+async function getFolderSummary(context, path) {
+    const parent = path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : ''
+    const listing = await readIndex(context, { directory: parent, count: 1 })
+    if (!listing.success) {
+        throw new Error('Failed to read index')
+    }
+
+    return listing.folders.find(item => item.path === path) || null
+}
+
+// 限定了目录的 API Token 只能管理允许的目录下的文件夹
+function isFolderAllowed(data, path) {
+    return !data?.apiToken || isDirAllowedForToken(data.apiToken, path)
+}
+
+function encodeFolderPath(path) {
+    return path.split('/').map(encodeURIComponent).join('/')
+}
+
+// 文件夹属性变化会影响公开浏览和随机图中展示的内容，清除文件夹及其上级目录的列表缓存
+async function purgeFolderListCache(origin, path) {
+    const segments = path.split('/')
+    const dirs = segments.map((_, index) => segments.slice(0, index + 1).join('/'))
+    dirs.unshift('')
+
+    await purgeRandomFileListCache(origin, ...dirs)
+    await purgePublicFileListCache(origin, ...dirs)
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'content-type': 'application/json',
+        },
+    })
+}
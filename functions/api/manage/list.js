@@ -3,6 +3,7 @@ import {
     getIndexInfo, getIndexStorageStats
 } from '../../utils/indexManager.js';
 import { getDatabase } from '../../utils/databaseAdapter.js';
+import { toClientMetadata } from '../../utils/channels/index.js';
 
 // CORS 跨域响应头
 const corsHeaders = {
@@ -150,7 +151,11 @@ export async function onRequest(context) {
             const dbRecords = await getAllFileRecords(context.env, dir);
 
             return new Response(JSON.stringify({
-                files: dbRecords.files,
+                files: dbRecords.files.map(item => ({
+                    ...item,
+                    metadata: toClientMetadata(context, item.metadata),
+                    thumbnailUrl: item.metadata?.ThumbnailId ? `/file/${item.metadata.ThumbnailId}` : null
+                })),
                 directories: dbRecords.directories,
                 totalCount: dbRecords.totalCount,
                 directFileCount: dbRecords.directFileCount,
@@ -166,12 +171,18 @@ export async function onRequest(context) {
         // 转换文件格式
         const compatibleFiles = result.files.map(file => ({
             name: file.id,
-            metadata: file.metadata
+            metadata: toClientMetadata(context, file.metadata),
+            thumbnailUrl: file.metadata?.ThumbnailId ? `/file/${file.metadata.ThumbnailId}` : null
         }));
 
         return new Response(JSON.stringify({
             files: compatibleFiles,
             directories: result.directories,
+            folders: result.folders.map(folder => ({
+                ...folder,
+                coverUrl: folder.cover ? `/file/${folder.cover}` : null
+            })),
+            folder: result.folder,
             totalCount: result.totalCount,
             directFileCount: result.directFileCount,
             directFolderCount: result.directFolderCount,
@@ -227,6 +238,11 @@ async function getAllFileRecords(env, dir) {
                     continue;
                 }
 
+                // 跳过回收站中的文件
+                if (item.metadata.DeletedAt) {
+                    continue;
+                }
+
                 allRecords.push(item);
             }
 
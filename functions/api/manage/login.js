@@ -1,3 +1,10 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { fetchSecurityConfig } from '../../utils/sysConfig';
+import { authenticateUser } from '../../utils/userManager.js';
+import { createSession } from '../../utils/sessionManager.js';
+import { verifyTwoFactorCode } from '../../utils/twoFactor.js';
+import { verifyAdminPassword } from './sysConfig/security.js';
+
 export async function onRequest(context) {
     // Contents of context object
     const {
@@ -8,9 +15,91 @@ export async function onRequest(context) {
       next, // used for middleware or to fetch assets
       data, // arbitrary space for passing data between middlewares
     } = context;
+
+    // POST：使用用户名和密码登录，签发会话 Cookie
+    if (request.method === 'POST') {
+        return await handleLogin(request, env);
+    }
+
     //get the request url
     const url = new URL(request.url);
     //redirect to dashboard page
-    return Response.redirect(url.origin+"/dashboard", 302)
+    const headers = new Headers({ 'Location': url.origin + "/dashboard" });
+
+    // 通过 Basic 认证访问时同时签发会话，后续请求不再依赖浏览器的 Basic 认证
+    if (data.user && data.authType) {
+        const session = await createSession(getDatabase(env), env, request, { type: data.authType, username: data.user.username });
+        session.cookies.forEach(cookie => headers.append('Set-Cookie', cookie));
+    }
+
+    return new Response(null, { status: 302, headers });
+
+  }
+
+async function handleLogin(request, env) {
+    const body = await request.json().catch(() => ({}));
+    const { username, password, code } = body;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return jsonResponse({ success: false, error: 'Username and password are required.' }, 400);
+    }
+
+    const securityConfig = await fetchSecurityConfig(env);
+    const adminUsername = securityConfig.auth.admin.adminUsername;
+
+    // 未设置管理员账号时管理端无需认证
+    if (!adminUsername) {
+        return jsonResponse({ success: true, authRequired: false });
+    }
+
+    const db = getDatabase(env);
+    let type = null;
+    let role = null;
+    if (username === adminUsername && await verifyAdminPassword(db, env, password)) {
+        type = 'admin';
+        role = 'admin';
+    } else {
+        const account = await authenticateUser(db, username, password);
+        if (account) {
+            type = 'user';
+            role = account.role;
+        }
+    }
+
+    if (!type) {
+        return jsonResponse({ success: false, error: 'Invalid credentials.' }, 401);
+    }
+
+    // 启用两步验证后，管理员账号和管理员角色的用户需要在同一请求中提供验证码或恢复码
+    const twoFactor = role === 'admin' && !!securityConfig.twoFactor?.enabled;
+    if (twoFactor) {
+        if (!code) {
+            return jsonResponse({ success: false, twoFactorRequired: true, error: 'Two-factor code required.' }, 401);
+        }
+        if (!await verifyTwoFactorCode(db, String(code))) {
+            return jsonResponse({ success: false, twoFactorRequired: true, error: 'Invalid two-factor code.' }, 401);
+        }
+    }
+
+    const session = await createSession(db, env, request, { type, username, twoFactor });
+    const response = jsonResponse({
+        success: true,
+        username,
+        role,
+        csrfToken: session.csrfToken,
+        expiresAt: session.expiresAt
+    });
+    session.cookies.forEach(cookie => response.headers.append('Set-Cookie', cookie));
+
+    return response;
+}
 
-  }
\ No newline at end of file
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+        },
+    });
+}
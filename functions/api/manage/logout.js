@@ -1,3 +1,6 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { revokeSession, clearSessionCookies } from '../../utils/sessionManager.js';
+
 export async function onRequest(context) {
     // Contents of context object
     const {
@@ -8,6 +11,19 @@ export async function onRequest(context) {
       next, // used for middleware or to fetch assets
       data, // arbitrary space for passing data between middlewares
     } = context;
-    return new Response('Logged out.', { status: 401 });
 
-  }
\ No newline at end of file
+    // 会话登录：在服务端撤销当前会话
+    if (data.session) {
+        await revokeSession(getDatabase(env), data.session.id);
+    }
+
+    const headers = new Headers();
+    clearSessionCookies().forEach(cookie => headers.append('Set-Cookie', cookie));
+
+    if (data.session) {
+        headers.set('Content-Type', 'application/json');
+        return new Response(JSON.stringify({ success: true }), { headers });
+    }
+    return new Response('Logged out.', { status: 401, headers });
+
+  }
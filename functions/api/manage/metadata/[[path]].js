@@ -1,5 +1,8 @@
 import { addFileToIndex } from '../../../utils/indexManager.js';
 import { getDatabase } from '../../../utils/databaseAdapter.js';
+import { purgeCFCache, purgeRandomFileListCache, purgePublicFileListCache } from '../../../utils/purgeCache.js';
+import { toClientMetadata } from '../../../utils/channels/index.js';
+import { recordAudit } from '../../../utils/auditLog.js';
 
 // CORS 跨域响应头
 const corsHeaders = {
@@ -60,10 +63,10 @@ export async function onRequest(context) {
         }
 
         // 验证请求体中包含可更新的字段
-        if (!body || (typeof body.FileName !== 'string' && typeof body.FileType !== 'string')) {
+        if (!body || (typeof body.FileName !== 'string' && typeof body.FileType !== 'string' && typeof body.Private !== 'boolean')) {
             return new Response(JSON.stringify({
                 success: false,
-                message: 'At least one of FileName or FileType is required.',
+                message: 'At least one of FileName, FileType or Private is required.',
             }), {
                 status: 400,
                 headers: { 'Content-Type': 'application/json', ...corsHeaders },
@@ -93,16 +96,57 @@ export async function onRequest(context) {
         if (typeof body.FileType === 'string') {
             updatedMetadata.FileType = body.FileType;
         }
+        const privateChanged = typeof body.Private === 'boolean' && body.Private !== !!fileData.metadata.Private;
+        if (typeof body.Private === 'boolean') {
+            if (body.Private) {
+                updatedMetadata.Private = true;
+            } else {
+                delete updatedMetadata.Private;
+            }
+        }
 
         // 保存更新后的 metadata
         await db.put(fileId, fileData.value, { metadata: updatedMetadata });
 
+        // 私有状态变更：同步缩略图，并清除已缓存的公开链接
+        if (privateChanged) {
+            const url = new URL(request.url);
+            const idsToUpdate = [fileId];
+            if (updatedMetadata.ThumbnailId) {
+                const thumbnailData = await db.getWithMetadata(updatedMetadata.ThumbnailId);
+                if (thumbnailData && thumbnailData.metadata) {
+                    const thumbnailMetadata = { ...thumbnailData.metadata };
+                    if (body.Private) {
+                        thumbnailMetadata.Private = true;
+                    } else {
+                        delete thumbnailMetadata.Private;
+                    }
+                    await db.put(updatedMetadata.ThumbnailId, thumbnailData.value, { metadata: thumbnailMetadata });
+                    idsToUpdate.push(updatedMetadata.ThumbnailId);
+                }
+            }
+
+            for (const id of idsToUpdate) {
+                waitUntil(purgeCFCache(env, `https://${url.hostname}/file/${id}`));
+            }
+            const normalizedFolder = fileId.split('/').slice(0, -1).join('/');
+            waitUntil(purgeRandomFileListCache(url.origin, normalizedFolder));
+            waitUntil(purgePublicFileListCache(url.origin, normalizedFolder));
+        }
+
         // 更新索引
         waitUntil(addFileToIndex(context, fileId, updatedMetadata));
 
+        await recordAudit(context, {
+            action: 'file.metadata',
+            targets: [fileId],
+            before: { FileName: fileData.metadata.FileName, FileType: fileData.metadata.FileType, Private: !!fileData.metadata.Private },
+            after: { FileName: updatedMetadata.FileName, FileType: updatedMetadata.FileType, Private: !!updatedMetadata.Private }
+        });
+
         return new Response(JSON.stringify({
             success: true,
-            metadata: updatedMetadata,
+            metadata: toClientMetadata(context, updatedMetadata),
         }), {
             status: 200,
             headers: { 'Content-Type': 'application/json', ...corsHeaders },
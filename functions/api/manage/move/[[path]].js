@@ -1,7 +1,11 @@
-import { S3Client, CopyObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
 import { purgeCFCache, purgeRandomFileListCache, purgePublicFileListCache } from "../../../utils/purgeCache";
-import { moveFileInIndex, batchMoveFilesInIndex } from "../../../utils/indexManager.js";
+import { readIndex, moveFileInIndex, batchMoveFilesInIndex, getFileHashRefs, moveFileHashRef } from "../../../utils/indexManager.js";
 import { getDatabase } from '../../../utils/databaseAdapter.js';
+import { moveFolders } from '../../../utils/folderManager.js';
+import { recordAudit } from '../../../utils/auditLog.js';
+import { createFileAlias, ALIAS_MODES } from '../../../utils/fileAlias.js';
+import { dispatchWebhookEvent, toWebhookFile } from '../../../utils/webhookManager.js';
+import { relocateChannelObject } from '../../../utils/channels/index.js';
 
 export async function onRequest(context) {
     const { request, env, params, waitUntil } = context;
@@ -15,15 +19,37 @@ export async function onRequest(context) {
             .replace(/\/$/, '')
         : '';
 
+    // 读取alias参数，为 true 时在旧文件ID上保留指向新文件的别名，aliasMode 为别名的访问方式
+    const keepAlias = url.searchParams.get('alias') === 'true';
+    const aliasMode = url.searchParams.get('aliasMode') || 'redirect';
+    if (keepAlias && !ALIAS_MODES.includes(aliasMode)) {
+        return new Response(JSON.stringify({
+            success: false,
+            error: 'Invalid alias mode'
+        }), { status: 400 });
+    }
+
     // 读取folder参数，判断是否为文件夹移动请求
     const folder = url.searchParams.get('folder');
     if (folder === 'true') {
         try {
             params.path = decodeURIComponent(params.path);
+            const folderPath = params.path.split(',').join('/');
+
+            // 移动后的文件夹名，默认保持原名（用于重命名文件夹）
+            const folderName = url.searchParams.get('name') || folderPath.split('/').pop();
+            if (folderName.includes('/')) {
+                throw new Error('Invalid folder name');
+            }
+            const targetPath = dist === '' ? folderName : `${dist}/${folderName}`;
+            if (targetPath === folderPath || targetPath.startsWith(`${folderPath}/`)) {
+                throw new Error('Cannot move a folder into itself');
+            }
+
             // 使用队列存储需要处理的文件夹
             const folderQueue = [{
-                path: params.path.split(',').join('/'),
-                dist: dist
+                path: folderPath,
+                target: targetPath
             }];
 
             const processedFiles = [];
@@ -31,27 +57,32 @@ export async function onRequest(context) {
 
             while (folderQueue.length > 0) {
                 const currentFolder = folderQueue.shift();
-                const curFolderName = currentFolder.path.split('/').pop();
 
-                // 获取指定目录下的所有文件
-                const listUrl = new URL(`${url.origin}/api/manage/list?count=-1&dir=${currentFolder.path}`);
-                const listRequest = new Request(listUrl, request);
-                const listResponse = await fetch(listRequest);
-                const listData = await listResponse.json();
+                // 获取指定目录下的所有文件（按当前请求的用户和Token范围过滤）
+                const listData = await readIndex(context, {
+                    directory: currentFolder.path,
+                    count: -1
+                });
+                if (!listData.success) {
+                    throw new Error('Failed to read index');
+                }
 
                 const files = listData.files;
-                const folderDist = currentFolder.dist === '' ? curFolderName : `${currentFolder.dist}/${curFolderName}`;
+                const folderDist = currentFolder.target;
 
                 // 处理当前文件夹下的所有文件
                 for (const file of files) {
-                    const fileId = file.name;
-                    const fileName = file.name.split('/').pop();
+                    const fileId = file.id;
+                    const fileName = fileId.split('/').pop();
                     const newFileId = `${folderDist}/${fileName}`;
                     const cdnUrl = `https://${url.hostname}/file/${fileId}`;
 
                     const success = await moveFile(env, fileId, newFileId, cdnUrl, url);
                     if (success) {
                         processedFiles.push({ fileId: fileId, newFileId: newFileId });
+                        if (keepAlias) {
+                            await createFileAlias(getDatabase(env), fileId, newFileId, aliasMode);
+                        }
                     } else {
                         failedFiles.push(fileId);
                     }
@@ -62,11 +93,14 @@ export async function onRequest(context) {
                 for (const dir of directories) {
                     folderQueue.push({
                         path: dir,
-                        dist: folderDist
+                        target: `${folderDist}/${dir.split('/').pop()}`
                     });
                 }
             }
 
+            // 持久化的文件夹记录（包括空文件夹）随之移动
+            await moveFolders(getDatabase(env), folderPath, targetPath);
+
             // 批量从索引中删除文件，添加新文件
             if (processedFiles.length > 0) {
                 waitUntil(batchMoveFilesInIndex(context, processedFiles.map(file => {
@@ -77,9 +111,21 @@ export async function onRequest(context) {
                 })));
             }
 
+            if (processedFiles.length > 0) {
+                waitUntil(notifyMoveWebhooks(context, processedFiles));
+            }
+
+            await recordAudit(context, {
+                action: 'folder.move',
+                targets: processedFiles.map(file => file.fileId),
+                before: { folder: folderPath },
+                after: { folder: targetPath, dist, moved: processedFiles, failed: failedFiles, alias: keepAlias ? aliasMode : null }
+            });
+
             // 返回处理结果
             return new Response(JSON.stringify({
                 success: true,
+                folder: targetPath,
                 processed: processedFiles,
                 failed: failedFiles
             }));
@@ -109,10 +155,24 @@ export async function onRequest(context) {
             waitUntil(moveFileInIndex(context, fileId, newFileId));
         }
 
+        if (keepAlias) {
+            await createFileAlias(getDatabase(env), fileId, newFileId, aliasMode);
+        }
+
+        waitUntil(notifyMoveWebhooks(context, [{ fileId, newFileId }]));
+
+        await recordAudit(context, {
+            action: 'file.move',
+            targets: [fileId, newFileId],
+            before: { fileId },
+            after: { fileId: newFileId, alias: keepAlias ? aliasMode : null }
+        });
+
         return new Response(JSON.stringify({
             success: true,
             fileId: fileId,
-            newFileId: newFileId
+            newFileId: newFileId,
+            alias: keepAlias
         }));
     } catch (e) {
         return new Response(JSON.stringify({
@@ -122,50 +182,41 @@ export async function onRequest(context) {
     }
 }
 
-// 移动单个文件的核心函数
-async function moveFile(env, fileId, newFileId, cdnUrl, url) {
+// 推送文件移动事件，previousId 为移动前的文件ID
+export async function notifyMoveWebhooks(context, movedFiles) {
+    const db = getDatabase(context.env);
+    const origin = new URL(context.request.url).origin;
+
+    const files = [];
+    for (const { fileId, newFileId } of movedFiles) {
+        const record = await db.getWithMetadata(newFileId);
+        files.push({ ...toWebhookFile(newFileId, record?.metadata, origin), previousId: fileId });
+    }
+
+    await dispatchWebhookEvent(context, 'file.moved', { files });
+}
+
+// 移动单个文件的核心函数（文件夹移动任务复用）
+export async function moveFile(env, fileId, newFileId, cdnUrl, url) {
     try {
         const db = getDatabase(env);
 
         // 读取图片信息
         const img = await db.getWithMetadata(fileId);
 
-        // 如果是R2渠道的图片，需要移动R2中对应的图片
-        if (img.metadata?.Channel === 'CloudflareR2') {
-            const R2DataBase = env.img_r2;
-
-            // 获取原文件内容
-            const object = await R2DataBase.get(fileId);
-            if (!object) {
-                throw new Error('R2 Object Not Found');
-            }
-
-            // 复制到新位置
-            await R2DataBase.put(newFileId, object.body);
-
-            // 删除旧文件
-            await R2DataBase.delete(fileId);
-        }
-
-        // S3 渠道的图片，需要移动S3中对应的图片
-        if (img.metadata?.Channel === 'S3') {
-            const { success, newKey, error } = await moveS3File(img, newFileId);
-            if (success) {
-                // 更新 metadata
-                img.metadata.S3FileKey = newFileId;
-
-                const s3ServerDomain = img.metadata.S3Endpoint.replace(/https?:\/\//, "");
-                img.metadata.S3Location = `https://${img.metadata.S3BucketName}.${s3ServerDomain}/${newKey}`;
-            } else {
-                // do nothing
-            }
-        }
+        // 内容去重的文件，与其他文件共享存储对象时只移动记录
+        const isSharedObject = img.metadata?.FileHash
+            ? (await getFileHashRefs({ env }, img.metadata.FileHash)).length > 1
+            : false;
 
         // 旧版 Telegram 渠道和 Telegraph 渠道不支持移动
         if (img.metadata?.Channel === 'Telegram' || img.metadata?.Channel === undefined) {
             throw new Error('Unsupported Channel');
         }
 
+        // 移动渠道中的存储对象（如 R2、S3 以文件ID为对象键）
+        img.metadata = await relocateChannelObject(env, fileId, newFileId, img.metadata, isSharedObject);
+
         // 更新文件夹信息，根目录为空，否则为 aaa/123/ 的格式
         const DirectoryPath = newFileId.split('/').slice(0, -1).join('/') === '' ? '' : newFileId.split('/').slice(0, -1).join('/') + '/';
         img.metadata.Directory = DirectoryPath;
@@ -174,6 +225,11 @@ async function moveFile(env, fileId, newFileId, cdnUrl, url) {
         await db.put(newFileId, img.value, { metadata: img.metadata });
         await db.delete(fileId);
 
+        // 更新内容哈希引用
+        if (img.metadata?.FileHash) {
+            await moveFileHashRef({ env }, img.metadata.FileHash, fileId, newFileId);
+        }
+
         // 清除CDN缓存
         await purgeCFCache(env, cdnUrl);
 
@@ -189,41 +245,3 @@ async function moveFile(env, fileId, newFileId, cdnUrl, url) {
         return false;
     }
 }
-
-// 移动 S3 渠道的图片
-async function moveS3File(img, newFileId) {
-    const s3Client = new S3Client({
-        region: img.metadata?.S3Region || "auto",
-        endpoint: img.metadata?.S3Endpoint,
-        credentials: {
-            accessKeyId: img.metadata?.S3AccessKeyId,
-            secretAccessKey: img.metadata?.S3SecretAccessKey
-        },
-        forcePathStyle: img.metadata?.S3PathStyle || false // 是否启用路径风格
-    });
-
-    const bucketName = img.metadata?.S3BucketName;
-    const oldKey = img.metadata?.S3FileKey;
-    const newKey = newFileId;
-
-    try {
-        // 复制文件到新位置
-        await s3Client.send(new CopyObjectCommand({
-            Bucket: bucketName,
-            CopySource: `/${bucketName}/${oldKey}`,
-            Key: newKey,
-        }));
-
-        // 复制成功后，删除旧文件
-        await s3Client.send(new DeleteObjectCommand({
-            Bucket: bucketName,
-            Key: oldKey,
-        }));
-
-        // 返回新的 S3 文件信息
-        return { success: true, newKey };
-    } catch (error) {
-        console.error("S3 Move Failed:", error);
-        return { success: false, error: error.message };
-    }
-}
\ No newline at end of file
@@ -1,7 +1,10 @@
-import { S3Client, CopyObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
 import { purgeCFCache, purgeRandomFileListCache, purgePublicFileListCache } from "../../../utils/purgeCache";
-import { moveFileInIndex } from "../../../utils/indexManager.js";
+import { moveFileInIndex, getFileHashRefs, moveFileHashRef } from "../../../utils/indexManager.js";
 import { getDatabase } from '../../../utils/databaseAdapter.js';
+import { recordAudit } from '../../../utils/auditLog.js';
+import { createFileAlias, ALIAS_MODES } from '../../../utils/fileAlias.js';
+import { dispatchWebhookEvent, toWebhookFile } from '../../../utils/webhookManager.js';
+import { relocateChannelObject } from '../../../utils/channels/index.js';
 
 // CORS 跨域响应头
 const corsHeaders = {
@@ -72,6 +75,19 @@ export async function onRequest(context) {
             });
         }
 
+        // alias 为 true 时在旧文件 ID 上保留指向新文件的别名，aliasMode 为别名的访问方式
+        const keepAlias = body.alias === true;
+        const aliasMode = body.aliasMode || 'redirect';
+        if (keepAlias && !ALIAS_MODES.includes(aliasMode)) {
+            return new Response(JSON.stringify({
+                success: false,
+                message: 'aliasMode must be one of: ' + ALIAS_MODES.join(', '),
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders },
+            });
+        }
+
         const newFileId = body.newFileId;
         const url = new URL(request.url);
         const db = getDatabase(env);
@@ -102,38 +118,12 @@ export async function onRequest(context) {
         }
 
         // 执行文件迁移
-        const metadata = { ...fileData.metadata };
-
-        // 如果是 R2 渠道的图片，需要移动 R2 中对应的图片
-        if (metadata?.Channel === 'CloudflareR2') {
-            const R2DataBase = env.img_r2;
+        let metadata = { ...fileData.metadata };
 
-            // 获取原文件内容
-            const object = await R2DataBase.get(fileId);
-            if (!object) {
-                throw new Error('R2 Object Not Found');
-            }
-
-            // 复制到新位置
-            await R2DataBase.put(newFileId, object.body);
-
-            // 删除旧文件
-            await R2DataBase.delete(fileId);
-        }
-
-        // S3 渠道的图片，需要移动 S3 中对应的图片
-        if (metadata?.Channel === 'S3') {
-            const { success, newKey, error } = await moveS3File(fileData, newFileId);
-            if (success) {
-                // 更新 metadata
-                metadata.S3FileKey = newFileId;
-
-                const s3ServerDomain = metadata.S3Endpoint.replace(/https?:\/\//, "");
-                metadata.S3Location = `https://${metadata.S3BucketName}.${s3ServerDomain}/${newKey}`;
-            } else {
-                // do nothing
-            }
-        }
+        // 内容去重的文件，与其他文件共享存储对象时只移动记录
+        const isSharedObject = metadata.FileHash
+            ? (await getFileHashRefs(context, metadata.FileHash)).length > 1
+            : false;
 
         // 旧版 Telegram 渠道和 Telegraph 渠道不支持重命名
         if (metadata?.Channel === 'Telegram' || metadata?.Channel === undefined) {
@@ -146,6 +136,9 @@ export async function onRequest(context) {
             });
         }
 
+        // 移动渠道中的存储对象（如 R2、S3 以文件ID为对象键）
+        metadata = await relocateChannelObject(env, fileId, newFileId, metadata, isSharedObject);
+
         // 更新文件夹信息，根目录为空，否则为 aaa/123/ 的格式
         const DirectoryPath = newFileId.split('/').slice(0, -1).join('/') === '' ? '' : newFileId.split('/').slice(0, -1).join('/') + '/';
         metadata.Directory = DirectoryPath;
@@ -154,6 +147,15 @@ export async function onRequest(context) {
         await db.put(newFileId, fileData.value, { metadata });
         await db.delete(fileId);
 
+        // 更新内容哈希引用
+        if (metadata.FileHash) {
+            await moveFileHashRef(context, metadata.FileHash, fileId, newFileId);
+        }
+
+        if (keepAlias) {
+            await createFileAlias(db, fileId, newFileId, aliasMode);
+        }
+
         // 清除 CDN 缓存
         const cdnUrl = `https://${url.hostname}/file/${fileId}`;
         await purgeCFCache(env, cdnUrl);
@@ -167,9 +169,21 @@ export async function onRequest(context) {
         // 更新索引
         waitUntil(moveFileInIndex(context, fileId, newFileId));
 
+        waitUntil(dispatchWebhookEvent(context, 'file.moved', {
+            files: [{ ...toWebhookFile(newFileId, metadata, url.origin), previousId: fileId }]
+        }));
+
+        await recordAudit(context, {
+            action: 'file.rename',
+            targets: [fileId, newFileId],
+            before: { fileId },
+            after: { fileId: newFileId, alias: keepAlias ? aliasMode : null }
+        });
+
         return new Response(JSON.stringify({
             success: true,
             newFileId,
+            alias: keepAlias,
             metadata,
         }), {
             status: 200,
@@ -187,41 +201,3 @@ export async function onRequest(context) {
         });
     }
 }
-
-// 移动 S3 渠道的图片
-async function moveS3File(img, newFileId) {
-    const s3Client = new S3Client({
-        region: img.metadata?.S3Region || "auto",
-        endpoint: img.metadata?.S3Endpoint,
-        credentials: {
-            accessKeyId: img.metadata?.S3AccessKeyId,
-            secretAccessKey: img.metadata?.S3SecretAccessKey
-        },
-        forcePathStyle: img.metadata?.S3PathStyle || false
-    });
-
-    const bucketName = img.metadata?.S3BucketName;
-    const oldKey = img.metadata?.S3FileKey;
-    const newKey = newFileId;
-
-    try {
-        // 复制文件到新位置
-        await s3Client.send(new CopyObjectCommand({
-            Bucket: bucketName,
-            CopySource: `/${bucketName}/${oldKey}`,
-            Key: newKey,
-        }));
-
-        // 复制成功后，删除旧文件
-        await s3Client.send(new DeleteObjectCommand({
-            Bucket: bucketName,
-            Key: oldKey,
-        }));
-
-        // 返回新的 S3 文件信息
-        return { success: true, newKey };
-    } catch (error) {
-        console.error("S3 Move Failed:", error);
-        return { success: false, error: error.message };
-    }
-}
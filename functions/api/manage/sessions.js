@@ -0,0 +1,66 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { listSessions, revokeSession, revokeUserSessions } from '../../utils/sessionManager.js';
+import { recordAudit } from '../../utils/auditLog.js';
+
+export async function onRequest(context) {
+    // 登录会话管理，支持列出和撤销会话
+    const {
+      request,
+      env,
+      data
+    } = context;
+
+    const db = getDatabase(env);
+    const url = new URL(request.url)
+    const method = request.method
+
+    // GET - 获取所有活动会话
+    if (method === 'GET') {
+        const sessions = await listSessions(db)
+        return jsonResponse({
+            sessions: sessions.map(session => ({ ...session, current: session.id === data.session?.id }))
+        })
+    }
+
+    // DELETE - 撤销单个会话（id）或某个用户的所有会话（username）
+    if (method === 'DELETE') {
+        const id = url.searchParams.get('id')
+        const username = url.searchParams.get('username')
+
+        if (id) {
+            // 会话ID为会话 Cookie 的哈希，可以写入审计日志
+            const session = (await listSessions(db)).find(item => item.id === id)
+            const revoked = await revokeSession(db, id)
+            if (revoked) {
+                await recordAudit(context, {
+                    action: 'session.revoke',
+                    targets: [id],
+                    before: { username: session?.username, type: session?.type, ip: session?.ip }
+                })
+            }
+            return jsonResponse(revoked ? { success: true } : { error: '会话不存在' }, revoked ? 200 : 404)
+        }
+        if (username) {
+            const revoked = await revokeUserSessions(db, username)
+            await recordAudit(context, {
+                action: 'session.revoke',
+                targets: [username],
+                after: { revoked }
+            })
+            return jsonResponse({ success: true, revoked })
+        }
+
+        return jsonResponse({ error: '缺少会话 ID 或用户名' }, 400)
+    }
+
+    return new Response('Method not allowed', { status: 405 })
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'content-type': 'application/json',
+        },
+    })
+}
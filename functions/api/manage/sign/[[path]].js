@@ -0,0 +1,107 @@
+import { getDatabase } from '../../../utils/databaseAdapter.js';
+import { getSecurityConfig } from '../sysConfig/security.js';
+import { createSignedUrl, generateSigningSecret } from '../../../utils/urlSigner.js';
+
+// CORS 跨域响应头
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, PUT, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Max-Age': '86400',
+};
+
+export async function onRequest(context) {
+    // 生成文件的签名访问链接，GET /api/manage/sign/<fileId>?expiresIn=<秒>
+    const { request, env, params } = context;
+
+    // OPTIONS 预检请求
+    if (request.method === 'OPTIONS') {
+        return new Response(null, {
+            status: 204,
+            headers: corsHeaders,
+        });
+    }
+
+    if (request.method !== 'GET' && request.method !== 'POST') {
+        return new Response(JSON.stringify({
+            success: false,
+            message: 'Method not allowed. Use GET or POST.',
+        }), {
+            status: 405,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+    }
+
+    try {
+        const url = new URL(request.url);
+        const fileId = params.path ? decodeURIComponent(params.path).split(',').join('/') : '';
+
+        if (!fileId) {
+            return new Response(JSON.stringify({
+                success: false,
+                message: 'File ID is required.',
+            }), {
+                status: 400,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders },
+            });
+        }
+
+        const db = getDatabase(env);
+
+        const fileData = await db.getWithMetadata(fileId);
+        if (!fileData || !fileData.metadata) {
+            return new Response(JSON.stringify({
+                success: false,
+                message: 'File not found.',
+            }), {
+                status: 404,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders },
+            });
+        }
+
+        const secret = await getSigningSecret(db, env);
+        const expiresIn = url.searchParams.get('expiresIn');
+        const { url: signedUrl, exp } = await createSignedUrl(url.origin, fileId, secret, expiresIn);
+
+        // 有缩略图时一并签名
+        let thumbnailUrl = null;
+        if (fileData.metadata.ThumbnailId) {
+            thumbnailUrl = (await createSignedUrl(url.origin, fileData.metadata.ThumbnailId, secret, expiresIn)).url;
+        }
+
+        return new Response(JSON.stringify({
+            success: true,
+            url: signedUrl,
+            thumbnailUrl,
+            expiresAt: exp * 1000,
+        }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+
+    } catch (error) {
+        console.error('Error signing file url:', error);
+        return new Response(JSON.stringify({
+            success: false,
+            message: error.message || 'Internal server error.',
+        }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json', ...corsHeaders },
+        });
+    }
+}
+
+// 读取签名密钥，未配置时自动生成并写入安全设置
+async function getSigningSecret(db, env) {
+    const securityConfig = await getSecurityConfig(db, env);
+    if (securityConfig.signing.secret) {
+        return securityConfig.signing.secret;
+    }
+
+    const settingsStr = await db.get('manage@sysConfig@security');
+    const settings = settingsStr ? JSON.parse(settingsStr) : {};
+    settings.signing = { secret: generateSigningSecret() };
+    await db.put('manage@sysConfig@security', JSON.stringify(settings));
+
+    return settings.signing.secret;
+}
@@ -1,4 +1,5 @@
 import { getDatabase } from '../../../utils/databaseAdapter.js';
+import { recordAudit } from '../../../utils/auditLog.js';
 
 export async function onRequest(context) {
     // 其他设置相关，GET方法读取设置，POST方法保存设置
@@ -28,10 +29,18 @@ export async function onRequest(context) {
     if (request.method === 'POST') {
         const body = await request.json()
         const settings = body
+        const previousStr = await db.get('manage@sysConfig@others')
 
         // 写入数据库
         await db.put('manage@sysConfig@others', JSON.stringify(settings))
 
+        await recordAudit(context, {
+            action: 'settings.save',
+            targets: ['others'],
+            before: previousStr ? JSON.parse(previousStr) : null,
+            after: settings
+        })
+
         return new Response(JSON.stringify(settings), {
             headers: {
                 'content-type': 'application/json',
@@ -82,6 +91,16 @@ export async function getOthersConfig(db, env) {
         fixed: false,
     }
 
+    // S3 兼容接口
+    const kvS3Api = settingsKV.s3Api || {}
+    settings.s3Api = {
+        enabled: kvS3Api.enabled ?? false,
+        bucket: kvS3Api.bucket || 'imgbed',
+        uploadChannel: kvS3Api.uploadChannel || '',
+        channelName: kvS3Api.channelName || '',
+        fixed: false,
+    }
+
     // 公开浏览
     const kvPublicBrowse = settingsKV.publicBrowse || {}
     settings.publicBrowse = {
@@ -90,6 +109,13 @@ export async function getOthersConfig(db, env) {
         fixed: false,
     }
 
+    // 回收站，保留天数为 0 时删除文件不进入回收站
+    const kvTrash = settingsKV.trash || {}
+    const retentionDays = parseInt(kvTrash.retentionDays ?? env.TRASH_RETENTION_DAYS, 10)
+    settings.trash = {
+        retentionDays: isNaN(retentionDays) || retentionDays < 0 ? 30 : retentionDays,
+        fixed: false,
+    }
 
     return settings;
 }
\ No newline at end of file
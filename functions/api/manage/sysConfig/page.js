@@ -1,4 +1,5 @@
 import { getDatabase } from '../../../utils/databaseAdapter.js';
+import { recordAudit } from '../../../utils/auditLog.js';
 
 export async function onRequest(context) {
     // 页面设置相关，GET方法读取设置，POST方法保存设置
@@ -28,9 +29,18 @@ export async function onRequest(context) {
     if (request.method === 'POST') {
         const body = await request.json()
         const settings = body
+        const previousStr = await db.get('manage@sysConfig@page')
+
         // 写入数据库
         await db.put('manage@sysConfig@page', JSON.stringify(settings))
 
+        await recordAudit(context, {
+            action: 'settings.save',
+            targets: ['page'],
+            before: previousStr ? JSON.parse(previousStr) : null,
+            after: settings
+        })
+
         return new Response(JSON.stringify(settings), {
             headers: {
                 'content-type': 'application/json',
@@ -114,8 +124,11 @@ export async function getPageConfig(db, env) {
                 { label: 'Telegram', value: 'telegram' },
                 { label: 'Cloudflare R2', value: 'cfr2' },
                 { label: 'S3', value: 's3' },
+                { label: 'Backblaze B2', value: 'b2' },
+                { label: 'WebDAV', value: 'webdav' },
                 { label: 'Discord', value: 'discord' },
                 { label: 'HuggingFace', value: 'huggingface' },
+                { label: 'GitHub', value: 'github' },
             ],
             placeholder: 'telegram',
             category: '客户端设置',
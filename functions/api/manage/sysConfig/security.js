@@ -1,4 +1,7 @@
 import { getDatabase } from '../../../utils/databaseAdapter.js';
+import { hashPassword, verifyPassword, timingSafeEqual } from '../../../utils/passwordHash.js';
+import { revokeUserSessions } from '../../../utils/sessionManager.js';
+import { recordAudit } from '../../../utils/auditLog.js';
 
 export async function onRequest(context) {
     // 安全设置相关，GET方法读取设置，POST方法保存设置
@@ -17,6 +20,12 @@ export async function onRequest(context) {
     if (request.method === 'GET') {
         const settings = await getSecurityConfig(db, env)
 
+        // 不返回管理员密码哈希、会话密钥和两步验证密钥，密码框留空表示不修改
+        const { adminPasswordHash, ...admin } = settings.auth.admin
+        settings.auth.admin = { ...admin, adminPassword: '' }
+        settings.session = { lifetime: settings.session.lifetime }
+        settings.twoFactor = { enabled: settings.twoFactor.enabled }
+
         return new Response(JSON.stringify(settings), {
             headers: {
                 'content-type': 'application/json',
@@ -31,14 +40,40 @@ export async function onRequest(context) {
         const body = await request.json()
         const newSettings = body
 
-        // 覆盖设置，apiTokens不在这里修改
-        settings.auth = newSettings.auth || settings.auth
+        // 覆盖设置，apiTokens、signing、会话密钥和两步验证不在这里修改
+        if (newSettings.auth) {
+            // 管理员密码只保存 PBKDF2 哈希，未填写新密码时保留原有密码
+            const { adminPassword, adminPasswordHash, ...admin } = newSettings.auth.admin || {}
+            settings.auth = {
+                ...newSettings.auth,
+                admin: {
+                    ...admin,
+                    adminPasswordHash: adminPassword ? await hashPassword(adminPassword) : await getStoredAdminPasswordHash(db)
+                }
+            }
+        }
         settings.upload = newSettings.upload || settings.upload
         settings.access = newSettings.access || settings.access
+        if (newSettings.session?.lifetime !== undefined) {
+            settings.session.lifetime = parseInt(newSettings.session.lifetime, 10) || settings.session.lifetime
+        }
 
         // 写入数据库
+        const previousStr = await db.get('manage@sysConfig@security')
         await db.put('manage@sysConfig@security', JSON.stringify(settings))
 
+        await recordAudit(context, {
+            action: 'settings.save',
+            targets: ['security'],
+            before: previousStr ? JSON.parse(previousStr) : null,
+            after: settings
+        })
+
+        // 修改管理员密码后需要重新登录
+        if (newSettings.auth?.admin?.adminPassword) {
+            await revokeUserSessions(db, settings.auth.admin.adminUsername, 'admin')
+        }
+
         return new Response('security settings saved', {
             headers: {
                 'content-type': 'application/json',
@@ -62,7 +97,7 @@ export async function getSecurityConfig(db, env) {
         },
         admin: {
             adminUsername: kvAuth.admin?.adminUsername || env.BASIC_USER || '',
-            adminPassword: kvAuth.admin?.adminPassword || env.BASIC_PASS || '',
+            adminPasswordHash: kvAuth.admin?.adminPasswordHash || '',
         }
     }
     settings.auth = auth
@@ -94,5 +129,67 @@ export async function getSecurityConfig(db, env) {
     }
     settings.apiTokens = apiTokens
 
+    // 链接签名管理
+    const kvSigning = settingsKV.signing || {}
+    const signing = {
+        secret: kvSigning.secret || env.URL_SIGNING_SECRET || '',
+    }
+    settings.signing = signing
+
+    // 登录会话管理，lifetime 为会话有效期（秒）
+    const kvSession = settingsKV.session || {}
+    const session = {
+        secret: kvSession.secret || env.SESSION_SECRET || '',
+        lifetime: parseInt(kvSession.lifetime ?? env.SESSION_LIFETIME, 10) || 7 * 24 * 60 * 60,
+    }
+    settings.session = session
+
+    // 管理员两步验证（TOTP），在 /api/manage/twoFactor 中设置
+    const kvTwoFactor = settingsKV.twoFactor || {}
+    const twoFactor = {
+        enabled: kvTwoFactor.enabled ?? false,
+        secret: kvTwoFactor.secret || '',
+        pendingSecret: kvTwoFactor.pendingSecret || '',
+        recoveryCodes: kvTwoFactor.recoveryCodes || [],
+        lastUsedStep: kvTwoFactor.lastUsedStep || 0,
+    }
+    settings.twoFactor = twoFactor
+
     return settings;
 }
+
+// 校验管理员密码，数据库中的明文密码在首次校验通过时迁移为哈希
+export async function verifyAdminPassword(db, env, password) {
+    const settingsStr = await db.get('manage@sysConfig@security')
+    const settings = settingsStr ? JSON.parse(settingsStr) : {}
+    const admin = settings.auth?.admin || {}
+
+    if (admin.adminPasswordHash) {
+        return await verifyPassword(password, admin.adminPasswordHash)
+    }
+
+    if (admin.adminPassword) {
+        if (!timingSafeEqual(password, admin.adminPassword)) {
+            return false
+        }
+
+        admin.adminPasswordHash = await hashPassword(password)
+        delete admin.adminPassword
+        await db.put('manage@sysConfig@security', JSON.stringify(settings))
+        return true
+    }
+
+    // 未在数据库中设置密码时使用环境变量
+    return timingSafeEqual(password, env.BASIC_PASS || '')
+}
+
+// 读取数据库中已保存的管理员密码哈希，旧版本的明文密码顺带转换为哈希
+async function getStoredAdminPasswordHash(db) {
+    const settingsStr = await db.get('manage@sysConfig@security')
+    const admin = (settingsStr ? JSON.parse(settingsStr) : {}).auth?.admin || {}
+
+    if (admin.adminPasswordHash) {
+        return admin.adminPasswordHash
+    }
+    return admin.adminPassword ? await hashPassword(admin.adminPassword) : ''
+}
@@ -1,4 +1,5 @@
 import { getDatabase } from '../../../utils/databaseAdapter.js';
+import { recordAudit } from '../../../utils/auditLog.js';
 
 export async function onRequest(context) {
     // 上传设置相关，GET方法读取设置，POST方法保存设置
@@ -28,10 +29,18 @@ export async function onRequest(context) {
     if (request.method === 'POST') {
         const body = await request.json()
         const settings = body
+        const previousStr = await db.get('manage@sysConfig@upload')
 
         // 写入数据库
         await db.put('manage@sysConfig@upload', JSON.stringify(settings))
 
+        await recordAudit(context, {
+            action: 'settings.save',
+            targets: ['upload'],
+            before: previousStr ? JSON.parse(previousStr) : null,
+            after: settings
+        })
+
         return new Response(JSON.stringify(settings), {
             headers: {
                 'content-type': 'application/json',
@@ -176,6 +185,94 @@ export async function getUploadConfig(db, env) {
     s3.loadBalance = s3LoadBalance
 
 
+    // =====================读取 B2 渠道配置=====================
+    const b2 = {}
+    const b2Channels = []
+    b2.channels = b2Channels
+    if (env.B2_KEY_ID) {
+        b2Channels.push({
+            id: 1,
+            name: 'B2_env',
+            type: 'b2',
+            savePath: 'environment variable',
+            keyId: env.B2_KEY_ID,
+            applicationKey: env.B2_APPLICATION_KEY,
+            bucketName: env.B2_BUCKET_NAME,
+            bucketId: env.B2_BUCKET_ID || '',  // 可选，未配置时按存储桶名称查询
+            isPrivate: env.B2_PRIVATE === 'true',  // 私有存储桶，读取时使用下载授权
+            hideOnDelete: env.B2_HIDE_ON_DELETE === 'true',  // 删除时只隐藏文件，保留历史版本
+            enabled: true,
+            fixed: true,
+        })
+    }
+    for (const b of settingsKV.b2?.channels || []) {
+        // 如果savePath是environment variable，修改可变参数
+        if (b.savePath === 'environment variable') {
+            // 如果环境变量未删除，进行覆盖操作
+            if (b2Channels[0]) {
+                b2Channels[0].enabled = b.enabled
+                b2Channels[0].quota = b.quota  // 保留容量限制配置
+                b2Channels[0].hideOnDelete = b.hideOnDelete
+            }
+
+            continue
+        }
+        // id自增
+        b.id = b2Channels.length + 1
+        b2Channels.push(b)
+    }
+
+    // 负载均衡
+    const b2LoadBalance = settingsKV.b2?.loadBalance || {
+        enabled: false,
+        channels: [],
+    }
+    b2.loadBalance = b2LoadBalance
+
+
+    // =====================读取 WebDAV 渠道配置=====================
+    const webdav = {}
+    const webdavChannels = []
+    webdav.channels = webdavChannels
+    if (env.WEBDAV_ENDPOINT) {
+        webdavChannels.push({
+            id: 1,
+            name: 'WebDAV_env',
+            type: 'webdav',
+            savePath: 'environment variable',
+            endpoint: env.WEBDAV_ENDPOINT,
+            username: env.WEBDAV_USERNAME || '',
+            password: env.WEBDAV_PASSWORD || '',
+            authType: env.WEBDAV_AUTH_TYPE === 'digest' ? 'digest' : 'basic',  // basic 或 digest
+            basePath: env.WEBDAV_BASE_PATH || '',  // 文件存放的基础路径
+            enabled: true,
+            fixed: true,
+        })
+    }
+    for (const dav of settingsKV.webdav?.channels || []) {
+        // 如果savePath是environment variable，修改可变参数
+        if (dav.savePath === 'environment variable') {
+            // 如果环境变量未删除，进行覆盖操作
+            if (webdavChannels[0]) {
+                webdavChannels[0].enabled = dav.enabled
+                webdavChannels[0].quota = dav.quota  // 保留容量限制配置
+            }
+
+            continue
+        }
+        // id自增
+        dav.id = webdavChannels.length + 1
+        webdavChannels.push(dav)
+    }
+
+    // 负载均衡
+    const webdavLoadBalance = settingsKV.webdav?.loadBalance || {
+        enabled: false,
+        channels: [],
+    }
+    webdav.loadBalance = webdavLoadBalance
+
+
     // =====================读取 Discord 渠道配置=====================
     const discord = {}
     const discordChannels = []
@@ -264,11 +361,89 @@ export async function getUploadConfig(db, env) {
     huggingface.loadBalance = huggingfaceLoadBalance
 
 
+    // =====================读取 GitHub 渠道配置=====================
+    // 每个渠道对应一个仓库，配置多个渠道并开启负载均衡即可在多个仓库间分摊容量
+    const github = {}
+    const githubChannels = []
+    github.channels = githubChannels
+
+    // 从环境变量读取 GitHub 配置
+    if (env.GITHUB_TOKEN) {
+        githubChannels.push({
+            id: 1,
+            name: 'GitHub_env',
+            type: 'github',
+            savePath: 'environment variable',
+            token: env.GITHUB_TOKEN,
+            repo: env.GITHUB_REPO,
+            branch: env.GITHUB_BRANCH || 'main',
+            basePath: env.GITHUB_BASE_PATH || '',  // 文件在仓库中的基础路径
+            releaseTag: env.GITHUB_RELEASE_TAG || 'imgbed-assets',  // 存放大文件的 Release 标签
+            isPrivate: env.GITHUB_PRIVATE === 'true',
+            cdn: env.GITHUB_CDN === 'jsdelivr' ? 'jsdelivr' : 'raw',  // 公开仓库的访问方式：raw 或 jsdelivr
+            enabled: true,
+            fixed: true,
+        })
+    }
+
+    for (const gh of settingsKV.github?.channels || []) {
+        // 如果 savePath 是 environment variable，修改可变参数
+        if (gh.savePath === 'environment variable') {
+            // 如果环境变量未删除，进行覆盖操作
+            if (githubChannels[0]) {
+                githubChannels[0].enabled = gh.enabled
+                githubChannels[0].cdn = gh.cdn
+                githubChannels[0].quota = gh.quota  // 保留容量限制配置
+            }
+            continue
+        }
+        // id 自增
+        gh.id = githubChannels.length + 1
+        githubChannels.push(gh)
+    }
+
+    // 负载均衡
+    const githubLoadBalance = settingsKV.github?.loadBalance || {
+        enabled: false,
+        channels: [],
+    }
+    github.loadBalance = githubLoadBalance
+
+
+    // =====================读取缩略图配置=====================
+    // storage: same 与原图存储在相同渠道，cfr2 存储到指定的 R2 渠道（channelName）
+    const thumbnail = {
+        enabled: false,
+        width: 320,
+        format: 'webp',
+        quality: 75,
+        storage: 'same',
+        channelName: '',
+        ...settingsKV.thumbnail,
+    }
+
+
+    // =====================读取复制策略配置=====================
+    // mode: upload 在上传结束时写入副本，background 由后台任务补写副本
+    // replicas: 副本渠道 [{ uploadChannel, channelName }]，与主渠道相同的渠道自动跳过
+    const replication = {
+        enabled: false,
+        mode: 'upload',
+        replicas: [],
+        ...settingsKV.replication,
+    }
+
+
     settings.telegram = telegram
     settings.cfr2 = cfr2
     settings.s3 = s3
+    settings.b2 = b2
+    settings.webdav = webdav
     settings.discord = discord
     settings.huggingface = huggingface
+    settings.github = github
+    settings.thumbnail = thumbnail
+    settings.replication = replication
 
     return settings;
 }
\ No newline at end of file
@@ -1,7 +1,9 @@
 import { purgeCFCache } from "../../../utils/purgeCache.js";
 import { addFileToIndex } from "../../../utils/indexManager.js";
 import { getDatabase } from "../../../utils/databaseAdapter.js";
+import { recordAudit } from "../../../utils/auditLog.js";
 import { mergeTags, normalizeTags, validateTag } from "../../../utils/tagHelpers.js";
+import { toClientMetadata } from "../../../utils/channels/index.js";
 
 /**
  * Tag Management API for Single Files
@@ -181,12 +183,19 @@ async function handleUpdateTags(context, db, fileId, hostname) {
         // Update file index asynchronously
         waitUntil(addFileToIndex(context, fileId, fileData.metadata));
 
+        await recordAudit(context, {
+            action: 'file.tags',
+            targets: [fileId],
+            before: { Tags: existingTags },
+            after: { Tags: updatedTags }
+        });
+
         return new Response(JSON.stringify({
             success: true,
             fileId: fileId,
             action: action,
             tags: updatedTags,
-            metadata: fileData.metadata
+            metadata: toClientMetadata(context, fileData.metadata)
         }), {
             status: 200,
             headers: { 'Content-Type': 'application/json' }
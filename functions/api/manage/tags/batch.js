@@ -1,6 +1,7 @@
 import { purgeCFCache } from "../../../utils/purgeCache.js";
 import { batchAddFilesToIndex } from "../../../utils/indexManager.js";
 import { getDatabase } from "../../../utils/databaseAdapter.js";
+import { recordAudit } from "../../../utils/auditLog.js";
 import { mergeTags, validateTag } from "../../../utils/tagHelpers.js";
 
 /**
@@ -96,6 +97,7 @@ export async function onRequest(context) {
         };
 
         const updatedFiles = [];
+        const tagChanges = {};
 
         for (const fileId of fileIds) {
             try {
@@ -128,6 +130,8 @@ export async function onRequest(context) {
                 const cdnUrl = `https://${url.hostname}/file/${fileId}`;
                 waitUntil(purgeCFCache(env, cdnUrl));
 
+                tagChanges[fileId] = { before: existingTags, after: updatedTags };
+
                 // Track updated file for batch index update
                 updatedFiles.push({
                     fileId: fileId,
@@ -147,6 +151,13 @@ export async function onRequest(context) {
         // Batch update file index asynchronously
         if (updatedFiles.length > 0) {
             waitUntil(batchAddFilesToIndex(context, updatedFiles, { skipExisting: false }));
+
+            await recordAudit(context, {
+                action: 'file.tags',
+                targets: Object.keys(tagChanges),
+                before: Object.fromEntries(Object.entries(tagChanges).map(([id, change]) => [id, { Tags: change.before }])),
+                after: Object.fromEntries(Object.entries(tagChanges).map(([id, change]) => [id, { Tags: change.after }]))
+            });
         }
 
         // Set success to false if there were any errors
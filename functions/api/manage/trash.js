@@ -0,0 +1,133 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { recordAudit } from '../../utils/auditLog.js';
+import { listTrash, restoreFile, purgeFiles } from '../../utils/trashManager.js';
+import { dispatchWebhookEvent, toWebhookFile } from '../../utils/webhookManager.js';
+
+// CORS 跨域响应头
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+    'Access-Control-Max-Age': '86400',
+};
+
+export async function onRequest(context) {
+    // 回收站：GET 列出回收站中的文件，POST 恢复文件，DELETE 彻底删除文件
+    const { request, waitUntil } = context;
+    const url = new URL(request.url);
+    const method = request.method;
+
+    try {
+        // GET - 列出回收站中的文件
+        if (method === 'GET') {
+            const start = parseInt(url.searchParams.get('start'), 10) || 0;
+            const count = parseInt(url.searchParams.get('count'), 10) || 50;
+            const search = (url.searchParams.get('search') || '').trim();
+
+            const result = await listTrash(context, { search, start, count });
+            if (!result.success) {
+                return jsonResponse({ error: 'Failed to read index' }, 500);
+            }
+
+            return jsonResponse({
+                files: result.files,
+                totalCount: result.totalCount,
+                returnedCount: result.returnedCount,
+                indexLastUpdated: result.indexLastUpdated
+            });
+        }
+
+        // POST - 恢复文件 { fileIds: [...] }
+        if (method === 'POST') {
+            const { fileIds, rejected } = await resolveTrashedFileIds(context);
+            if (fileIds === null) {
+                return jsonResponse({ error: '缺少文件 ID' }, 400);
+            }
+
+            const restored = [];
+            const failed = [...rejected];
+            for (const fileId of fileIds) {
+                if (await restoreFile(context, fileId)) {
+                    restored.push(fileId);
+                } else {
+                    failed.push(fileId);
+                }
+            }
+
+            if (restored.length > 0) {
+                await recordAudit(context, { action: 'file.restore', targets: restored });
+            }
+
+            return jsonResponse({ success: true, restored, failed });
+        }
+
+        // DELETE - 彻底删除文件 { fileIds: [...] }，all=true 时清空回收站
+        if (method === 'DELETE') {
+            const { fileIds, rejected } = await resolveTrashedFileIds(context);
+            if (fileIds === null) {
+                return jsonResponse({ error: '缺少文件 ID' }, 400);
+            }
+
+            // 删除前记录文件元数据，写入审计日志
+            const db = getDatabase(context.env);
+            const before = {};
+            for (const fileId of fileIds) {
+                const record = await db.getWithMetadata(fileId);
+                before[fileId] = record?.metadata || null;
+            }
+
+            const { deleted, failed } = await purgeFiles(context, fileIds);
+            if (deleted.length > 0) {
+                await recordAudit(context, { action: 'file.purge', targets: deleted, before });
+                waitUntil(dispatchWebhookEvent(context, 'file.deleted', {
+                    files: deleted.map(fileId => toWebhookFile(fileId, before[fileId], url.origin)),
+                    trashed: false
+                }));
+            }
+
+            return jsonResponse({ success: true, deleted, failed: [...rejected, ...failed] });
+        }
+
+        return new Response('Method not allowed', { status: 405, headers: corsHeaders });
+    } catch (e) {
+        return jsonResponse({ success: false, error: e.message }, 500);
+    }
+}
+
+/**
+ * 解析请求中要操作的文件，只保留当前用户和Token范围内、且在回收站中的文件
+ * @param {Object} context - 上下文对象
+ * @returns {Promise<Object>} { fileIds, rejected: 不在回收站或无权操作的文件 }，请求未指定文件时 fileIds 为 null
+ */
+async function resolveTrashedFileIds(context) {
+    const url = new URL(context.request.url);
+    const all = url.searchParams.get('all') === 'true';
+    const body = all ? {} : await context.request.json().catch(() => ({}));
+    if (!all && (!Array.isArray(body.fileIds) || body.fileIds.length === 0)) {
+        return { fileIds: null, rejected: [] };
+    }
+
+    const result = await listTrash(context, { count: -1 });
+    if (!result.success) {
+        throw new Error('Failed to read index');
+    }
+
+    const trashedIds = result.files.map(file => file.id);
+    if (all) {
+        return { fileIds: trashedIds, rejected: [] };
+    }
+
+    const trashedSet = new Set(trashedIds);
+    const requestedIds = body.fileIds.map(String);
+    return {
+        fileIds: requestedIds.filter(fileId => trashedSet.has(fileId)),
+        rejected: requestedIds.filter(fileId => !trashedSet.has(fileId))
+    };
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders },
+    });
+}
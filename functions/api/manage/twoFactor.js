@@ -0,0 +1,81 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { fetchSecurityConfig } from '../../utils/sysConfig';
+import { markSessionTwoFactor } from '../../utils/sessionManager.js';
+import { recordAudit } from '../../utils/auditLog.js';
+import {
+    getTwoFactorStatus, beginTwoFactorSetup, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes
+} from '../../utils/twoFactor.js';
+
+export async function onRequest(context) {
+    // 管理员两步验证设置，GET读取状态，POST根据 action 设置、启用、关闭或重新生成恢复码
+    const {
+      request,
+      env,
+      data
+    } = context;
+
+    const db = getDatabase(env);
+    const method = request.method
+
+    // 两步验证只针对系统管理员账号，用户账户和 API Token 不能修改
+    const securityConfig = await fetchSecurityConfig(env)
+    const adminUsername = securityConfig.auth.admin.adminUsername
+    const isBuiltinAdmin = data.session ? data.session.type === 'admin' : data.authType === 'admin'
+    if (!adminUsername || !isBuiltinAdmin) {
+        return jsonResponse({ error: '只有管理员账号可以设置两步验证' }, 403)
+    }
+
+    // GET - 获取两步验证状态
+    if (method === 'GET') {
+        const status = await getTwoFactorStatus(db)
+        return jsonResponse(status)
+    }
+
+    if (method === 'POST') {
+        const body = await request.json().catch(() => ({}))
+        const { action, code } = body
+
+        let result
+        switch (action) {
+            case 'setup':
+                // 返回密钥和 otpauth:// URI，前端据此生成二维码
+                result = await beginTwoFactorSetup(db, adminUsername, new URL(request.url).hostname)
+                break
+            case 'enable':
+                result = await enableTwoFactor(db, code)
+                // 当前会话视为已通过两步验证，无需重新登录
+                if (result.success && data.session) {
+                    await markSessionTwoFactor(db, data.session.id)
+                }
+                if (result.success) {
+                    await recordAudit(context, { action: 'twoFactor.enable', targets: [adminUsername] })
+                }
+                break
+            case 'disable':
+                result = await disableTwoFactor(db, code)
+                if (result.success) {
+                    await recordAudit(context, { action: 'twoFactor.disable', targets: [adminUsername] })
+                }
+                break
+            case 'regenerateRecoveryCodes':
+                result = await regenerateRecoveryCodes(db, code)
+                break
+            default:
+                return jsonResponse({ error: '无效的操作' }, 400)
+        }
+
+        return jsonResponse(result, result.success ? 200 : 400)
+    }
+
+    return new Response('Method not allowed', { status: 405 })
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'content-type': 'application/json',
+            'Cache-Control': 'no-store',
+        },
+    })
+}
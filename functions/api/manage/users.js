@@ -0,0 +1,101 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { listUsers, createUser, updateUser, deleteUser, getPublicUser } from '../../utils/userManager.js';
+import { revokeUserSessions } from '../../utils/sessionManager.js';
+import { recordAudit } from '../../utils/auditLog.js';
+
+export async function onRequest(context) {
+    // 用户账户管理，支持创建、删除、列出、更新用户
+    const {
+      request,
+      env
+    } = context;
+
+    const db = getDatabase(env);
+    const url = new URL(request.url)
+    const method = request.method
+
+    // GET - 获取所有用户列表
+    if (method === 'GET') {
+        const users = await listUsers(db)
+        return jsonResponse(users)
+    }
+
+    // POST - 创建新用户
+    if (method === 'POST') {
+        const body = await request.json()
+        const { username, password, role, homeDir, quota } = body
+
+        if (!username || !password) {
+            return jsonResponse({ error: '缺少必要参数' }, 400)
+        }
+
+        const result = await createUser(db, { username, password, role, homeDir, quota })
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'user.create',
+                targets: [username],
+                after: result.user
+            })
+        }
+        return jsonResponse(result, result.success ? 200 : 400)
+    }
+
+    // DELETE - 删除用户
+    if (method === 'DELETE') {
+        const username = url.searchParams.get('username')
+
+        if (!username) {
+            return jsonResponse({ error: '缺少用户名' }, 400)
+        }
+
+        const before = await getPublicUser(db, username)
+        const result = await deleteUser(db, username)
+        if (result.success) {
+            await revokeUserSessions(db, username, 'user')
+            await recordAudit(context, {
+                action: 'user.delete',
+                targets: [username],
+                before
+            })
+        }
+        return jsonResponse(result, result.success ? 200 : 404)
+    }
+
+    // PUT - 更新用户密码、角色、主目录或配额
+    if (method === 'PUT') {
+        const body = await request.json()
+        const { username, password, role, homeDir, quota } = body
+
+        if (!username) {
+            return jsonResponse({ error: '缺少用户名' }, 400)
+        }
+
+        const before = await getPublicUser(db, username)
+        const result = await updateUser(db, username, { password, role, homeDir, quota })
+        // 修改密码后需要重新登录
+        if (result.success && password) {
+            await revokeUserSessions(db, username, 'user')
+        }
+        // 角色、主目录和配额记录修改前后的值，密码只记录是否修改
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'user.update',
+                targets: [username],
+                before,
+                after: { ...result.user, passwordChanged: !!password }
+            })
+        }
+        return jsonResponse(result, result.success ? 200 : 400)
+    }
+
+    return new Response('Method not allowed', { status: 405 })
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'content-type': 'application/json',
+        },
+    })
+}
@@ -0,0 +1,108 @@
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { recordAudit } from '../../utils/auditLog.js';
+import {
+    WEBHOOK_EVENTS, listWebhooks, createWebhook, updateWebhook, deleteWebhook,
+    listWebhookDeliveries, redeliverWebhook
+} from '../../utils/webhookManager.js';
+
+export async function onRequest(context) {
+    // Webhook 管理，支持创建、删除、列出、更新 Webhook，查看投递记录和重新投递
+    const {
+      request,
+      env
+    } = context;
+
+    const db = getDatabase(env);
+    const url = new URL(request.url)
+    const method = request.method
+    const action = url.searchParams.get('action') || ''
+
+    // GET - 获取 Webhook 列表，action=deliveries 时获取投递记录
+    if (method === 'GET') {
+        if (action === 'deliveries') {
+            const limit = parseInt(url.searchParams.get('limit'), 10)
+            const result = await listWebhookDeliveries(db, {
+                webhookId: url.searchParams.get('webhookId') || '',
+                event: url.searchParams.get('event') || '',
+                status: url.searchParams.get('status') || '',
+                limit: Math.min(Math.max(isNaN(limit) ? 50 : limit, 1), 200),
+                cursor: url.searchParams.get('cursor') || ''
+            })
+            return jsonResponse(result)
+        }
+
+        const webhooks = await listWebhooks(db)
+        return jsonResponse({ webhooks, events: WEBHOOK_EVENTS })
+    }
+
+    // POST - 创建 Webhook，action=redeliver 时重新投递
+    if (method === 'POST') {
+        const body = await request.json()
+
+        if (action === 'redeliver') {
+            const result = await redeliverWebhook(db, body.deliveryId)
+            return jsonResponse(result, result.delivery ? 200 : 404)
+        }
+
+        const { name, url: webhookUrl, secret, events, enabled } = body
+        const result = await createWebhook(db, { name, url: webhookUrl, secret, events, enabled })
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'settings.save',
+                targets: ['webhooks'],
+                after: result.webhook
+            })
+        }
+        return jsonResponse(result, result.success ? 200 : 400)
+    }
+
+    // PUT - 更新 Webhook
+    if (method === 'PUT') {
+        const body = await request.json()
+        const { id, ...updates } = body
+
+        if (!id || Object.keys(updates).length === 0) {
+            return jsonResponse({ error: '缺少必要参数' }, 400)
+        }
+
+        const result = await updateWebhook(db, id, updates)
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'settings.save',
+                targets: ['webhooks'],
+                after: result.webhook
+            })
+        }
+        return jsonResponse(result, result.success ? 200 : 400)
+    }
+
+    // DELETE - 删除 Webhook
+    if (method === 'DELETE') {
+        const id = url.searchParams.get('id')
+
+        if (!id) {
+            return jsonResponse({ error: '缺少 Webhook ID' }, 400)
+        }
+
+        const result = await deleteWebhook(db, id)
+        if (result.success) {
+            await recordAudit(context, {
+                action: 'settings.save',
+                targets: ['webhooks'],
+                before: { id }
+            })
+        }
+        return jsonResponse(result, result.success ? 200 : 404)
+    }
+
+    return new Response('Method not allowed', { status: 405 })
+}
+
+function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'content-type': 'application/json',
+        },
+    })
+}
@@ -1,6 +1,8 @@
 import { purgeCFCache, purgeRandomFileListCache, purgePublicFileListCache } from "../../../utils/purgeCache";
 import { addFileToIndex } from "../../../utils/indexManager.js";
 import { getDatabase } from "../../../utils/databaseAdapter.js";
+import { recordAudit } from "../../../utils/auditLog.js";
+import { toClientMetadata } from "../../../utils/channels/index.js";
 
 export async function onRequest(context) {
     // Contents of context object
@@ -29,9 +31,10 @@ export async function onRequest(context) {
     const value = await db.getWithMetadata(params.path);
 
     //change the metadata
+    const previousListType = value.metadata.ListType || 'None';
     value.metadata.ListType = "White"
     await db.put(params.path, value.value, {metadata: value.metadata});
-    const info = JSON.stringify(value.metadata);
+    const info = JSON.stringify(toClientMetadata(context, value.metadata));
 
     // 清除CDN缓存
     await purgeCFCache(env, cdnUrl);
@@ -44,5 +47,12 @@ export async function onRequest(context) {
     // 更新索引
     waitUntil(addFileToIndex(context, params.path, value.metadata));
 
+    await recordAudit(context, {
+      action: 'file.white',
+      targets: [params.path],
+      before: { ListType: previousListType },
+      after: { ListType: "White" }
+    });
+
     return new Response(info);
 }
\ No newline at end of file
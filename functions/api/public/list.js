@@ -1,5 +1,7 @@
 import { fetchOthersConfig } from "../../utils/sysConfig";
 import { readIndex } from '../../utils/indexManager.js';
+import { getDatabase } from '../../utils/databaseAdapter.js';
+import { listFolders, isInPrivateFolder } from '../../utils/folderManager.js';
 
 // CORS 跨域响应头
 const corsHeaders = {
@@ -53,7 +55,7 @@ function isAllowedDirectory(dir, allowedDirs) {
  * @param {URL} url - 请求URL
  * @param {string} dir - 目录
  * @param {boolean} recursive - 是否递归
- * @returns {Promise<Object>} 文件列表和目录列表，包含 fromCache 字段
+ * @returns {Promise<Object>} 文件列表和目录列表，包含 fromCache 字段；目录为私有文件夹时 isPrivate 为 true
  */
 async function getPublicFileList(context, url, dir, recursive) {
     // 构建缓存键（目录格式去掉末尾的/，与清除缓存时的格式一致）
@@ -69,6 +71,12 @@ async function getPublicFileList(context, url, dir, recursive) {
         return data;
     }
 
+    // 私有文件夹及其子文件夹不公开展示
+    const privatePaths = (await listFolders(getDatabase(context.env))).filter(folder => folder.isPrivate).map(folder => folder.path);
+    if (isInPrivateFolder(dir, privatePaths)) {
+        return { files: [], directories: [], folders: [], totalCount: 0, isPrivate: true, fromCache: false };
+    }
+
     // 读取文件列表
     const result = await readIndex(context, {
         directory: dir,
@@ -82,20 +90,33 @@ async function getPublicFileList(context, url, dir, recursive) {
         return { files: [], directories: [], totalCount: 0, fromCache: false };
     }
 
-    // 转换文件格式（只保留必要信息）
-    const files = result.files.map(file => ({
+    // 转换文件格式（只保留必要信息），私有文件和私有文件夹中的文件不公开展示
+    const files = result.files.filter(file => {
+        return !file.metadata?.Private && !isInPrivateFolder(file.id.substring(0, file.id.lastIndexOf('/') + 1), privatePaths);
+    }).map(file => ({
         id: file.id,
         metadata: {
             FileType: file.metadata?.FileType,
             TimeStamp: file.metadata?.TimeStamp,
             FileSize: file.metadata?.FileSize,
-        }
+        },
+        thumbnailUrl: file.metadata?.ThumbnailId ? `/file/${file.metadata.ThumbnailId}` : null
+    }));
+
+    // 文件夹只公开描述、封面等展示信息
+    const folders = result.folders.filter(folder => !isInPrivateFolder(folder.path, privatePaths)).map(folder => ({
+        path: folder.path,
+        name: folder.name,
+        description: folder.description,
+        coverUrl: folder.cover ? `/file/${folder.cover}` : null,
+        fileCount: folder.fileCount,
     }));
 
     const cacheData = {
         files,
-        directories: result.directories,
-        totalCount: result.totalCount,
+        directories: folders.map(folder => folder.path),
+        folders,
+        totalCount: files.length,
     };
 
     // 缓存结果，缓存时间为24小时
@@ -181,11 +202,20 @@ export async function onRequest(context) {
 
         // 获取文件列表（带缓存）
         const cachedData = await getPublicFileList(context, url, dir, recursive);
+        if (cachedData.isPrivate) {
+            return new Response(JSON.stringify({ error: 'Directory not allowed' }), {
+                status: 403,
+                headers: { 'Content-Type': 'application/json', ...corsHeaders }
+            });
+        }
 
         // 过滤子目录，只返回允许的目录
         const filteredDirectories = cachedData.directories.filter(subDir => {
             return isAllowedDirectory(subDir, allowedDirs);
         });
+        const filteredFolders = (cachedData.folders || []).filter(folder => {
+            return isAllowedDirectory(folder.path, allowedDirs);
+        });
 
         // 文件类型过滤辅助函数
         const imageExts = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'svg', 'avif'];
@@ -228,12 +258,14 @@ export async function onRequest(context) {
         // 转换文件格式
         const safeFiles = filteredFiles.map(file => ({
             name: file.id,
-            metadata: file.metadata
+            metadata: file.metadata,
+            thumbnailUrl: file.thumbnailUrl || null
         }));
 
         return new Response(JSON.stringify({
             files: safeFiles,
             directories: filteredDirectories,
+            folders: filteredFolders,
             totalCount: (search || fileType) ? filteredTotalCount : cachedData.totalCount,
             returnedCount: safeFiles.length,
             allowedDirs: allowedDirs, // 返回允许的目录列表供前端使用
@@ -1,5 +1,28 @@
 // WebDAV 服务支持
-import { fetchSecurityConfig, fetchOthersConfig } from "../utils/sysConfig";
+import { fetchSecurityConfig, fetchOthersConfig, fetchUploadConfig } from "../utils/sysConfig";
+import { getDatabase, isSystemKey } from "../utils/databaseAdapter.js";
+import { readIndex, addFileToIndex, addFileHashRef } from "../utils/indexManager.js";
+import { isFileTrashed } from "../utils/trashManager.js";
+import { resetDownloadCounter } from "../utils/downloadCounter.js";
+import { checkFileExpiry } from "../utils/fileExpiry.js";
+import { getFolder, listFolders, createFolder, getFolderUploadChannel } from "../utils/folderManager.js";
+import {
+    parseLockTimeout, listLocks, canModifyResource, createLock, refreshLock, removeLock, clearDavState,
+    getDeadProperties, listDeadProperties, saveDeadProperties, copyDeadProperties,
+    UPLOAD_SESSION_TTL, getUploadSession, saveUploadSession, getUploadPending, deleteUploadSession
+} from "../utils/davStorage.js";
+import { dispatchWebhookEvent, toWebhookFile } from "../utils/webhookManager.js";
+import { onRequest as deleteHandler } from "../api/manage/delete/[[path]].js";
+import { onRequest as moveHandler } from "../api/manage/move/[[path]].js";
+import { onRequest as renameHandler } from "../api/manage/rename/[[path]].js";
+import { onRequest as uploadHandler } from "../upload/index.js";
+import { attachThumbnail } from "../upload/thumbnail.js";
+import { fetchFileFromChannel } from "../file/[[path]].js";
+import { getChannelDriver, getDriverByChannel } from "../utils/channels/index.js";
+
+const SUPPORTED_LOCK_XML = '<D:lockentry><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>'
+    + '<D:lockentry><D:lockscope><D:shared/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>';
+
 
 export async function onRequest(context) {
     const { request, env } = context;
@@ -14,11 +37,16 @@ export async function onRequest(context) {
 
     switch (modifiedRequest.method) {
         case 'OPTIONS': return handleOptions(modifiedRequest);
-        case 'PROPFIND': return handlePropfind(modifiedRequest, env);
-        case 'PUT': return handlePut(modifiedRequest, env);
-        case 'DELETE': return handleDelete(modifiedRequest, env);
-        case 'GET': return handleGet(modifiedRequest, env);
-        case 'MKCOL': return new Response(null, { status: 201 });
+        case 'PROPFIND': return handlePropfind(modifiedRequest, context);
+        case 'PROPPATCH': return handleProppatch(modifiedRequest, context);
+        case 'PUT': return handlePut(modifiedRequest, context);
+        case 'DELETE': return handleDelete(modifiedRequest, context);
+        case 'GET': return handleGet(modifiedRequest, context);
+        case 'MKCOL': return handleMkcol(modifiedRequest, context);
+        case 'MOVE': return handleMove(modifiedRequest, context);
+        case 'COPY': return handleCopy(modifiedRequest, context);
+        case 'LOCK': return handleLock(modifiedRequest, context);
+        case 'UNLOCK': return handleUnlock(modifiedRequest, context);
         default: return new Response('Method Not Allowed', { status: 405 });
     }
 }
@@ -27,23 +55,23 @@ export async function onRequest(context) {
 
 async function getApiHeaders(env) {
     const securityConfig = await fetchSecurityConfig(env);
-
-    const adminUsername = securityConfig.auth.admin.adminUsername;
-    const adminPassword = securityConfig.auth.admin.adminPassword;
     const authCode = securityConfig.auth.user.authCode;
 
-    let credentials = btoa('unset:unset');
-
-    if (adminUsername && adminPassword) {
-        credentials = btoa(`${adminUsername}:${adminPassword}`);
-    }
-
     return {
-        'Authorization': `Basic ${credentials}`,
         'authCode': authCode || ''
     };
 }
 
+// 直接调用管理接口（请求已通过 WebDAV 认证）。管理员密码只以哈希形式保存，无法再构造 Basic 认证头访问管理接口
+async function callManageApi(context, handler, url, init = {}, params = {}) {
+    return handler({
+        ...context,
+        request: new Request(url.toString(), init),
+        params,
+        data: {},
+    });
+}
+
 async function checkAuth(request, env) {
     const othersConfig = await fetchOthersConfig(env);
 
@@ -75,26 +103,116 @@ async function checkAuth(request, env) {
     return null;
 }
 
+// 请求对应的资源路径：无头无尾，根目录为空
+function getResourcePath(request) {
+    return decodeURIComponent(new URL(request.url).pathname).replace(/^\/+/, '').replace(/\/+$/, '');
+}
+
+// 解析 Destination 请求头，返回目标资源路径；目标不在本服务的 WebDAV 目录下时返回错误响应
+function parseDestination(request) {
+    const header = request.headers.get('Destination');
+    if (!header) return new Response('Destination header required', { status: 400 });
+
+    let destination;
+    try {
+        destination = new URL(header, request.url);
+    } catch (error) {
+        return new Response('Malformed Destination header', { status: 400 });
+    }
+
+    if (destination.host !== new URL(request.url).host) {
+        return new Response('Destination is on a different server', { status: 502 });
+    }
+    if (!/^\/dav(\/|$)/.test(destination.pathname)) {
+        return new Response('Destination is outside of WebDAV', { status: 403 });
+    }
+
+    return decodeURIComponent(destination.pathname.replace(/^\/dav/, '')).replace(/^\/+/, '').replace(/\/+$/, '');
+}
+
+function getParentPath(path) {
+    const index = path.lastIndexOf('/');
+    return index > -1 ? path.substring(0, index) : '';
+}
+
+function getBaseName(path) {
+    return path.substring(path.lastIndexOf('/') + 1);
+}
+
+function encodePath(path) {
+    return path.split('/').map(encodeURIComponent).join('/');
+}
+
+// 资源路径对应的 href，文件夹以斜杠结尾
+function toHref(path, isCollection) {
+    if (!path) return '/dav/';
+    return `/dav/${encodePath(path)}${isCollection ? '/' : ''}`;
+}
+
+// If 请求头中提交的锁令牌
+function getIfTokens(request) {
+    const header = request.headers.get('If') || '';
+    return [...header.matchAll(/<(opaquelocktoken:[^>]+)>/g)].map(match => match[1]);
+}
+
+// 资源被锁定且请求未提交对应的锁令牌时返回 423 响应
+async function checkLocked(request, context, path, includeDescendants = false) {
+    const db = getDatabase(context.env);
+    if (await canModifyResource(db, path, getIfTokens(request), includeDescendants)) {
+        return null;
+    }
+    return new Response('Locked', { status: 423 });
+}
+
+// 查找资源，返回 { type: 'file', path, record } 或 { type: 'collection', path }，不存在时返回 null
+// 回收站中的文件不可见；文件夹由文件夹记录或其中的文件产生
+async function resolveResource(context, path) {
+    if (path === '') return { type: 'collection', path };
+    if (isSystemKey(path)) return null;
+
+    const db = getDatabase(context.env);
+    const record = await db.getWithMetadata(path);
+    if (record?.metadata && !isFileTrashed(record.metadata)) {
+        return { type: 'file', path, record };
+    }
+
+    if (await getFolder(db, path) || (await listFolders(db, path)).length > 0) {
+        return { type: 'collection', path };
+    }
+
+    const listing = await readIndex(context, { directory: path, countOnly: true });
+    return listing.totalCount > 0 ? { type: 'collection', path } : null;
+}
+
+// 文件大小（字节），旧文件只记录了以 MB 为单位的大小
+function getFileSize(metadata) {
+    return metadata.FileSizeBytes ?? Math.round(parseFloat(metadata.FileSize || 0) * 1024 * 1024);
+}
+
+function getFileETag(metadata) {
+    return metadata.S3ETag || `"${metadata.FileHash || metadata.TimeStamp || 0}"`;
+}
+
 // --- WEBDAV METHOD HANDLERS ---
 
 function handleOptions(request) {
     return new Response(null, {
         status: 204,
         headers: {
-            'Allow': 'OPTIONS, GET, PUT, DELETE, PROPFIND, MKCOL',
+            'Allow': 'OPTIONS, GET, PUT, DELETE, PROPFIND, PROPPATCH, MKCOL, COPY, MOVE, LOCK, UNLOCK',
             'DAV': '1, 2',
             'MS-Author-Via': 'DAV',
         },
     });
 }
 
-async function handleGet(request, env) {
+async function handleGet(request, context) {
     const path = decodeURIComponent(new URL(request.url).pathname);
 
     if (path.endsWith('/')) { // Directory listing
         try {
             const dir = path === '/' ? '' : path.substring(1, path.length - 1);
-            const contents = await fetchDirectoryContents(dir, env, request);
+            const contents = await fetchDirectoryContents(dir, context);
             const html = generateDirectoryListingHtml(path, contents);
             return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
         } catch (error) {
@@ -103,9 +221,38 @@ async function handleGet(request, env) {
         }
     } else { // File download
         try {
-            const fileUrl = new URL(`/file${path}`, request.url);
+            const fileId = getResourcePath(request);
+            if (isSystemKey(fileId)) return new Response('Forbidden', { status: 403 });
 
-            const fileResponse = await fetch(fileUrl.toString());
+            const record = await getDatabase(context.env).getWithMetadata(fileId);
+            if (!record?.metadata || isFileTrashed(record.metadata)) {
+                return new Response('File not found', { status: 404 });
+            }
+
+            // WebDAV 客户端已通过认证，直接从渠道读取，私有文件无需签名；
+            // 客户端同步和预览时会反复读取文件，不计入下载次数，但已过期或已达到下载次数上限的文件不再提供
+            if (await checkFileExpiry(context, request, fileId, record.metadata, { countDownload: false })) {
+                return new Response('File not found', { status: 404 });
+            }
+
+            const fileUrl = new URL(`/file/${encodePath(fileId)}`, request.url);
+            const fileHeaders = new Headers();
+            if (request.headers.get('Range')) {
+                fileHeaders.set('Range', request.headers.get('Range'));
+            }
+            const fileContext = {
+                ...context,
+                request: new Request(fileUrl.toString(), { method: 'GET', headers: fileHeaders }),
+                url: fileUrl,
+                Referer: null,
+            };
+
+            const fileName = record.metadata.FileName || getBaseName(fileId);
+            let fileResponse = await fetchFileFromChannel(fileContext, record, fileId, encodeURIComponent(fileName), record.metadata.FileType || null);
+            // 外链渠道返回重定向，读取外链内容
+            if (fileResponse.status >= 300 && fileResponse.status < 400 && fileResponse.headers.get('Location')) {
+                fileResponse = await fetch(fileResponse.headers.get('Location'), { headers: fileHeaders });
+            }
 
             if (!fileResponse.ok) {
                  return new Response('File not found', { status: fileResponse.status, statusText: fileResponse.statusText });
@@ -113,6 +260,7 @@ async function handleGet(request, env) {
 
             const response = new Response(fileResponse.body, fileResponse);
             response.headers.set('Access-Control-Allow-Origin', '*');
+            response.headers.set('Cache-Control', 'private, no-store');
 
             return response;
         } catch (error) {
@@ -122,71 +270,360 @@ async function handleGet(request, env) {
     }
 }
 
-async function handlePut(request, env) {
+async function handlePut(request, context) {
     const fullPath = decodeURIComponent(new URL(request.url).pathname.substring(1));
-    if (!fullPath || fullPath.endsWith('/')) {
+    if (!fullPath || fullPath.endsWith('/') || isSystemKey(fullPath)) {
         return new Response('Invalid file name', { status: 400 });
     }
 
-    const lastSlashIndex = fullPath.lastIndexOf('/');
-    const uploadFolder = lastSlashIndex > -1 ? fullPath.substring(0, lastSlashIndex) : '';
-    const fileName = lastSlashIndex > -1 ? fullPath.substring(lastSlashIndex + 1) : fullPath;
-    
-    const fileContent = await request.blob();
-    const formData = new FormData();
-    formData.append('file', fileContent, fileName);
+    const range = parseContentRange(request.headers.get('Content-Range'));
+    if (range === false) {
+        return new Response('Malformed Content-Range header', { status: 400 });
+    }
 
-    const uploadUrl = new URL(`/upload`, request.url);
-    if (uploadFolder) {
-        uploadUrl.searchParams.set('uploadFolder', uploadFolder);
+    // macOS Finder 使用分块传输编码上传，通过 X-Expected-Entity-Length 提供文件大小
+    const totalSize = range
+        ? range.total
+        : parseInt(request.headers.get('Content-Length') ?? request.headers.get('X-Expected-Entity-Length'), 10);
+    if (isNaN(totalSize)) {
+        return new Response('Length Required', { status: 411 });
     }
 
-    // 获取 WebDAV 配置的上传渠道
+    try {
+        const existing = await resolveResource(context, fullPath);
+        if (existing?.type === 'collection') {
+            return new Response('Conflict', { status: 409 });
+        }
+
+        const locked = await checkLocked(request, context, fullPath);
+        if (locked) return locked;
+
+        const result = await uploadContent(context, request, fullPath, request.body, {
+            totalSize,
+            range,
+            fileType: request.headers.get('Content-Type')
+        });
+        if (!result.success) {
+            return new Response(result.error, { status: result.status || 500, headers: result.headers });
+        }
+
+        // 分段上传尚未完成，告知客户端已接收的范围
+        if (result.partial) {
+            return new Response(null, { status: 202, headers: { 'Range': `bytes=0-${result.received - 1}` } });
+        }
+
+        const placed = await placeUploadedFile(context, request, result.fileId, fullPath);
+        if (!placed.success) {
+            return new Response(`Upload failed: ${placed.error}`, { status: 500 });
+        }
+        return new Response(null, { status: existing ? 204 : 201 });
+    } catch (error) {
+        console.error('PUT failed:', error.stack);
+        return new Response(`Internal server error: ${error.message}`, { status: 500 });
+    }
+}
+
+// 解析 Content-Range 请求头（bytes start-end/total），未提供时返回 null，格式错误时返回 false
+function parseContentRange(header) {
+    if (!header) return null;
+
+    const match = header.trim().match(/^bytes (\d+)-(\d+)\/(\d+)$/);
+    if (!match) return false;
+
+    const [start, end, total] = match.slice(1).map(Number);
+    if (start > end || end >= total) return false;
+
+    return { start, end, total };
+}
+
+// WebDAV 上传参数：保存到路径所在的文件夹，保留原文件名
+// 优先使用文件夹设置的默认上传渠道，其次使用 WebDAV 配置的上传渠道
+async function getUploadOptions(env, path, fileType) {
     const othersConfig = await fetchOthersConfig(env);
     const webdavConfig = othersConfig.webDAV || {};
-    if (webdavConfig.uploadChannel) {
-        uploadUrl.searchParams.set('uploadChannel', webdavConfig.uploadChannel);
+    const folderChannel = await getFolderUploadChannel(getDatabase(env), getParentPath(path));
+    const channel = folderChannel?.uploadChannel || webdavConfig.uploadChannel || 'telegram';
+    const channelName = folderChannel ? folderChannel.channelName : (webdavConfig.channelName || '');
+    // 分块大小与网页上传一致，由渠道驱动决定
+    const driver = getChannelDriver(channel);
+
+    return {
+        channel,
+        params: {
+            uploadFolder: getParentPath(path),
+            uploadNameType: 'origin',
+            // 同内容的已有文件位于其他路径，仍需在当前路径下创建记录
+            reuseExisting: 'false',
+            uploadChannel: channel,
+            channelName
+        },
+        fileName: getBaseName(path),
+        fileType: fileType || 'application/octet-stream',
+        chunked: !!driver?.uploadChunk,
+        chunkSize: driver?.chunkSize || null
+    };
+}
+
+// 上传文件内容：不超过一个分块的文件直接上传，更大的文件或分段上传按分块边读边传，不将整个文件读入内存
+// 返回 { success, fileId?, partial?, received?, error?, status?, headers? }
+async function uploadContent(context, request, path, body, { totalSize, range = null, fileType = null }) {
+    const upload = await getUploadOptions(context.env, path, fileType);
+
+    if (!range && (!upload.chunked || totalSize <= upload.chunkSize)) {
+        const formData = new FormData();
+        formData.append('file', new File([await new Response(body).arrayBuffer()], upload.fileName, { type: upload.fileType }));
+        return await parseUploadResponse(await callUploadApi(context, request, upload.params, formData));
     }
-    if (webdavConfig.channelName) {
-        uploadUrl.searchParams.set('channelName', webdavConfig.channelName);
+
+    return await uploadChunks(context, request, path, body, upload, range || { start: 0, end: totalSize - 1, total: totalSize });
+}
+
+// 分块上传：每读满一个分块就通过上传接口上传，接收完整个文件后合并
+// 携带 Content-Range 时每个请求只包含文件的一段，上传会话和不足一个分块的数据保存在数据库中，供下一段继续
+async function uploadChunks(context, request, path, body, upload, range) {
+    if (!upload.chunked) {
+        return { success: false, error: 'Partial upload is not supported by the upload channel', status: 501 };
+    }
+
+    const db = getDatabase(context.env);
+    let session = await getUploadSession(db, path);
+
+    if (range.start === 0) {
+        // 从头开始的上传取代路径上未完成的上传
+        if (session) {
+            await abortChunkedUpload(context, request, path, session, upload);
+        }
+
+        const totalChunks = Math.ceil(range.total / upload.chunkSize);
+        const init = await initChunkedUpload(context, request, upload, totalChunks);
+        if (!init.success) return init;
+
+        session = {
+            uploadId: init.uploadId,
+            fileName: upload.fileName,
+            fileType: upload.fileType,
+            totalSize: range.total,
+            chunkSize: upload.chunkSize,
+            totalChunks,
+            nextChunk: 0,
+            received: 0,
+            expiresAt: Date.now() + UPLOAD_SESSION_TTL * 1000
+        };
+    } else if (!session || session.totalSize !== range.total || session.received !== range.start) {
+        // 只接受紧接在已接收数据之后的分段
+        return {
+            success: false,
+            error: 'Range Not Satisfiable',
+            status: 416,
+            headers: session?.received ? { 'Range': `bytes=0-${session.received - 1}` } : {}
+        };
+    } else {
+        // 后续分段可能不带 Content-Type，沿用会话中的文件类型
+        upload.fileType = session.fileType;
+    }
+
+    const chunk = new Uint8Array(session.chunkSize);
+    let filled = 0;
+    if (range.start > 0) {
+        const pending = await getUploadPending(db, session);
+        chunk.set(pending);
+        filled = pending.length;
     }
 
     try {
-        const response = await fetch(uploadUrl.toString(), { 
-            method: 'POST', 
-            body: formData,
-            headers: await getApiHeaders(env)
-        });
-        const result = await response.json(); 
-        if (response.ok && Array.isArray(result) && result.length > 0 && result[0].src) {
-            return new Response(null, { status: 201 }); // Created
-        } else {
-            const errorMsg = result.error || JSON.stringify(result);
-            console.error('Upload API error:', errorMsg);
-            return new Response(`Upload failed: ${errorMsg}`, { status: 500 });
+        const expected = range.end - range.start + 1;
+        let received = 0;
+
+        if (body) {
+            const reader = body.getReader();
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                received += value.length;
+                if (received > expected) {
+                    const error = new Error('Request body is larger than declared');
+                    error.status = 400;
+                    throw error;
+                }
+
+                let offset = 0;
+                while (offset < value.length) {
+                    const length = Math.min(value.length - offset, session.chunkSize - filled);
+                    chunk.set(value.subarray(offset, offset + length), filled);
+                    filled += length;
+                    offset += length;
+
+                    if (filled === session.chunkSize) {
+                        await uploadChunk(context, request, upload, session, chunk);
+                        session.nextChunk++;
+                        filled = 0;
+                    }
+                }
+            }
+        }
+
+        if (received !== expected) {
+            const error = new Error('Request body is smaller than declared');
+            error.status = 400;
+            throw error;
+        }
+        session.received += received;
+
+        if (session.received < session.totalSize) {
+            await saveUploadSession(db, path, session, chunk.slice(0, filled).buffer);
+            return { success: true, partial: true, received: session.received };
+        }
+
+        if (filled > 0) {
+            await uploadChunk(context, request, upload, session, chunk.subarray(0, filled));
+            session.nextChunk++;
         }
     } catch (error) {
-        console.error('Fetch to upload API failed:', error.stack);
-        return new Response('Failed to contact upload service', { status: 502 });
+        await abortChunkedUpload(context, request, path, session, upload);
+        return { success: false, error: error.message, status: error.status || 500 };
     }
+
+    if (range.start > 0) {
+        await deleteUploadSession(db, path, session);
+    }
+
+    // 合并失败时上传接口会自行清理分块
+    const formData = new FormData();
+    formData.append('uploadId', session.uploadId);
+    formData.append('totalChunks', session.totalChunks);
+    formData.append('originalFileName', upload.fileName);
+    formData.append('originalFileType', upload.fileType);
+    return await parseUploadResponse(await callUploadApi(context, request, { ...upload.params, chunked: 'true', merge: 'true' }, formData));
 }
 
-async function handleDelete(request, env) {
-    const path = decodeURIComponent(new URL(request.url).pathname.substring(1));
-    if (!path) return new Response('Invalid path for DELETE', { status: 400 });
+// 初始化上传接口的分块上传会话，返回 { success, uploadId?, error?, status? }
+async function initChunkedUpload(context, request, upload, totalChunks) {
+    const formData = new FormData();
+    formData.append('originalFileName', upload.fileName);
+    formData.append('originalFileType', upload.fileType);
+    formData.append('totalChunks', totalChunks);
 
-    const isFolder = path.endsWith('/');
-    const cleanPath = isFolder ? path.slice(0, -1) : path;
-    
-    const deleteUrl = new URL(`/api/manage/delete/${cleanPath}`, request.url);
-    if (isFolder) deleteUrl.searchParams.set('folder', 'true');
+    const response = await callUploadApi(context, request, { ...upload.params, initChunked: 'true' }, formData);
+    const responseText = await response.text();
+    if (response.status !== 200) {
+        console.error('Upload API error:', responseText);
+        return { success: false, error: `Upload failed: ${responseText}`, status: getUploadErrorStatus(response.status) };
+    }
+
+    return { success: true, uploadId: JSON.parse(responseText).uploadId };
+}
+
+// 上传一个分块，失败时抛出异常
+async function uploadChunk(context, request, upload, session, data) {
+    const formData = new FormData();
+    formData.append('file', new File([data], upload.fileName, { type: upload.fileType }));
+    formData.append('chunkIndex', session.nextChunk);
+    formData.append('totalChunks', session.totalChunks);
+    formData.append('uploadId', session.uploadId);
+    formData.append('originalFileName', upload.fileName);
+    formData.append('originalFileType', upload.fileType);
+
+    const response = await callUploadApi(context, request, { ...upload.params, chunked: 'true' }, formData);
+    if (response.status !== 200) {
+        const error = new Error(`Failed to upload chunk ${session.nextChunk + 1}/${session.totalChunks}: ${await response.text()}`);
+        error.status = getUploadErrorStatus(response.status);
+        throw error;
+    }
+}
+
+// 放弃未完成的分块上传：清理已上传的分块和分段上传会话
+async function abortChunkedUpload(context, request, path, session, upload) {
+    await callUploadApi(context, request, {
+        ...upload.params,
+        cleanup: 'true',
+        uploadId: session.uploadId,
+        totalChunks: session.totalChunks
+    }, new FormData());
+    await deleteUploadSession(getDatabase(context.env), path, session);
+}
+
+// 直接调用上传接口（请求已通过 WebDAV 认证），并等待其后台任务（缩略图、索引更新等）完成，避免与后续修改相互覆盖
+async function callUploadApi(context, request, params, formData) {
+    const uploadUrl = new URL('/upload', request.url);
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== '') {
+            uploadUrl.searchParams.set(key, value);
+        }
+    }
+
+    const headers = new Headers(await getApiHeaders(context.env));
+    const clientIp = request.headers.get('CF-Connecting-IP');
+    if (clientIp) {
+        headers.set('CF-Connecting-IP', clientIp);
+    }
 
+    const pending = [];
+    const response = await uploadHandler({
+        ...context,
+        request: new Request(uploadUrl.toString(), { method: 'POST', body: formData, headers }),
+        params: {},
+        data: {},
+        waitUntil: (promise) => pending.push(promise),
+    });
+    await Promise.allSettled(pending);
+
+    return response;
+}
+
+// 解析上传接口返回的文件链接，返回 { success, fileId?, error?, status? }
+async function parseUploadResponse(response) {
+    const responseText = await response.text();
+    let src = null;
     try {
-        const response = await fetch(deleteUrl.toString(), {
-            method: 'DELETE',
-            headers: await getApiHeaders(env)
-        });
-        const result = await response.json();
+        src = JSON.parse(responseText)?.[0]?.src || null;
+    } catch (error) {
+        src = null;
+    }
+
+    if (response.status !== 200 || !src) {
+        console.error('Upload API error:', responseText);
+        return { success: false, error: `Upload failed: ${responseText}`, status: getUploadErrorStatus(response.status) };
+    }
+
+    return { success: true, fileId: src.replace(/^\/file\//, '') };
+}
+
+// 上传接口的配额、封禁等错误原样返回给客户端，其他错误视为服务器错误
+function getUploadErrorStatus(status) {
+    return [403, 413, 429].includes(status) ? status : 500;
+}
+
+// 上传接口按命名规则生成的文件 ID 与目标路径不同（路径上已有文件，或残留回收站中的文件）时，
+// 彻底删除原文件后将上传的文件移动到目标路径；原文件上的锁和自定义属性保留
+async function placeUploadedFile(context, request, uploadedId, path) {
+    if (uploadedId === path) {
+        return { success: true };
+    }
+
+    const existing = await resolveResource(context, path);
+    if (existing?.type === 'file') {
+        const deleted = await deleteResource(context, request, existing, true, false);
+        if (!deleted.success) {
+            return deleted;
+        }
+    }
+
+    return await moveFileResource(context, request, uploadedId, path);
+}
+
+async function handleDelete(request, context) {
+    const path = getResourcePath(request);
+    if (!path) return new Response('Invalid path for DELETE', { status: 400 });
+
+    try {
+        const resource = await resolveResource(context, path);
+        if (!resource) return new Response('Not Found', { status: 404 });
+
+        const locked = await checkLocked(request, context, path, resource.type === 'collection');
+        if (locked) return locked;
+
+        const result = await deleteResource(context, request, resource, false);
         if (result.success) {
             return new Response(null, { status: 204 }); // No Content
         } else {
@@ -199,46 +636,695 @@ async function handleDelete(request, env) {
     }
 }
 
-async function handlePropfind(request, env) {
-    const path = decodeURIComponent(new URL(request.url).pathname);
+// 通过删除接口删除文件或文件夹，permanent 为 true 时不进入回收站；成功后默认清除资源上的锁和自定义属性
+async function deleteResource(context, request, resource, permanent, clearState = true) {
+    const isFolder = resource.type === 'collection';
+
+    const deleteUrl = new URL(`/api/manage/delete/${encodePath(resource.path)}`, request.url);
+    if (isFolder) deleteUrl.searchParams.set('folder', 'true');
+    if (permanent) deleteUrl.searchParams.set('permanent', 'true');
+
+    const response = await callManageApi(context, deleteHandler, deleteUrl, { method: 'DELETE' }, {
+        path: resource.path.split('/').map(encodeURIComponent)
+    });
+    const result = await response.json();
+    if (!result.success) {
+        return { success: false, error: result.error };
+    }
+    if (isFolder && result.failed.length > 0) {
+        return { success: false, error: `Failed to delete ${result.failed.length} files` };
+    }
+
+    if (clearState) {
+        await clearDavState(getDatabase(context.env), resource.path);
+    }
+    return { success: true };
+}
+
+// 目标路径上可能残留回收站中的同名文件，移动或复制前将其彻底删除
+async function purgeTrashedTarget(context, request, path) {
+    const record = await getDatabase(context.env).getWithMetadata(path);
+    if (record?.metadata && isFileTrashed(record.metadata)) {
+        await deleteResource(context, request, { type: 'file', path }, true);
+    }
+}
+
+async function handleMkcol(request, context) {
+    const path = getResourcePath(request);
+    if (isSystemKey(path)) return new Response('Forbidden', { status: 403 });
+
+    // 不支持带请求体的 MKCOL（RFC 4918 扩展）
+    if ((await request.text()).length > 0) {
+        return new Response('Unsupported Media Type', { status: 415 });
+    }
+
+    try {
+        if (await resolveResource(context, path)) {
+            return new Response('Method Not Allowed', { status: 405 });
+        }
+
+        const parent = await resolveResource(context, getParentPath(path));
+        if (parent?.type === 'file') {
+            return new Response('Conflict', { status: 409 });
+        }
+
+        const locked = await checkLocked(request, context, path);
+        if (locked) return locked;
+
+        const result = await createFolder(getDatabase(context.env), path);
+        if (!result.success) {
+            return new Response(result.error, { status: 400 });
+        }
+        return new Response(null, { status: 201 });
+    } catch (error) {
+        console.error('MKCOL failed:', error.stack);
+        return new Response(`Internal server error: ${error.message}`, { status: 500 });
+    }
+}
+
+async function handleMove(request, context) {
+    const source = getResourcePath(request);
+    const destination = parseDestination(request);
+    if (destination instanceof Response) return destination;
+
+    if (!source || !destination || isSystemKey(destination)) {
+        return new Response('Forbidden', { status: 403 });
+    }
+
     try {
-        const dir = path === '/' ? '' : path.substring(1, path.endsWith('/') ? path.length - 1 : path.length);
-        const contents = await fetchDirectoryContents(dir, env, request);
-        const xml = generateWebDAVXml(path, contents);
-        return new Response(xml, { status: 207, headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+        const resource = await resolveResource(context, source);
+        if (!resource) return new Response('Not Found', { status: 404 });
+
+        const isFolder = resource.type === 'collection';
+        if (destination === source || (isFolder && destination.startsWith(`${source}/`))) {
+            return new Response('Source and destination overlap', { status: 403 });
+        }
+
+        const locked = await checkLocked(request, context, source, isFolder)
+            || await checkLocked(request, context, destination, true);
+        if (locked) return locked;
+
+        const target = await resolveResource(context, destination);
+        if (target && request.headers.get('Overwrite') === 'F') {
+            return new Response('Precondition Failed', { status: 412 });
+        }
+        if (target) {
+            const deleted = await deleteResource(context, request, target, true);
+            if (!deleted.success) {
+                return new Response(`Failed to overwrite destination: ${deleted.error}`, { status: 500 });
+            }
+        }
+
+        const result = isFolder
+            ? await moveFolderResource(context, request, source, destination)
+            : await moveFileResource(context, request, source, destination);
+        if (!result.success) {
+            console.error('Move API error:', result.error);
+            return new Response(`Move failed: ${result.error}`, { status: 500 });
+        }
+
+        // 自定义属性随资源移动，原位置上的锁失效
+        const db = getDatabase(context.env);
+        await copyDeadProperties(db, source, destination, true);
+        await clearDavState(db, source);
+
+        return new Response(null, { status: target ? 204 : 201 });
+    } catch (error) {
+        console.error('MOVE failed:', error.stack);
+        return new Response(`Internal server error: ${error.message}`, { status: 500 });
+    }
+}
+
+// 移动文件：只改变目录时调用移动接口，改变文件名时调用重命名接口
+async function moveFileResource(context, request, source, destination) {
+    await purgeTrashedTarget(context, request, destination);
+
+    const params = { path: source.split('/').map(encodeURIComponent) };
+    let response;
+    if (getBaseName(source) === getBaseName(destination)) {
+        const moveUrl = new URL(`/api/manage/move/${encodePath(source)}`, request.url);
+        moveUrl.searchParams.set('dist', getParentPath(destination));
+        response = await callManageApi(context, moveHandler, moveUrl, { method: 'POST' }, params);
+    } else {
+        const renameUrl = new URL(`/api/manage/rename/${encodePath(source)}`, request.url);
+        response = await callManageApi(context, renameHandler, renameUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ newFileId: destination })
+        }, params);
+    }
+
+    const result = await response.json();
+    return { success: !!result.success, error: result.error || result.message };
+}
+
+// 移动文件夹：调用移动接口，目标文件夹名不同时一并重命名
+async function moveFolderResource(context, request, source, destination) {
+    const moveUrl = new URL(`/api/manage/move/${encodePath(source)}`, request.url);
+    moveUrl.searchParams.set('folder', 'true');
+    moveUrl.searchParams.set('dist', getParentPath(destination));
+    moveUrl.searchParams.set('name', getBaseName(destination));
+
+    const response = await callManageApi(context, moveHandler, moveUrl, { method: 'POST' }, {
+        path: source.split('/').map(encodeURIComponent)
+    });
+    const result = await response.json();
+    if (!result.success) {
+        return { success: false, error: result.error };
+    }
+    if (result.failed.length > 0) {
+        return { success: false, error: `Failed to move ${result.failed.length} files` };
+    }
+    return { success: true };
+}
+
+async function handleCopy(request, context) {
+    const source = getResourcePath(request);
+    const destination = parseDestination(request);
+    if (destination instanceof Response) return destination;
+
+    if (!destination || isSystemKey(destination)) {
+        return new Response('Forbidden', { status: 403 });
+    }
+
+    try {
+        const resource = await resolveResource(context, source);
+        if (!resource) return new Response('Not Found', { status: 404 });
+
+        const isFolder = resource.type === 'collection';
+        if (destination === source || (isFolder && (source === '' || destination.startsWith(`${source}/`)))) {
+            return new Response('Source and destination overlap', { status: 403 });
+        }
+
+        const locked = await checkLocked(request, context, destination, true);
+        if (locked) return locked;
+
+        const target = await resolveResource(context, destination);
+        if (target && request.headers.get('Overwrite') === 'F') {
+            return new Response('Precondition Failed', { status: 412 });
+        }
+        if (target) {
+            const deleted = await deleteResource(context, request, target, true);
+            if (!deleted.success) {
+                return new Response(`Failed to overwrite destination: ${deleted.error}`, { status: 500 });
+            }
+        }
+
+        const db = getDatabase(context.env);
+        const depth = request.headers.get('Depth') === '0' ? '0' : 'infinity';
+        let failed = [];
+
+        if (isFolder) {
+            failed = await copyFolderResource(context, request, source, destination, depth);
+        } else if (!await copyFileResource(context, request, source, destination)) {
+            return new Response('Copy failed', { status: 500 });
+        }
+
+        if (isFolder && depth === '0') {
+            await saveDeadProperties(db, destination, await getDeadProperties(db, source));
+        } else {
+            await copyDeadProperties(db, source, destination);
+        }
+
+        // 部分文件复制失败时，逐个返回失败的文件
+        if (failed.length > 0) {
+            const responses = failed.map(fileId =>
+                `<D:response><D:href>${toHref(fileId, false)}</D:href><D:status>HTTP/1.1 500 Internal Server Error</D:status></D:response>`
+            );
+            return multistatusResponse(responses);
+        }
+
+        return new Response(null, { status: target ? 204 : 201 });
+    } catch (error) {
+        console.error('COPY failed:', error.stack);
+        return new Response(`Internal server error: ${error.message}`, { status: 500 });
+    }
+}
+
+// 复制文件夹，Depth 为 infinity 时复制其中所有文件和子文件夹，返回复制失败的文件
+async function copyFolderResource(context, request, source, destination, depth) {
+    const db = getDatabase(context.env);
+    // 文件夹属性（描述、封面、默认上传渠道等）随之复制
+    await createFolder(db, destination, await getFolder(db, source) || {});
+    if (depth === '0') {
+        return [];
+    }
+
+    for (const folder of await listFolders(db, source)) {
+        await createFolder(db, destination + folder.path.substring(source.length), folder);
+    }
+
+    const listing = await readIndex(context, { directory: source, count: -1, includeSubdirFiles: true });
+    if (!listing.success) {
+        throw new Error('Failed to read index');
+    }
+
+    const failed = [];
+    for (const file of listing.files) {
+        const newFileId = destination + file.id.substring(source.length);
+        if (!await copyFileResource(context, request, file.id, newFileId)) {
+            failed.push(file.id);
+        }
+    }
+    return failed;
+}
+
+// 复制文件：有内容哈希的文件创建共享存储对象的别名记录，其他文件下载后重新上传
+async function copyFileResource(context, request, sourceId, destId) {
+    const db = getDatabase(context.env);
+    const record = await db.getWithMetadata(sourceId);
+    if (!record?.metadata) {
+        return false;
+    }
+
+    await purgeTrashedTarget(context, request, destId);
+
+    // 旧版 Telegram 渠道和 Telegraph 渠道以文件 ID 定位存储对象，不能共享
+    const metadata = record.metadata;
+    if (!metadata.FileHash || metadata.Channel === 'Telegram' || metadata.Channel === undefined) {
+        return await copyFileContent(context, request, sourceId, destId, record);
+    }
+
+    const directory = getParentPath(destId);
+    const copyMetadata = {
+        ...metadata,
+        FileName: getBaseName(destId),
+        Directory: directory ? `${directory}/` : '',
+        TimeStamp: Date.now(),
+        AliasOf: metadata.AliasOf || sourceId
+    };
+    delete copyMetadata.DeletedAt;
+    delete copyMetadata.DeletedBy;
+    resetDownloadCounter(copyMetadata);
+    delete copyMetadata.ThumbnailId;
+
+    // 以文件ID定位存储对象的渠道（如 R2），副本需记录源文件的存储对象位置
+    getDriverByChannel(copyMetadata.Channel)?.pinObject?.(copyMetadata, sourceId);
+
+    await db.put(destId, record.value || '', { metadata: copyMetadata });
+
+    // 缩略图不与源文件共享，为副本单独生成
+    const uploadConfig = await fetchUploadConfig(context.env, context);
+    await attachThumbnail({ ...context, url: new URL(request.url), uploadConfig }, destId, copyMetadata);
+    await addFileHashRef(context, metadata.FileHash, destId);
+    await addFileToIndex(context, destId, copyMetadata);
+
+    context.waitUntil(dispatchWebhookEvent(context, 'file.uploaded', {
+        files: [toWebhookFile(destId, copyMetadata, new URL(request.url).origin)]
+    }));
+
+    return true;
+}
+
+// 从渠道读取文件内容并流式上传到目标路径（不经过公开的 /file/ 地址，私有文件、屏蔽文件和下载次数限制不影响复制）
+async function copyFileContent(context, request, sourceId, destId, record) {
+    const metadata = record.metadata;
+    const fileUrl = new URL(`/file/${encodePath(sourceId)}`, request.url);
+    const fileContext = {
+        ...context,
+        request: new Request(fileUrl.toString(), { method: 'GET' }),
+        url: fileUrl,
+        Referer: null,
+    };
+
+    const fileName = metadata.FileName || getBaseName(sourceId);
+    let fileResponse = await fetchFileFromChannel(fileContext, record, sourceId, encodeURIComponent(fileName), metadata.FileType || null);
+    // 外链渠道返回重定向，读取外链内容
+    if (fileResponse.status >= 300 && fileResponse.status < 400 && fileResponse.headers.get('Location')) {
+        fileResponse = await fetch(fileResponse.headers.get('Location'));
+    }
+    if (!fileResponse.ok) {
+        return false;
+    }
+
+    const uploaded = await uploadContent(context, request, destId, fileResponse.body, {
+        totalSize: parseInt(fileResponse.headers.get('Content-Length'), 10) || getFileSize(metadata),
+        fileType: metadata.FileType
+    });
+    if (!uploaded.success) {
+        return false;
+    }
+
+    const placed = await placeUploadedFile(context, request, uploaded.fileId, destId);
+    return placed.success;
+}
+
+async function handleLock(request, context) {
+    const path = getResourcePath(request);
+    if (isSystemKey(path)) return new Response('Forbidden', { status: 403 });
+
+    const db = getDatabase(context.env);
+    const timeout = parseLockTimeout(request.headers.get('Timeout'));
+
+    let lockinfo;
+    try {
+        lockinfo = parseXml(await request.text());
+    } catch (error) {
+        return new Response('Malformed XML request body', { status: 400 });
+    }
+
+    try {
+        // 没有请求体时刷新已有的锁
+        if (!lockinfo) {
+            const result = await refreshLock(db, path, getIfTokens(request), timeout);
+            if (!result.success) {
+                return new Response(result.error, { status: 412 });
+            }
+            return lockResponse(result.lock, 200);
+        }
+
+        if (getClarkName(lockinfo) !== '{DAV:}lockinfo') {
+            return new Response('Invalid lockinfo', { status: 400 });
+        }
+
+        const scope = findChild(findChild(lockinfo, '{DAV:}lockscope'), '{DAV:}shared') ? 'shared' : 'exclusive';
+        const ownerNode = findChild(lockinfo, '{DAV:}owner');
+        const result = await createLock(db, path, {
+            scope,
+            depth: request.headers.get('Depth') === '0' ? '0' : 'infinity',
+            owner: ownerNode ? renderOwner(ownerNode) : '',
+            timeout
+        });
+        if (!result.success) {
+            return new Response(result.error, { status: 423 });
+        }
+
+        // 锁定尚不存在的资源时不创建空文件（RFC 2518 的 lock-null 资源），客户端随后会 PUT 文件内容
+        const resource = await resolveResource(context, path);
+        return lockResponse(result.lock, resource ? 200 : 201);
+    } catch (error) {
+        console.error('LOCK failed:', error.stack);
+        return new Response(`Internal server error: ${error.message}`, { status: 500 });
+    }
+}
+
+async function handleUnlock(request, context) {
+    const path = getResourcePath(request);
+    const token = (request.headers.get('Lock-Token') || '').trim().replace(/^<|>$/g, '');
+    if (!token) return new Response('Lock-Token header required', { status: 400 });
+
+    const result = await removeLock(getDatabase(context.env), path, token);
+    if (!result.success) {
+        return new Response(result.error, { status: 409 });
+    }
+    return new Response(null, { status: 204 });
+}
+
+async function handlePropfind(request, context) {
+    const path = getResourcePath(request);
+    const depth = request.headers.get('Depth') === '0' ? 0 : request.headers.get('Depth') === '1' ? 1 : Infinity;
+
+    let propfind;
+    try {
+        propfind = parsePropfindRequest(await request.text());
+    } catch (error) {
+        return new Response('Malformed XML request body', { status: 400 });
+    }
+
+    try {
+        const resources = await collectResources(context, path, depth);
+        if (!resources) return new Response('Not Found', { status: 404 });
+
+        const db = getDatabase(context.env);
+        const deadProperties = await listDeadProperties(db, path);
+        const locks = await listLocks(db, path);
+
+        const responses = resources.map(resource => createPropResponse(
+            resource,
+            propfind,
+            deadProperties.get(resource.path) || {},
+            getResourceLocks(locks, resource.path)
+        ));
+        return multistatusResponse(responses);
     } catch (error) {
         console.error('Propfind failed:', error.stack);
         return new Response(`Failed to list files: ${error.message}`, { status: 500 });
     }
 }
 
+async function handleProppatch(request, context) {
+    const path = getResourcePath(request);
+
+    let propertyupdate;
+    try {
+        propertyupdate = parseXml(await request.text());
+    } catch (error) {
+        return new Response('Malformed XML request body', { status: 400 });
+    }
+    if (!propertyupdate || getClarkName(propertyupdate) !== '{DAV:}propertyupdate') {
+        return new Response('Invalid propertyupdate', { status: 400 });
+    }
+
+    try {
+        const resource = await resolveResource(context, path);
+        if (!resource) return new Response('Not Found', { status: 404 });
+
+        const locked = await checkLocked(request, context, path);
+        if (locked) return locked;
+
+        // 按文档顺序收集 set 和 remove 指令
+        const updates = [];
+        for (const instruction of propertyupdate.children) {
+            const action = getClarkName(instruction);
+            if (action !== '{DAV:}set' && action !== '{DAV:}remove') continue;
+
+            for (const prop of instruction.children.filter(node => getClarkName(node) === '{DAV:}prop')) {
+                for (const property of prop.children) {
+                    updates.push({
+                        name: getClarkName(property),
+                        remove: action === '{DAV:}remove',
+                        value: getTextContent(property)
+                    });
+                }
+            }
+        }
+
+        // DAV: 命名空间下的属性由服务器维护，不允许修改；任意属性失败时所有修改都不生效
+        const hasProtected = updates.some(update => update.name.startsWith('{DAV:}'));
+        if (!hasProtected) {
+            const db = getDatabase(context.env);
+            const properties = await getDeadProperties(db, path);
+            for (const update of updates) {
+                if (update.remove) {
+                    delete properties[update.name];
+                } else {
+                    properties[update.name] = update.value;
+                }
+            }
+            await saveDeadProperties(db, path, properties);
+        }
+
+        const statusGroups = new Map();
+        for (const update of updates) {
+            const status = !hasProtected ? '200 OK'
+                : update.name.startsWith('{DAV:}') ? '403 Forbidden' : '424 Failed Dependency';
+            statusGroups.set(status, [...(statusGroups.get(status) || []), update.name]);
+        }
+
+        let xml = `<D:response><D:href>${toHref(path, resource.type === 'collection')}</D:href>`;
+        for (const [status, names] of statusGroups) {
+            xml += `<D:propstat><D:prop>${names.map(name => renderProperty(name)).join('')}</D:prop><D:status>HTTP/1.1 ${status}</D:status></D:propstat>`;
+        }
+        xml += '</D:response>';
+
+        return multistatusResponse([xml]);
+    } catch (error) {
+        console.error('Proppatch failed:', error.stack);
+        return new Response(`Internal server error: ${error.message}`, { status: 500 });
+    }
+}
+
 // --- API DATA FETCHING ---
 
-async function fetchDirectoryContents(dir, env, request) {
-    let allFiles = [];
-    let allDirectories = [];
-    const count = -1; // Fetch all items
+// 收集 PROPFIND 涉及的资源：请求的资源本身，以及 depth 层以内的文件和文件夹
+// 文件夹的最后修改时间取文件夹记录的更新时间和其中文件的最新上传时间，资源不存在时返回 null
+async function collectResources(context, path, depth) {
+    const db = getDatabase(context.env);
 
-    const listUrl = new URL(`/api/manage/list`, request.url);
-    listUrl.searchParams.set('dir', dir);
-    listUrl.searchParams.set('count', count);
+    if (path && isSystemKey(path)) return null;
+    if (path) {
+        const record = await db.getWithMetadata(path);
+        if (record?.metadata && !isFileTrashed(record.metadata)) {
+            return [{ type: 'file', path, metadata: record.metadata }];
+        }
+    }
 
-    const response = await fetch(listUrl.toString(), { headers: await getApiHeaders(env) });
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API fetch error: Status ${response.status} - ${errorText}`);
+    const listing = await readIndex(context, { directory: path, count: -1, includeSubdirFiles: true });
+    if (!listing.success) {
+        throw new Error('Failed to read index');
     }
-    
-    const result = await response.json();
-    if (result.error) {
-        throw new Error(`API error: ${result.error} - ${result.message}`);
+    const files = listing.files.filter(file => !path || file.id.startsWith(`${path}/`));
+
+    const selfFolder = path ? await getFolder(db, path) : null;
+    const folders = await listFolders(db, path);
+    if (path && !selfFolder && folders.length === 0 && files.length === 0) {
+        return null;
+    }
+
+    // 文件夹路径 -> 最后修改时间，从下层文件夹逐级向上汇总到请求的文件夹
+    const collections = new Map();
+    const touchCollection = (dir, time) => {
+        let current = dir;
+        while (true) {
+            collections.set(current, Math.max(collections.get(current) || 0, time || 0));
+            if (current === path || current === '') break;
+            current = getParentPath(current);
+        }
+    };
+
+    touchCollection(path, selfFolder ? Date.parse(selfFolder.updatedAt) : 0);
+    for (const folder of folders) {
+        touchCollection(folder.path, Date.parse(folder.updatedAt));
+    }
+    for (const file of files) {
+        touchCollection(getParentPath(file.id), file.metadata.TimeStamp);
+    }
+
+    // 相对于请求路径的层级
+    const getRelativeDepth = (resourcePath) => {
+        if (resourcePath === path) return 0;
+        return (path ? resourcePath.substring(path.length + 1) : resourcePath).split('/').length;
+    };
+
+    const resources = [];
+    for (const [dir, lastModified] of collections) {
+        if (getRelativeDepth(dir) <= depth) {
+            resources.push({ type: 'collection', path: dir, lastModified: lastModified || null });
+        }
+    }
+    for (const file of files) {
+        if (getRelativeDepth(file.id) <= depth) {
+            resources.push({ type: 'file', path: file.id, metadata: file.metadata });
+        }
+    }
+    return resources;
+}
+
+async function fetchDirectoryContents(dir, context) {
+    const resources = await collectResources(context, dir, 1) || [];
+
+    return {
+        files: resources.filter(resource => resource.type === 'file')
+            .map(resource => ({ name: resource.path, metadata: resource.metadata })),
+        directories: resources.filter(resource => resource.type === 'collection' && resource.path !== dir)
+            .map(resource => resource.path)
+    };
+}
+
+// 作用于某个资源的锁：资源自身的锁，以及上级文件夹上 Depth 为 infinity 的锁
+function getResourceLocks(locks, path) {
+    const result = [];
+    for (const [lockPath, pathLocks] of locks) {
+        if (lockPath === path) {
+            result.push(...pathLocks);
+        } else if (lockPath === '' ? path !== '' : path.startsWith(`${lockPath}/`)) {
+            result.push(...pathLocks.filter(lock => lock.depth === 'infinity'));
+        }
+    }
+    return result;
+}
+
+// --- XML PARSING ---
+
+// 简单的 XML 解析器，支持命名空间，足以解析 WebDAV 请求体
+// 返回根元素 { ns, name, children, text }，空文档返回 null，格式错误时抛出异常
+function parseXml(xml) {
+    const document = { ns: '', name: '', children: [], text: '' };
+    const stack = [{ node: document, namespaces: { xml: 'http://www.w3.org/XML/1998/namespace' } }];
+    const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s\/>]+)((?:\s+[^\s=\/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+    let lastIndex = 0;
+    let match;
+    while ((match = tokenPattern.exec(xml)) !== null) {
+        if (match.index !== lastIndex) throw new Error('Malformed XML');
+        lastIndex = tokenPattern.lastIndex;
+
+        const current = stack[stack.length - 1];
+        if (match[1] !== undefined) { // CDATA
+            current.node.text += match[1];
+        } else if (match[2] !== undefined) { // 结束标签
+            if (stack.length === 1 || current.qname !== match[2]) throw new Error('Malformed XML');
+            stack.pop();
+        } else if (match[3] !== undefined) { // 开始标签
+            const namespaces = { ...current.namespaces };
+            for (const attribute of match[4].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                const value = unescapeXml(attribute[2] ?? attribute[3]);
+                if (attribute[1] === 'xmlns') {
+                    namespaces[''] = value;
+                } else if (attribute[1].startsWith('xmlns:')) {
+                    namespaces[attribute[1].substring(6)] = value;
+                }
+            }
+
+            const separator = match[3].indexOf(':');
+            const prefix = separator > -1 ? match[3].substring(0, separator) : '';
+            if (prefix && namespaces[prefix] === undefined) throw new Error(`Undeclared namespace prefix: ${prefix}`);
+
+            const node = {
+                ns: namespaces[prefix] || '',
+                name: separator > -1 ? match[3].substring(separator + 1) : match[3],
+                children: [],
+                text: ''
+            };
+            current.node.children.push(node);
+            if (!match[5]) stack.push({ node, namespaces, qname: match[3] });
+        } else if (match[6] !== undefined) { // 文本
+            current.node.text += unescapeXml(match[6]);
+        }
     }
 
-    if (result.files && result.files.length > 0) allFiles = allFiles.concat(result.files);
-    if (result.directories && result.directories.length > 0) allDirectories = allDirectories.concat(result.directories);
+    if (lastIndex !== xml.length || stack.length !== 1 || document.children.length > 1) {
+        throw new Error('Malformed XML');
+    }
+    return document.children[0] || null;
+}
+
+function unescapeXml(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g, (entity, name) => {
+        const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        if (entities[name]) return entities[name];
+        return String.fromCodePoint(name[1] === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10));
+    });
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Clark 表示法的元素名：{namespace}name
+function getClarkName(node) {
+    return `{${node.ns}}${node.name}`;
+}
+
+function findChild(node, clarkName) {
+    return node ? node.children.find(child => getClarkName(child) === clarkName) : undefined;
+}
+
+function getTextContent(node) {
+    return (node.text + node.children.map(getTextContent).join('')).trim();
+}
+
+// 解析 PROPFIND 请求体：{ type: 'allprop' | 'propname' | 'prop', props: [Clark 表示法属性名] }，空请求体等同于 allprop
+function parsePropfindRequest(body) {
+    const propfind = parseXml(body);
+    if (!propfind) return { type: 'allprop', props: [] };
+    if (getClarkName(propfind) !== '{DAV:}propfind') throw new Error('Invalid propfind');
 
+    const prop = findChild(propfind, '{DAV:}prop');
+    if (prop) return { type: 'prop', props: prop.children.map(getClarkName) };
+    if (findChild(propfind, '{DAV:}propname')) return { type: 'propname', props: [] };
+    return { type: 'allprop', props: [] };
+}
 
-    return { files: allFiles, directories: [...new Set(allDirectories)] };
+// 锁的 owner 只保留 href 或文本内容
+function renderOwner(ownerNode) {
+    const href = findChild(ownerNode, '{DAV:}href');
+    return href ? `<D:href>${escapeXml(getTextContent(href))}</D:href>` : escapeXml(getTextContent(ownerNode));
 }
 
 // --- HTML and XML GENERATION ---
@@ -254,14 +1340,14 @@ function generateDirectoryListingHtml(basePath, contents) {
     }
 
     for (const file of contents.files) {
-        const fullFilePath = `/dav/${file.name}`; 
+        const fullFilePath = `/dav/${file.name}`;
         const fileName = file.name.split('/').pop();
-        const fileSize = file.metadata && file.metadata['FileSize'] 
-            ? `${file.metadata['FileSize']} MB` 
+        const fileSize = file.metadata && file.metadata['FileSize']
+            ? `${file.metadata['FileSize']} MB`
             : 'N/A';
         fileLinks += `<li><a href="${fullFilePath}">${fileName}</a> - ${fileSize}</li>`;
     }
-    
+
     let parentDirLink = '';
     if (basePath !== '/') {
         const parentPath = new URL('..', `http://dummy.com${basePath}`).pathname;
@@ -271,30 +1357,95 @@ function generateDirectoryListingHtml(basePath, contents) {
     return `<!DOCTYPE html><html><head><title>Index of ${basePath}</title><meta name="viewport" content="width=device-width, initial-scale=1.0"><style>body{font-family:sans-serif;padding:20px}li{margin:5px 0}</style></head><body><h1>Index of ${basePath}</h1><ul>${parentDirLink}${dirLinks}${fileLinks}</ul></body></html>`;
 }
 
-function generateWebDAVXml(basePath, contents) {
-    let responses = '';
-    const currentPath = basePath.endsWith('/') ? basePath : `${basePath}/`;
+function multistatusResponse(responses) {
+    const xml = `<?xml version="1.0" encoding="utf-8"?><D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`;
+    return new Response(xml, { status: 207, headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+}
 
-    responses += createCollectionXml(currentPath);
+function lockResponse(lock, status) {
+    const xml = `<?xml version="1.0" encoding="utf-8"?><D:prop xmlns:D="DAV:"><D:lockdiscovery>${renderActiveLock(lock)}</D:lockdiscovery></D:prop>`;
+    return new Response(xml, {
+        status,
+        headers: { 'Content-Type': 'application/xml; charset=utf-8', 'Lock-Token': `<${lock.token}>` }
+    });
+}
 
-    for (const dir of contents.directories) {
-        responses += createCollectionXml(`/${dir}/`);
+function renderActiveLock(lock) {
+    const remaining = Math.max(0, Math.round((lock.expiresAt - Date.now()) / 1000));
+    return '<D:activelock><D:locktype><D:write/></D:locktype>'
+        + `<D:lockscope><D:${lock.scope}/></D:lockscope><D:depth>${lock.depth}</D:depth>`
+        + (lock.owner ? `<D:owner>${lock.owner}</D:owner>` : '')
+        + `<D:timeout>Second-${remaining}</D:timeout>`
+        + `<D:locktoken><D:href>${escapeXml(lock.token)}</D:href></D:locktoken>`
+        + `<D:lockroot><D:href>${toHref(lock.path, false)}</D:href></D:lockroot></D:activelock>`;
+}
+
+// 输出属性元素，value 为已转义的 XML 内容
+function renderProperty(clarkName, value = '') {
+    const separator = clarkName.indexOf('}');
+    const ns = clarkName.substring(1, separator);
+    const name = clarkName.substring(separator + 1);
+
+    const tag = ns === 'DAV:' ? `D:${name}` : name;
+    const open = ns === 'DAV:' ? tag : `${tag} xmlns="${escapeXml(ns)}"`;
+    return value ? `<${open}>${value}</${tag}>` : `<${open}/>`;
+}
+
+// 服务器维护的属性（已转义的 XML 内容）
+function getLiveProperties(resource, locks) {
+    const properties = {
+        '{DAV:}displayname': escapeXml(getBaseName(resource.path)),
+        '{DAV:}supportedlock': SUPPORTED_LOCK_XML,
+        '{DAV:}lockdiscovery': locks.map(renderActiveLock).join(''),
+    };
+
+    if (resource.type === 'collection') {
+        properties['{DAV:}resourcetype'] = '<D:collection/>';
+        if (resource.lastModified) {
+            properties['{DAV:}getlastmodified'] = new Date(resource.lastModified).toUTCString();
+            properties['{DAV:}creationdate'] = new Date(resource.lastModified).toISOString();
+        }
+        return properties;
     }
-    for (const file of contents.files) {
-        responses += createFileXml(file);
+
+    const metadata = resource.metadata;
+    properties['{DAV:}resourcetype'] = '';
+    properties['{DAV:}getcontentlength'] = String(getFileSize(metadata));
+    properties['{DAV:}getcontenttype'] = escapeXml(metadata.FileType || 'application/octet-stream');
+    properties['{DAV:}getetag'] = escapeXml(getFileETag(metadata));
+    if (metadata.TimeStamp) {
+        properties['{DAV:}getlastmodified'] = new Date(metadata.TimeStamp).toUTCString();
+        properties['{DAV:}creationdate'] = new Date(metadata.TimeStamp).toISOString();
     }
-    return `<?xml version="1.0" encoding="utf-8"?><D:multistatus xmlns:D="DAV:">${responses}</D:multistatus>`;
+    return properties;
 }
 
-function createCollectionXml(path) {
-    const now = new Date().toUTCString();
-    const cleanPath = path.endsWith('/') ? path.slice(0, -1) : path;
-    const name = cleanPath.split('/').pop() || '';
-    return `<D:response><D:href>${encodeURI(path)}</D:href><D:propstat><D:prop><D:displayname>${name}</D:displayname><D:resourcetype><D:collection/></D:resourcetype><D:creationdate>${now}</D:creationdate><D:getlastmodified>${now}</D:getlastmodified></D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`;
-}
+// 生成单个资源的 PROPFIND 响应：找到的属性放在 200 propstat 中，请求但不存在的属性放在 404 propstat 中
+function createPropResponse(resource, propfind, deadProperties, locks) {
+    const properties = { ...getLiveProperties(resource, locks) };
+    for (const [name, value] of Object.entries(deadProperties)) {
+        if (!(name in properties)) {
+            properties[name] = escapeXml(value);
+        }
+    }
+
+    let found = [];
+    let missing = [];
+    if (propfind.type === 'prop') {
+        found = propfind.props.filter(name => name in properties).map(name => renderProperty(name, properties[name]));
+        missing = propfind.props.filter(name => !(name in properties)).map(name => renderProperty(name));
+    } else if (propfind.type === 'propname') {
+        found = Object.keys(properties).map(name => renderProperty(name));
+    } else {
+        found = Object.entries(properties).map(([name, value]) => renderProperty(name, value));
+    }
 
-function createFileXml(file) {
-    const now = new Date().toUTCString();
-    const fileSize = file.metadata && file.metadata['File-Size'] ? file.metadata['File-Size'] : "0";
-    return `<D:response><D:href>${encodeURI(`/${file.name}`)}</D:href><D:propstat><D:prop><D:displayname>${file.name.split('/').pop()}</D:displayname><D:resourcetype/><D:creationdate>${now}</D:creationdate><D:getlastmodified>${now}</D:getlastmodified><D:getcontentlength>${fileSize}</D:getcontentlength></D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`;
+    let xml = `<D:response><D:href>${toHref(resource.path, resource.type === 'collection')}</D:href>`;
+    if (found.length > 0) {
+        xml += `<D:propstat><D:prop>${found.join('')}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat>`;
+    }
+    if (missing.length > 0) {
+        xml += `<D:propstat><D:prop>${missing.join('')}</D:prop><D:status>HTTP/1.1 404 Not Found</D:status></D:propstat>`;
+    }
+    return xml + '</D:response>';
 }
@@ -1,4 +1,5 @@
 /* ======== 文件读取工具函数 ======== */
+import { verifySignedUrl } from '../utils/urlSigner.js';
 
 // 判断请求域名是否在允许的域名列表中
 export function isDomainAllowed(context) {
@@ -124,12 +125,18 @@ export function isTgChannel(imgRecord) {
 }
 
 // 图片可访问性检查
-export async function returnWithCheck(context, imgRecord) {
+export async function returnWithCheck(context, imgRecord, fileId) {
     const { request, env, url, securityConfig } = context;
     const whiteListMode = securityConfig.access.whiteListMode;
 
     const response = new Response('success', { status: 200 });
 
+    // 私有文件只能通过有效的签名链接访问，不受 Referer 和白名单影响
+    if (imgRecord.metadata?.Private) {
+        const isValid = await verifySignedUrl(url, fileId, securityConfig.signing?.secret);
+        return isValid ? response : returnPrivateError();
+    }
+
     // Referer header equal to the dashboard page or upload page (排除公开图库页面的请求)
     const referer = request.headers.get('Referer');
     if (referer && referer.includes(url.origin) && !isFromPublicBrowse(referer, url.origin)) {
@@ -186,6 +193,15 @@ export async function return404(url) {
     }
 }
 
+export function returnPrivateError() {
+    return new Response('Error: Valid signature required', {
+        status: 403,
+        headers: {
+            "Cache-Control": "no-store",
+        },
+    });
+}
+
 export async function returnBlockImg(url) {
     const blockImg = await fetch(url.origin + "/static/BlockImg.png");
     if (!blockImg.ok) {
@@ -1,5 +1,7 @@
 import { fetchOthersConfig } from "../utils/sysConfig";
 import { readIndex } from "../utils/indexManager";
+import { getDatabase } from "../utils/databaseAdapter.js";
+import { listFolders, isInPrivateFolder } from "../utils/folderManager.js";
 import { detectDevice, resolveOrientation, addClientHintsHeaders } from "./adaptive.js";
 
 let othersConfig = {};
@@ -169,8 +171,11 @@ async function getRandomFileList(context, url, dir) {
 
     let allRecords = await readIndex(context, { directory: dir, count: -1, includeSubdirFiles: true, accessStatus: 'normal' });
 
-    // 仅保留记录的name和metadata中的必要字段
-    allRecords = allRecords.files?.map(item => {
+    // 私有文件和私有文件夹中的文件不参与随机图，仅保留记录的name和metadata中的必要字段
+    const privatePaths = (await listFolders(getDatabase(context.env))).filter(folder => folder.isPrivate).map(folder => folder.path);
+    allRecords = allRecords.files?.filter(item => {
+        return !item.metadata?.Private && !isInPrivateFolder(item.id.substring(0, item.id.lastIndexOf('/') + 1), privatePaths);
+    }).map(item => {
         return {
             name: item.id,
             FileType: item.metadata?.FileType,
@@ -0,0 +1,910 @@
+// S3 兼容接口，使用路径风格访问：/s3/<bucket>/<key>
+//
+// - 认证：AWS SigV4 签名，签名凭证为 API Token 的 S3 凭证（Access Key ID / Secret Access Key），
+//   Token 的权限、有效期、IP 白名单和目录限制同样生效：读取和列出需要 list 权限，上传需要 upload 权限，删除需要 delete 权限
+// - 存储桶：只有一个，名称在其他设置 s3Api.bucket 中配置，对象键即文件 ID
+// - 上传：走普通上传流程，写入 s3Api 中配置的上传渠道；删除：与管理接口一致，默认移入回收站
+// - 分块上传：分片暂存在数据库中，完成时在内存中合并后上传，单个分片不超过 25MB，合并后的对象不超过 100MB
+import { fetchOthersConfig } from "../utils/sysConfig";
+import { getDatabase, isSystemKey } from '../utils/databaseAdapter.js';
+import { readIndex, addFileToIndex, moveFileInIndex, getFileHashRefs, moveFileHashRef, removeFileFromIndex } from '../utils/indexManager.js';
+import { findApiTokenByAccessKey } from '../api/manage/apiTokens.js';
+import { checkTokenAccess, toTokenIdentity, isDirAllowedForToken } from '../utils/tokenValidator.js';
+import { parseSigV4Request, verifySigV4Request, readSigV4Payload } from '../utils/s3Signature.js';
+import { isFileTrashed, trashFile, getTrashRetentionDays } from '../utils/trashManager.js';
+import { checkFileExpiry } from '../utils/fileExpiry.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { dispatchWebhookEvent, toWebhookFile } from '../utils/webhookManager.js';
+import { onRequest as uploadHandler } from "../upload/index.js";
+import { onRequest as deleteHandler, deleteFile } from "../api/manage/delete/[[path]].js";
+import { fetchFileFromChannel } from "../file/[[path]].js";
+import { getDriverByChannel, relocateChannelObject } from "../utils/channels/index.js";
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+const S3_XMLNS = 'http://s3.amazonaws.com/doc/2006-03-01/';
+const MAX_LIST_KEYS = 1000;
+const MAX_DELETE_KEYS = 1000;
+const MAX_PART_SIZE = 25 * 1024 * 1024; // 分片保存在数据库中，受 KV 单个值大小限制
+const MAX_OBJECT_SIZE = 100 * 1024 * 1024; // 分片在 Worker 内存中合并
+const MULTIPART_TTL = 24 * 60 * 60; // 未完成的分块上传保留 1 天
+const MULTIPART_SESSION_PREFIX = 'manage@s3@multipart@';
+const MULTIPART_PART_PREFIX = 'chunk_s3_';
+
+export async function onRequest(context) {
+    const { request, env } = context;
+    const url = new URL(request.url);
+
+    const othersConfig = await fetchOthersConfig(env);
+    const s3Config = othersConfig.s3Api;
+    if (!s3Config.enabled) {
+        return s3ErrorResponse('AccessDenied', 'S3 API is disabled', 403);
+    }
+
+    // 解析存储桶和对象键
+    let bucket, key;
+    try {
+        const segments = url.pathname.replace(/^\/s3\/?/, '').split('/');
+        bucket = decodeURIComponent(segments.shift());
+        key = segments.map(decodeURIComponent).join('/');
+    } catch (e) {
+        return s3ErrorResponse('InvalidURI', 'Could not parse the specified URI', 400);
+    }
+
+    // 系统数据的键不能作为对象读取、写入或删除
+    if (isSystemKey(key)) {
+        return s3ErrorResponse('AccessDenied', 'Access Denied', 403);
+    }
+
+    // 校验签名
+    const auth = parseSigV4Request(request);
+    if (auth.valid === false) {
+        return s3ErrorResponse(auth.code, auth.message, auth.status);
+    }
+
+    const db = getDatabase(env);
+    const tokenData = await findApiTokenByAccessKey(db, auth.accessKeyId);
+    if (!tokenData) {
+        return s3ErrorResponse('InvalidAccessKeyId', 'The Access Key Id you provided does not exist in our records', 403);
+    }
+
+    const verified = await verifySigV4Request(request, auth, tokenData.s3SecretAccessKey);
+    if (!verified.valid) {
+        return s3ErrorResponse(verified.code, verified.message, verified.status);
+    }
+
+    const operation = resolveOperation(request, url.searchParams, bucket, key);
+    if (!operation) {
+        return s3ErrorResponse('NotImplemented', 'This operation is not supported', 501);
+    }
+    if (bucket && bucket !== s3Config.bucket) {
+        return s3ErrorResponse('NoSuchBucket', 'The specified bucket does not exist', 404);
+    }
+
+    // 检查 Token 权限、有效期和 IP 白名单
+    const access = await checkTokenAccess(request, db, tokenData, operation.permission);
+    if (!access.valid) {
+        return s3ErrorResponse('AccessDenied', access.error, 403);
+    }
+
+    context.data = { ...context.data, apiToken: toTokenIdentity(tokenData) };
+
+    const s3Request = {
+        context,
+        request,
+        url,
+        db,
+        bucket,
+        key,
+        auth,
+        signingKey: verified.signingKey,
+        token: context.data.apiToken,
+        config: s3Config,
+    };
+
+    let response;
+    try {
+        response = await operation.handler(s3Request);
+    } catch (error) {
+        console.error('S3 request failed:', error);
+        response = s3ErrorResponse('InternalError', error.message, 500);
+    }
+
+    // HEAD 请求不返回响应体
+    return request.method === 'HEAD' ? new Response(null, response) : response;
+}
+
+// 根据请求方法和子资源确定操作
+function resolveOperation(request, params, bucket, key) {
+    const method = request.method;
+    const hasSubresource = (...allowed) => [
+        'acl', 'tagging', 'uploads', 'uploadId', 'delete', 'location', 'versioning', 'versions',
+        'policy', 'cors', 'lifecycle', 'website', 'retention', 'legal-hold', 'attributes', 'restore', 'select'
+    ].some(name => params.has(name) && !allowed.includes(name));
+
+    if (!bucket) {
+        return method === 'GET' ? { permission: 'list', handler: listBuckets } : null;
+    }
+
+    if (!key) {
+        if (method === 'HEAD' && !hasSubresource()) {
+            return { permission: 'list', handler: headBucket };
+        }
+        if (method === 'GET' && params.has('location') && !hasSubresource('location')) {
+            return { permission: 'list', handler: getBucketLocation };
+        }
+        if (method === 'GET' && !hasSubresource()) {
+            return { permission: 'list', handler: listObjects };
+        }
+        if (method === 'POST' && params.has('delete') && !hasSubresource('delete')) {
+            return { permission: 'delete', handler: deleteObjects };
+        }
+        return null;
+    }
+
+    if (params.has('uploadId') && !hasSubresource('uploadId')) {
+        if (method === 'PUT' && params.has('partNumber') && !request.headers.has('x-amz-copy-source')) {
+            return { permission: 'upload', handler: uploadPart };
+        }
+        if (method === 'POST') {
+            return { permission: 'upload', handler: completeMultipartUpload };
+        }
+        if (method === 'DELETE') {
+            return { permission: 'upload', handler: abortMultipartUpload };
+        }
+        return null;
+    }
+
+    if (method === 'POST' && params.has('uploads') && !hasSubresource('uploads')) {
+        return { permission: 'upload', handler: createMultipartUpload };
+    }
+    if (hasSubresource() || params.has('partNumber')) {
+        return null;
+    }
+
+    switch (method) {
+        case 'GET':
+        case 'HEAD':
+            return { permission: 'list', handler: getObject };
+        case 'PUT':
+            // 不支持服务端复制
+            return request.headers.has('x-amz-copy-source') ? null : { permission: 'upload', handler: putObject };
+        case 'DELETE':
+            return { permission: 'delete', handler: deleteObject };
+        default:
+            return null;
+    }
+}
+
+// --- BUCKET OPERATIONS ---
+
+async function listBuckets(s3Request) {
+    const { token, config } = s3Request;
+    return xmlResponse(
+        `<ListAllMyBucketsResult xmlns="${S3_XMLNS}">`
+        + `<Owner><ID>${escapeXml(token.id)}</ID><DisplayName>${escapeXml(token.name)}</DisplayName></Owner>`
+        + `<Buckets><Bucket><Name>${escapeXml(config.bucket)}</Name><CreationDate>${new Date(0).toISOString()}</CreationDate></Bucket></Buckets>`
+        + `</ListAllMyBucketsResult>`
+    );
+}
+
+async function headBucket() {
+    return new Response(null, { status: 200 });
+}
+
+async function getBucketLocation() {
+    return xmlResponse(`<LocationConstraint xmlns="${S3_XMLNS}"></LocationConstraint>`);
+}
+
+// ListObjects（V1）和 ListObjectsV2，基于文件索引
+async function listObjects(s3Request) {
+    const { context, url } = s3Request;
+    const params = url.searchParams;
+    const isV2 = params.get('list-type') === '2';
+    const prefix = params.get('prefix') || '';
+    const delimiter = params.get('delimiter') || '';
+    const urlEncoding = params.get('encoding-type') === 'url';
+
+    const maxKeysParam = parseInt(params.get('max-keys'), 10);
+    const maxKeys = isNaN(maxKeysParam) ? MAX_LIST_KEYS : Math.min(Math.max(maxKeysParam, 0), MAX_LIST_KEYS);
+
+    let marker = '';
+    if (isV2) {
+        const continuationToken = params.get('continuation-token');
+        marker = continuationToken ? decodeContinuationToken(continuationToken) : (params.get('start-after') || '');
+    } else {
+        marker = params.get('marker') || '';
+    }
+
+    // 按 Token 目录限制过滤，只读取前缀所在目录下的文件
+    const result = await readIndex(context, {
+        directory: prefix.substring(0, prefix.lastIndexOf('/') + 1),
+        count: -1,
+        includeSubdirFiles: true
+    });
+    if (!result.success) {
+        throw new Error('Failed to read index');
+    }
+
+    const files = result.files
+        .filter(file => file.id.startsWith(prefix) && (!marker || file.id > marker))
+        .sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+    const contents = [];
+    const commonPrefixes = [];
+    let lastName = '';
+    let isTruncated = false;
+
+    for (const file of files) {
+        let commonPrefix = null;
+        if (delimiter) {
+            const index = file.id.indexOf(delimiter, prefix.length);
+            if (index !== -1) {
+                commonPrefix = file.id.substring(0, index + delimiter.length);
+            }
+        }
+
+        // 同一公共前缀只返回一次，上一页已返回的公共前缀跳过
+        if (commonPrefix && (commonPrefix === lastName || marker.startsWith(commonPrefix))) {
+            continue;
+        }
+
+        if (contents.length + commonPrefixes.length >= maxKeys) {
+            isTruncated = true;
+            break;
+        }
+
+        if (commonPrefix) {
+            commonPrefixes.push(commonPrefix);
+            lastName = commonPrefix;
+        } else {
+            contents.push(file);
+            lastName = file.id;
+        }
+    }
+
+    const encodeKey = (value) => escapeXml(urlEncoding ? uriEncodePath(value) : value);
+
+    let xml = `<ListBucketResult xmlns="${S3_XMLNS}">`
+        + `<Name>${escapeXml(s3Request.bucket)}</Name>`
+        + `<Prefix>${encodeKey(prefix)}</Prefix>`
+        + `<MaxKeys>${maxKeys}</MaxKeys>`
+        + `<IsTruncated>${isTruncated}</IsTruncated>`;
+    if (delimiter) {
+        xml += `<Delimiter>${encodeKey(delimiter)}</Delimiter>`;
+    }
+    if (urlEncoding) {
+        xml += '<EncodingType>url</EncodingType>';
+    }
+
+    if (isV2) {
+        xml += `<KeyCount>${contents.length + commonPrefixes.length}</KeyCount>`;
+        if (params.get('continuation-token')) {
+            xml += `<ContinuationToken>${escapeXml(params.get('continuation-token'))}</ContinuationToken>`;
+        }
+        if (params.get('start-after')) {
+            xml += `<StartAfter>${encodeKey(params.get('start-after'))}</StartAfter>`;
+        }
+        if (isTruncated) {
+            xml += `<NextContinuationToken>${encodeContinuationToken(lastName)}</NextContinuationToken>`;
+        }
+    } else {
+        xml += `<Marker>${encodeKey(marker)}</Marker>`;
+        if (isTruncated) {
+            xml += `<NextMarker>${encodeKey(lastName)}</NextMarker>`;
+        }
+    }
+
+    for (const file of contents) {
+        xml += '<Contents>'
+            + `<Key>${encodeKey(file.id)}</Key>`
+            + `<LastModified>${new Date(file.metadata.TimeStamp || 0).toISOString()}</LastModified>`
+            + `<ETag>${escapeXml(getObjectETag(file.metadata))}</ETag>`
+            + `<Size>${getObjectSize(file.metadata)}</Size>`
+            + '<StorageClass>STANDARD</StorageClass>'
+            + '</Contents>';
+    }
+    for (const commonPrefix of commonPrefixes) {
+        xml += `<CommonPrefixes><Prefix>${encodeKey(commonPrefix)}</Prefix></CommonPrefixes>`;
+    }
+    xml += '</ListBucketResult>';
+
+    return xmlResponse(xml);
+}
+
+// DeleteObjects，逐个调用删除接口
+async function deleteObjects(s3Request) {
+    const payload = await readSigV4Payload(s3Request.request, s3Request.auth, s3Request.signingKey);
+    if (!payload.valid) {
+        return s3ErrorResponse(payload.code, payload.message, payload.status);
+    }
+
+    const body = new TextDecoder().decode(payload.body);
+    const keys = [...body.matchAll(/<Object>[\s\S]*?<Key>([\s\S]*?)<\/Key>[\s\S]*?<\/Object>/g)].map(match => unescapeXml(match[1]));
+    if (keys.length === 0 || keys.length > MAX_DELETE_KEYS) {
+        return s3ErrorResponse('MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema', 400);
+    }
+    const quiet = /<Quiet>\s*true\s*<\/Quiet>/i.test(body);
+
+    let xml = `<DeleteResult xmlns="${S3_XMLNS}">`;
+    for (const key of keys) {
+        let error = null;
+        if (isSystemKey(key) || !isDirAllowedForToken(s3Request.token, getKeyDirectory(key))) {
+            error = { code: 'AccessDenied', message: 'Access Denied' };
+        } else {
+            const result = await callDeleteApi(s3Request, key);
+            if (!result.success) {
+                error = { code: 'InternalError', message: result.error || 'Delete failed' };
+            }
+        }
+
+        if (error) {
+            xml += `<Error><Key>${escapeXml(key)}</Key><Code>${error.code}</Code><Message>${escapeXml(error.message)}</Message></Error>`;
+        } else if (!quiet) {
+            xml += `<Deleted><Key>${escapeXml(key)}</Key></Deleted>`;
+        }
+    }
+    xml += '</DeleteResult>';
+
+    return xmlResponse(xml);
+}
+
+// --- OBJECT OPERATIONS ---
+
+async function getObject(s3Request) {
+    const { context, request, url, db, key } = s3Request;
+
+    if (!isDirAllowedForToken(s3Request.token, getKeyDirectory(key))) {
+        return s3ErrorResponse('AccessDenied', 'Access Denied', 403);
+    }
+
+    const record = await db.getWithMetadata(key);
+    if (!record || !record.metadata || isFileTrashed(record.metadata)) {
+        return s3ErrorResponse('NoSuchKey', 'The specified key does not exist.', 404);
+    }
+
+    const metadata = record.metadata;
+    const etag = getObjectETag(metadata);
+    const lastModified = new Date(metadata.TimeStamp || 0).toUTCString();
+
+    // 过期和下载次数限制与 /file 相同，已失效的对象视为不存在；返回 304 时不读取内容，不计下载次数
+    const notModified = request.headers.get('If-None-Match') === etag;
+    if (await checkFileExpiry(context, request, key, metadata, { countDownload: !notModified })) {
+        return s3ErrorResponse('NoSuchKey', 'The specified key does not exist.', 404);
+    }
+
+    if (notModified) {
+        return new Response(null, { status: 304, headers: { 'ETag': etag, 'Last-Modified': lastModified } });
+    }
+
+    // HEAD 请求直接根据元数据返回，不读取渠道中的文件
+    if (request.method === 'HEAD') {
+        return new Response(null, {
+            status: 200,
+            headers: {
+                'Content-Type': metadata.FileType || 'application/octet-stream',
+                'Content-Length': String(getObjectSize(metadata)),
+                'ETag': etag,
+                'Last-Modified': lastModified,
+                'Accept-Ranges': 'bytes',
+            },
+        });
+    }
+
+    // 直接从渠道读取文件，私有文件、屏蔽文件等访问限制不适用于已认证的 S3 请求
+    const fileUrl = new URL(`/file/${uriEncodePath(key)}`, url.origin);
+    const fileHeaders = new Headers();
+    if (request.headers.get('Range')) {
+        fileHeaders.set('Range', request.headers.get('Range'));
+    }
+    const fileContext = {
+        ...context,
+        request: new Request(fileUrl.toString(), { method: 'GET', headers: fileHeaders }),
+        url: fileUrl,
+        Referer: null,
+    };
+
+    const fileName = metadata.FileName || key.split('/').pop();
+    const fileResponse = await fetchFileFromChannel(fileContext, record, key, encodeURIComponent(fileName), metadata.FileType || null);
+    if (fileResponse.status === 404) {
+        return s3ErrorResponse('NoSuchKey', 'The specified key does not exist.', 404);
+    }
+    if (fileResponse.status >= 400) {
+        return s3ErrorResponse('InternalError', `Failed to read object from storage channel (${fileResponse.status})`, 500);
+    }
+
+    const headers = new Headers(fileResponse.headers);
+    headers.set('ETag', etag);
+    headers.set('Last-Modified', lastModified);
+    headers.set('Cache-Control', 'private, no-store');
+    if (!headers.get('Content-Type')) {
+        headers.set('Content-Type', 'application/octet-stream');
+    }
+
+    // 预签名 URL 常用的 response-* 参数覆盖响应头
+    const overrides = {
+        'response-content-type': 'Content-Type',
+        'response-content-disposition': 'Content-Disposition',
+        'response-content-language': 'Content-Language',
+        'response-content-encoding': 'Content-Encoding',
+        'response-cache-control': 'Cache-Control',
+        'response-expires': 'Expires',
+    };
+    for (const [param, header] of Object.entries(overrides)) {
+        if (url.searchParams.has(param)) {
+            headers.set(header, url.searchParams.get(param));
+        }
+    }
+
+    return new Response(fileResponse.body, { status: fileResponse.status, headers });
+}
+
+async function putObject(s3Request) {
+    const { request, key } = s3Request;
+
+    if (!isDirAllowedForToken(s3Request.token, getKeyDirectory(key))) {
+        return s3ErrorResponse('AccessDenied', 'Access Denied', 403);
+    }
+
+    const payload = await readSigV4Payload(request, s3Request.auth, s3Request.signingKey);
+    if (!payload.valid) {
+        return s3ErrorResponse(payload.code, payload.message, payload.status);
+    }
+
+    const md5 = await md5Digest(payload.body);
+    const contentMd5 = request.headers.get('Content-MD5');
+    if (contentMd5 && contentMd5 !== btoa(String.fromCharCode(...md5))) {
+        return s3ErrorResponse('BadDigest', 'The Content-MD5 you specified did not match what we received.', 400);
+    }
+    const etag = `"${bytesToHex(md5)}"`;
+
+    // 目录占位对象无需保存，目录由文件路径隐式表示
+    if (key.endsWith('/')) {
+        return new Response(null, { status: 200, headers: { 'ETag': etag } });
+    }
+
+    const result = await storeObject(s3Request, payload.body, request.headers.get('Content-Type'), etag);
+    if (!result.success) {
+        return s3ErrorResponse(result.code, result.message, result.status);
+    }
+
+    return new Response(null, { status: 200, headers: { 'ETag': etag } });
+}
+
+async function deleteObject(s3Request) {
+    const { key } = s3Request;
+
+    if (!isDirAllowedForToken(s3Request.token, getKeyDirectory(key))) {
+        return s3ErrorResponse('AccessDenied', 'Access Denied', 403);
+    }
+
+    const result = await callDeleteApi(s3Request, key);
+    if (!result.success) {
+        return s3ErrorResponse('InternalError', result.error || 'Delete failed', 500);
+    }
+
+    return new Response(null, { status: 204 });
+}
+
+// --- MULTIPART UPLOAD ---
+
+async function createMultipartUpload(s3Request) {
+    const { request, db, key, token } = s3Request;
+
+    if (!isDirAllowedForToken(token, getKeyDirectory(key)) || key.endsWith('/')) {
+        return s3ErrorResponse('AccessDenied', 'Access Denied', 403);
+    }
+
+    const uploadId = crypto.randomUUID().replace(/-/g, '');
+    const session = {
+        key,
+        contentType: request.headers.get('Content-Type') || '',
+        tokenId: token.id,
+        createdAt: Date.now(),
+    };
+    await db.put(MULTIPART_SESSION_PREFIX + uploadId, JSON.stringify(session), {
+        expirationTtl: MULTIPART_TTL
+    });
+
+    return xmlResponse(
+        `<InitiateMultipartUploadResult xmlns="${S3_XMLNS}">`
+        + `<Bucket>${escapeXml(s3Request.bucket)}</Bucket><Key>${escapeXml(key)}</Key><UploadId>${uploadId}</UploadId>`
+        + '</InitiateMultipartUploadResult>'
+    );
+}
+
+async function uploadPart(s3Request) {
+    const { request, url, db } = s3Request;
+
+    const { uploadId, session } = await getMultipartSession(s3Request);
+    if (!session) {
+        return s3ErrorResponse('NoSuchUpload', 'The specified upload does not exist.', 404);
+    }
+
+    const partNumber = parseInt(url.searchParams.get('partNumber'), 10);
+    if (isNaN(partNumber) || partNumber < 1 || partNumber > 10000) {
+        return s3ErrorResponse('InvalidArgument', 'Part number must be an integer between 1 and 10000, inclusive', 400);
+    }
+
+    const payload = await readSigV4Payload(request, s3Request.auth, s3Request.signingKey);
+    if (!payload.valid) {
+        return s3ErrorResponse(payload.code, payload.message, payload.status);
+    }
+    if (payload.body.length > MAX_PART_SIZE) {
+        return s3ErrorResponse('EntityTooLarge', `Part size exceeds the maximum allowed size of ${MAX_PART_SIZE} bytes`, 400);
+    }
+
+    const etag = `"${bytesToHex(await md5Digest(payload.body))}"`;
+    await db.put(getPartKey(uploadId, partNumber), payload.body.buffer, {
+        metadata: { etag, size: payload.body.length },
+        expirationTtl: MULTIPART_TTL
+    });
+
+    return new Response(null, { status: 200, headers: { 'ETag': etag } });
+}
+
+async function completeMultipartUpload(s3Request) {
+    const { request, db } = s3Request;
+
+    const { uploadId, session } = await getMultipartSession(s3Request);
+    if (!session) {
+        return s3ErrorResponse('NoSuchUpload', 'The specified upload does not exist.', 404);
+    }
+
+    const payload = await readSigV4Payload(request, s3Request.auth, s3Request.signingKey);
+    if (!payload.valid) {
+        return s3ErrorResponse(payload.code, payload.message, payload.status);
+    }
+
+    const body = new TextDecoder().decode(payload.body);
+    const parts = [...body.matchAll(/<Part>([\s\S]*?)<\/Part>/g)].map(match => ({
+        partNumber: parseInt((match[1].match(/<PartNumber>\s*(\d+)\s*<\/PartNumber>/) || [])[1], 10),
+        etag: unescapeXml((match[1].match(/<ETag>([\s\S]*?)<\/ETag>/) || [])[1] || '').replace(/"/g, ''),
+    }));
+    if (parts.length === 0 || parts.some(part => isNaN(part.partNumber))) {
+        return s3ErrorResponse('MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema', 400);
+    }
+    if (parts.some((part, i) => i > 0 && part.partNumber <= parts[i - 1].partNumber)) {
+        return s3ErrorResponse('InvalidPartOrder', 'The list of parts was not in ascending order.', 400);
+    }
+
+    // 读取并校验分片
+    const buffers = [];
+    const partMd5s = [];
+    let totalSize = 0;
+    for (const part of parts) {
+        const record = await db.getWithMetadata(getPartKey(uploadId, part.partNumber), { type: 'arrayBuffer' });
+        const storedEtag = (record?.metadata?.etag || '').replace(/"/g, '');
+        if (!record || !record.value || storedEtag !== part.etag) {
+            return s3ErrorResponse('InvalidPart', `Part ${part.partNumber} could not be found or its ETag does not match.`, 400);
+        }
+
+        totalSize += record.value.byteLength;
+        if (totalSize > MAX_OBJECT_SIZE) {
+            return s3ErrorResponse('EntityTooLarge', `Object size exceeds the maximum allowed size of ${MAX_OBJECT_SIZE} bytes`, 400);
+        }
+        buffers.push(record.value);
+        partMd5s.push(hexToBytes(storedEtag));
+    }
+
+    // 分块上传的 ETag 为各分片 MD5 拼接后的 MD5，加上分片数量
+    const md5Concat = new Uint8Array(partMd5s.length * 16);
+    partMd5s.forEach((md5, i) => md5Concat.set(md5, i * 16));
+    const etag = `"${bytesToHex(await md5Digest(md5Concat))}-${parts.length}"`;
+
+    const result = await storeObject(s3Request, new Blob(buffers), session.contentType, etag);
+    if (!result.success) {
+        return s3ErrorResponse(result.code, result.message, result.status);
+    }
+
+    await cleanupMultipartUpload(db, uploadId);
+
+    const location = new URL(`/s3/${uriEncodePath(s3Request.bucket)}/${uriEncodePath(session.key)}`, s3Request.url.origin);
+    return xmlResponse(
+        `<CompleteMultipartUploadResult xmlns="${S3_XMLNS}">`
+        + `<Location>${escapeXml(location.toString())}</Location>`
+        + `<Bucket>${escapeXml(s3Request.bucket)}</Bucket><Key>${escapeXml(session.key)}</Key><ETag>${escapeXml(etag)}</ETag>`
+        + '</CompleteMultipartUploadResult>'
+    );
+}
+
+async function abortMultipartUpload(s3Request) {
+    const { uploadId, session } = await getMultipartSession(s3Request);
+    if (!session) {
+        return s3ErrorResponse('NoSuchUpload', 'The specified upload does not exist.', 404);
+    }
+
+    await cleanupMultipartUpload(s3Request.db, uploadId);
+    return new Response(null, { status: 204 });
+}
+
+// 读取分块上传会话，只能由创建它的 Token 对同一对象键操作
+async function getMultipartSession(s3Request) {
+    const uploadId = s3Request.url.searchParams.get('uploadId') || '';
+    if (!/^[0-9a-f]{32}$/.test(uploadId)) {
+        return { uploadId, session: null };
+    }
+
+    const sessionStr = await s3Request.db.get(MULTIPART_SESSION_PREFIX + uploadId);
+    const session = sessionStr ? JSON.parse(sessionStr) : null;
+    if (!session || session.key !== s3Request.key || session.tokenId !== s3Request.token.id) {
+        return { uploadId, session: null };
+    }
+
+    return { uploadId, session };
+}
+
+function getPartKey(uploadId, partNumber) {
+    return `${MULTIPART_PART_PREFIX}${uploadId}_${partNumber.toString().padStart(5, '0')}`;
+}
+
+// 删除分块上传会话和已上传的分片
+async function cleanupMultipartUpload(db, uploadId) {
+    const prefix = `${MULTIPART_PART_PREFIX}${uploadId}_`;
+    let cursor = null;
+    do {
+        const response = await db.list({ prefix, limit: 1000, cursor });
+        for (const item of response.keys) {
+            await db.delete(item.name);
+        }
+        cursor = response.list_complete ? null : response.cursor;
+    } while (cursor);
+
+    await db.delete(MULTIPART_SESSION_PREFIX + uploadId);
+}
+
+// --- STORAGE HELPERS ---
+
+/**
+ * 通过上传接口保存对象，并将记录放到对象键对应的文件 ID 上
+ * 上传接口按原文件名命名，对象键已存在（覆盖上传）或文件名被规范化时，先上传到新的文件 ID，
+ * 成功后再删除原有文件并移动记录，上传失败时原有对象不受影响
+ * @returns {Promise<Object>} { success, code?, message?, status? }
+ */
+async function storeObject(s3Request, body, contentType, etag) {
+    const { context, url, db, key, config } = s3Request;
+    const { env } = context;
+
+    const directory = getKeyDirectory(key);
+    const fileName = key.substring(key.lastIndexOf('/') + 1);
+
+    const uploadUrl = new URL('/upload', url.origin);
+    if (directory) {
+        uploadUrl.searchParams.set('uploadFolder', directory);
+    }
+    uploadUrl.searchParams.set('uploadNameType', 'origin');
+    // 同内容的已有文件位于其他键，仍需在当前键下创建记录
+    uploadUrl.searchParams.set('reuseExisting', 'false');
+    if (config.uploadChannel) {
+        uploadUrl.searchParams.set('uploadChannel', config.uploadChannel);
+    }
+    if (config.channelName) {
+        uploadUrl.searchParams.set('channelName', config.channelName);
+    }
+
+    const formData = new FormData();
+    formData.append('file', new File([body], fileName, { type: contentType || 'application/octet-stream' }));
+
+    const uploadHeaders = new Headers();
+    const clientIp = s3Request.request.headers.get('CF-Connecting-IP');
+    if (clientIp) {
+        uploadHeaders.set('CF-Connecting-IP', clientIp);
+    }
+
+    // 等待上传的后台任务（缩略图、索引更新等）完成后再修改记录，避免相互覆盖
+    const pending = [];
+    const response = await uploadHandler({
+        ...context,
+        request: new Request(uploadUrl.toString(), { method: 'POST', body: formData, headers: uploadHeaders }),
+        params: {},
+        data: { apiToken: s3Request.token },
+        waitUntil: (promise) => pending.push(promise),
+    });
+    await Promise.allSettled(pending);
+
+    const responseText = await response.text();
+    let src = null;
+    try {
+        src = JSON.parse(responseText)?.[0]?.src || null;
+    } catch (e) {
+        src = null;
+    }
+
+    if (response.status !== 200 || !src) {
+        console.error('S3 upload failed:', responseText);
+        if (response.status === 403) {
+            return { success: false, code: 'AccessDenied', message: responseText, status: 403 };
+        }
+        if (response.status === 413) {
+            return { success: false, code: 'EntityTooLarge', message: responseText, status: 400 };
+        }
+        return { success: false, code: 'InternalError', message: responseText, status: 500 };
+    }
+
+    const uploadedId = src.replace(/^\/file\//, '');
+    const record = await db.getWithMetadata(uploadedId);
+    if (!record) {
+        return { success: false, code: 'InternalError', message: 'Uploaded file record not found', status: 500 };
+    }
+
+    const metadata = { ...record.metadata, S3ETag: etag };
+    if (uploadedId === key) {
+        await db.put(key, record.value || '', { metadata });
+        await addFileToIndex(context, key, metadata);
+        return { success: true };
+    }
+
+    // 腾出对象键：原有的文件（包括回收站中的文件）移入回收站
+    const existing = await db.getWithMetadata(key);
+    if (existing?.metadata && !await replaceExistingObject(s3Request, key, existing)) {
+        return { success: false, code: 'InternalError', message: 'Failed to replace existing object', status: 500 };
+    }
+
+    // 移动记录，以文件ID定位存储对象的渠道（如 R2）保持上传时的对象位置
+    metadata.Directory = directory ? directory + '/' : '';
+    getDriverByChannel(metadata.Channel)?.pinObject?.(metadata, uploadedId);
+    await db.put(key, record.value || '', { metadata });
+    await db.delete(uploadedId);
+    if (metadata.FileHash) {
+        await moveFileHashRef(context, metadata.FileHash, uploadedId, key);
+    }
+    await moveFileInIndex(context, uploadedId, key, metadata);
+
+    context.waitUntil(dispatchWebhookEvent(context, 'file.moved', {
+        files: [{ ...toWebhookFile(key, metadata, url.origin), previousId: uploadedId }]
+    }));
+
+    return { success: true };
+}
+
+/**
+ * 覆盖对象前处理对象键上原有的文件：重命名为 {文件名}.replaced-{时间戳}{扩展名} 后移入回收站，可以从回收站恢复。
+ * 未启用回收站（保留天数为 0）或文件属于不支持重命名的旧版 Telegram/Telegraph 渠道时直接彻底删除
+ * @returns {Promise<boolean>} 是否成功
+ */
+async function replaceExistingObject(s3Request, key, existing) {
+    const { context, db, url } = s3Request;
+    const { env } = context;
+    let metadata = { ...existing.metadata };
+
+    const canTrash = await getTrashRetentionDays(env) > 0 && metadata.Channel && metadata.Channel !== 'Telegram';
+    if (!canTrash) {
+        const cdnUrl = `https://${url.hostname}/file/${key}`;
+        if (!await deleteFile(env, key, cdnUrl, url)) {
+            return false;
+        }
+        await removeFileFromIndex(context, key);
+        await recordAudit(context, {
+            action: 'file.delete',
+            targets: [key],
+            before: existing.metadata,
+            after: { trashed: false, replacedBy: 's3' }
+        });
+        return true;
+    }
+
+    const baseName = key.split('/').pop();
+    const extIndex = baseName.lastIndexOf('.');
+    const suffix = `.replaced-${Date.now()}`;
+    const replacedId = extIndex > 0
+        ? key.substring(0, key.length - baseName.length + extIndex) + suffix + baseName.substring(extIndex)
+        : key + suffix;
+
+    try {
+        const isSharedObject = metadata.FileHash
+            ? (await getFileHashRefs(context, metadata.FileHash)).length > 1
+            : false;
+        metadata = await relocateChannelObject(env, key, replacedId, metadata, isSharedObject);
+    } catch (error) {
+        console.error('Failed to move replaced object:', error);
+        return false;
+    }
+
+    await db.put(replacedId, existing.value || '', { metadata });
+    await db.delete(key);
+    if (metadata.FileHash) {
+        await moveFileHashRef(context, metadata.FileHash, key, replacedId);
+    }
+    await moveFileInIndex(context, key, replacedId, metadata);
+    await trashFile(context, replacedId);
+
+    await recordAudit(context, {
+        action: 'file.delete',
+        targets: [key],
+        before: existing.metadata,
+        after: { trashed: true, replacedBy: 's3', trashedAs: replacedId }
+    });
+    return true;
+}
+
+// 直接调用删除接口（请求已通过 S3 签名认证）
+async function callDeleteApi(s3Request, key) {
+    const { context, url } = s3Request;
+    const deleteUrl = new URL(`/api/manage/delete/${uriEncodePath(key)}`, url.origin);
+
+    const response = await deleteHandler({
+        ...context,
+        request: new Request(deleteUrl.toString(), { method: 'DELETE' }),
+        params: { path: key.split('/').map(encodeURIComponent) },
+        data: { apiToken: s3Request.token },
+    });
+    return await response.json();
+}
+
+function getKeyDirectory(key) {
+    const index = key.lastIndexOf('/');
+    return index === -1 ? '' : key.substring(0, index);
+}
+
+function getObjectSize(metadata) {
+    return metadata.FileSizeBytes ?? Math.round(parseFloat(metadata.FileSize || 0) * 1024 * 1024);
+}
+
+// 非 S3 接口上传的文件没有 MD5，使用内容哈希（SHA-256，不会被客户端当作 MD5 校验）
+function getObjectETag(metadata) {
+    return metadata.S3ETag || `"${metadata.FileHash || metadata.TimeStamp || 0}"`;
+}
+
+async function md5Digest(data) {
+    return new Uint8Array(await crypto.subtle.digest('MD5', data));
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function uriEncodePath(path) {
+    return path.split('/').map(encodeURIComponent).join('/');
+}
+
+function encodeContinuationToken(value) {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+}
+
+function decodeContinuationToken(token) {
+    try {
+        return new TextDecoder().decode(Uint8Array.from(atob(token), c => c.charCodeAt(0)));
+    } catch (e) {
+        return '';
+    }
+}
+
+// --- XML GENERATION ---
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+    return value
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+function xmlResponse(body, status = 200) {
+    return new Response(XML_HEADER + body, {
+        status,
+        headers: { 'Content-Type': 'application/xml' },
+    });
+}
+
+function s3ErrorResponse(code, message, status) {
+    return xmlResponse(`<Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`, status);
+}
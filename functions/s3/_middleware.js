@@ -0,0 +1,3 @@
+import { checkDatabaseConfig } from '../utils/middleware';
+
+export const onRequest = [checkDatabaseConfig];
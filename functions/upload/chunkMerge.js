@@ -1,8 +1,11 @@
 /* ========== 分块合并处理 ========== */
-import { createResponse, getUploadIp, getIPAddress, selectConsistentChannel, buildUniqueFileId, endUpload } from './uploadTools';
+import { createResponse, getUploadIp, getIPAddress, buildUniqueFileId, calculateChunkedFileHash } from './uploadTools';
+import { handleDuplicateFile } from './index.js';
 import { retryFailedChunks, cleanupFailedMultipartUploads, checkChunkUploadStatuses, cleanupChunkData, cleanupUploadSession } from './chunkUpload';
-import { S3Client, CompleteMultipartUploadCommand } from "@aws-sdk/client-s3";
 import { getDatabase } from '../utils/databaseAdapter.js';
+import { parseExpiryParams } from '../utils/fileExpiry.js';
+import { checkUploadQuota, setUploaderMetadata } from '../utils/quotaManager.js';
+import { getChannelDriver } from '../utils/channels/index.js';
 
 // 处理分块合并
 export async function handleChunkMerge(context) {
@@ -66,7 +69,7 @@ export async function handleChunkMerge(context) {
 
     } catch (error) {
         // 清理失败的multipart uploads
-        if (uploadChannel === 'cfr2' || uploadChannel === 's3') {
+        if (getChannelDriver(uploadChannel)?.abortChunks) {
             waitUntil(cleanupFailedMultipartUploads(context, uploadId, uploadChannel));
         }
 
@@ -114,12 +117,14 @@ async function startMerge(context, uploadId, totalChunks, originalFileName, orig
                 headers: { 'Content-Type': 'application/json' }
             });
         } else {
-            throw new Error(result.error || 'Merge failed');
+            const error = new Error(result.error || 'Merge failed');
+            error.status = result.status;
+            throw error;
         }
 
     } catch (error) {
         // 清理失败的multipart uploads
-        if (uploadChannel === 'cfr2' || uploadChannel === 's3') {
+        if (getChannelDriver(uploadChannel)?.abortChunks) {
             await cleanupFailedMultipartUploads(context, uploadId, uploadChannel);
         }
 
@@ -129,7 +134,7 @@ async function startMerge(context, uploadId, totalChunks, originalFileName, orig
         // 清理上传会话
         await cleanupUploadSession(env, uploadId);
 
-        return createResponse(`Error: Failed to merge chunks - ${error.message}`, { status: 500 });
+        return createResponse(`Error: Failed to merge chunks - ${error.message}`, { status: error.status || 500 });
     }
 }
 
@@ -154,9 +159,18 @@ async function handleChannelBasedMerge(context, uploadId, totalChunks, originalF
             TimeStamp: Date.now(),
             Label: "None",
             Directory: normalizedFolder === '' ? '' : normalizedFolder + '/',
-            Tags: []
+            Tags: [],
+            ...parseExpiryParams(url)
         };
 
+        // 私有文件，仅能通过签名链接访问
+        if (url.searchParams.get('private') === 'true') {
+            metadata.Private = true;
+        }
+
+        // 记录上传用户和 API Token
+        setUploaderMetadata(metadata, context.data);
+
         // 收集所有已上传的分块信息
         const chunkStatuses = await checkChunkUploadStatuses(env, uploadId, totalChunks);
         let completedChunks = chunkStatuses.filter(chunk => chunk.status === 'completed');
@@ -200,381 +214,47 @@ async function handleChannelBasedMerge(context, uploadId, totalChunks, originalF
             throw new Error(`Only ${completedChunks.length}/${totalChunks} chunks completed successfully. Final status: ${JSON.stringify(finalStatusSummary)}`);
         }
 
-        // 根据渠道合并分块信息
-        let result;
-        if (uploadChannel === 'cfr2') {
-            result = await mergeR2ChunksInfo(context, uploadId, completedChunks, metadata);
-        } else if (uploadChannel === 's3') {
-            result = await mergeS3ChunksInfo(context, uploadId, completedChunks, metadata);
-        } else if (uploadChannel === 'telegram') {
-            result = await mergeTelegramChunksInfo(context, uploadId, completedChunks, metadata);
-        } else if (uploadChannel === 'discord') {
-            result = await mergeDiscordChunksInfo(context, uploadId, completedChunks, metadata);
-        } else {
-            throw new Error(`Unsupported upload channel: ${uploadChannel}`);
-        }
-
-        return result;
-
-    } catch (error) {
-        return {
-            success: false,
-            error: error.message
-        };
-    }
-}
-
-// 合并R2分块信息
-async function mergeR2ChunksInfo(context, uploadId, completedChunks, metadata) {
-    const { env, waitUntil, url, specifiedChannelName } = context;
-    const db = getDatabase(env);
-
-    try {
-        const R2DataBase = env.img_r2;
-        const multipartKey = `multipart_${uploadId}`;
-
-        // 获取multipart info
-        const multipartInfoData = await db.get(multipartKey);
-        if (!multipartInfoData) {
-            throw new Error('Multipart upload info not found');
-        }
-
-        const multipartInfo = JSON.parse(multipartInfoData);
-
-        // 组织所有分块
-        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
-        const parts = [];
-
-        for (const chunk of sortedChunks) {
-            const part = {
-                etag: chunk.uploadResult.etag,
-                partNumber: chunk.uploadResult.partNumber,
-            };
-            parts.push(part);
-        }
-
-        // 完成multipart upload
-        const multipartUpload = R2DataBase.resumeMultipartUpload(multipartInfo.key, multipartInfo.uploadId);
-        await multipartUpload.complete(parts);
-
-        // 计算总大小
+        // 检查上传配额，合并前才能得知文件总大小
         const totalSize = completedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
-
-        // 使用multipart info中的finalFileId更新metadata
-        const finalFileId = multipartInfo.key;
-        metadata.Channel = "CloudflareR2";
-        // 从 R2 设置中获取渠道名称（优先使用指定的渠道名称）
-        const r2Settings = context.uploadConfig.cfr2;
-        let r2ChannelName = "R2_env";
-        if (specifiedChannelName) {
-            const r2Channel = r2Settings.channels?.find(ch => ch.name === specifiedChannelName);
-            if (r2Channel) {
-                r2ChannelName = r2Channel.name;
-            }
-        } else if (r2Settings.channels?.[0]?.name) {
-            r2ChannelName = r2Settings.channels[0].name;
-        }
-        metadata.ChannelName = r2ChannelName;
-        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
-        metadata.FileSizeBytes = totalSize;
-
-        // 清理multipart info
-        await db.delete(multipartKey);
-
-        // 写入数据库
-        await db.put(finalFileId, "", { metadata });
-
-        // 结束上传
-        waitUntil(endUpload(context, finalFileId, metadata));
-
-        // 更新返回链接
-        const returnFormat = url.searchParams.get('returnFormat') || 'default';
-        let updatedReturnLink = '';
-        if (returnFormat === 'full') {
-            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
-        } else {
-            updatedReturnLink = `/file/${finalFileId}`;
-        }
-
-        return {
-            success: true,
-            result: [{ 'src': updatedReturnLink }]
-        };
-
-    } catch (error) {
-        throw new Error(`R2 merge failed: ${error.message}`);
-    }
-}
-
-// 合并S3分块信息
-async function mergeS3ChunksInfo(context, uploadId, completedChunks, metadata) {
-    const { env, waitUntil, uploadConfig, url, specifiedChannelName } = context;
-    const db = getDatabase(env);
-
-    try {
-        const s3Settings = uploadConfig.s3;
-        const s3Channels = s3Settings.channels;
-        
-        // 优先使用指定的渠道名称
-        let s3Channel;
-        if (specifiedChannelName) {
-            s3Channel = s3Channels.find(ch => ch.name === specifiedChannelName);
-        }
-        if (!s3Channel) {
-            s3Channel = selectConsistentChannel(s3Channels, uploadId, s3Settings.loadBalance.enabled);
-        }
-
-        console.log(`Merging S3 chunks for uploadId: ${uploadId}, selected channel: ${s3Channel.name || 'default'}`);
-
-        const { endpoint, pathStyle, accessKeyId, secretAccessKey, bucketName, region } = s3Channel;
-
-        const s3Client = new S3Client({
-            region: region || "auto",
-            endpoint,
-            credentials: { accessKeyId, secretAccessKey },
-            forcePathStyle: pathStyle
-        });
-
-        const multipartKey = `multipart_${uploadId}`;
-
-        // 获取multipart info
-        const multipartInfoData = await db.get(multipartKey);
-        if (!multipartInfoData) {
-            throw new Error('Multipart upload info not found');
-        }
-
-        const multipartInfo = JSON.parse(multipartInfoData);
-
-        // 组织所有分块
-        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
-        const parts = [];
-
-        for (const chunk of sortedChunks) {
-            const part = {
-                ETag: chunk.uploadResult.etag,
-                PartNumber: chunk.uploadResult.partNumber
+        const quota = await checkUploadQuota(context, totalSize);
+        if (!quota.allowed) {
+            return {
+                success: false,
+                status: quota.status,
+                error: `${quota.message} (remaining: ${JSON.stringify(quota.remaining)})`
             };
-            parts.push(part);
         }
 
-        // 完成multipart upload
-        await s3Client.send(new CompleteMultipartUploadCommand({
-            Bucket: bucketName,
-            Key: multipartInfo.key,
-            UploadId: multipartInfo.uploadId,
-            MultipartUpload: { Parts: parts }
-        }));
-
-        // 计算总大小
-        const totalSize = completedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
-
-        // 使用multipart info中的finalFileId更新metadata
-        const finalFileId = multipartInfo.key;
-        metadata.Channel = "S3";
-        metadata.ChannelName = s3Channel.name;
-        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
-        metadata.FileSizeBytes = totalSize;
-
-        const s3ServerDomain = endpoint.replace(/https?:\/\//, "");
-        if (pathStyle) {
-            metadata.S3Location = `https://${s3ServerDomain}/${bucketName}/${finalFileId}`;
-        } else {
-            metadata.S3Location = `https://${bucketName}.${s3ServerDomain}/${finalFileId}`;
-        }
-        metadata.S3Endpoint = endpoint;
-        metadata.S3PathStyle = pathStyle;
-        metadata.S3AccessKeyId = accessKeyId;
-        metadata.S3SecretAccessKey = secretAccessKey;
-        metadata.S3Region = region || "auto";
-        metadata.S3BucketName = bucketName;
-        metadata.S3FileKey = finalFileId;
-
-        // 清理multipart info
-        await db.delete(multipartKey);
-
-        // 写入数据库
-        await db.put(finalFileId, "", { metadata });
-
-        // 异步结束上传
-        waitUntil(endUpload(context, finalFileId, metadata));
-
-        // 更新返回链接
-        const returnFormat = url.searchParams.get('returnFormat') || 'default';
-        let updatedReturnLink = '';
-        if (returnFormat === 'full') {
-            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
-        } else {
-            updatedReturnLink = `/file/${finalFileId}`;
-        }
-
-        return {
-            success: true,
-            result: [{ src: updatedReturnLink }]
-        };
-
-    } catch (error) {
-        throw new Error(`S3 merge failed: ${error.message}`);
-    }
-}
-
-// 合并Telegram分块信息
-async function mergeTelegramChunksInfo(context, uploadId, completedChunks, metadata) {
-    const { env, waitUntil, uploadConfig, url, specifiedChannelName } = context;
-    const db = getDatabase(env);
-
-    try {
-        const tgSettings = uploadConfig.telegram;
-        const tgChannels = tgSettings.channels;
-        
-        // 优先使用指定的渠道名称
-        let tgChannel;
-        if (specifiedChannelName) {
-            tgChannel = tgChannels.find(ch => ch.name === specifiedChannelName);
-        }
-        if (!tgChannel) {
-            tgChannel = selectConsistentChannel(tgChannels, uploadId, tgSettings.loadBalance.enabled);
-        }
-
-        console.log(`Merging Telegram chunks for uploadId: ${uploadId}, selected channel: ${tgChannel.name || 'default'}`);
-
-        const tgBotToken = tgChannel.botToken;
-        const tgChatId = tgChannel.chatId;
-
-        // 按顺序排列分块
-        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
-
-        // 计算总大小
-        const totalSize = sortedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
-
-        // 构建分块信息数组
-        const chunks = sortedChunks.map(chunk => ({
-            index: chunk.index,
-            fileId: chunk.uploadResult.fileId,
-            size: chunk.uploadResult.size,
-            fileName: chunk.uploadResult.fileName
-        }));
-
-        // 生成 finalFileId
-        const finalFileId = await buildUniqueFileId(context, metadata.FileName, metadata.FileType);
-
-        // 更新metadata
-        metadata.Channel = "TelegramNew";
-        metadata.ChannelName = tgChannel.name;
-        metadata.TgChatId = tgChatId;
-        metadata.TgBotToken = tgBotToken;
-        // 保存代理域名配置（如果有）
-        if (tgChannel.proxyUrl) {
-            metadata.TgProxyUrl = tgChannel.proxyUrl;
+        // 内容去重：已存在相同内容的文件时创建别名记录，放弃已上传的分块
+        const chunkHashes = [...completedChunks].sort((a, b) => a.index - b.index).map(chunk => chunk.chunkHash);
+        if (chunkHashes.every(Boolean)) {
+            metadata.FileHash = await calculateChunkedFileHash(chunkHashes);
+
+            const fullId = await buildUniqueFileId(context, originalFileName, originalFileType);
+            const duplicateRes = await handleDuplicateFile(context, fullId, metadata);
+            if (duplicateRes) {
+                if (!duplicateRes.ok) {
+                    return { success: false, status: duplicateRes.status, error: await duplicateRes.text() };
+                }
+                if (getChannelDriver(uploadChannel)?.abortChunks) {
+                    await cleanupFailedMultipartUploads(context, uploadId, uploadChannel);
+                }
+                return { success: true, result: await duplicateRes.json() };
+            }
         }
-        metadata.IsChunked = true;
-        metadata.TotalChunks = completedChunks.length;
-        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
-        metadata.FileSizeBytes = totalSize;
-
-        // 将分片信息存储到value中
-        const chunksData = JSON.stringify(chunks);
-
-        // 写入数据库
-        await db.put(finalFileId, chunksData, { metadata });
-
-        // 异步结束上传
-        waitUntil(endUpload(context, finalFileId, metadata));
 
-        // 生成返回链接
-        const returnFormat = url.searchParams.get('returnFormat') || 'default';
-        let updatedReturnLink = '';
-        if (returnFormat === 'full') {
-            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
-        } else {
-            updatedReturnLink = `/file/${finalFileId}`;
+        // 根据渠道合并分块信息
+        const driver = getChannelDriver(uploadChannel);
+        if (!driver?.mergeChunks) {
+            throw new Error(`Unsupported upload channel: ${uploadChannel}`);
         }
 
-        return {
-            success: true,
-            result: [{ 'src': updatedReturnLink }]
-        };
+        return await driver.mergeChunks(context, uploadId, completedChunks, metadata);
 
     } catch (error) {
-        throw new Error(`Telegram merge failed: ${error.message}`);
-    }
-}
-
-// 合并Discord分块信息
-async function mergeDiscordChunksInfo(context, uploadId, completedChunks, metadata) {
-    const { env, waitUntil, uploadConfig, url, specifiedChannelName } = context;
-    const db = getDatabase(env);
-
-    try {
-        const discordSettings = uploadConfig.discord;
-        const discordChannels = discordSettings.channels;
-        
-        // 优先使用指定的渠道名称
-        let discordChannel;
-        if (specifiedChannelName) {
-            discordChannel = discordChannels.find(ch => ch.name === specifiedChannelName);
-        }
-        if (!discordChannel) {
-            discordChannel = selectConsistentChannel(discordChannels, uploadId, discordSettings.loadBalance?.enabled);
-        }
-
-        console.log(`Merging Discord chunks for uploadId: ${uploadId}, selected channel: ${discordChannel.name || 'default'}`);
-
-        const botToken = discordChannel.botToken;
-        const channelId = discordChannel.channelId;
-
-        // 按顺序排列分块
-        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
-
-        // 计算总大小
-        const totalSize = sortedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
-
-        // 构建分块信息数组（不存储 url 因为会过期，读取时通过 API 获取）
-        const chunks = sortedChunks.map(chunk => ({
-            index: chunk.index,
-            messageId: chunk.uploadResult.messageId,
-            // 注意：不存储 attachmentId 和 url，它们会在约24小时后过期
-            size: chunk.uploadResult.size,
-            fileName: chunk.uploadResult.fileName
-        }));
-
-        // 生成 finalFileId
-        const finalFileId = await buildUniqueFileId(context, metadata.FileName, metadata.FileType);
-
-        // 更新metadata
-        metadata.Channel = "Discord";
-        metadata.ChannelName = discordChannel.name;
-        metadata.DiscordChannelId = channelId;
-        metadata.DiscordBotToken = botToken;
-        metadata.DiscordProxyUrl = discordChannel.proxyUrl || '';
-        metadata.IsChunked = true;
-        metadata.TotalChunks = completedChunks.length;
-        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
-        metadata.FileSizeBytes = totalSize;
-
-        // 将分片信息存储到value中
-        const chunksData = JSON.stringify(chunks);
-
-        // 写入数据库
-        await db.put(finalFileId, chunksData, { metadata });
-
-        // 异步结束上传
-        waitUntil(endUpload(context, finalFileId, metadata));
-
-        // 生成返回链接
-        const returnFormat = url.searchParams.get('returnFormat') || 'default';
-        let updatedReturnLink = '';
-        if (returnFormat === 'full') {
-            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
-        } else {
-            updatedReturnLink = `/file/${finalFileId}`;
-        }
-
         return {
-            success: true,
-            result: [{ 'src': updatedReturnLink }]
+            success: false,
+            error: error.message
         };
-
-    } catch (error) {
-        throw new Error(`Discord merge failed: ${error.message}`);
     }
 }
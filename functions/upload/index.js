@@ -1,16 +1,22 @@
 import { userAuthCheck, UnauthorizedResponse } from "../utils/userAuth";
+import { resolveUploadFolder } from "../utils/userManager.js";
+import { isDirAllowedForToken, isChannelAllowedForToken } from "../utils/tokenValidator.js";
+import { setUploaderMetadata } from "../utils/quotaManager.js";
 import { fetchUploadConfig, fetchSecurityConfig } from "../utils/sysConfig";
 import {
     createResponse, getUploadIp, getIPAddress, isExtValid,
-    moderateContent, purgeCDNCache, isBlockedUploadIp, buildUniqueFileId, endUpload, getImageDimensions
+    isBlockedUploadIp, buildUniqueFileId, endUpload, getImageDimensions,
+    calculateFileHash, checkQuotaOrRespond
 } from "./uploadTools";
-import { initializeChunkedUpload, handleChunkUpload, uploadLargeFileToTelegram, handleCleanupRequest } from "./chunkUpload";
+import { initializeChunkedUpload, handleChunkUpload, handleCleanupRequest } from "./chunkUpload";
 import { handleChunkMerge } from "./chunkMerge";
-import { TelegramAPI } from "../utils/telegramAPI";
-import { DiscordAPI } from "../utils/discordAPI";
-import { HuggingFaceAPI } from "../utils/huggingfaceAPI";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
-import { getDatabase } from '../utils/databaseAdapter.js';
+import { getDatabase, isSystemKey } from '../utils/databaseAdapter.js';
+import { getFileHashRefs } from '../utils/indexManager.js';
+import { parseExpiryParams, hasExpiryLimit, sweepExpiredFiles } from '../utils/fileExpiry.js';
+import { isFileTrashed, sweepTrash } from '../utils/trashManager.js';
+import { sweepReplication } from '../utils/replicationManager.js';
+import { getFolderUploadChannel } from '../utils/folderManager.js';
+import { getChannelDriver, getDriverByChannel, listChannelDrivers } from '../utils/channels/index.js';
 
 
 export async function onRequest(context) {  // Contents of context object
@@ -29,10 +35,40 @@ export async function onRequest(context) {  // Contents of context object
 
     // 鉴权
     const requiredPermission = 'upload';
-    if (!await userAuthCheck(env, url, request, requiredPermission)) {
+    if (!await userAuthCheck(env, url, request, requiredPermission, data)) {
         return UnauthorizedResponse('Unauthorized');
     }
 
+    // 普通用户只能上传到自己的主目录下
+    if (data.user) {
+        const requestFolder = (url.searchParams.get('uploadFolder') || '').replace(/^\/+/, '').replace(/\/{2,}/g, '/').replace(/\/$/, '');
+        url.searchParams.set('uploadFolder', resolveUploadFolder(data.user, requestFolder));
+    }
+
+    // 上传目录不能落在系统数据的键空间中（文件名中的 @ 已在生成文件ID时替换）
+    if (isSystemKey(url.searchParams.get('uploadFolder'))) {
+        return createResponse('Error: Invalid upload folder', { status: 400 });
+    }
+
+    // 未指定上传渠道时，使用上传文件夹设置的默认渠道
+    if (!url.searchParams.get('uploadChannel')) {
+        const folderChannel = await getFolderUploadChannel(getDatabase(env), url.searchParams.get('uploadFolder') || '');
+        if (folderChannel) {
+            url.searchParams.set('uploadChannel', folderChannel.uploadChannel);
+            if (folderChannel.channelName && !url.searchParams.get('channelName')) {
+                url.searchParams.set('channelName', folderChannel.channelName);
+            }
+        }
+    }
+
+    // 限定了使用范围的 API Token：检查上传目录和上传渠道
+    if (data.apiToken) {
+        const scopeRes = checkTokenUploadScope(url, data.apiToken);
+        if (scopeRes) {
+            return scopeRes;
+        }
+    }
+
     // 获得上传IP
     const uploadIp = getUploadIp(request);
     // 判断上传ip是否被封禁
@@ -41,6 +77,11 @@ export async function onRequest(context) {  // Contents of context object
         return createResponse('Error: Your IP is blocked', { status: 403 });
     }
 
+    // 顺带清理已过期的文件和回收站中超过保留期的文件，并补写缺少的副本（按间隔节流）
+    waitUntil(sweepExpiredFiles(context));
+    waitUntil(sweepTrash(context));
+    waitUntil(sweepReplication(context));
+
     // 检查是否为清理请求
     const cleanupRequest = url.searchParams.get('cleanup') === 'true';
     if (cleanupRequest) {
@@ -72,6 +113,29 @@ export async function onRequest(context) {  // Contents of context object
 }
 
 
+// 检查 API Token 的上传目录和渠道限制，未指定上传目录时使用第一个允许的目录
+function checkTokenUploadScope(url, token) {
+    if (token.allowedDirs.length > 0) {
+        if (!url.searchParams.get('uploadFolder')) {
+            url.searchParams.set('uploadFolder', token.allowedDirs[0]);
+        }
+        if (!isDirAllowedForToken(token, url.searchParams.get('uploadFolder'))) {
+            return createResponse('Error: Upload folder is not allowed for this token', { status: 403 });
+        }
+    }
+
+    if (token.allowedChannels.length > 0) {
+        const uploadChannel = url.searchParams.get('uploadChannel') || 'telegram';
+        if (!isChannelAllowedForToken(token, uploadChannel)) {
+            return createResponse('Error: Upload channel is not allowed for this token', { status: 403 });
+        }
+        // 失败时不自动切换到其他渠道
+        url.searchParams.set('autoRetry', 'false');
+    }
+
+    return null;
+}
+
 // 通用文件上传处理函数
 async function processFileUpload(context, formdata = null) {
     const { request, url } = context;
@@ -94,30 +158,9 @@ async function processFileUpload(context, formdata = null) {
     // 获取上传文件夹路径
     let uploadFolder = url.searchParams.get('uploadFolder') || '';
 
-    let uploadChannel = 'TelegramNew';
-    switch (urlParamUploadChannel) {
-        case 'telegram':
-            uploadChannel = 'TelegramNew';
-            break;
-        case 'cfr2':
-            uploadChannel = 'CloudflareR2';
-            break;
-        case 's3':
-            uploadChannel = 'S3';
-            break;
-        case 'discord':
-            uploadChannel = 'Discord';
-            break;
-        case 'huggingface':
-            uploadChannel = 'HuggingFace';
-            break;
-        case 'external':
-            uploadChannel = 'External';
-            break;
-        default:
-            uploadChannel = 'TelegramNew';
-            break;
-    }
+    // 外链渠道不存储文件内容，单独处理；其他渠道按上传参数选择渠道驱动，默认使用 Telegram
+    const isExternal = urlParamUploadChannel === 'external';
+    const channelDriver = getChannelDriver(urlParamUploadChannel) || getChannelDriver('telegram');
 
     // 将指定的渠道名称存入 context，供后续上传函数使用
     context.specifiedChannelName = urlParamChannelName || null;
@@ -135,6 +178,12 @@ async function processFileUpload(context, formdata = null) {
         return createResponse('Error: fileType or fileName is wrong, check the integrity of this file!', { status: 400 });
     }
 
+    // 检查上传配额
+    const quotaRes = await checkQuotaOrRespond(context, fileSizeBytes);
+    if (quotaRes) {
+        return quotaRes;
+    }
+
     // 提取图片尺寸
     let imageDimensions = null;
     if (fileType.startsWith('image/')) {
@@ -178,6 +227,17 @@ async function processFileUpload(context, formdata = null) {
         metadata.Height = imageDimensions.height;
     }
 
+    // 添加过期时间和下载次数限制
+    Object.assign(metadata, parseExpiryParams(url));
+
+    // 私有文件，仅能通过签名链接访问
+    if (url.searchParams.get('private') === 'true') {
+        metadata.Private = true;
+    }
+
+    // 记录上传用户和 API Token
+    setUploaderMetadata(metadata, context.data);
+
     let fileExt = fileName.split('.').pop(); // 文件扩展名
     if (!isExtValid(fileExt)) {
         // 如果文件名中没有扩展名，尝试从文件类型中获取
@@ -187,6 +247,7 @@ async function processFileUpload(context, formdata = null) {
             fileExt = 'unknown' // 默认扩展名
         }
     }
+    context.fileExt = fileExt;
 
     // 构建文件ID
     const fullId = await buildUniqueFileId(context, fileName, fileType);
@@ -200,403 +261,148 @@ async function processFileUpload(context, formdata = null) {
         returnLink = `/file/${fullId}`;
     }
 
+    /* ====================================内容去重=========================================== */
+    // 外链渠道不存储文件内容，无需去重
+    if (!isExternal) {
+        metadata.FileHash = await calculateFileHash(file);
+
+        const duplicateRes = await handleDuplicateFile(context, fullId, metadata);
+        if (duplicateRes) {
+            return duplicateRes;
+        }
+    }
+
     /* ====================================不同渠道上传======================================= */
     // 出错是否切换渠道自动重试，默认开启
     const autoRetry = url.searchParams.get('autoRetry') === 'false' ? false : true;
 
-    let err = '';
-    // 上传到不同渠道
-    if (uploadChannel === 'CloudflareR2') {
-        // -------------CloudFlare R2 渠道---------------
-        const res = await uploadFileToCloudflareR2(context, fullId, metadata, returnLink);
-        if (res.status === 200 || !autoRetry) {
-            return res;
-        } else {
-            err = await res.text();
-        }
-    } else if (uploadChannel === 'S3') {
-        // ---------------------S3 渠道------------------
-        const res = await uploadFileToS3(context, fullId, metadata, returnLink);
-        if (res.status === 200 || !autoRetry) {
-            return res;
-        } else {
-            err = await res.text();
-        }
-    } else if (uploadChannel === 'Discord') {
-        // ---------------------Discord 渠道------------------
-        const res = await uploadFileToDiscord(context, fullId, metadata, returnLink);
-        if (res.status === 200 || !autoRetry) {
-            return res;
-        } else {
-            err = await res.text();
-        }
-    } else if (uploadChannel === 'HuggingFace') {
-        // ---------------------HuggingFace 渠道------------------
-        const res = await uploadFileToHuggingFace(context, fullId, metadata, returnLink);
-        if (res.status === 200 || !autoRetry) {
-            return res;
-        } else {
-            err = await res.text();
-        }
-    } else if (uploadChannel === 'External') {
+    if (isExternal) {
         // --------------------外链渠道----------------------
-        const res = await uploadFileToExternal(context, fullId, metadata, returnLink);
+        return await uploadFileToExternal(context, fullId, metadata, returnLink);
+    }
+
+    // 上传到选定的渠道
+    const res = await channelDriver.upload(context, fullId, metadata, returnLink);
+    if (res.status === 200 || !autoRetry) {
         return res;
-    } else {
-        // ----------------Telegram New 渠道-------------------
-        const res = await uploadFileToTelegram(context, fullId, metadata, fileExt, fileName, fileType, returnLink);
-        if (res.status === 200 || !autoRetry) {
-            return res;
-        } else {
-            err = await res.text();
-        }
     }
+    const err = await res.text();
 
     // 上传失败，开始自动切换渠道重试
-    const res = await tryRetry(err, context, uploadChannel, fullId, metadata, fileExt, fileName, fileType, returnLink);
-    return res;
+    return await tryRetry(err, context, channelDriver, fullId, metadata, returnLink);
 }
 
-// 上传到Cloudflare R2
-async function uploadFileToCloudflareR2(context, fullId, metadata, returnLink) {
-    const { env, waitUntil, uploadConfig, formdata, specifiedChannelName } = context;
+// 处理重复文件：同目录下已存在相同内容的文件时直接返回其链接，否则创建指向同一存储对象的别名记录（分块上传合并时复用）
+export async function handleDuplicateFile(context, fullId, metadata) {
+    const { env, url, waitUntil } = context;
     const db = getDatabase(env);
 
-    // 检查R2数据库是否配置
-    if (typeof env.img_r2 == "undefined" || env.img_r2 == null || env.img_r2 == "") {
-        return createResponse('Error: Please configure R2 database', { status: 500 });
+    const refs = await getFileHashRefs(context, metadata.FileHash);
+    if (refs.length === 0) {
+        return null;
+    }
+
+    // 过滤掉记录已不存在的引用，第一个有效引用作为源文件
+    // API Token 限制了上传渠道时，只复用存储在允许的渠道中的文件，没有时按普通上传处理
+    const token = context.data?.apiToken;
+    const liveRefs = [];
+    const liveMetadata = {};
+    let sourceRecord = null;
+    for (const ref of refs) {
+        const record = await db.getWithMetadata(ref);
+        if (record && record.metadata && record.metadata.Channel
+            && isChannelAllowedForToken(token, getDriverByChannel(record.metadata.Channel)?.name)) {
+            liveRefs.push(ref);
+            liveMetadata[ref] = record.metadata;
+            sourceRecord = sourceRecord || record;
+        }
     }
-
-    // 检查 R2 渠道是否启用
-    const r2Settings = uploadConfig.cfr2;
-    if (!r2Settings.channels || r2Settings.channels.length === 0) {
-        return createResponse('Error: No R2 channel provided', { status: 400 });
+    if (!sourceRecord) {
+        return null;
     }
+    const sourceId = liveRefs[0];
 
-    // 选择渠道：优先使用指定的渠道名称
-    let r2Channel;
-    if (specifiedChannelName) {
-        r2Channel = r2Settings.channels.find(ch => ch.name === specifiedChannelName);
-    }
-    if (!r2Channel) {
-        r2Channel = r2Settings.channels[0];
+    const returnFormat = url.searchParams.get('returnFormat') || 'default';
+    const buildLink = (id) => returnFormat === 'full' ? `${url.origin}/file/${id}` : `/file/${id}`;
+
+    // 同目录下已有相同内容的文件，直接返回已有链接
+    // 设置了过期或下载次数限制的文件不复用链接，私有状态或上传用户不同的文件也不复用，reuseExisting=false 时总是创建新记录
+    const reuseExisting = url.searchParams.get('reuseExisting') !== 'false';
+    const existingRef = !reuseExisting || hasExpiryLimit(metadata)
+        ? null
+        : liveRefs.find(ref => ref.substring(0, ref.lastIndexOf('/') + 1) === metadata.Directory
+            && !hasExpiryLimit(liveMetadata[ref])
+            && !!liveMetadata[ref].Private === !!metadata.Private
+            && liveMetadata[ref].Owner === metadata.Owner
+            && !isFileTrashed(liveMetadata[ref]));
+    if (existingRef) {
+        return createResponse(
+            JSON.stringify([{ 'src': buildLink(existingRef) }]),
+            {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
     }
 
-    const R2DataBase = env.img_r2;
+    // 创建别名记录：沿用源文件的存储信息和审查结果，更新本次上传的文件信息
+    const aliasMetadata = {
+        ...sourceRecord.metadata,
+        FileName: metadata.FileName,
+        FileType: metadata.FileType,
+        UploadIP: metadata.UploadIP,
+        UploadAddress: metadata.UploadAddress,
+        TimeStamp: metadata.TimeStamp,
+        Directory: metadata.Directory,
+        Tags: [],
+        FileHash: metadata.FileHash,
+        AliasOf: sourceId
+    };
+
+    // 源文件可能在回收站中，别名不沿用删除标记
+    delete aliasMetadata.DeletedAt;
+    delete aliasMetadata.DeletedBy;
 
-    // 写入R2数据库
-    await R2DataBase.put(fullId, formdata.get('file'));
+    // 过期设置不沿用源文件，使用本次上传的参数
+    delete aliasMetadata.ExpiresAt;
+    delete aliasMetadata.MaxDownloads;
+    delete aliasMetadata.DownloadCount;
+    delete aliasMetadata.DownloadCounterId;
+    Object.assign(aliasMetadata, parseExpiryParams(url));
 
-    // 更新metadata
-    metadata.Channel = "CloudflareR2";
-    metadata.ChannelName = r2Channel.name || "R2_env";
+    // 私有状态和上传用户同样以本次上传为准
+    delete aliasMetadata.Private;
+    if (metadata.Private) {
+        aliasMetadata.Private = true;
+    }
+    delete aliasMetadata.Owner;
+    delete aliasMetadata.UploadToken;
+    setUploaderMetadata(aliasMetadata, context.data);
 
-    // 图像审查，采用R2的publicUrl
-    const R2PublicUrl = r2Channel.publicUrl;
-    let moderateUrl = `${R2PublicUrl}/${fullId}`;
-    metadata.Label = await moderateContent(env, moderateUrl);
+    // 缩略图不与源文件共享，结束上传时为别名单独生成，私有状态与别名一致
+    delete aliasMetadata.ThumbnailId;
+
+    // 以文件ID定位存储对象的渠道（如 R2），别名需记录源文件的存储对象位置
+    getDriverByChannel(aliasMetadata.Channel)?.pinObject?.(aliasMetadata, sourceId);
 
-    // 写入数据库
     try {
-        await db.put(fullId, "", {
-            metadata: metadata,
-        });
+        await db.put(fullId, sourceRecord.value || "", { metadata: aliasMetadata });
     } catch (error) {
         return createResponse('Error: Failed to write to database', { status: 500 });
     }
 
     // 结束上传
-    waitUntil(endUpload(context, fullId, metadata));
+    waitUntil(endUpload(context, fullId, aliasMetadata));
 
-    // 成功上传，将文件ID返回给客户端
     return createResponse(
-        JSON.stringify([{ 'src': `${returnLink}` }]),
+        JSON.stringify([{ 'src': buildLink(fullId) }]),
         {
             status: 200,
-            headers: {
-                'Content-Type': 'application/json',
-            }
+            headers: { 'Content-Type': 'application/json' }
         }
     );
 }
 
-
-// 上传到 S3（支持自定义端点）
-async function uploadFileToS3(context, fullId, metadata, returnLink) {
-    const { env, waitUntil, uploadConfig, securityConfig, url, formdata, specifiedChannelName } = context;
-    const db = getDatabase(env);
-
-    const uploadModerate = securityConfig.upload.moderate;
-
-    const s3Settings = uploadConfig.s3;
-    const s3Channels = s3Settings.channels;
-    
-    // 选择渠道：优先使用指定的渠道名称
-    let s3Channel;
-    if (specifiedChannelName) {
-        s3Channel = s3Channels.find(ch => ch.name === specifiedChannelName);
-    }
-    if (!s3Channel) {
-        s3Channel = s3Settings.loadBalance.enabled
-            ? s3Channels[Math.floor(Math.random() * s3Channels.length)]
-            : s3Channels[0];
-    }
-
-    if (!s3Channel) {
-        return createResponse('Error: No S3 channel provided', { status: 400 });
-    }
-
-    const { endpoint, pathStyle, accessKeyId, secretAccessKey, bucketName, region, cdnDomain } = s3Channel;
-
-    // 创建 S3 客户端
-    const s3Client = new S3Client({
-        region: region || "auto", // R2 可用 "auto"
-        endpoint, // 自定义 S3 端点
-        credentials: {
-            accessKeyId,
-            secretAccessKey
-        },
-        forcePathStyle: pathStyle // 是否启用路径风格
-    });
-
-    // 获取文件
-    const file = formdata.get("file");
-    if (!file) return createResponse("Error: No file provided", { status: 400 });
-
-    // 转换 Blob 为 Uint8Array
-    const arrayBuffer = await file.arrayBuffer();
-    const uint8Array = new Uint8Array(arrayBuffer);
-
-    const s3FileName = fullId;
-
-    try {
-        // S3 上传参数
-        const putObjectParams = {
-            Bucket: bucketName,
-            Key: s3FileName,
-            Body: uint8Array, // 直接使用 Blob
-            ContentType: file.type
-        };
-
-        // 执行上传
-        await s3Client.send(new PutObjectCommand(putObjectParams));
-
-        // 更新 metadata
-        metadata.Channel = "S3";
-        metadata.ChannelName = s3Channel.name;
-
-        const s3ServerDomain = endpoint.replace(/https?:\/\//, "");
-        if (pathStyle) {
-            metadata.S3Location = `https://${s3ServerDomain}/${bucketName}/${s3FileName}`; // 采用路径风格的 URL
-        } else {
-            metadata.S3Location = `https://${bucketName}.${s3ServerDomain}/${s3FileName}`; // 采用虚拟主机风格的 URL
-        }
-        metadata.S3Endpoint = endpoint;
-        metadata.S3PathStyle = pathStyle;
-        metadata.S3AccessKeyId = accessKeyId;
-        metadata.S3SecretAccessKey = secretAccessKey;
-        metadata.S3Region = region || "auto";
-        metadata.S3BucketName = bucketName;
-        metadata.S3FileKey = s3FileName;
-        // 保存 CDN 文件完整路径（如果配置了 CDN 域名）
-        if (cdnDomain) {
-            // 存储完整的 CDN 文件路径，而不是仅存储域名
-            metadata.S3CdnFileUrl = `${cdnDomain.replace(/\/$/, '')}/${s3FileName}`;
-        }
-
-        // 图像审查
-        if (uploadModerate && uploadModerate.enabled) {
-            try {
-                await db.put(fullId, "", { metadata });
-            } catch {
-                return createResponse("Error: Failed to write to KV database", { status: 500 });
-            }
-
-            const moderateUrl = `https://${url.hostname}/file/${fullId}`;
-            await purgeCDNCache(env, moderateUrl, url);
-            metadata.Label = await moderateContent(env, moderateUrl);
-        }
-
-        // 写入数据库
-        try {
-            await db.put(fullId, "", { metadata });
-        } catch {
-            return createResponse("Error: Failed to write to database", { status: 500 });
-        }
-
-        // 结束上传
-        waitUntil(endUpload(context, fullId, metadata));
-
-        return createResponse(JSON.stringify([{ src: returnLink }]), {
-            status: 200,
-            headers: {
-                "Content-Type": "application/json",
-            },
-        });
-    } catch (error) {
-        return createResponse(`Error: Failed to upload to S3 - ${error.message}`, { status: 500 });
-    }
-}
-
-
-// 上传到Telegram
-async function uploadFileToTelegram(context, fullId, metadata, fileExt, fileName, fileType, returnLink) {
-    const { env, waitUntil, uploadConfig, url, formdata, specifiedChannelName } = context;
-    const db = getDatabase(env);
-
-    // 选择一个 Telegram 渠道上传
-    const tgSettings = uploadConfig.telegram;
-    const tgChannels = tgSettings.channels;
-    
-    let tgChannel;
-    // 如果指定了渠道名称，优先使用指定的渠道
-    if (specifiedChannelName) {
-        tgChannel = tgChannels.find(ch => ch.name === specifiedChannelName);
-    }
-    // 未指定或未找到指定渠道，使用负载均衡或第一个
-    if (!tgChannel) {
-        tgChannel = tgSettings.loadBalance.enabled ? tgChannels[Math.floor(Math.random() * tgChannels.length)] : tgChannels[0];
-    }
-    if (!tgChannel) {
-        return createResponse('Error: No Telegram channel provided', { status: 400 });
-    }
-
-    const tgBotToken = tgChannel.botToken;
-    const tgChatId = tgChannel.chatId;
-    const tgProxyUrl = tgChannel.proxyUrl || '';
-    const file = formdata.get('file');
-    const fileSize = file.size;
-
-    const telegramAPI = new TelegramAPI(tgBotToken, tgProxyUrl);
-
-// 检测全量元数据
-    let caption = '';
-    let aiData = null; // 用于存储提取到的 AI 数据
-    
-    // 注意：这里我们获取的是一个对象了
-    aiData = await extractAIPrompt(file);
-    if (aiData) {
-        caption = aiData.caption; // 图片使用预览版 Caption
-    }
-    
-    // 16MB 分片阈值 (TG Bot getFile download limit: 20MB, leave 4MB safety margin)
-    const CHUNK_SIZE = 16 * 1024 * 1024; // 16MB
-
-    if (fileSize > CHUNK_SIZE) {
-        // 大文件分片上传
-        return await uploadLargeFileToTelegram(context, file, fullId, metadata, fileName, fileType, returnLink, tgBotToken, tgChatId, tgChannel);
-    }
-
-    // 由于TG会把gif后缀的文件转为视频，所以需要修改后缀名绕过限制
-    if (fileExt === 'gif') {
-        const newFileName = fileName.replace(/\.gif$/, '.jpeg');
-        const newFile = new File([formdata.get('file')], newFileName, { type: fileType });
-        formdata.set('file', newFile);
-    } else if (fileExt === 'webp') {
-        const newFileName = fileName.replace(/\.webp$/, '.jpeg');
-        const newFile = new File([formdata.get('file')], newFileName, { type: fileType });
-        formdata.set('file', newFile);
-    }
-
-    // 选择对应的发送接口
-    const fileTypeMap = {
-        'image/': { 'url': 'sendPhoto', 'type': 'photo' },
-        'video/': { 'url': 'sendVideo', 'type': 'video' },
-        'audio/': { 'url': 'sendAudio', 'type': 'audio' },
-        'application/pdf': { 'url': 'sendDocument', 'type': 'document' },
-    };
-
-    const defaultType = { 'url': 'sendDocument', 'type': 'document' };
-
-    let sendFunction = Object.keys(fileTypeMap).find(key => fileType.startsWith(key))
-        ? fileTypeMap[Object.keys(fileTypeMap).find(key => fileType.startsWith(key))]
-        : defaultType;
-
-    // GIF ICO 等发送接口特殊处理
-    if (fileType === 'image/gif' || fileType === 'image/webp' || fileExt === 'gif' || fileExt === 'webp') {
-        sendFunction = { 'url': 'sendAnimation', 'type': 'animation' };
-    } else if (fileType === 'image/svg+xml' || fileType === 'image/x-icon') {
-        sendFunction = { 'url': 'sendDocument', 'type': 'document' };
-    }
-
-    // 根据服务端压缩设置处理接口：从参数中获取serverCompress，如果为false，则使用sendDocument接口
-    if (url.searchParams.get('serverCompress') === 'false') {
-        sendFunction = { 'url': 'sendDocument', 'type': 'document' };
-    }
-
-// 上传文件到 Telegram
-    let res = createResponse('upload error, check your environment params about telegram channel!', { status: 400 });
-    try {
-        // 1. 发送图片 (使用预览版 Caption)
-        const response = await telegramAPI.sendFile(formdata.get('file'), tgChatId, sendFunction.url, sendFunction.type, caption);
-        
-        // 检查 Telegram 响应是否成功
-        if (!response.ok) {
-            throw new Error(`Telegram API error: ${response.description}`);
-        }
-
-        // --- [新增逻辑]：补发完整提示词消息 ---
-        if (aiData && aiData.needsSecondMessage) {
-            try {
-                // 回复刚才发送成功的那张图
-                const messageId = response.result ? response.result.message_id : null;
-                await telegramAPI.sendMessage(tgChatId, aiData.fullText, messageId);
-            } catch (msgError) {
-                console.error('Failed to send extra prompt message:', msgError);
-            }
-        }
-        // ------------------------------------
-
-        // --- [核心修复]：必须保留以下三行，否则后面会报错 ---
-        const fileInfo = telegramAPI.getFileInfo(response);
-        const filePath = await telegramAPI.getFilePath(fileInfo.file_id);
-        const id = fileInfo.file_id;
-        // ------------------------------------------------
-
-        // 更新 FileSize
-        metadata.FileSize = (fileInfo.file_size / 1024 / 1024).toFixed(2);
-
-        // 构建返回给图床前端的成功响应
-        res = createResponse(
-            JSON.stringify([{ 'src': `${returnLink}` }]),
-            {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' }
-            }
-        );
-
-        // 图像审查
-        const moderateDomain = tgProxyUrl ? `https://${tgProxyUrl}` : 'https://api.telegram.org';
-        const moderateUrl = `${moderateDomain}/file/bot${tgBotToken}/${filePath}`;
-        metadata.Label = await moderateContent(env, moderateUrl);
-
-        // 更新 metadata，写入数据库
-        try {
-            metadata.Channel = "TelegramNew";
-            metadata.ChannelName = tgChannel.name;
-            metadata.TgFileId = id;
-            metadata.TgChatId = tgChatId;
-            metadata.TgBotToken = tgBotToken;
-            if (tgProxyUrl) {
-                metadata.TgProxyUrl = tgProxyUrl;
-            }
-            await db.put(fullId, "", { metadata: metadata });
-        } catch (error) {
-            res = createResponse('Error: Failed to write to KV database', { status: 500 });
-        }
-
-        // 结束上传流程 (清除缓存等)
-        waitUntil(endUpload(context, fullId, metadata));
-
-    } catch (error) {
-        console.error('Telegram upload error:', error.message);
-        res = createResponse('upload error, check your environment params about telegram channel!', { status: 400 });
-    } finally {
-        return res;
-    }
-}
-
-
 // 外链渠道
 async function uploadFileToExternal(context, fullId, metadata, returnLink) {
     const { env, waitUntil, formdata } = context;
@@ -636,467 +442,36 @@ async function uploadFileToExternal(context, fullId, metadata, returnLink) {
 }
 
 
-// 上传到 Discord
-async function uploadFileToDiscord(context, fullId, metadata, returnLink) {
-    const { env, waitUntil, uploadConfig, formdata, specifiedChannelName } = context;
-    const db = getDatabase(env);
-
-    // 获取 Discord 渠道配置
-    const discordSettings = uploadConfig.discord;
-    if (!discordSettings || !discordSettings.channels || discordSettings.channels.length === 0) {
-        return createResponse('Error: No Discord channel configured', { status: 400 });
-    }
-
-    // 选择渠道：优先使用指定的渠道名称
-    const discordChannels = discordSettings.channels;
-    let discordChannel;
-    if (specifiedChannelName) {
-        discordChannel = discordChannels.find(ch => ch.name === specifiedChannelName);
-    }
-    if (!discordChannel) {
-        discordChannel = discordSettings.loadBalance?.enabled
-            ? discordChannels[Math.floor(Math.random() * discordChannels.length)]
-            : discordChannels[0];
-    }
-
-    if (!discordChannel || !discordChannel.botToken || !discordChannel.channelId) {
-        return createResponse('Error: Discord channel not properly configured', { status: 400 });
-    }
-
-    const file = formdata.get('file');
-    const fileSize = file.size;
-    const fileName = metadata.FileName;
-
-    // Discord 文件大小限制：Nitro 会员 25MB，免费用户 10MB
-    const isNitro = discordChannel.isNitro || false;
-    const DISCORD_MAX_SIZE = isNitro ? 25 * 1024 * 1024 : 10 * 1024 * 1024;
-    if (fileSize > DISCORD_MAX_SIZE) {
-        const limitMB = isNitro ? 25 : 10;
-        return createResponse(`Error: File size exceeds Discord limit (${limitMB}MB), please use another channel`, { status: 413 });
-    }
-
-    const discordAPI = new DiscordAPI(discordChannel.botToken);
-
-    try {
-        // 上传文件到 Discord
-        const response = await discordAPI.sendFile(file, discordChannel.channelId, fileName);
-        const fileInfo = discordAPI.getFileInfo(response);
-
-        if (!fileInfo) {
-            throw new Error('Failed to get file info from Discord response');
-        }
-
-        // 更新 metadata
-        metadata.Channel = "Discord";
-        metadata.ChannelName = discordChannel.name || "Discord_env";
-        metadata.FileSize = (fileInfo.file_size / 1024 / 1024).toFixed(2);
-        metadata.DiscordMessageId = fileInfo.message_id;
-        metadata.DiscordChannelId = discordChannel.channelId;
-        metadata.DiscordBotToken = discordChannel.botToken;
-        // 注意：不存储 DiscordAttachmentUrl，因为 Discord 附件 URL 会在约24小时后过期
-        // 读取时会通过 API 获取新的 URL
-
-        // 如果配置了代理 URL，保存代理信息
-        if (discordChannel.proxyUrl) {
-            metadata.DiscordProxyUrl = discordChannel.proxyUrl;
-        }
-
-        // 图像审查（使用 Discord CDN URL 或代理 URL）
-        let moderateUrl = fileInfo.url;
-        if (discordChannel.proxyUrl) {
-            moderateUrl = fileInfo.url.replace('https://cdn.discordapp.com', `https://${discordChannel.proxyUrl}`);
-        }
-        metadata.Label = await moderateContent(env, moderateUrl);
-
-        // 写入 KV 数据库
-        try {
-            await db.put(fullId, "", { metadata });
-        } catch (error) {
-            return createResponse('Error: Failed to write to KV database', { status: 500 });
-        }
-
-        // 结束上传
-        waitUntil(endUpload(context, fullId, metadata));
-
-        // 返回成功响应
-        return createResponse(
-            JSON.stringify([{ 'src': returnLink }]),
-            {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' }
-            }
-        );
-
-    } catch (error) {
-        console.error('Discord upload error:', error.message);
-        return createResponse(`Error: Discord upload failed - ${error.message}`, { status: 500 });
-    }
-}
-
-
-// 上传到 HuggingFace
-async function uploadFileToHuggingFace(context, fullId, metadata, returnLink) {
-    const { env, waitUntil, uploadConfig, formdata, specifiedChannelName } = context;
-    const db = getDatabase(env);
-
-    console.log('=== HuggingFace Upload Start ===');
-
-    // 获取 HuggingFace 渠道配置
-    const hfSettings = uploadConfig.huggingface;
-    console.log('HuggingFace settings:', hfSettings ? 'found' : 'not found');
-
-    if (!hfSettings || !hfSettings.channels || hfSettings.channels.length === 0) {
-        console.log('Error: No HuggingFace channel configured');
-        return createResponse('Error: No HuggingFace channel configured', { status: 400 });
-    }
-
-    // 选择渠道：优先使用指定的渠道名称
-    const hfChannels = hfSettings.channels;
-    console.log('HuggingFace channels count:', hfChannels.length);
-
-    let hfChannel;
-    if (specifiedChannelName) {
-        hfChannel = hfChannels.find(ch => ch.name === specifiedChannelName);
-    }
-    if (!hfChannel) {
-        hfChannel = hfSettings.loadBalance?.enabled
-            ? hfChannels[Math.floor(Math.random() * hfChannels.length)]
-            : hfChannels[0];
-    }
-
-    console.log('Selected channel:', hfChannel?.name, 'repo:', hfChannel?.repo);
-
-    if (!hfChannel || !hfChannel.token || !hfChannel.repo) {
-        console.log('Error: HuggingFace channel not properly configured', {
-            hasChannel: !!hfChannel,
-            hasToken: !!hfChannel?.token,
-            hasRepo: !!hfChannel?.repo
-        });
-        return createResponse('Error: HuggingFace channel not properly configured', { status: 400 });
-    }
-
-    const file = formdata.get('file');
-    const fileName = metadata.FileName;
-    // 获取前端预计算的 SHA256（如果有）
-    const precomputedSha256 = formdata.get('sha256') || null;
-    console.log('File to upload:', fileName, 'size:', file?.size, 'precomputed SHA256:', precomputedSha256 ? 'yes' : 'no');
-
-    // 构建文件路径：直接使用 fullId（与其他渠道保持一致）
-    const hfFilePath = fullId;
-    console.log('HuggingFace file path:', hfFilePath);
-
-    const huggingfaceAPI = new HuggingFaceAPI(hfChannel.token, hfChannel.repo, hfChannel.isPrivate || false);
-
-    try {
-        // 上传文件到 HuggingFace（传入预计算的 SHA256）
-        console.log('Starting HuggingFace upload...');
-        const result = await huggingfaceAPI.uploadFile(file, hfFilePath, `Upload ${fileName}`, precomputedSha256);
-        console.log('HuggingFace upload result:', result);
-
-        if (!result.success) {
-            throw new Error('Failed to upload file to HuggingFace');
-        }
-
-        // 更新 metadata
-        metadata.Channel = "HuggingFace";
-        metadata.ChannelName = hfChannel.name || "HuggingFace_env";
-        metadata.HfRepo = hfChannel.repo;
-        metadata.HfFilePath = hfFilePath;
-        metadata.HfToken = hfChannel.token;
-        metadata.HfIsPrivate = hfChannel.isPrivate || false;
-        metadata.HfFileUrl = result.fileUrl;
-
-        // 图像审查
-        const securityConfig = context.securityConfig;
-        const uploadModerate = securityConfig.upload?.moderate;
-        
-        if (uploadModerate && uploadModerate.enabled) {
-            if (!hfChannel.isPrivate) {
-                // 公开仓库：直接通过公开URL访问进行审查，只写入1次KV
-                metadata.Label = await moderateContent(env, result.fileUrl);
-            } else {
-                // 私有仓库：先写入KV，再通过自己的域名访问进行审查
-                try {
-                    await db.put(fullId, "", { metadata });
-                } catch (error) {
-                    return createResponse('Error: Failed to write to KV database', { status: 500 });
-                }
-                
-                const moderateUrl = `https://${context.url.hostname}/file/${fullId}`;
-                await purgeCDNCache(env, moderateUrl, context.url);
-                metadata.Label = await moderateContent(env, moderateUrl);
-            }
-        }
-
-        // 写入 KV 数据库
-        try {
-            await db.put(fullId, "", { metadata });
-        } catch (error) {
-            return createResponse('Error: Failed to write to KV database', { status: 500 });
-        }
-
-        // 结束上传
-        waitUntil(endUpload(context, fullId, metadata));
-
-        // 返回成功响应
-        return createResponse(
-            JSON.stringify([{ 'src': returnLink }]),
-            {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' }
-            }
-        );
-
-    } catch (error) {
-        console.error('HuggingFace upload error:', error.message);
-        return createResponse(`Error: HuggingFace upload failed - ${error.message}`, { status: 500 });
-    }
-}
-
-
 // 自动切换渠道重试
-async function tryRetry(err, context, uploadChannel, fullId, metadata, fileExt, fileName, fileType, returnLink) {
-    const { env, url, formdata } = context;
+async function tryRetry(err, context, channelDriver, fullId, metadata, returnLink) {
+    const { url } = context;
 
-    // 渠道列表（Discord 因为有 10MB 限制，放在最后尝试）
-    const channelList = ['CloudflareR2', 'TelegramNew', 'S3', 'HuggingFace', 'Discord'];
+    const uploadChannel = channelDriver.channel;
     const errMessages = {};
     errMessages[uploadChannel] = 'Error: ' + uploadChannel + err;
 
     // 先用原渠道再试一次（关闭服务端压缩）
     url.searchParams.set('serverCompress', 'false');
-    let retryRes = null;
-    if (uploadChannel === 'CloudflareR2') {
-        retryRes = await uploadFileToCloudflareR2(context, fullId, metadata, returnLink);
-    } else if (uploadChannel === 'TelegramNew') {
-        retryRes = await uploadFileToTelegram(context, fullId, metadata, fileExt, fileName, fileType, returnLink);
-    } else if (uploadChannel === 'S3') {
-        retryRes = await uploadFileToS3(context, fullId, metadata, returnLink);
-    } else if (uploadChannel === 'HuggingFace') {
-        retryRes = await uploadFileToHuggingFace(context, fullId, metadata, returnLink);
-    } else if (uploadChannel === 'Discord') {
-        retryRes = await uploadFileToDiscord(context, fullId, metadata, returnLink);
-    }
+    const retryRes = await channelDriver.upload(context, fullId, metadata, returnLink);
 
     // 原渠道重试成功，直接返回
-    if (retryRes && retryRes.status === 200) {
+    if (retryRes.status === 200) {
         return retryRes;
-    } else if (retryRes) {
-        errMessages[uploadChannel + '_retry'] = 'Error: ' + uploadChannel + ' retry - ' + await retryRes.text();
     }
+    errMessages[uploadChannel + '_retry'] = 'Error: ' + uploadChannel + ' retry - ' + await retryRes.text();
 
-    // 原渠道重试失败，切换到其他渠道
-    for (let i = 0; i < channelList.length; i++) {
-        if (channelList[i] !== uploadChannel) {
-            let res = null;
-            if (channelList[i] === 'CloudflareR2') {
-                res = await uploadFileToCloudflareR2(context, fullId, metadata, returnLink);
-            } else if (channelList[i] === 'TelegramNew') {
-                res = await uploadFileToTelegram(context, fullId, metadata, fileExt, fileName, fileType, returnLink);
-            } else if (channelList[i] === 'S3') {
-                res = await uploadFileToS3(context, fullId, metadata, returnLink);
-            } else if (channelList[i] === 'HuggingFace') {
-                res = await uploadFileToHuggingFace(context, fullId, metadata, returnLink);
-            } else if (channelList[i] === 'Discord') {
-                res = await uploadFileToDiscord(context, fullId, metadata, returnLink);
-            }
+    // 原渠道重试失败，按渠道驱动的注册顺序切换到其他渠道
+    for (const driver of listChannelDrivers()) {
+        if (driver.name === channelDriver.name) {
+            continue;
+        }
 
-            if (res && res.status === 200) {
-                return res;
-            } else if (res) {
-                errMessages[channelList[i]] = 'Error: ' + channelList[i] + await res.text();
-            }
+        const res = await driver.upload(context, fullId, metadata, returnLink);
+        if (res.status === 200) {
+            return res;
         }
+        errMessages[driver.channel] = 'Error: ' + driver.channel + await res.text();
     }
 
     return createResponse(JSON.stringify(errMessages), { status: 500 });
 }
-async function extractAIPrompt(file) {
-    if (file.type !== 'image/png') return null;
-    try {
-        const header = await file.slice(0, 262144).arrayBuffer();
-        const uint8 = new Uint8Array(header);
-        const view = new DataView(header);
-        const decoder = new TextDecoder();
-        
-        let offset = 8;
-        let info = { prompt: '', uc: '', steps: '', seed: '', sampler: '', characters: [] };
-        let found = false;
-
-        while (offset < uint8.length - 8) {
-            const length = view.getUint32(offset);
-            const type = decoder.decode(uint8.slice(offset + 4, offset + 8));
-            
-            if (type === 'tEXt' || type === 'iTXt') {
-                const data = uint8.slice(offset + 8, offset + 8 + length);
-                const textData = decoder.decode(data);
-                const parts = textData.split('\0');
-                const key = parts[0];
-                const value = parts[parts.length - 1] || '';
-
-                if (key === 'Description') {
-                    info.prompt = value;
-                    found = true;
-                } else if (key === 'Comment') {
-                    try {
-                        const json = JSON.parse(value);
-                        
-                        // --- 1. 读取基础信息 ---
-                        info.uc = json.uc || json.negative_prompt || '';
-                        info.steps = json.steps || '';
-                        info.seed = json.seed || '';
-                        info.sampler = json.sampler || json.sampler_name || 'N/A';
-                        
-                        if (json.prompt) info.prompt = json.prompt;
-
-                        // --- 2. 读取角色提示词 (兼容 V4 和旧版) ---
-                        let chars = [];
-                        // NovelAI V4 结构 (v4_prompt -> caption -> char_captions)
-                        if (json.v4_prompt && json.v4_prompt.caption && Array.isArray(json.v4_prompt.caption.char_captions)) {
-                            chars = json.v4_prompt.caption.char_captions
-                                .map(item => item.char_caption) 
-                                .filter(text => text && text.trim() !== "");
-                        } 
-                        // 旧版本结构
-                        else if (json.characterPrompts || json.character_prompts) {
-                            const raw = json.characterPrompts || json.character_prompts;
-                            if (Array.isArray(raw)) {
-                                chars = raw.map(c => c.prompt || c);
-                            }
-                        }
-                        info.characters = chars;
-                        found = true;
-                    } catch (e) {
-                        if (value.includes('masterpiece')) {
-                            info.prompt = value;
-                            found = true;
-                        }
-                    }
-                }
-            }
-            offset += 12 + length;
-        }
-
-        if (found) {
-            const escapeMd = (text) => {
-                if (!text) return 'N/A';
-                return String(text).replace(/[_*[\]()~>#\+\-=|{}.!]/g, '\\$&');
-            };
-
-            const headerStr = "💕 *Elin\\的咒语卡* 🌸\n\n"; 
-            const samplerStr = escapeMd(info.sampler || "N/A");
-            const stepsStr = escapeMd(info.steps || "N/A");
-            const seedStr = escapeMd(info.seed || "N/A");
-            const footerStr = `🧪 *Sampler*: ${samplerStr}\n🔢 *Steps*: ${stepsStr}  🎲 *Seed*: ${seedStr}`;
-
-            const rawPrompt = info.prompt || '';
-            const rawUc = info.uc || '';
-            const rawChars = info.characters || [];
-
-            // --- 1. 构建完整版文本 (Full Text) - 动态长度控制 ---
-            let fullText = headerStr;
-            fullText += "✨ *Full Prompt*\n```\n" + rawPrompt.substring(0, 2000) + "\n```\n\n";
-            
-            // Telegram 单条消息上限 4096，我们预留 100 字符安全空间
-            const TG_LIMIT = 4000;
-            
-            rawChars.forEach((char, index) => {
-                if (!char) return;
-                
-                // 估算当前已用长度
-                let currentLen = fullText.length + footerStr.length;
-                
-                // 构造角色块的头尾
-                const charHeader = `👤 *Character ${index + 1}*\n\`\`\`\n`;
-                const charFooter = `\n\`\`\`\n\n`;
-                
-                // 计算剩余可用空间
-                const available = TG_LIMIT - currentLen - charHeader.length - charFooter.length;
-                
-                // 如果还有空间（至少 50 字符），就往里塞
-                if (available > 50) {
-                    // 取 "角色文本长度" 和 "剩余空间" 中较小的一个，但最大不超过 3000 (防止单角色极长挤占所有空间)
-                    const cutLen = Math.min(char.length, available, 3000);
-                    fullText += charHeader + char.substring(0, cutLen) + charFooter;
-                }
-            });
-            
-            // 计算剩余空间给 Negative Prompt
-            let currentLenBeforeUc = fullText.length + footerStr.length;
-            let availableForUc = TG_LIMIT - currentLenBeforeUc - 50; // 50 是 UC 标题的开销
-            
-            if (rawUc && availableForUc > 50) {
-                const ucLen = Math.min(rawUc.length, availableForUc);
-                fullText += "❌ *Negative*\n```\n" + rawUc.substring(0, ucLen) + "\n```\n\n";
-            }
-            
-            fullText += footerStr;
-
-
-            // --- 2. 构建预览版 Caption (智能截断) ---
-            const MAX_CAPTION = 1024;
-            const structureCost = headerStr.length + footerStr.length + 80; 
-            let availableChars = MAX_CAPTION - structureCost;
-            if (availableChars < 200) availableChars = 200;
-
-            let previewPrompt = rawPrompt;
-            let previewUc = rawUc;
-            let previewChars = [...rawChars]; 
-            let isTruncated = false;
-
-            // 预计算总长度
-            let charsTotalLen = previewChars.reduce((sum, c) => sum + (c ? c.length : 0), 0);
-            let totalLen = previewPrompt.length + charsTotalLen + previewUc.length;
-            
-            if (totalLen > availableChars) {
-                isTruncated = true;
-                
-                // 1. 压缩 UC
-                if (previewUc.length > 50) previewUc = previewUc.substring(0, 50) + "...";
-                
-                // 2. 限制预览角色数量 (前3个)
-                const MAX_PREVIEW_CHARS = 3; 
-                if (previewChars.length > MAX_PREVIEW_CHARS) {
-                    previewChars = previewChars.slice(0, MAX_PREVIEW_CHARS);
-                }
-                
-                // 3. 压缩单个角色长度 (预览版每个角色只留 80 字，看个大概就行)
-                previewChars = previewChars.map(c => {
-                    if (c && c.length > 80) return c.substring(0, 80) + "...";
-                    return c || "";
-                });
-
-                // 4. 剩余给 Prompt
-                const used = previewUc.length + previewChars.reduce((sum, c) => sum + c.length + 25, 0);
-                const remaining = availableChars - used;
-                
-                if (previewPrompt.length > remaining) {
-                    previewPrompt = previewPrompt.substring(0, Math.max(remaining, 50)) + "...";
-                }
-            }
-
-            // 拼接 Caption
-            let caption = headerStr;
-            caption += "✨ *Prompt*\n```\n" + previewPrompt + "\n```\n\n";
-            
-            previewChars.forEach((char, index) => {
-                 if(char) caption += `👤 *Character ${index + 1}*\n\`\`\`\n${char}\n\`\`\`\n\n`;
-            });
-            
-            if (rawChars.length > previewChars.length) {
-                caption += `_(...还有 ${rawChars.length - previewChars.length} 个角色在完整版中)_\n\n`;
-            }
-
-            if (previewUc) caption += "❌ *Negative*\n```\n" + previewUc + "\n```\n\n";
-            caption += footerStr;
-
-            return {
-                caption: caption,
-                fullText: fullText,
-                // 只要原始文本里有角色，或者发生过截断，就确保发完整版
-                needsSecondMessage: isTruncated || (rawChars.length > 0)
-            };
-        }
-    } catch (e) { return null; }
-    return null;
-}
\ No newline at end of file
@@ -0,0 +1,156 @@
+/* ========== 缩略图生成与存储 ========== */
+import { isTransformableImage, isWithinTransformLimit, transformImage } from "../utils/imageTransform.js";
+import { getDatabase } from '../utils/databaseAdapter.js';
+import { getChannelDriver, getDriverByChannel } from '../utils/channels/index.js';
+
+const THUMBNAIL_KEY_PREFIX = 'manage@thumbnail@';
+const MAX_SOURCE_SIZE = 20 * 1024 * 1024; // 超过 20MB 的原图不生成缩略图
+
+// 缩略图格式与扩展名对应关系
+const FORMAT_EXTS = {
+    'image/webp': 'webp',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/avif': 'avif',
+};
+
+// 构建缩略图ID：随机生成，不随原图ID变化，原图移动、重命名后不会与新上传文件的缩略图冲突
+export function buildThumbnailId(ext) {
+    return `${THUMBNAIL_KEY_PREFIX}${crypto.randomUUID()}.${ext}`;
+}
+
+/**
+ * 为图片生成缩略图并存储，成功后返回缩略图ID
+ * @param {Object} context - 上下文对象，需包含 env 和 uploadConfig
+ * @param {string} fileId - 原图文件ID
+ * @param {Object} metadata - 原图元数据（已包含渠道信息）
+ * @param {Blob|null} file - 原图内容，为空时从存储渠道读取
+ * @returns {Promise<string|null>} 缩略图ID，未生成时返回 null
+ */
+export async function createThumbnail(context, fileId, metadata, file = null) {
+    const { env, uploadConfig } = context;
+
+    const thumbnailConfig = uploadConfig?.thumbnail;
+    if (!thumbnailConfig || !thumbnailConfig.enabled) {
+        return null;
+    }
+
+    // 仅处理可解码的图片，且跳过过大的原图
+    if (!isTransformableImage(metadata.FileType) || !isWithinTransformLimit(metadata)) {
+        return null;
+    }
+    if (Number(metadata.FileSizeBytes) > MAX_SOURCE_SIZE) {
+        return null;
+    }
+
+    try {
+        const buffer = file ? await file.arrayBuffer() : await readSourceFile(context, fileId, metadata);
+        if (!buffer) {
+            return null;
+        }
+
+        const result = await transformImage(buffer, metadata.FileType, {
+            width: thumbnailConfig.width || 320,
+            height: null,
+            fit: 'contain',
+            format: thumbnailConfig.format || 'webp',
+            quality: thumbnailConfig.quality || 75,
+        });
+
+        const ext = FORMAT_EXTS[result.contentType] || 'webp';
+        const thumbnailId = buildThumbnailId(ext);
+        const baseName = (metadata.FileName || fileId).replace(/\.[^.]+$/, '');
+        const thumbnailBlob = new Blob([result.data], { type: result.contentType });
+
+        const thumbnailMetadata = {
+            FileName: `${baseName}_thumb.${ext}`,
+            FileType: result.contentType,
+            FileSize: (result.data.byteLength / 1024 / 1024).toFixed(2),
+            FileSizeBytes: result.data.byteLength,
+            ListType: metadata.ListType || "None",
+            TimeStamp: Date.now(),
+            Label: metadata.Label || "None",
+            Directory: '',
+            Width: result.width,
+            Height: result.height,
+            ThumbnailOf: fileId,
+        };
+
+        // 私有文件的缩略图同样需要签名访问
+        if (metadata.Private) {
+            thumbnailMetadata.Private = true;
+        }
+
+        const stored = await storeThumbnail(context, thumbnailId, thumbnailBlob, metadata, thumbnailMetadata, thumbnailConfig);
+        if (!stored) {
+            return null;
+        }
+
+        const db = getDatabase(env);
+        await db.put(thumbnailId, "", { metadata: thumbnailMetadata });
+
+        return thumbnailId;
+    } catch (error) {
+        console.error(`Failed to create thumbnail for ${fileId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * 为文件生成缩略图，并将缩略图ID写入文件记录的元数据
+ * 每条文件记录使用独立的缩略图（包括内容去重产生的别名），缩略图的私有状态与所属记录一致
+ * @param {Object} context - 上下文对象，需包含 env、url 和 uploadConfig
+ * @param {string} fileId - 原图文件ID
+ * @param {Object} metadata - 原图元数据，生成成功后原地写入 ThumbnailId
+ * @param {Blob|null} file - 原图内容，为空时从存储渠道读取
+ * @returns {Promise<string|null>} 缩略图ID，未生成时返回 null
+ */
+export async function attachThumbnail(context, fileId, metadata, file = null) {
+    const thumbnailId = await createThumbnail(context, fileId, metadata, file);
+    if (thumbnailId) {
+        metadata.ThumbnailId = thumbnailId;
+
+        const db = getDatabase(context.env);
+        const record = await db.getWithMetadata(fileId);
+        await db.put(fileId, record?.value || "", { metadata });
+    }
+    return thumbnailId;
+}
+
+// 从存储渠道读取原图（分块上传合并后无原始文件内容时使用）
+async function readSourceFile(context, fileId, metadata) {
+    // Telegram、Discord 分片文件需逐片下载，体积较大，不生成缩略图
+    const driver = getDriverByChannel(metadata.Channel);
+    if (!driver || metadata.IsChunked) {
+        return null;
+    }
+
+    const url = new URL(`/file/${fileId}`, context.url.origin);
+    const readContext = { env: context.env, request: new Request(url), url, Referer: null };
+    const response = await driver.read(readContext, { value: null, metadata }, fileId, encodeURIComponent(metadata.FileName || fileId), metadata.FileType);
+    return response.ok ? await response.arrayBuffer() : null;
+}
+
+// 存储缩略图：写入专用 R2 渠道或与原图相同的渠道，并将渠道信息写入缩略图元数据
+async function storeThumbnail(context, thumbnailId, thumbnailBlob, metadata, thumbnailMetadata, thumbnailConfig) {
+    const thumbnailFile = new File([thumbnailBlob], thumbnailMetadata.FileName, { type: thumbnailBlob.type });
+
+    // 配置了专用的 R2 渠道时写入 R2，否则写入与原图相同的渠道
+    let driver = getDriverByChannel(metadata.Channel);
+    let sourceMetadata = metadata;
+    if (thumbnailConfig.storage === 'cfr2') {
+        driver = getChannelDriver('cfr2');
+        sourceMetadata = { ...metadata, ChannelName: thumbnailConfig.channelName || metadata.ChannelName };
+    }
+
+    if (!driver?.putObject) {
+        return false;
+    }
+    const channelMetadata = await driver.putObject(context, thumbnailId, thumbnailFile, sourceMetadata);
+    if (!channelMetadata) {
+        return false;
+    }
+
+    Object.assign(thumbnailMetadata, channelMetadata);
+    return true;
+}
@@ -1,7 +1,11 @@
 import { fetchSecurityConfig } from "../utils/sysConfig";
 import { purgeCFCache, purgeRandomFileListCache, purgePublicFileListCache } from "../utils/purgeCache";
-import { addFileToIndex } from "../utils/indexManager.js";
+import { addFileToIndex, addFileHashRef } from "../utils/indexManager.js";
 import { getDatabase } from '../utils/databaseAdapter.js';
+import { attachThumbnail } from './thumbnail.js';
+import { replicateOnUpload } from '../utils/replicationManager.js';
+import { checkUploadQuota, checkQuotaThresholds } from '../utils/quotaManager.js';
+import { dispatchWebhookEvent, hasWebhookSubscribers, toWebhookFile } from '../utils/webhookManager.js';
 
 // 统一的响应创建函数
 export function createResponse(body, options = {}) {
@@ -21,6 +25,22 @@ export function createResponse(body, options = {}) {
     });
 }
 
+// 检查上传配额，超出时返回包含剩余额度的错误响应
+export async function checkQuotaOrRespond(context, fileSize = null) {
+    const quota = await checkUploadQuota(context, fileSize);
+    if (quota.allowed) {
+        return null;
+    }
+
+    return createResponse(
+        JSON.stringify({ error: quota.message, remaining: quota.remaining }),
+        {
+            status: quota.status,
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+}
+
 // 生成短链接
 export function generateShortId(length = 8) {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
@@ -265,6 +285,23 @@ export async function purgeCDNCache(env, cdnUrl, url, normalizedFolder) {
     await purgePublicFileListCache(url.origin, normalizedFolder);
 }
 
+// 计算文件内容的 SHA-256 哈希（十六进制）
+export async function calculateFileHash(file) {
+    const buffer = await file.arrayBuffer();
+    return await sha256Hex(buffer);
+}
+
+// 计算分块上传文件的内容哈希：各分块哈希依次拼接后再计算 SHA-256
+// 分块在不同请求中上传，无法对整个文件计算哈希，因此只与分块方式相同的分块上传文件去重
+export async function calculateChunkedFileHash(chunkHashes) {
+    return await sha256Hex(new TextEncoder().encode(`chunked:${chunkHashes.join(':')}`));
+}
+
+async function sha256Hex(data) {
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
 // 结束上传：清除缓存，维护索引
 export async function endUpload(context, fileId, metadata) {
     const { env, url } = context;
@@ -274,8 +311,49 @@ export async function endUpload(context, fileId, metadata) {
     const normalizedFolder = (url.searchParams.get('uploadFolder') || '').replace(/^\/+/, '').replace(/\/{2,}/g, '/').replace(/\/$/, '');
     await purgeCDNCache(env, cdnUrl, url, normalizedFolder);
 
+    // 生成缩略图，并将缩略图ID写入原图元数据
+    if (!metadata.ThumbnailId) {
+        const file = context.formdata?.get('file') || null;
+        await attachThumbnail(context, fileId, metadata, file);
+    }
+
+    // 按复制策略写入副本，并将副本位置写入元数据
+    await replicateOnUpload(context, fileId, metadata);
+
     // 更新文件索引（索引更新时会自动计算容量统计）
     await addFileToIndex(context, fileId, metadata);
+
+    // 登记内容哈希，用于后续上传去重
+    if (metadata.FileHash) {
+        await addFileHashRef(context, metadata.FileHash, fileId);
+    }
+
+    // 推送 Webhook 事件
+    await notifyUploadWebhooks(context, fileId, metadata);
+}
+
+// 推送上传完成、内容审查标记和容量告警事件
+async function notifyUploadWebhooks(context, fileId, metadata) {
+    const { env, url } = context;
+    const file = toWebhookFile(fileId, metadata, url.origin);
+
+    await dispatchWebhookEvent(context, 'file.uploaded', { files: [file] });
+
+    // 审查结果为成人内容的文件会被屏蔽访问
+    if (metadata.Label === 'adult') {
+        await dispatchWebhookEvent(context, 'moderation.flagged', { files: [file], label: metadata.Label });
+    }
+
+    if (await hasWebhookSubscribers(env, 'quota.threshold')) {
+        try {
+            const quotas = await checkQuotaThresholds(context, metadata);
+            for (const quota of quotas) {
+                await dispatchWebhookEvent(context, 'quota.threshold', { quota, file });
+            }
+        } catch (error) {
+            console.error('Failed to check quota thresholds:', error);
+        }
+    }
 }
 
 // 从 request 中解析 ip 地址
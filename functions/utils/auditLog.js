@@ -0,0 +1,216 @@
+/* 审计日志：记录管理操作和破坏性操作，只追加不修改 */
+
+/**
+ * 审计日志结构：
+ * - key: manage@audit@${反转时间戳}_${随机串}，按 key 排序即为时间倒序
+ * - value: JSON.stringify({
+ *     id: "<key 中 manage@audit@ 之后的部分>",
+ *     time: 1700000000000,
+ *     actor: { type: "admin" | "user" | "token" | "anonymous" | "system", name: "alice", id?: "<Token ID>", ip: "203.0.113.5" },
+ *     action: "file.delete",
+ *     targets: ["folder/a.jpg"],
+ *     before: {...} | null,   // 敏感字段（密码、密钥、Token 等）会被替换为 [REDACTED]
+ *     after: {...} | null
+ *   })
+ * - metadata: { time, actorType, actorName, actorId, ip, action, targetCount }，列表时无需逐条读取即可筛选
+ */
+
+import { getDatabase } from './databaseAdapter.js';
+
+const AUDIT_KEY_PREFIX = 'manage@audit@';
+const MAX_TIMESTAMP = 9999999999999;
+const SENSITIVE_KEY_PATTERN = /token|secret|password|authcode|accesskey|apikey|cookie|recoverycodes/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * 审计操作类型
+ */
+export const AUDIT_ACTIONS = [
+    'file.delete', 'folder.delete', 'file.restore', 'file.purge', 'file.move', 'folder.move', 'file.rename',
+    'folder.create', 'folder.update', 'alias.delete', 'alias.prune',
+    'file.block', 'file.white', 'file.tags', 'file.metadata', 'file.expire', 'settings.save', 'settings.restore',
+    'token.create', 'token.update', 'token.revoke', 'user.create', 'user.update', 'user.delete',
+    'twoFactor.enable', 'twoFactor.disable', 'session.revoke'
+];
+
+/**
+ * 系统自动执行的操作（如过期文件清理）使用的操作者
+ */
+export const SYSTEM_ACTOR = { type: 'system', name: 'system', ip: '' };
+
+/**
+ * 获取当前请求的操作者：用户账户或管理员账号、API Token 名称，未认证时为客户端 IP
+ * @param {Object} context - 上下文对象
+ * @returns {Object} { type, name, id?, ip }
+ */
+export function getAuditActor(context) {
+    const { request, data } = context;
+    const ip = request.headers.get('CF-Connecting-IP') || '';
+
+    if (data?.apiToken) {
+        return { type: 'token', name: data.apiToken.name, id: data.apiToken.id, ip };
+    }
+    if (data?.user) {
+        return { type: data.user.role === 'admin' ? 'admin' : 'user', name: data.user.username, ip };
+    }
+    return { type: 'anonymous', name: ip, ip };
+}
+
+/**
+ * 递归替换敏感字段，避免审计日志泄露凭据
+ * @param {*} value
+ * @returns {*}
+ */
+export function redactSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactSecrets);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== '' && item !== null ? REDACTED : redactSecrets(item);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * 追加一条审计日志，写入失败只记录错误，不影响原操作
+ * @param {Object} context - 上下文对象
+ * @param {Object} entry - { action, targets, before, after, actor?: 指定操作者，默认根据请求获取 }
+ */
+export async function recordAudit(context, entry) {
+    try {
+        const db = getDatabase(context.env);
+
+        const time = Date.now();
+        const random = Math.random().toString(36).substring(2, 10);
+        const id = `${String(MAX_TIMESTAMP - time).padStart(13, '0')}_${random}`;
+        const actor = entry.actor || getAuditActor(context);
+        const targets = entry.targets || [];
+
+        const record = {
+            id,
+            time,
+            actor,
+            action: entry.action,
+            targets,
+            before: redactSecrets(entry.before ?? null),
+            after: redactSecrets(entry.after ?? null)
+        };
+
+        await db.put(AUDIT_KEY_PREFIX + id, JSON.stringify(record), {
+            metadata: {
+                time,
+                actorType: actor.type,
+                actorName: actor.name,
+                actorId: actor.id || '',
+                ip: actor.ip,
+                action: entry.action,
+                targetCount: targets.length
+            }
+        });
+    } catch (error) {
+        console.error('Failed to record audit log:', error);
+    }
+}
+
+/**
+ * 查询审计日志（时间倒序）
+ * @param {Object} db - 数据库适配器
+ * @param {Object} options - 查询选项
+ * @param {string} options.actor - 操作者（用户名、Token 名称、Token ID 或 IP）
+ * @param {Array<string>} options.actions - 操作类型
+ * @param {string} options.target - 目标文件ID
+ * @param {number} options.from - 开始时间（毫秒时间戳）
+ * @param {number} options.to - 结束时间（毫秒时间戳）
+ * @param {number} options.limit - 最多返回条数
+ * @param {string} options.cursor - 上一页返回的游标（上一页最后一条记录的ID）
+ * @returns {Promise<Object>} { entries, cursor }，没有更多记录时 cursor 为 null
+ */
+export async function queryAuditLog(db, options = {}) {
+    const { actor = '', actions = [], target = '', from = 0, to = Infinity, limit = 100 } = options;
+    const afterKey = options.cursor ? AUDIT_KEY_PREFIX + options.cursor : '';
+    const entries = [];
+    let listCursor = null;
+
+    do {
+        const response = await db.list({
+            prefix: AUDIT_KEY_PREFIX,
+            limit: 1000,
+            cursor: listCursor
+        });
+        listCursor = response.list_complete ? null : response.cursor;
+
+        for (const item of response.keys) {
+            const meta = item.metadata || {};
+
+            // 跳过上一页已返回的记录
+            if (item.name <= afterKey) {
+                continue;
+            }
+            // 按时间倒序排列，早于开始时间即可结束
+            if (meta.time < from) {
+                return { entries, cursor: null };
+            }
+            if (meta.time > to) {
+                continue;
+            }
+            if (actions.length > 0 && !actions.includes(meta.action)) {
+                continue;
+            }
+            if (actor && ![meta.actorName, meta.actorId, meta.ip].includes(actor)) {
+                continue;
+            }
+
+            const recordStr = await db.get(item.name);
+            if (!recordStr) {
+                continue;
+            }
+            const record = JSON.parse(recordStr);
+            if (target && !record.targets.includes(target)) {
+                continue;
+            }
+
+            entries.push(record);
+            if (entries.length >= limit) {
+                return { entries, cursor: record.id };
+            }
+        }
+    } while (listCursor);
+
+    return { entries, cursor: null };
+}
+
+/**
+ * 将审计日志转换为 CSV
+ * @param {Array<Object>} entries - 审计日志
+ * @returns {string}
+ */
+export function auditLogToCsv(entries) {
+    const escape = (value) => {
+        let str = value === null || value === undefined ? '' : (typeof value === 'string' ? value : JSON.stringify(value));
+        // 防止表格软件把内容当作公式执行
+        if (/^[=+\-@]/.test(str)) {
+            str = `'${str}`;
+        }
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const rows = [['time', 'actor_type', 'actor', 'actor_ip', 'action', 'targets', 'before', 'after']];
+    for (const entry of entries) {
+        rows.push([
+            new Date(entry.time).toISOString(),
+            entry.actor.type,
+            entry.actor.name,
+            entry.actor.ip,
+            entry.action,
+            entry.targets.join(' '),
+            entry.before,
+            entry.after
+        ]);
+    }
+
+    return rows.map(row => row.map(escape).join(',')).join('\r\n');
+}
@@ -0,0 +1,280 @@
+/**
+ * Backblaze B2 原生 API 封装类
+ * 授权信息（有效期 24 小时）缓存在内存和数据库中，过期或失效时自动重新授权
+ */
+const AUTH_CACHE_PREFIX = 'manage@b2Auth@';
+const AUTH_CACHE_TTL = 23 * 60 * 60 * 1000; // 比 B2 授权有效期提前 1 小时过期
+const DOWNLOAD_AUTH_DURATION = 24 * 60 * 60; // 下载授权的有效期，单位秒
+
+// 同一实例内复用的授权信息和下载授权，按 keyId 区分
+const authCache = new Map();
+const downloadAuthCache = new Map();
+
+export class B2API {
+    constructor(keyId, applicationKey, db = null) {
+        this.keyId = keyId;
+        this.applicationKey = applicationKey;
+        this.db = db;
+        this.baseURL = 'https://api.backblazeb2.com';
+    }
+
+    /**
+     * 获取授权信息，优先使用缓存
+     * @param {boolean} force - 是否忽略缓存重新授权
+     * @returns {Promise<Object>} { accountId, authorizationToken, apiUrl, downloadUrl, expiresAt }
+     */
+    async authorize(force = false) {
+        const cacheKey = AUTH_CACHE_PREFIX + this.keyId;
+
+        if (!force) {
+            const cached = authCache.get(this.keyId);
+            if (cached && cached.expiresAt > Date.now()) {
+                return cached;
+            }
+
+            const stored = this.db ? await this.db.get(cacheKey) : null;
+            if (stored) {
+                const auth = JSON.parse(stored);
+                if (auth.expiresAt > Date.now()) {
+                    authCache.set(this.keyId, auth);
+                    return auth;
+                }
+            }
+        }
+
+        const response = await fetch(`${this.baseURL}/b2api/v2/b2_authorize_account`, {
+            headers: { 'Authorization': `Basic ${btoa(`${this.keyId}:${this.applicationKey}`)}` }
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`B2 authorize failed: ${response.status} - ${errorData.message || response.statusText}`);
+        }
+
+        const data = await response.json();
+        const auth = {
+            accountId: data.accountId,
+            authorizationToken: data.authorizationToken,
+            apiUrl: data.apiUrl,
+            downloadUrl: data.downloadUrl,
+            expiresAt: Date.now() + AUTH_CACHE_TTL
+        };
+
+        authCache.set(this.keyId, auth);
+        if (this.db) {
+            await this.db.put(cacheKey, JSON.stringify(auth));
+        }
+        return auth;
+    }
+
+    /**
+     * 调用 B2 API，授权失效时重新授权后再试一次
+     * @param {string} name - API 名称，如 b2_list_buckets
+     * @param {Object} body - 请求参数
+     * @returns {Promise<Object>} API 返回的数据
+     */
+    async call(name, body) {
+        let auth = await this.authorize();
+        let response = await this.requestApi(auth, name, body);
+
+        if (response.status === 401) {
+            auth = await this.authorize(true);
+            response = await this.requestApi(auth, name, body);
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(`B2 API error: ${response.status} - ${errorData.message || response.statusText}`);
+            error.status = response.status;
+            error.code = errorData.code;
+            throw error;
+        }
+        return await response.json();
+    }
+
+    async requestApi(auth, name, body) {
+        return await fetch(`${auth.apiUrl}/b2api/v2/${name}`, {
+            method: 'POST',
+            headers: { 'Authorization': auth.authorizationToken, 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * 按名称获取存储桶 ID
+     * @param {string} bucketName - 存储桶名称
+     * @returns {Promise<string|null>}
+     */
+    async getBucketId(bucketName) {
+        const auth = await this.authorize();
+        const data = await this.call('b2_list_buckets', { accountId: auth.accountId, bucketName });
+        return data.buckets?.[0]?.bucketId || null;
+    }
+
+    /**
+     * 上传小文件
+     * @param {string} bucketId - 存储桶 ID
+     * @param {string} fileName - 文件名（即对象路径）
+     * @param {ArrayBuffer|Uint8Array} data - 文件内容
+     * @param {string} contentType - 文件类型
+     * @returns {Promise<Object>} { fileId, fileName, contentLength }
+     */
+    async uploadFile(bucketId, fileName, data, contentType) {
+        const uploadUrl = await this.call('b2_get_upload_url', { bucketId });
+        const response = await fetch(uploadUrl.uploadUrl, {
+            method: 'POST',
+            headers: {
+                'Authorization': uploadUrl.authorizationToken,
+                'X-Bz-File-Name': encodeB2FileName(fileName),
+                'Content-Type': contentType || 'b2/x-auto',
+                'X-Bz-Content-Sha1': await sha1(data)
+            },
+            body: data
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`B2 upload failed: ${response.status} - ${errorData.message || response.statusText}`);
+        }
+
+        const result = await response.json();
+        return { fileId: result.fileId, fileName: result.fileName, contentLength: result.contentLength };
+    }
+
+    /**
+     * 开始大文件上传
+     * @returns {Promise<string>} 大文件 ID
+     */
+    async startLargeFile(bucketId, fileName, contentType) {
+        const data = await this.call('b2_start_large_file', {
+            bucketId,
+            fileName,
+            contentType: contentType || 'b2/x-auto'
+        });
+        return data.fileId;
+    }
+
+    /**
+     * 上传大文件的一个分块（除最后一个分块外，每个分块不小于 5MB）
+     * @param {string} largeFileId - 大文件 ID
+     * @param {number} partNumber - 分块序号，从 1 开始
+     * @param {ArrayBuffer|Uint8Array} data - 分块内容
+     * @returns {Promise<Object>} { partNumber, contentSha1, contentLength }
+     */
+    async uploadPart(largeFileId, partNumber, data) {
+        const contentSha1 = await sha1(data);
+        const partUrl = await this.call('b2_get_upload_part_url', { fileId: largeFileId });
+        const response = await fetch(partUrl.uploadUrl, {
+            method: 'POST',
+            headers: {
+                'Authorization': partUrl.authorizationToken,
+                'X-Bz-Part-Number': String(partNumber),
+                'X-Bz-Content-Sha1': contentSha1
+            },
+            body: data
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`B2 upload part failed: ${response.status} - ${errorData.message || response.statusText}`);
+        }
+
+        const result = await response.json();
+        return { partNumber: result.partNumber, contentSha1: result.contentSha1, contentLength: result.contentLength };
+    }
+
+    /**
+     * 完成大文件上传
+     * @param {string} largeFileId - 大文件 ID
+     * @param {Array<string>} partSha1Array - 按分块序号排列的分块 SHA1
+     */
+    async finishLargeFile(largeFileId, partSha1Array) {
+        return await this.call('b2_finish_large_file', { fileId: largeFileId, partSha1Array });
+    }
+
+    /**
+     * 取消大文件上传，删除已上传的分块
+     */
+    async cancelLargeFile(largeFileId) {
+        return await this.call('b2_cancel_large_file', { fileId: largeFileId });
+    }
+
+    /**
+     * 在存储桶内复制文件
+     * @returns {Promise<Object>} { fileId, fileName }
+     */
+    async copyFile(sourceFileId, fileName) {
+        const data = await this.call('b2_copy_file', { sourceFileId, fileName });
+        return { fileId: data.fileId, fileName: data.fileName };
+    }
+
+    /**
+     * 隐藏文件：文件名下新增一个隐藏标记，历史版本保留，可在 B2 控制台恢复
+     */
+    async hideFile(bucketId, fileName) {
+        return await this.call('b2_hide_file', { bucketId, fileName });
+    }
+
+    /**
+     * 删除文件版本，文件不存在时视为删除成功
+     */
+    async deleteFileVersion(fileName, fileId) {
+        try {
+            return await this.call('b2_delete_file_version', { fileName, fileId });
+        } catch (error) {
+            if ((error.status === 400 && error.code === 'file_not_present') || error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 获取私有存储桶中文件的下载授权，同一实例内复用未过期的授权
+     * @param {string} bucketId - 存储桶 ID
+     * @param {string} fileName - 文件名
+     * @returns {Promise<string>} 下载授权 Token
+     */
+    async getDownloadAuthorization(bucketId, fileName) {
+        const cacheKey = `${this.keyId}:${bucketId}:${fileName}`;
+        const cached = downloadAuthCache.get(cacheKey);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.token;
+        }
+
+        const data = await this.call('b2_get_download_authorization', {
+            bucketId,
+            fileNamePrefix: fileName,
+            validDurationInSeconds: DOWNLOAD_AUTH_DURATION
+        });
+
+        // 提前 10 分钟视为过期
+        downloadAuthCache.set(cacheKey, {
+            token: data.authorizationToken,
+            expiresAt: Date.now() + (DOWNLOAD_AUTH_DURATION - 600) * 1000
+        });
+        return data.authorizationToken;
+    }
+
+    /**
+     * 构建文件的下载地址
+     * @param {string} downloadUrl - 授权信息中的下载域名
+     * @param {string} bucketName - 存储桶名称
+     * @param {string} fileName - 文件名
+     * @param {string|null} downloadToken - 私有存储桶的下载授权
+     * @returns {string}
+     */
+    buildDownloadUrl(downloadUrl, bucketName, fileName, downloadToken = null) {
+        const fileUrl = `${downloadUrl}/file/${encodeURIComponent(bucketName)}/${encodeB2FileName(fileName)}`;
+        return downloadToken ? `${fileUrl}?Authorization=${encodeURIComponent(downloadToken)}` : fileUrl;
+    }
+}
+
+// B2 文件名逐段进行 URL 编码，保留路径分隔符
+function encodeB2FileName(fileName) {
+    return String(fileName).split('/').map(encodeURIComponent).join('/');
+}
+
+async function sha1(data) {
+    const hashBuffer = await crypto.subtle.digest('SHA-1', data);
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,437 @@
+/* ======== Backblaze B2 渠道驱动（原生 API） ======== */
+import { B2API } from '../b2API.js';
+import { getDatabase } from '../databaseAdapter.js';
+import {
+    createResponse, moderateContent, purgeCDNCache, buildUniqueFileId, endUpload, selectConsistentChannel
+} from '../../upload/uploadTools.js';
+import { setCommonHeaders, handleHeadRequest } from '../../file/fileTools.js';
+
+export const b2Driver = {
+    name: 'b2',
+    channel: 'B2',
+    chunkSize: 16 * 1024 * 1024, // B2 大文件的分块不小于 5MB
+    quota: true,
+    secretFields: ['B2KeyId', 'B2ApplicationKey'],
+    upload: uploadFileToB2,
+    uploadChunk: uploadSingleChunkToB2LargeFile,
+    mergeChunks: mergeB2ChunksInfo,
+    abortChunks: cancelB2LargeFile,
+    read: readB2File,
+    delete: deleteB2File,
+    copy: copyB2File,
+    putObject: putB2Object,
+    replicate: replicateToB2,
+    healthCheck: checkB2Health,
+};
+
+// 根据渠道配置创建 B2 客户端
+function createChannelClient(b2Channel, db) {
+    return new B2API(b2Channel.keyId, b2Channel.applicationKey, db);
+}
+
+// 根据文件元数据创建 B2 客户端
+function createMetadataClient(metadata, db) {
+    return new B2API(metadata.B2KeyId, metadata.B2ApplicationKey, db);
+}
+
+// 获取渠道的存储桶 ID，未配置时按存储桶名称查询
+async function getChannelBucketId(b2API, b2Channel) {
+    const bucketId = b2Channel.bucketId || await b2API.getBucketId(b2Channel.bucketName);
+    if (!bucketId) {
+        throw new Error(`B2 bucket ${b2Channel.bucketName} not found`);
+    }
+    return bucketId;
+}
+
+// 构建写入文件元数据的渠道信息
+async function buildB2Metadata(b2API, b2Channel, bucketId, fileName, fileId) {
+    const auth = await b2API.authorize();
+    return {
+        Channel: "B2",
+        ChannelName: b2Channel.name,
+        B2KeyId: b2Channel.keyId,
+        B2ApplicationKey: b2Channel.applicationKey,
+        B2BucketName: b2Channel.bucketName,
+        B2BucketId: bucketId,
+        B2FileName: fileName,
+        B2FileId: fileId,
+        B2DownloadUrl: auth.downloadUrl,
+        B2IsPrivate: b2Channel.isPrivate || false,
+        B2HideOnDelete: b2Channel.hideOnDelete || false,
+    };
+}
+
+// 选择分块上传使用的渠道：优先使用指定的渠道名称，同一上传的所有分块使用同一渠道
+function selectChunkChannel(context, uploadId) {
+    const { uploadConfig, specifiedChannelName } = context;
+    const b2Settings = uploadConfig.b2;
+    const b2Channels = b2Settings?.channels || [];
+
+    let b2Channel;
+    if (specifiedChannelName) {
+        b2Channel = b2Channels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!b2Channel) {
+        b2Channel = selectConsistentChannel(b2Channels, uploadId, b2Settings?.loadBalance?.enabled);
+    }
+    return b2Channel;
+}
+
+// 上传到 B2
+async function uploadFileToB2(context, fullId, metadata, returnLink) {
+    const { env, waitUntil, uploadConfig, securityConfig, url, formdata, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    const uploadModerate = securityConfig.upload.moderate;
+
+    const b2Settings = uploadConfig.b2;
+    const b2Channels = b2Settings?.channels || [];
+
+    // 选择渠道：优先使用指定的渠道名称
+    let b2Channel;
+    if (specifiedChannelName) {
+        b2Channel = b2Channels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!b2Channel) {
+        b2Channel = b2Settings?.loadBalance?.enabled
+            ? b2Channels[Math.floor(Math.random() * b2Channels.length)]
+            : b2Channels[0];
+    }
+
+    if (!b2Channel) {
+        return createResponse('Error: No B2 channel provided', { status: 400 });
+    }
+
+    // 获取文件
+    const file = formdata.get("file");
+    if (!file) return createResponse("Error: No file provided", { status: 400 });
+
+    try {
+        const b2API = createChannelClient(b2Channel, db);
+        const bucketId = await getChannelBucketId(b2API, b2Channel);
+        const result = await b2API.uploadFile(bucketId, fullId, await file.arrayBuffer(), file.type);
+
+        // 更新 metadata
+        Object.assign(metadata, await buildB2Metadata(b2API, b2Channel, bucketId, result.fileName, result.fileId));
+
+        // 图像审查：私有存储桶使用下载授权生成可直接访问的地址
+        if (uploadModerate && uploadModerate.enabled) {
+            const downloadToken = metadata.B2IsPrivate ? await b2API.getDownloadAuthorization(bucketId, result.fileName) : null;
+            const moderateUrl = b2API.buildDownloadUrl(metadata.B2DownloadUrl, b2Channel.bucketName, result.fileName, downloadToken);
+            metadata.Label = await moderateContent(env, moderateUrl);
+        }
+
+        // 写入数据库
+        try {
+            await db.put(fullId, "", { metadata });
+        } catch {
+            return createResponse("Error: Failed to write to database", { status: 500 });
+        }
+
+        // 结束上传
+        waitUntil(endUpload(context, fullId, metadata));
+
+        return createResponse(JSON.stringify([{ src: returnLink }]), {
+            status: 200,
+            headers: {
+                "Content-Type": "application/json",
+            },
+        });
+    } catch (error) {
+        return createResponse(`Error: Failed to upload to B2 - ${error.message}`, { status: 500 });
+    }
+}
+
+// 上传单个分块到 B2 大文件（b2_upload_part）
+async function uploadSingleChunkToB2LargeFile(context, chunkData, chunkIndex, totalChunks, uploadId, originalFileName, originalFileType) {
+    const { env } = context;
+    const db = getDatabase(env);
+
+    try {
+        const b2Channel = selectChunkChannel(context, uploadId);
+
+        if (!b2Channel) {
+            return { success: false, error: 'No B2 channel provided' };
+        }
+
+        console.log(`Uploading B2 chunk ${chunkIndex} for uploadId: ${uploadId}, selected channel: ${b2Channel.name || 'default'}`);
+
+        const b2API = createChannelClient(b2Channel, db);
+        const multipartKey = `multipart_${uploadId}`;
+
+        let multipartInfo;
+
+        // 如果是第一个分块，生成 finalFileId 并开始大文件上传
+        if (chunkIndex === 0) {
+            const finalFileId = await buildUniqueFileId(context, originalFileName, originalFileType);
+            const bucketId = await getChannelBucketId(b2API, b2Channel);
+            const largeFileId = await b2API.startLargeFile(bucketId, finalFileId, originalFileType);
+
+            multipartInfo = {
+                uploadId: largeFileId,
+                key: finalFileId,
+                bucketId
+            };
+
+            // 保存multipart info
+            await db.put(multipartKey, JSON.stringify(multipartInfo), {
+                expirationTtl: 3600 // 1小时过期
+            });
+        } else {
+            // 其他分块需要等待第一个分块开始大文件上传
+            let multipartInfoData = null;
+            let retryCount = 0;
+            const maxRetries = 30; // 最多等待60秒
+
+            while (!multipartInfoData && retryCount < maxRetries) {
+                multipartInfoData = await db.get(multipartKey);
+                if (!multipartInfoData) {
+                    // 等待2秒后重试
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    retryCount++;
+                    console.log(`B2 chunk ${chunkIndex} waiting for large file initialization... (${retryCount}/${maxRetries})`);
+                }
+            }
+
+            if (!multipartInfoData) {
+                return { success: false, error: 'Large file upload not initialized after waiting' };
+            }
+
+            multipartInfo = JSON.parse(multipartInfoData);
+        }
+
+        // 上传分块
+        const partResult = await b2API.uploadPart(multipartInfo.uploadId, chunkIndex + 1, chunkData);
+
+        return {
+            success: true,
+            partNumber: partResult.partNumber,
+            sha1: partResult.contentSha1,
+            size: chunkData.byteLength,
+            uploadTime: Date.now(),
+            b2Channel: b2Channel.name,
+            largeFileId: multipartInfo.uploadId,
+            key: multipartInfo.key
+        };
+
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// 合并 B2 分块信息（b2_finish_large_file）
+async function mergeB2ChunksInfo(context, uploadId, completedChunks, metadata) {
+    const { env, waitUntil, url } = context;
+    const db = getDatabase(env);
+
+    try {
+        const b2Channel = selectChunkChannel(context, uploadId);
+
+        console.log(`Merging B2 chunks for uploadId: ${uploadId}, selected channel: ${b2Channel.name || 'default'}`);
+
+        const b2API = createChannelClient(b2Channel, db);
+        const multipartKey = `multipart_${uploadId}`;
+
+        // 获取multipart info
+        const multipartInfoData = await db.get(multipartKey);
+        if (!multipartInfoData) {
+            throw new Error('Large file upload info not found');
+        }
+
+        const multipartInfo = JSON.parse(multipartInfoData);
+
+        // 按分块序号排列各分块的 SHA1
+        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
+        const partSha1Array = sortedChunks.map(chunk => chunk.uploadResult.sha1);
+
+        // 完成大文件上传
+        const result = await b2API.finishLargeFile(multipartInfo.uploadId, partSha1Array);
+
+        // 计算总大小
+        const totalSize = completedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
+
+        // 使用multipart info中的finalFileId更新metadata
+        const finalFileId = multipartInfo.key;
+        Object.assign(metadata, await buildB2Metadata(b2API, b2Channel, multipartInfo.bucketId, result.fileName, result.fileId));
+        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
+        metadata.FileSizeBytes = totalSize;
+
+        // 清理multipart info
+        await db.delete(multipartKey);
+
+        // 写入数据库
+        await db.put(finalFileId, "", { metadata });
+
+        // 异步结束上传
+        waitUntil(endUpload(context, finalFileId, metadata));
+
+        // 更新返回链接
+        const returnFormat = url.searchParams.get('returnFormat') || 'default';
+        let updatedReturnLink = '';
+        if (returnFormat === 'full') {
+            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
+        } else {
+            updatedReturnLink = `/file/${finalFileId}`;
+        }
+
+        return {
+            success: true,
+            result: [{ src: updatedReturnLink }]
+        };
+
+    } catch (error) {
+        throw new Error(`B2 merge failed: ${error.message}`);
+    }
+}
+
+// 取消未完成的 B2 大文件上传
+async function cancelB2LargeFile(context, uploadId, multipartInfo) {
+    const b2Channel = selectChunkChannel(context, uploadId);
+    if (!b2Channel) {
+        return;
+    }
+
+    const b2API = createChannelClient(b2Channel, getDatabase(context.env));
+    await b2API.cancelLargeFile(multipartInfo.uploadId);
+}
+
+// 读取 B2 文件：公开存储桶直接下载，私有存储桶使用下载授权
+async function readB2File(context, imgRecord, fileId, encodedFileName, fileType) {
+    const { env, Referer, url, request } = context;
+    const metadata = imgRecord.metadata;
+
+    if (!metadata?.B2BucketName || !metadata?.B2FileName) {
+        return new Response('Error: B2 file info not found', { status: 500 });
+    }
+
+    const headers = new Headers();
+    setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+    // 处理 HEAD 请求，文件大小取自元数据
+    if (request.method === 'HEAD') {
+        if (metadata.FileSizeBytes) {
+            headers.set('Content-Length', String(metadata.FileSizeBytes));
+        }
+        return handleHeadRequest(headers);
+    }
+
+    try {
+        const b2API = createMetadataClient(metadata, getDatabase(env));
+        const downloadToken = metadata.B2IsPrivate
+            ? await b2API.getDownloadAuthorization(metadata.B2BucketId, metadata.B2FileName)
+            : null;
+        const downloadUrl = metadata.B2DownloadUrl || (await b2API.authorize()).downloadUrl;
+
+        const fetchHeaders = {};
+        const range = request.headers.get('Range');
+        if (range) {
+            fetchHeaders['Range'] = range;
+        }
+
+        const response = await fetch(b2API.buildDownloadUrl(downloadUrl, metadata.B2BucketName, metadata.B2FileName, downloadToken), {
+            headers: fetchHeaders
+        });
+
+        if (response.status === 404) {
+            return new Response('Error: Image Not Found', { status: 404 });
+        }
+        if (!response.ok) {
+            return new Response(`Error: Failed to fetch from B2 - ${response.status}`, { status: response.status });
+        }
+
+        // 复制相关头部
+        if (response.headers.get('Content-Length')) {
+            headers.set('Content-Length', response.headers.get('Content-Length'));
+        }
+        if (response.headers.get('Content-Range')) {
+            headers.set('Content-Range', response.headers.get('Content-Range'));
+        }
+
+        return new Response(response.body, {
+            status: response.status,
+            headers
+        });
+    } catch (error) {
+        return new Response(`Error: Failed to fetch from B2 - ${error.message}`, { status: 500 });
+    }
+}
+
+// 删除 B2 渠道的文件：开启隐藏时只隐藏文件，保留历史版本，否则删除文件版本
+async function deleteB2File(env, fileId, metadata) {
+    if (!metadata?.B2KeyId || !metadata?.B2FileName) {
+        console.warn('B2 file missing required metadata for deletion');
+        return false;
+    }
+
+    const b2API = createMetadataClient(metadata, getDatabase(env));
+
+    try {
+        if (metadata.B2HideOnDelete) {
+            await b2API.hideFile(metadata.B2BucketId, metadata.B2FileName);
+        } else {
+            await b2API.deleteFileVersion(metadata.B2FileName, metadata.B2FileId);
+        }
+        return true;
+    } catch (error) {
+        console.error("B2 Delete Failed:", error);
+        return false;
+    }
+}
+
+// 复制 B2 渠道的文件到新文件 ID（b2_copy_file，在存储桶内完成，无需下载）
+async function copyB2File(env, fileId, newFileId, metadata) {
+    const b2API = createMetadataClient(metadata, getDatabase(env));
+
+    try {
+        const result = await b2API.copyFile(metadata.B2FileId, newFileId);
+        return {
+            success: true,
+            metadata: { ...metadata, B2FileName: result.fileName, B2FileId: result.fileId }
+        };
+    } catch (error) {
+        console.error("B2 Copy Failed:", error);
+        return { success: false, error: error.message };
+    }
+}
+
+// 写入附属文件，与源文件使用同一存储桶
+async function putB2Object(context, key, file, sourceMetadata) {
+    const b2API = createMetadataClient(sourceMetadata, getDatabase(context.env));
+    const result = await b2API.uploadFile(sourceMetadata.B2BucketId, key, await file.arrayBuffer(), file.type);
+
+    return {
+        Channel: "B2",
+        ChannelName: sourceMetadata.ChannelName,
+        B2KeyId: sourceMetadata.B2KeyId,
+        B2ApplicationKey: sourceMetadata.B2ApplicationKey,
+        B2BucketName: sourceMetadata.B2BucketName,
+        B2BucketId: sourceMetadata.B2BucketId,
+        B2FileName: result.fileName,
+        B2FileId: result.fileId,
+        B2DownloadUrl: sourceMetadata.B2DownloadUrl,
+        B2IsPrivate: sourceMetadata.B2IsPrivate || false,
+        B2HideOnDelete: sourceMetadata.B2HideOnDelete || false,
+    };
+}
+
+// 写入文件副本，使用副本渠道的存储桶
+async function replicateToB2(context, key, file, channelConfig) {
+    const b2API = createChannelClient(channelConfig, getDatabase(context.env));
+    const bucketId = await getChannelBucketId(b2API, channelConfig);
+    const result = await b2API.uploadFile(bucketId, key, await file.arrayBuffer(), file.type);
+    return await buildB2Metadata(b2API, channelConfig, bucketId, result.fileName, result.fileId);
+}
+
+// 检查密钥能否授权并访问配置的存储桶
+async function checkB2Health(channelConfig, env) {
+    if (!channelConfig.keyId || !channelConfig.applicationKey || !channelConfig.bucketName) {
+        return { success: false, error: 'B2 channel is not properly configured' };
+    }
+
+    const b2API = createChannelClient(channelConfig, getDatabase(env));
+    await getChannelBucketId(b2API, channelConfig);
+    return { success: true };
+}
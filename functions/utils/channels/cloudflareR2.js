@@ -0,0 +1,404 @@
+/* ======== Cloudflare R2 渠道驱动 ======== */
+import { getDatabase } from '../databaseAdapter.js';
+import { createResponse, moderateContent, buildUniqueFileId, endUpload } from '../../upload/uploadTools.js';
+import { setCommonHeaders, handleHeadRequest } from '../../file/fileTools.js';
+
+export const cloudflareR2Driver = {
+    name: 'cfr2',
+    channel: 'CloudflareR2',
+    chunkSize: 16 * 1024 * 1024,
+    quota: true,
+    upload: uploadFileToCloudflareR2,
+    uploadChunk: uploadSingleChunkToR2Multipart,
+    mergeChunks: mergeR2ChunksInfo,
+    abortChunks: abortR2MultipartUpload,
+    read: readR2File,
+    delete: deleteR2File,
+    copy: copyR2File,
+    pinObject: pinR2Object,
+    putObject: putR2Object,
+    replicate: replicateToR2,
+    healthCheck: checkR2Health,
+};
+
+// 检查是否绑定了 R2 存储桶
+function hasR2Bucket(env) {
+    return !(typeof env.img_r2 == "undefined" || env.img_r2 == null || env.img_r2 == "");
+}
+
+// 内容去重、复制产生的记录，存储对象键为源文件的键
+function getR2FileKey(fileId, metadata) {
+    return metadata?.R2FileKey || fileId;
+}
+
+// 上传到Cloudflare R2
+async function uploadFileToCloudflareR2(context, fullId, metadata, returnLink) {
+    const { env, waitUntil, uploadConfig, formdata, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    // 检查R2数据库是否配置
+    if (!hasR2Bucket(env)) {
+        return createResponse('Error: Please configure R2 database', { status: 500 });
+    }
+
+    // 检查 R2 渠道是否启用
+    const r2Settings = uploadConfig.cfr2;
+    if (!r2Settings.channels || r2Settings.channels.length === 0) {
+        return createResponse('Error: No R2 channel provided', { status: 400 });
+    }
+
+    // 选择渠道：优先使用指定的渠道名称
+    let r2Channel;
+    if (specifiedChannelName) {
+        r2Channel = r2Settings.channels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!r2Channel) {
+        r2Channel = r2Settings.channels[0];
+    }
+
+    const R2DataBase = env.img_r2;
+
+    // 写入R2数据库
+    await R2DataBase.put(fullId, formdata.get('file'));
+
+    // 更新metadata
+    metadata.Channel = "CloudflareR2";
+    metadata.ChannelName = r2Channel.name || "R2_env";
+
+    // 图像审查，采用R2的publicUrl
+    const R2PublicUrl = r2Channel.publicUrl;
+    let moderateUrl = `${R2PublicUrl}/${fullId}`;
+    metadata.Label = await moderateContent(env, moderateUrl);
+
+    // 写入数据库
+    try {
+        await db.put(fullId, "", {
+            metadata: metadata,
+        });
+    } catch (error) {
+        return createResponse('Error: Failed to write to database', { status: 500 });
+    }
+
+    // 结束上传
+    waitUntil(endUpload(context, fullId, metadata));
+
+    // 成功上传，将文件ID返回给客户端
+    return createResponse(
+        JSON.stringify([{ 'src': `${returnLink}` }]),
+        {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+            }
+        }
+    );
+}
+
+// 上传单个分块到R2 (Multipart Upload)
+async function uploadSingleChunkToR2Multipart(context, chunkData, chunkIndex, totalChunks, uploadId, originalFileName, originalFileType) {
+    const { env, uploadConfig } = context;
+    const db = getDatabase(env);
+
+    try {
+        const r2Settings = uploadConfig.cfr2;
+        if (!r2Settings.channels || r2Settings.channels.length === 0) {
+            return { success: false, error: 'No R2 channel provided' };
+        }
+
+        const R2DataBase = env.img_r2;
+        const multipartKey = `multipart_${uploadId}`;
+
+        let finalFileId;
+
+        // 如果是第一个分块，生成并保存 finalFileId
+        if (chunkIndex === 0) {
+            finalFileId = await buildUniqueFileId(context, originalFileName, originalFileType);
+
+            const multipartUpload = await R2DataBase.createMultipartUpload(finalFileId);
+            const multipartInfo = {
+                uploadId: multipartUpload.uploadId,
+                key: finalFileId
+            };
+
+            // 保存multipart info
+            await db.put(multipartKey, JSON.stringify(multipartInfo), {
+                expirationTtl: 3600 // 1小时过期
+            });
+        } else {
+            // 其他分块需要等待第一个分块完成multipart upload初始化
+            let multipartInfoData = null;
+            let retryCount = 0;
+            const maxRetries = 30; // 最多等待60秒
+
+            while (!multipartInfoData && retryCount < maxRetries) {
+                multipartInfoData = await db.get(multipartKey);
+                if (!multipartInfoData) {
+                    // 等待2秒后重试
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    retryCount++;
+                    console.log(`R2 chunk ${chunkIndex} waiting for multipart initialization... (${retryCount}/${maxRetries})`);
+                }
+            }
+
+            if (!multipartInfoData) {
+                return { success: false, error: 'Multipart upload not initialized after waiting' };
+            }
+
+            const multipartInfo = JSON.parse(multipartInfoData);
+            finalFileId = multipartInfo.key;
+        }
+
+        // 获取multipart info
+        const multipartInfoData = await db.get(multipartKey);
+        if (!multipartInfoData) {
+            return { success: false, error: 'Multipart upload not initialized' };
+        }
+
+        const multipartInfo = JSON.parse(multipartInfoData);
+
+        // 上传分块
+        const multipartUpload = R2DataBase.resumeMultipartUpload(finalFileId, multipartInfo.uploadId);
+        const uploadedPart = await multipartUpload.uploadPart(chunkIndex + 1, chunkData);
+
+        if (!uploadedPart || !uploadedPart.etag) {
+            throw new Error(`Failed to upload part ${chunkIndex + 1} to R2`);
+        }
+
+        return {
+            success: true,
+            partNumber: chunkIndex + 1,
+            etag: uploadedPart.etag,
+            size: chunkData.byteLength,
+            uploadTime: Date.now(),
+            multipartUploadId: multipartInfo.uploadId,
+            key: finalFileId
+        };
+
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// 合并R2分块信息
+async function mergeR2ChunksInfo(context, uploadId, completedChunks, metadata) {
+    const { env, waitUntil, url, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    try {
+        const R2DataBase = env.img_r2;
+        const multipartKey = `multipart_${uploadId}`;
+
+        // 获取multipart info
+        const multipartInfoData = await db.get(multipartKey);
+        if (!multipartInfoData) {
+            throw new Error('Multipart upload info not found');
+        }
+
+        const multipartInfo = JSON.parse(multipartInfoData);
+
+        // 组织所有分块
+        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
+        const parts = [];
+
+        for (const chunk of sortedChunks) {
+            const part = {
+                etag: chunk.uploadResult.etag,
+                partNumber: chunk.uploadResult.partNumber,
+            };
+            parts.push(part);
+        }
+
+        // 完成multipart upload
+        const multipartUpload = R2DataBase.resumeMultipartUpload(multipartInfo.key, multipartInfo.uploadId);
+        await multipartUpload.complete(parts);
+
+        // 计算总大小
+        const totalSize = completedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
+
+        // 使用multipart info中的finalFileId更新metadata
+        const finalFileId = multipartInfo.key;
+        metadata.Channel = "CloudflareR2";
+        // 从 R2 设置中获取渠道名称（优先使用指定的渠道名称）
+        const r2Settings = context.uploadConfig.cfr2;
+        let r2ChannelName = "R2_env";
+        if (specifiedChannelName) {
+            const r2Channel = r2Settings.channels?.find(ch => ch.name === specifiedChannelName);
+            if (r2Channel) {
+                r2ChannelName = r2Channel.name;
+            }
+        } else if (r2Settings.channels?.[0]?.name) {
+            r2ChannelName = r2Settings.channels[0].name;
+        }
+        metadata.ChannelName = r2ChannelName;
+        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
+        metadata.FileSizeBytes = totalSize;
+
+        // 清理multipart info
+        await db.delete(multipartKey);
+
+        // 写入数据库
+        await db.put(finalFileId, "", { metadata });
+
+        // 结束上传
+        waitUntil(endUpload(context, finalFileId, metadata));
+
+        // 更新返回链接
+        const returnFormat = url.searchParams.get('returnFormat') || 'default';
+        let updatedReturnLink = '';
+        if (returnFormat === 'full') {
+            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
+        } else {
+            updatedReturnLink = `/file/${finalFileId}`;
+        }
+
+        return {
+            success: true,
+            result: [{ 'src': updatedReturnLink }]
+        };
+
+    } catch (error) {
+        throw new Error(`R2 merge failed: ${error.message}`);
+    }
+}
+
+// 清理R2 multipart upload
+async function abortR2MultipartUpload(context, uploadId, multipartInfo) {
+    const multipartUpload = context.env.img_r2.resumeMultipartUpload(multipartInfo.key, multipartInfo.uploadId);
+    await multipartUpload.abort();
+}
+
+// 处理R2文件读取
+async function readR2File(context, imgRecord, fileId, encodedFileName, fileType) {
+    const { env, request, url, Referer } = context;
+
+    try {
+        // 检查是否配置了R2
+        if (!hasR2Bucket(env)) {
+            return new Response('Error: Please configure R2 database', { status: 500 });
+        }
+
+        const R2DataBase = env.img_r2;
+        const r2FileKey = getR2FileKey(fileId, imgRecord.metadata);
+
+        // 检查Range请求头
+        const range = request.headers.get('Range');
+        let object;
+
+        if (range) {
+            // 处理Range请求
+            const matches = range.match(/bytes=(\d+)-(\d*)/);
+            if (matches) {
+                const start = parseInt(matches[1]);
+                const end = matches[2] ? parseInt(matches[2]) : undefined;
+
+                const rangeOptions = {
+                    range: {
+                        offset: start
+                    }
+                };
+                if (end !== undefined) {
+                    rangeOptions.range.length = end - start + 1;
+                }
+
+                object = await R2DataBase.get(r2FileKey, rangeOptions);
+            } else {
+                object = await R2DataBase.get(r2FileKey);
+            }
+        } else {
+            object = await R2DataBase.get(r2FileKey);
+        }
+
+        if (object === null) {
+            return new Response('Error: Failed to fetch file', { status: 500 });
+        }
+
+        const headers = new Headers();
+        object.writeHttpMetadata(headers);
+        setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+        // 处理HEAD请求
+        if (request.method === 'HEAD') {
+            return handleHeadRequest(headers);
+        }
+
+        // 如果是Range请求，设置相应的状态码和头
+        if (range && object.range) {
+            headers.set('Content-Range', `bytes ${object.range.offset}-${object.range.offset + object.range.length - 1}/${object.size}`);
+            headers.set('Content-Length', object.range.length.toString());
+
+            return new Response(object.body, {
+                status: 206, // Partial Content
+                headers,
+            });
+        }
+
+        // 正常请求
+        return new Response(object.body, {
+            status: 200,
+            headers,
+        });
+    } catch (error) {
+        return new Response(`Error: Failed to fetch from R2 - ${error.message}`, { status: 500 });
+    }
+}
+
+// 删除R2中对应的文件
+async function deleteR2File(env, fileId, metadata) {
+    await env.img_r2.delete(getR2FileKey(fileId, metadata));
+    return true;
+}
+
+// 将R2中的文件复制到新文件 ID，新记录的对象键即文件 ID
+async function copyR2File(env, fileId, newFileId, metadata) {
+    const object = await env.img_r2.get(getR2FileKey(fileId, metadata));
+    if (!object) {
+        return { success: false, error: 'R2 Object Not Found' };
+    }
+
+    await env.img_r2.put(newFileId, object.body);
+
+    const newMetadata = { ...metadata };
+    delete newMetadata.R2FileKey;
+    return { success: true, metadata: newMetadata };
+}
+
+// R2 渠道的对象键默认为文件ID，共享存储对象的记录需记录源对象键
+function pinR2Object(metadata, fileId) {
+    metadata.R2FileKey = getR2FileKey(fileId, metadata);
+}
+
+// 写入附属文件，使用与源文件同名的 R2 渠道，未找到时使用第一个 R2 渠道
+async function putR2Object(context, key, file, sourceMetadata) {
+    const { env, uploadConfig } = context;
+    if (!hasR2Bucket(env)) {
+        return null;
+    }
+
+    const r2Channels = uploadConfig.cfr2?.channels || [];
+    const r2Channel = r2Channels.find(ch => ch.name === sourceMetadata.ChannelName) || r2Channels[0];
+
+    await env.img_r2.put(key, file);
+    return {
+        Channel: "CloudflareR2",
+        ChannelName: r2Channel?.name || "R2_env",
+    };
+}
+
+// 写入文件副本，记录对象键，文件移动后仍能按原键读取
+async function replicateToR2(context, key, file, channelConfig) {
+    const channelMetadata = await putR2Object(context, key, file, { ChannelName: channelConfig.name });
+    return channelMetadata && { ...channelMetadata, R2FileKey: key };
+}
+
+// 检查 R2 存储桶是否可以访问
+async function checkR2Health(channelConfig, env) {
+    if (!hasR2Bucket(env)) {
+        return { success: false, error: 'R2 bucket is not bound' };
+    }
+
+    await env.img_r2.list({ limit: 1 });
+    return { success: true };
+}
@@ -0,0 +1,657 @@
+/* ======== Discord 渠道驱动 ======== */
+import { DiscordAPI } from '../discordAPI.js';
+import { getDatabase } from '../databaseAdapter.js';
+import { createResponse, moderateContent, buildUniqueFileId, endUpload, selectConsistentChannel } from '../../upload/uploadTools.js';
+import { setCommonHeaders, setRangeHeaders, handleHeadRequest } from '../../file/fileTools.js';
+
+export const discordDriver = {
+    name: 'discord',
+    channel: 'Discord',
+    chunkSize: 9 * 1024 * 1024, // Discord 免费用户单文件限制 10MB，留出余量
+    quota: false,
+    secretFields: ['DiscordBotToken'],
+    upload: uploadFileToDiscord,
+    uploadChunk: uploadSingleChunkToDiscord,
+    mergeChunks: mergeDiscordChunksInfo,
+    read: readDiscordFile,
+    delete: deleteDiscordFile,
+    putObject: putDiscordObject,
+    replicate: replicateToDiscord,
+    healthCheck: checkDiscordHealth,
+};
+
+// 上传到 Discord
+async function uploadFileToDiscord(context, fullId, metadata, returnLink) {
+    const { env, waitUntil, uploadConfig, formdata, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    // 获取 Discord 渠道配置
+    const discordSettings = uploadConfig.discord;
+    if (!discordSettings || !discordSettings.channels || discordSettings.channels.length === 0) {
+        return createResponse('Error: No Discord channel configured', { status: 400 });
+    }
+
+    // 选择渠道：优先使用指定的渠道名称
+    const discordChannels = discordSettings.channels;
+    let discordChannel;
+    if (specifiedChannelName) {
+        discordChannel = discordChannels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!discordChannel) {
+        discordChannel = discordSettings.loadBalance?.enabled
+            ? discordChannels[Math.floor(Math.random() * discordChannels.length)]
+            : discordChannels[0];
+    }
+
+    if (!discordChannel || !discordChannel.botToken || !discordChannel.channelId) {
+        return createResponse('Error: Discord channel not properly configured', { status: 400 });
+    }
+
+    const file = formdata.get('file');
+    const fileSize = file.size;
+    const fileName = metadata.FileName;
+
+    // Discord 文件大小限制：Nitro 会员 25MB，免费用户 10MB
+    const isNitro = discordChannel.isNitro || false;
+    const DISCORD_MAX_SIZE = isNitro ? 25 * 1024 * 1024 : 10 * 1024 * 1024;
+    if (fileSize > DISCORD_MAX_SIZE) {
+        const limitMB = isNitro ? 25 : 10;
+        return createResponse(`Error: File size exceeds Discord limit (${limitMB}MB), please use another channel`, { status: 413 });
+    }
+
+    const discordAPI = new DiscordAPI(discordChannel.botToken);
+
+    try {
+        // 上传文件到 Discord
+        const response = await discordAPI.sendFile(file, discordChannel.channelId, fileName);
+        const fileInfo = discordAPI.getFileInfo(response);
+
+        if (!fileInfo) {
+            throw new Error('Failed to get file info from Discord response');
+        }
+
+        // 更新 metadata
+        metadata.Channel = "Discord";
+        metadata.ChannelName = discordChannel.name || "Discord_env";
+        metadata.FileSize = (fileInfo.file_size / 1024 / 1024).toFixed(2);
+        metadata.DiscordMessageId = fileInfo.message_id;
+        metadata.DiscordChannelId = discordChannel.channelId;
+        metadata.DiscordBotToken = discordChannel.botToken;
+        // 注意：不存储 DiscordAttachmentUrl，因为 Discord 附件 URL 会在约24小时后过期
+        // 读取时会通过 API 获取新的 URL
+
+        // 如果配置了代理 URL，保存代理信息
+        if (discordChannel.proxyUrl) {
+            metadata.DiscordProxyUrl = discordChannel.proxyUrl;
+        }
+
+        // 图像审查（使用 Discord CDN URL 或代理 URL）
+        let moderateUrl = fileInfo.url;
+        if (discordChannel.proxyUrl) {
+            moderateUrl = fileInfo.url.replace('https://cdn.discordapp.com', `https://${discordChannel.proxyUrl}`);
+        }
+        metadata.Label = await moderateContent(env, moderateUrl);
+
+        // 写入 KV 数据库
+        try {
+            await db.put(fullId, "", { metadata });
+        } catch (error) {
+            return createResponse('Error: Failed to write to KV database', { status: 500 });
+        }
+
+        // 结束上传
+        waitUntil(endUpload(context, fullId, metadata));
+
+        // 返回成功响应
+        return createResponse(
+            JSON.stringify([{ 'src': returnLink }]),
+            {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+
+    } catch (error) {
+        console.error('Discord upload error:', error.message);
+        return createResponse(`Error: Discord upload failed - ${error.message}`, { status: 500 });
+    }
+}
+
+// 上传单个分块到Discord
+async function uploadSingleChunkToDiscord(context, chunkData, chunkIndex, totalChunks, uploadId, originalFileName, originalFileType) {
+    const { uploadConfig, specifiedChannelName } = context;
+
+    try {
+        const discordSettings = uploadConfig.discord;
+        const discordChannels = discordSettings.channels;
+        
+        // 优先使用指定的渠道名称
+        let discordChannel;
+        if (specifiedChannelName) {
+            discordChannel = discordChannels.find(ch => ch.name === specifiedChannelName);
+        }
+        if (!discordChannel) {
+            discordChannel = selectConsistentChannel(discordChannels, uploadId, discordSettings.loadBalance?.enabled);
+        }
+
+        console.log(`Uploading Discord chunk ${chunkIndex} for uploadId: ${uploadId}, selected channel: ${discordChannel.name || 'default'}`);
+
+        if (!discordChannel) {
+            return { success: false, error: 'No Discord channel provided' };
+        }
+
+        const botToken = discordChannel.botToken;
+        const channelId = discordChannel.channelId;
+
+        // 创建分块文件名
+        const chunkFileName = `${originalFileName}.part${chunkIndex.toString().padStart(3, '0')}`;
+        const chunkBlob = new Blob([chunkData], { type: 'application/octet-stream' });
+
+        // 上传分块到Discord（带重试）
+        const chunkInfo = await uploadChunkToDiscordWithRetry(
+            botToken,
+            channelId,
+            chunkBlob,
+            chunkFileName,
+            chunkIndex,
+            totalChunks,
+            2 // maxRetries
+        );
+
+        if (!chunkInfo) {
+            return { success: false, error: 'Failed to upload chunk to Discord' };
+        }
+
+        return {
+            success: true,
+            messageId: chunkInfo.message_id,
+            // 注意：不存储 attachmentId 和 url，因为它们会在约24小时后过期
+            // 读取时会通过 messageId 获取新的 URL
+            size: chunkInfo.file_size,
+            fileName: chunkFileName,
+            uploadTime: Date.now(),
+            discordChannel: discordChannel.name
+        };
+
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// 将每个分块上传至Discord，支持失败重试和 rate limit 处理
+async function uploadChunkToDiscordWithRetry(botToken, channelId, chunkBlob, chunkFileName, chunkIndex, totalChunks, maxRetries = 2) {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+        try {
+            const discordAPI = new DiscordAPI(botToken);
+
+            const response = await discordAPI.sendFile(chunkBlob, channelId, chunkFileName);
+
+            if (!response || !response.id) {
+                throw new Error('Invalid Discord response');
+            }
+
+            const fileInfo = discordAPI.getFileInfo(response);
+            if (!fileInfo) {
+                throw new Error('Failed to extract file info from response');
+            }
+
+            return fileInfo;
+
+        } catch (error) {
+            console.warn(`Discord chunk ${chunkIndex} upload attempt ${attempt + 1} failed:`, error.message);
+
+            // 检查是否是 rate limit (429)
+            if (error.message && error.message.includes('429')) {
+                // 从错误消息中提取 retry_after，或使用默认值
+                const retryAfter = 5000; // 默认等待 5 秒
+                console.log(`Discord rate limited, waiting ${retryAfter}ms...`);
+                await new Promise(resolve => setTimeout(resolve, retryAfter));
+                continue; // 不计入重试次数
+            }
+
+            if (attempt === maxRetries - 1) {
+                return null; // 最后一次尝试也失败了
+            }
+
+            // 指数退避延迟
+            await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+        }
+    }
+
+    return null;
+}
+
+// 合并Discord分块信息
+async function mergeDiscordChunksInfo(context, uploadId, completedChunks, metadata) {
+    const { env, waitUntil, uploadConfig, url, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    try {
+        const discordSettings = uploadConfig.discord;
+        const discordChannels = discordSettings.channels;
+        
+        // 优先使用指定的渠道名称
+        let discordChannel;
+        if (specifiedChannelName) {
+            discordChannel = discordChannels.find(ch => ch.name === specifiedChannelName);
+        }
+        if (!discordChannel) {
+            discordChannel = selectConsistentChannel(discordChannels, uploadId, discordSettings.loadBalance?.enabled);
+        }
+
+        console.log(`Merging Discord chunks for uploadId: ${uploadId}, selected channel: ${discordChannel.name || 'default'}`);
+
+        const botToken = discordChannel.botToken;
+        const channelId = discordChannel.channelId;
+
+        // 按顺序排列分块
+        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
+
+        // 计算总大小
+        const totalSize = sortedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
+
+        // 构建分块信息数组（不存储 url 因为会过期，读取时通过 API 获取）
+        const chunks = sortedChunks.map(chunk => ({
+            index: chunk.index,
+            messageId: chunk.uploadResult.messageId,
+            // 注意：不存储 attachmentId 和 url，它们会在约24小时后过期
+            size: chunk.uploadResult.size,
+            fileName: chunk.uploadResult.fileName
+        }));
+
+        // 生成 finalFileId
+        const finalFileId = await buildUniqueFileId(context, metadata.FileName, metadata.FileType);
+
+        // 更新metadata
+        metadata.Channel = "Discord";
+        metadata.ChannelName = discordChannel.name;
+        metadata.DiscordChannelId = channelId;
+        metadata.DiscordBotToken = botToken;
+        metadata.DiscordProxyUrl = discordChannel.proxyUrl || '';
+        metadata.IsChunked = true;
+        metadata.TotalChunks = completedChunks.length;
+        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
+        metadata.FileSizeBytes = totalSize;
+
+        // 将分片信息存储到value中
+        const chunksData = JSON.stringify(chunks);
+
+        // 写入数据库
+        await db.put(finalFileId, chunksData, { metadata });
+
+        // 异步结束上传
+        waitUntil(endUpload(context, finalFileId, metadata));
+
+        // 生成返回链接
+        const returnFormat = url.searchParams.get('returnFormat') || 'default';
+        let updatedReturnLink = '';
+        if (returnFormat === 'full') {
+            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
+        } else {
+            updatedReturnLink = `/file/${finalFileId}`;
+        }
+
+        return {
+            success: true,
+            result: [{ 'src': updatedReturnLink }]
+        };
+
+    } catch (error) {
+        throw new Error(`Discord merge failed: ${error.message}`);
+    }
+}
+
+// 读取 Discord 文件
+async function readDiscordFile(context, imgRecord, fileId, encodedFileName, fileType) {
+    // 检查是否为分片文件
+    if (imgRecord.metadata?.IsChunked === true) {
+        return await handleDiscordChunkedFile(context, imgRecord, encodedFileName, fileType);
+    }
+    return await handleDiscordFile(context, imgRecord.metadata, encodedFileName, fileType);
+}
+
+// 处理 Discord 渠道分片文件读取
+async function handleDiscordChunkedFile(context, imgRecord, encodedFileName, fileType) {
+    const { request, url, Referer } = context;
+
+    const metadata = imgRecord.metadata;
+    const botToken = metadata.DiscordBotToken;
+    const proxyUrl = metadata.DiscordProxyUrl;
+
+    // 从KV的value中读取分片信息
+    let chunks = [];
+    try {
+        if (imgRecord.value) {
+            chunks = JSON.parse(imgRecord.value);
+            // 确保分片按索引排序
+            chunks.sort((a, b) => a.index - b.index);
+        }
+    } catch (parseError) {
+        console.error('Failed to parse Discord chunks data:', parseError);
+        return new Response('Error: Invalid chunks data', { status: 500 });
+    }
+
+    if (chunks.length === 0) {
+        return new Response('Error: No chunks found for this file', { status: 500 });
+    }
+
+    // 验证分片完整性
+    const expectedChunks = metadata.TotalChunks || chunks.length;
+    if (chunks.length !== expectedChunks) {
+        return new Response(`Error: Missing chunks, expected ${expectedChunks}, got ${chunks.length}`, { status: 500 });
+    }
+
+    // 计算文件总大小
+    const totalSize = chunks.reduce((total, chunk) => total + (chunk.size || 0), 0);
+
+    // 构建响应头
+    const headers = new Headers();
+    setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+    headers.set('Content-Length', totalSize.toString());
+
+    // 添加ETag支持
+    const etag = `"${metadata.TimeStamp || Date.now()}-${totalSize}"`;
+    headers.set('ETag', etag);
+
+    // 检查If-None-Match头（304缓存）
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch === etag) {
+        return new Response(null, {
+            status: 304,
+            headers: {
+                'ETag': etag,
+                'Cache-Control': headers.get('Cache-Control'),
+                'Accept-Ranges': 'bytes'
+            }
+        });
+    }
+
+    // 检查Range请求头
+    const range = request.headers.get('Range');
+    let rangeStart = 0;
+    let rangeEnd = totalSize - 1;
+    let isRangeRequest = false;
+
+    if (range) {
+        const matches = range.match(/bytes=(\d+)-(\d*)/);
+        if (matches) {
+            rangeStart = parseInt(matches[1]);
+            rangeEnd = matches[2] ? parseInt(matches[2]) : totalSize - 1;
+            isRangeRequest = true;
+
+            // 验证范围有效性
+            if (rangeStart >= totalSize || rangeEnd >= totalSize || rangeStart > rangeEnd) {
+                return new Response('Range Not Satisfiable', { status: 416 });
+            }
+        }
+    }
+
+    // 处理HEAD请求
+    if (request.method === 'HEAD') {
+        return handleHeadRequest(headers, etag);
+    }
+
+    try {
+        // 创建支持Range请求的流
+        const stream = new ReadableStream({
+            async start(controller) {
+                try {
+                    let currentPosition = 0;
+
+                    for (let i = 0; i < chunks.length; i++) {
+                        const chunk = chunks[i];
+                        const chunkSize = chunk.size || 0;
+
+                        // 如果当前分片完全在请求范围之前，跳过
+                        if (currentPosition + chunkSize <= rangeStart) {
+                            currentPosition += chunkSize;
+                            continue;
+                        }
+
+                        // 如果当前分片完全在请求范围之后，结束
+                        if (currentPosition > rangeEnd) {
+                            break;
+                        }
+
+                        // 获取分片数据（每次通过 API 获取新的附件 URL）
+                        const chunkData = await fetchDiscordChunkWithRetry(botToken, metadata.DiscordChannelId, chunk, proxyUrl, 3);
+                        if (!chunkData) {
+                            throw new Error(`Failed to fetch Discord chunk ${chunk.index} after retries`);
+                        }
+
+                        // 计算在当前分片中的起始和结束位置
+                        const chunkStart = Math.max(0, rangeStart - currentPosition);
+                        const chunkEnd = Math.min(chunkSize, rangeEnd - currentPosition + 1);
+
+                        // 如果需要部分分片数据
+                        if (chunkStart > 0 || chunkEnd < chunkSize) {
+                            const partialData = chunkData.slice(chunkStart, chunkEnd);
+                            controller.enqueue(partialData);
+                        } else {
+                            controller.enqueue(chunkData);
+                        }
+
+                        currentPosition += chunkSize;
+                    }
+
+                    controller.close();
+                } catch (error) {
+                    controller.error(error);
+                }
+            }
+        });
+
+        // 设置Range相关头部
+        if (isRangeRequest) {
+            setRangeHeaders(headers, rangeStart, rangeEnd, totalSize);
+
+            return new Response(stream, {
+                status: 206, // Partial Content
+                headers,
+            });
+        } else {
+            headers.set('Cache-Control', 'private, max-age=86400');
+
+            return new Response(stream, {
+                status: 200,
+                headers,
+            });
+        }
+
+    } catch (error) {
+        return new Response(`Error: Failed to reconstruct Discord chunked file - ${error.message}`, { status: 500 });
+    }
+}
+
+// 带重试机制的Discord分片获取函数（每次通过 API 获取新的附件 URL）
+async function fetchDiscordChunkWithRetry(botToken, channelId, chunk, proxyUrl, maxRetries = 3) {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+        try {
+            // 通过 Discord API 获取新的附件 URL（因为 URL 会在约24小时后过期）
+            const discordAPI = new DiscordAPI(botToken);
+            let fileUrl = await discordAPI.getFileURL(channelId, chunk.messageId);
+
+            if (!fileUrl) {
+                throw new Error('Failed to get attachment URL from Discord API');
+            }
+
+            // 如果配置了代理 URL，替换 Discord CDN 域名
+            if (proxyUrl) {
+                fileUrl = fileUrl.replace('https://cdn.discordapp.com', `https://${proxyUrl}`);
+            }
+
+            const response = await fetch(fileUrl);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            // 验证分片大小是否匹配
+            const chunkData = await response.arrayBuffer();
+            const actualSize = chunkData.byteLength;
+
+            // 如果有期望大小且不匹配，记录警告
+            if (chunk.size && actualSize !== chunk.size) {
+                console.warn(`Discord chunk ${chunk.index} size mismatch: expected ${chunk.size}, got ${actualSize}`);
+            }
+
+            return new Uint8Array(chunkData);
+
+        } catch (error) {
+            console.warn(`Discord chunk ${chunk.index} fetch attempt ${attempt + 1} failed:`, error.message);
+
+            if (attempt === maxRetries - 1) {
+                return null; // 最后一次尝试也失败了
+            }
+
+            // 重试前等待一段时间
+            await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+        }
+    }
+
+    return null;
+}
+
+// 处理 Discord 文件读取
+async function handleDiscordFile(context, metadata, encodedFileName, fileType) {
+    const { env, request, url, Referer } = context;
+
+    try {
+        // 每次读取都通过 API 获取新的附件 URL（因为 Discord 附件 URL 会在约24小时后过期）
+        let fileUrl = null;
+        if (metadata.DiscordMessageId && metadata.DiscordChannelId && metadata.DiscordBotToken) {
+            const discordAPI = new DiscordAPI(metadata.DiscordBotToken);
+            fileUrl = await discordAPI.getFileURL(metadata.DiscordChannelId, metadata.DiscordMessageId);
+        }
+
+        if (!fileUrl) {
+            return new Response('Error: Discord file URL not found', { status: 500 });
+        }
+
+        // 如果配置了代理 URL，替换 Discord CDN 域名
+        if (metadata.DiscordProxyUrl) {
+            fileUrl = fileUrl.replace('https://cdn.discordapp.com', `https://${metadata.DiscordProxyUrl}`);
+        }
+
+        // 处理 HEAD 请求
+        if (request.method === 'HEAD') {
+            const headers = new Headers();
+            setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+            return handleHeadRequest(headers);
+        }
+
+        // 获取文件内容（支持 Range 请求）
+        const fetchHeaders = {};
+        const range = request.headers.get('Range');
+        if (range) {
+            fetchHeaders['Range'] = range;
+        }
+
+        const response = await fetch(fileUrl, {
+            method: 'GET',
+            headers: fetchHeaders
+        });
+
+        if (!response.ok && response.status !== 206) {
+            return new Response(`Error: Failed to fetch from Discord - ${response.status}`, { status: response.status });
+        }
+
+        // 构建响应头
+        const headers = new Headers();
+        setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+        // 复制相关头部
+        if (response.headers.get('Content-Length')) {
+            headers.set('Content-Length', response.headers.get('Content-Length'));
+        }
+        if (response.headers.get('Content-Range')) {
+            headers.set('Content-Range', response.headers.get('Content-Range'));
+        }
+
+        return new Response(response.body, {
+            status: response.status,
+            headers
+        });
+
+    } catch (error) {
+        return new Response(`Error: Failed to fetch from Discord - ${error.message}`, { status: 500 });
+    }
+}
+
+// 删除 Discord 渠道的文件（删除 Discord 消息）
+async function deleteDiscordFile(env, fileId, metadata) {
+    const botToken = metadata?.DiscordBotToken;
+    const channelId = metadata?.DiscordChannelId;
+    const messageId = metadata?.DiscordMessageId;
+
+    if (!botToken || !channelId || !messageId) {
+        console.warn('Discord file missing required metadata for deletion');
+        return false;
+    }
+
+    try {
+        const discordAPI = new DiscordAPI(botToken);
+        const success = await discordAPI.deleteMessage(channelId, messageId);
+        if (!success) {
+            console.error('Discord Delete Failed: API returned false');
+        }
+        return success;
+    } catch (error) {
+        console.error("Discord Delete Failed:", error);
+        return false;
+    }
+}
+
+// 写入附属文件，使用源文件的 Bot 和频道
+async function putDiscordObject(context, key, file, sourceMetadata) {
+    const discordAPI = new DiscordAPI(sourceMetadata.DiscordBotToken);
+    const response = await discordAPI.sendFile(file, sourceMetadata.DiscordChannelId, file.name);
+    const fileInfo = discordAPI.getFileInfo(response);
+    if (!fileInfo) {
+        return null;
+    }
+
+    const channelMetadata = {
+        Channel: "Discord",
+        ChannelName: sourceMetadata.ChannelName,
+        DiscordMessageId: fileInfo.message_id,
+        DiscordChannelId: sourceMetadata.DiscordChannelId,
+        DiscordBotToken: sourceMetadata.DiscordBotToken,
+    };
+    if (sourceMetadata.DiscordProxyUrl) {
+        channelMetadata.DiscordProxyUrl = sourceMetadata.DiscordProxyUrl;
+    }
+    return channelMetadata;
+}
+
+// 写入文件副本，超过单文件大小限制时跳过
+async function replicateToDiscord(context, key, file, channelConfig) {
+    const maxSize = channelConfig.isNitro ? 25 * 1024 * 1024 : 10 * 1024 * 1024;
+    if (file.size > maxSize) {
+        return null;
+    }
+
+    return await putDiscordObject(context, key, file, {
+        ChannelName: channelConfig.name,
+        DiscordBotToken: channelConfig.botToken,
+        DiscordChannelId: channelConfig.channelId,
+        DiscordProxyUrl: channelConfig.proxyUrl || '',
+    });
+}
+
+// 检查 Bot Token 是否有效，以及 Bot 能否访问配置的频道
+async function checkDiscordHealth(channelConfig) {
+    if (!channelConfig.botToken || !channelConfig.channelId) {
+        return { success: false, error: 'Discord channel is not properly configured' };
+    }
+
+    const discordAPI = new DiscordAPI(channelConfig.botToken);
+    const channel = await discordAPI.getChannel(channelConfig.channelId);
+    if (!channel) {
+        return { success: false, error: 'Discord channel is not accessible' };
+    }
+    return { success: true };
+}
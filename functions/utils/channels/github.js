@@ -0,0 +1,354 @@
+/* ======== GitHub 渠道驱动（仓库文件 + Release 附件） ======== */
+import { GitHubAPI } from '../githubAPI.js';
+import { getDatabase } from '../databaseAdapter.js';
+import { createResponse, moderateContent, purgeCDNCache, endUpload } from '../../upload/uploadTools.js';
+import { setCommonHeaders, handleHeadRequest } from '../../file/fileTools.js';
+
+// 不超过该大小的文件通过 Contents API 提交到仓库（jsDelivr 只分发 20MB 以内的文件），更大的文件作为 Release 附件上传
+const CONTENTS_MAX_SIZE = 20 * 1024 * 1024;
+const DEFAULT_RELEASE_TAG = 'imgbed-assets';
+
+export const githubDriver = {
+    name: 'github',
+    channel: 'GitHub',
+    chunkSize: null, // Release 附件单次上传，不使用分块上传
+    quota: true,
+    secretFields: ['GhToken'],
+    upload: uploadFileToGitHub,
+    read: readGitHubFile,
+    delete: deleteGitHubFile,
+    putObject: putGitHubObject,
+    replicate: replicateToGitHub,
+    healthCheck: checkGitHubHealth,
+    reconcile: reconcileGitHubChannel,
+};
+
+// 拼接基础路径与文件路径
+function joinGitHubPath(basePath, fileId) {
+    return [basePath, fileId].join('/').split('/').filter(Boolean).join('/');
+}
+
+// 根据文件元数据创建 GitHub 客户端
+function createMetadataClient(metadata) {
+    return new GitHubAPI(metadata.GhToken, metadata.GhRepo, metadata.GhBranch);
+}
+
+// 提交文件到仓库，返回写入文件元数据的存储信息
+async function putRepositoryFile(githubAPI, ghChannel, path, file) {
+    const result = await githubAPI.putContent(path, file, `Upload ${file.name || path}`);
+    return {
+        GhStorage: 'contents',
+        GhPath: result.path,
+        GhSha: result.sha,
+        GhFileUrl: ghChannel.isPrivate ? '' : githubAPI.buildPublicUrl(result.path, ghChannel.cdn),
+    };
+}
+
+// 上传文件为 Release 附件，附件名称加上时间戳前缀以免重复，返回写入文件元数据的存储信息
+async function putReleaseAsset(githubAPI, ghChannel, fullId, file) {
+    const releaseTag = ghChannel.releaseTag || DEFAULT_RELEASE_TAG;
+    const release = await githubAPI.getOrCreateRelease(releaseTag);
+    const asset = await githubAPI.uploadReleaseAsset(release.id, `${Date.now().toString(36)}_${fullId.replace(/\//g, '_')}`, file);
+    return {
+        GhStorage: 'release',
+        GhReleaseTag: releaseTag,
+        GhAssetId: asset.id,
+        GhAssetName: asset.name,
+        GhFileUrl: ghChannel.isPrivate ? '' : asset.downloadUrl,
+    };
+}
+
+// 上传到 GitHub
+async function uploadFileToGitHub(context, fullId, metadata, returnLink) {
+    const { env, waitUntil, uploadConfig, url, formdata, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    const ghSettings = uploadConfig.github;
+    const ghChannels = ghSettings?.channels || [];
+
+    // 选择渠道：优先使用指定的渠道名称，开启负载均衡时在多个仓库间随机选择
+    let ghChannel;
+    if (specifiedChannelName) {
+        ghChannel = ghChannels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!ghChannel) {
+        ghChannel = ghSettings?.loadBalance?.enabled
+            ? ghChannels[Math.floor(Math.random() * ghChannels.length)]
+            : ghChannels[0];
+    }
+
+    if (!ghChannel) {
+        return createResponse('Error: No GitHub channel provided', { status: 400 });
+    }
+    if (!ghChannel.token || !ghChannel.repo) {
+        return createResponse('Error: GitHub channel not properly configured', { status: 400 });
+    }
+
+    // 获取文件
+    const file = formdata.get("file");
+    if (!file) return createResponse("Error: No file provided", { status: 400 });
+
+    const githubAPI = new GitHubAPI(ghChannel.token, ghChannel.repo, ghChannel.branch);
+
+    try {
+        const storageInfo = file.size <= CONTENTS_MAX_SIZE
+            ? await putRepositoryFile(githubAPI, ghChannel, joinGitHubPath(ghChannel.basePath, fullId), file)
+            : await putReleaseAsset(githubAPI, ghChannel, fullId, file);
+
+        // 更新 metadata
+        Object.assign(metadata, {
+            Channel: "GitHub",
+            ChannelName: ghChannel.name,
+            GhRepo: ghChannel.repo,
+            GhBranch: githubAPI.branch,
+            GhBasePath: ghChannel.basePath || '',
+            GhToken: ghChannel.token,
+            GhIsPrivate: ghChannel.isPrivate || false,
+            ...storageInfo,
+        });
+
+        // 图像审查
+        const uploadModerate = context.securityConfig.upload?.moderate;
+        if (uploadModerate && uploadModerate.enabled) {
+            if (metadata.GhFileUrl) {
+                // 公开仓库：直接通过公开URL访问进行审查
+                metadata.Label = await moderateContent(env, metadata.GhFileUrl);
+            } else {
+                // 私有仓库：先写入数据库，再通过自己的域名访问进行审查
+                try {
+                    await db.put(fullId, "", { metadata });
+                } catch {
+                    return createResponse("Error: Failed to write to KV database", { status: 500 });
+                }
+
+                const moderateUrl = `https://${url.hostname}/file/${fullId}`;
+                await purgeCDNCache(env, moderateUrl, url);
+                metadata.Label = await moderateContent(env, moderateUrl);
+            }
+        }
+
+        // 写入数据库
+        try {
+            await db.put(fullId, "", { metadata });
+        } catch {
+            return createResponse("Error: Failed to write to database", { status: 500 });
+        }
+
+        // 结束上传
+        waitUntil(endUpload(context, fullId, metadata));
+
+        return createResponse(JSON.stringify([{ src: returnLink }]), {
+            status: 200,
+            headers: {
+                "Content-Type": "application/json",
+            },
+        });
+    } catch (error) {
+        console.error('GitHub upload error:', error.message);
+        return createResponse(`Error: GitHub upload failed - ${error.message}`, { status: 500 });
+    }
+}
+
+// 读取 GitHub 文件：公开仓库通过 raw 或 jsDelivr 地址读取，私有仓库通过 API 读取
+async function readGitHubFile(context, imgRecord, fileId, encodedFileName, fileType) {
+    const { request, url, Referer } = context;
+    const metadata = imgRecord.metadata;
+
+    if (!metadata?.GhRepo || !(metadata.GhPath || metadata.GhAssetId)) {
+        return new Response('Error: GitHub file info not found', { status: 500 });
+    }
+
+    const headers = new Headers();
+    setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+    // 处理 HEAD 请求，文件大小取自元数据
+    if (request.method === 'HEAD') {
+        if (metadata.FileSizeBytes) {
+            headers.set('Content-Length', String(metadata.FileSizeBytes));
+        }
+        return handleHeadRequest(headers);
+    }
+
+    try {
+        const range = request.headers.get('Range');
+
+        let response;
+        if (metadata.GhFileUrl) {
+            const fetchHeaders = {};
+            if (range) {
+                fetchHeaders['Range'] = range;
+            }
+            response = await fetch(metadata.GhFileUrl, { headers: fetchHeaders });
+        } else {
+            const githubAPI = createMetadataClient(metadata);
+            response = metadata.GhStorage === 'release'
+                ? await githubAPI.getReleaseAsset(metadata.GhAssetId, range)
+                : await githubAPI.getContentRaw(metadata.GhPath, range);
+        }
+
+        if (response.status === 404) {
+            return new Response('Error: Image Not Found', { status: 404 });
+        }
+        if (!response.ok) {
+            return new Response(`Error: Failed to fetch from GitHub - ${response.status}`, { status: response.status });
+        }
+
+        // 复制相关头部
+        if (response.headers.get('Content-Length')) {
+            headers.set('Content-Length', response.headers.get('Content-Length'));
+        }
+        if (response.headers.get('Content-Range')) {
+            headers.set('Content-Range', response.headers.get('Content-Range'));
+        }
+
+        return new Response(response.body, {
+            status: response.status,
+            headers
+        });
+    } catch (error) {
+        return new Response(`Error: Failed to fetch from GitHub - ${error.message}`, { status: 500 });
+    }
+}
+
+// 删除 GitHub 渠道的文件：仓库文件提交删除，Release 附件直接删除
+async function deleteGitHubFile(env, fileId, metadata) {
+    if (!metadata?.GhToken || !metadata?.GhRepo) {
+        console.warn('GitHub file missing required metadata for deletion');
+        return false;
+    }
+
+    const githubAPI = createMetadataClient(metadata);
+    const success = metadata.GhStorage === 'release'
+        ? await githubAPI.deleteReleaseAsset(metadata.GhAssetId)
+        : await githubAPI.deleteContent(metadata.GhPath, metadata.GhSha, `Delete ${metadata.GhPath}`);
+
+    if (!success) {
+        console.error('GitHub Delete Failed:', metadata.GhPath || metadata.GhAssetName);
+    }
+    return success;
+}
+
+// 写入附属文件，提交到源文件的仓库，文件路径为基础路径下的附属文件 ID
+async function putGitHubObject(context, key, file, sourceMetadata) {
+    const githubAPI = createMetadataClient(sourceMetadata);
+    const ghChannel = { isPrivate: sourceMetadata.GhIsPrivate, cdn: getCdnType(sourceMetadata) };
+    const storageInfo = await putRepositoryFile(githubAPI, ghChannel, joinGitHubPath(sourceMetadata.GhBasePath, key), file);
+
+    return {
+        Channel: "GitHub",
+        ChannelName: sourceMetadata.ChannelName,
+        GhRepo: sourceMetadata.GhRepo,
+        GhBranch: githubAPI.branch,
+        GhBasePath: sourceMetadata.GhBasePath || '',
+        GhToken: sourceMetadata.GhToken,
+        GhIsPrivate: sourceMetadata.GhIsPrivate || false,
+        ...storageInfo,
+    };
+}
+
+// 附属文件沿用源文件的公开访问方式
+function getCdnType(metadata) {
+    return metadata.GhFileUrl?.startsWith('https://cdn.jsdelivr.net/') ? 'jsdelivr' : 'raw';
+}
+
+// 写入文件副本，副本只通过 Contents API 提交，大文件不作为副本
+async function replicateToGitHub(context, key, file, channelConfig) {
+    if (file.size > CONTENTS_MAX_SIZE) {
+        return null;
+    }
+
+    const githubAPI = new GitHubAPI(channelConfig.token, channelConfig.repo, channelConfig.branch);
+    const storageInfo = await putRepositoryFile(githubAPI, channelConfig, joinGitHubPath(channelConfig.basePath, key), file);
+    return {
+        Channel: "GitHub",
+        ChannelName: channelConfig.name,
+        GhRepo: channelConfig.repo,
+        GhBranch: githubAPI.branch,
+        GhBasePath: channelConfig.basePath || '',
+        GhToken: channelConfig.token,
+        GhIsPrivate: channelConfig.isPrivate || false,
+        ...storageInfo,
+    };
+}
+
+// 检查 Token 能否访问配置的仓库
+async function checkGitHubHealth(channelConfig) {
+    if (!channelConfig.token || !channelConfig.repo) {
+        return { success: false, error: 'GitHub channel is not properly configured' };
+    }
+
+    const githubAPI = new GitHubAPI(channelConfig.token, channelConfig.repo, channelConfig.branch);
+    const repo = await githubAPI.getRepo();
+    if (!repo) {
+        return { success: false, error: 'GitHub repository is not accessible' };
+    }
+    if (!repo.permissions?.push) {
+        return { success: false, error: 'GitHub token has no write permission on the repository' };
+    }
+    return { success: true };
+}
+
+/**
+ * 对账：比较仓库基础路径下的文件、Release 附件与数据库中该渠道的文件记录
+ * @param {Object} channelConfig - 渠道配置
+ * @param {Array<Object>} records - 该渠道的文件记录 [{ id, metadata }]
+ * @returns {Promise<Object>} orphans 无记录的存储对象，missing 存储对象已不存在的记录，stored 实际存储的用量
+ */
+async function reconcileGitHubChannel(channelConfig, records) {
+    const githubAPI = new GitHubAPI(channelConfig.token, channelConfig.repo, channelConfig.branch);
+    const basePath = joinGitHubPath(channelConfig.basePath, '');
+    const releaseTag = channelConfig.releaseTag || DEFAULT_RELEASE_TAG;
+
+    const [tree, assets, repo] = await Promise.all([
+        githubAPI.listTree(),
+        githubAPI.listReleaseAssets(releaseTag),
+        githubAPI.getRepo(),
+    ]);
+    const files = tree.filter(item => !basePath || item.path.startsWith(basePath + '/'));
+
+    // 记录中引用的存储对象，缩略图记录不在索引中，按源文件的缩略图 ID 推算其路径
+    const referencedPaths = new Set();
+    const referencedAssets = new Set();
+    for (const record of records) {
+        const metadata = record.metadata;
+        if (metadata.GhStorage === 'release') {
+            referencedAssets.add(String(metadata.GhAssetId));
+        } else if (metadata.GhPath) {
+            referencedPaths.add(metadata.GhPath);
+        }
+        if (metadata.ThumbnailId) {
+            referencedPaths.add(joinGitHubPath(metadata.GhBasePath, metadata.ThumbnailId));
+        }
+    }
+
+    const storedPaths = new Set(files.map(item => item.path));
+    const storedAssets = new Set(assets.map(asset => String(asset.id)));
+
+    const orphans = [
+        ...files.filter(item => !referencedPaths.has(item.path)).map(item => ({ storage: 'contents', path: item.path, size: item.size })),
+        ...assets.filter(asset => !referencedAssets.has(String(asset.id))).map(asset => ({ storage: 'release', path: asset.name, size: asset.size })),
+    ];
+
+    const missing = records
+        .filter(record => {
+            const metadata = record.metadata;
+            if (metadata.GhStorage === 'release') {
+                return metadata.GhReleaseTag === releaseTag && !storedAssets.has(String(metadata.GhAssetId));
+            }
+            return metadata.GhPath && (!basePath || metadata.GhPath.startsWith(basePath + '/')) && !storedPaths.has(metadata.GhPath);
+        })
+        .map(record => record.id);
+
+    const storedBytes = files.reduce((sum, item) => sum + item.size, 0) + assets.reduce((sum, asset) => sum + asset.size, 0);
+
+    return {
+        orphans,
+        missing,
+        stored: {
+            fileCount: files.length + assets.length,
+            usedMB: Number((storedBytes / 1024 / 1024).toFixed(2)),
+            // 仓库占用空间包含提交历史，删除文件后不会减少
+            repoSizeMB: repo ? Number((repo.size / 1024).toFixed(2)) : null,
+        },
+    };
+}
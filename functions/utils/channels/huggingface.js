@@ -0,0 +1,275 @@
+/* ======== HuggingFace 渠道驱动 ======== */
+import { HuggingFaceAPI } from '../huggingfaceAPI.js';
+import { getDatabase } from '../databaseAdapter.js';
+import { createResponse, moderateContent, purgeCDNCache, endUpload } from '../../upload/uploadTools.js';
+import { setCommonHeaders, handleHeadRequest } from '../../file/fileTools.js';
+
+export const huggingFaceDriver = {
+    name: 'huggingface',
+    channel: 'HuggingFace',
+    chunkSize: null, // 大文件通过 LFS 直接上传，不使用分块上传
+    quota: false,
+    secretFields: ['HfToken'],
+    upload: uploadFileToHuggingFace,
+    read: readHuggingFaceFile,
+    delete: deleteHuggingFaceFile,
+    putObject: putHuggingFaceObject,
+    replicate: replicateToHuggingFace,
+    healthCheck: checkHuggingFaceHealth,
+};
+
+// 上传到 HuggingFace
+async function uploadFileToHuggingFace(context, fullId, metadata, returnLink) {
+    const { env, waitUntil, uploadConfig, formdata, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    console.log('=== HuggingFace Upload Start ===');
+
+    // 获取 HuggingFace 渠道配置
+    const hfSettings = uploadConfig.huggingface;
+    console.log('HuggingFace settings:', hfSettings ? 'found' : 'not found');
+
+    if (!hfSettings || !hfSettings.channels || hfSettings.channels.length === 0) {
+        console.log('Error: No HuggingFace channel configured');
+        return createResponse('Error: No HuggingFace channel configured', { status: 400 });
+    }
+
+    // 选择渠道：优先使用指定的渠道名称
+    const hfChannels = hfSettings.channels;
+    console.log('HuggingFace channels count:', hfChannels.length);
+
+    let hfChannel;
+    if (specifiedChannelName) {
+        hfChannel = hfChannels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!hfChannel) {
+        hfChannel = hfSettings.loadBalance?.enabled
+            ? hfChannels[Math.floor(Math.random() * hfChannels.length)]
+            : hfChannels[0];
+    }
+
+    console.log('Selected channel:', hfChannel?.name, 'repo:', hfChannel?.repo);
+
+    if (!hfChannel || !hfChannel.token || !hfChannel.repo) {
+        console.log('Error: HuggingFace channel not properly configured', {
+            hasChannel: !!hfChannel,
+            hasToken: !!hfChannel?.token,
+            hasRepo: !!hfChannel?.repo
+        });
+        return createResponse('Error: HuggingFace channel not properly configured', { status: 400 });
+    }
+
+    const file = formdata.get('file');
+    const fileName = metadata.FileName;
+    // 获取前端预计算的 SHA256（如果有）
+    const precomputedSha256 = formdata.get('sha256') || null;
+    console.log('File to upload:', fileName, 'size:', file?.size, 'precomputed SHA256:', precomputedSha256 ? 'yes' : 'no');
+
+    // 构建文件路径：直接使用 fullId（与其他渠道保持一致）
+    const hfFilePath = fullId;
+    console.log('HuggingFace file path:', hfFilePath);
+
+    const huggingfaceAPI = new HuggingFaceAPI(hfChannel.token, hfChannel.repo, hfChannel.isPrivate || false);
+
+    try {
+        // 上传文件到 HuggingFace（传入预计算的 SHA256）
+        console.log('Starting HuggingFace upload...');
+        const result = await huggingfaceAPI.uploadFile(file, hfFilePath, `Upload ${fileName}`, precomputedSha256);
+        console.log('HuggingFace upload result:', result);
+
+        if (!result.success) {
+            throw new Error('Failed to upload file to HuggingFace');
+        }
+
+        // 更新 metadata
+        metadata.Channel = "HuggingFace";
+        metadata.ChannelName = hfChannel.name || "HuggingFace_env";
+        metadata.HfRepo = hfChannel.repo;
+        metadata.HfFilePath = hfFilePath;
+        metadata.HfToken = hfChannel.token;
+        metadata.HfIsPrivate = hfChannel.isPrivate || false;
+        metadata.HfFileUrl = result.fileUrl;
+
+        // 图像审查
+        const securityConfig = context.securityConfig;
+        const uploadModerate = securityConfig.upload?.moderate;
+        
+        if (uploadModerate && uploadModerate.enabled) {
+            if (!hfChannel.isPrivate) {
+                // 公开仓库：直接通过公开URL访问进行审查，只写入1次KV
+                metadata.Label = await moderateContent(env, result.fileUrl);
+            } else {
+                // 私有仓库：先写入KV，再通过自己的域名访问进行审查
+                try {
+                    await db.put(fullId, "", { metadata });
+                } catch (error) {
+                    return createResponse('Error: Failed to write to KV database', { status: 500 });
+                }
+                
+                const moderateUrl = `https://${context.url.hostname}/file/${fullId}`;
+                await purgeCDNCache(env, moderateUrl, context.url);
+                metadata.Label = await moderateContent(env, moderateUrl);
+            }
+        }
+
+        // 写入 KV 数据库
+        try {
+            await db.put(fullId, "", { metadata });
+        } catch (error) {
+            return createResponse('Error: Failed to write to KV database', { status: 500 });
+        }
+
+        // 结束上传
+        waitUntil(endUpload(context, fullId, metadata));
+
+        // 返回成功响应
+        return createResponse(
+            JSON.stringify([{ 'src': returnLink }]),
+            {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+
+    } catch (error) {
+        console.error('HuggingFace upload error:', error.message);
+        return createResponse(`Error: HuggingFace upload failed - ${error.message}`, { status: 500 });
+    }
+}
+
+// 读取 HuggingFace 文件
+async function readHuggingFaceFile(context, imgRecord, fileId, encodedFileName, fileType) {
+    const { request, url, Referer } = context;
+    const metadata = imgRecord.metadata;
+
+    try {
+        const hfRepo = metadata.HfRepo;
+        const hfFilePath = metadata.HfFilePath;
+        const hfToken = metadata.HfToken;
+        const hfIsPrivate = metadata.HfIsPrivate || false;
+
+        if (!hfRepo || !hfFilePath) {
+            return new Response('Error: HuggingFace file info not found', { status: 500 });
+        }
+
+        // 构建文件 URL
+        const fileUrl = metadata.HfFileUrl || `https://huggingface.co/datasets/${hfRepo}/resolve/main/${hfFilePath}`;
+
+        // 处理 HEAD 请求
+        if (request.method === 'HEAD') {
+            const headers = new Headers();
+            setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+            return handleHeadRequest(headers);
+        }
+
+        // 构建请求头
+        const fetchHeaders = {};
+
+        // 私有仓库需要 Authorization
+        if (hfIsPrivate && hfToken) {
+            fetchHeaders['Authorization'] = `Bearer ${hfToken}`;
+        }
+
+        // 支持 Range 请求
+        const range = request.headers.get('Range');
+        if (range) {
+            fetchHeaders['Range'] = range;
+        }
+
+        const response = await fetch(fileUrl, {
+            method: 'GET',
+            headers: fetchHeaders
+        });
+
+        if (!response.ok && response.status !== 206) {
+            return new Response(`Error: Failed to fetch from HuggingFace - ${response.status}`, { status: response.status });
+        }
+
+        // 构建响应头
+        const headers = new Headers();
+        setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+        // 复制相关头部
+        if (response.headers.get('Content-Length')) {
+            headers.set('Content-Length', response.headers.get('Content-Length'));
+        }
+        if (response.headers.get('Content-Range')) {
+            headers.set('Content-Range', response.headers.get('Content-Range'));
+        }
+
+        return new Response(response.body, {
+            status: response.status,
+            headers
+        });
+
+    } catch (error) {
+        return new Response(`Error: Failed to fetch from HuggingFace - ${error.message}`, { status: 500 });
+    }
+}
+
+// 删除 HuggingFace 渠道的文件
+async function deleteHuggingFaceFile(env, fileId, metadata) {
+    const token = metadata?.HfToken;
+    const repo = metadata?.HfRepo;
+    const filePath = metadata?.HfFilePath;
+    const isPrivate = metadata?.HfIsPrivate || false;
+
+    if (!token || !repo || !filePath) {
+        console.warn('HuggingFace file missing required metadata for deletion');
+        return false;
+    }
+
+    try {
+        const huggingfaceAPI = new HuggingFaceAPI(token, repo, isPrivate);
+        const success = await huggingfaceAPI.deleteFile(filePath, `Delete ${filePath}`);
+        if (!success) {
+            console.error('HuggingFace Delete Failed: API returned false');
+        }
+        return success;
+    } catch (error) {
+        console.error("HuggingFace Delete Failed:", error);
+        return false;
+    }
+}
+
+// 写入附属文件，使用源文件的仓库，文件路径即附属文件的 ID
+async function putHuggingFaceObject(context, key, file, sourceMetadata) {
+    const huggingfaceAPI = new HuggingFaceAPI(sourceMetadata.HfToken, sourceMetadata.HfRepo, sourceMetadata.HfIsPrivate || false);
+    const result = await huggingfaceAPI.uploadFile(file, key, `Upload ${file.name}`);
+    if (!result.success) {
+        return null;
+    }
+
+    return {
+        Channel: "HuggingFace",
+        ChannelName: sourceMetadata.ChannelName,
+        HfRepo: sourceMetadata.HfRepo,
+        HfFilePath: key,
+        HfToken: sourceMetadata.HfToken,
+        HfIsPrivate: sourceMetadata.HfIsPrivate || false,
+        HfFileUrl: result.fileUrl,
+    };
+}
+
+// 写入文件副本，提交到副本渠道的仓库
+async function replicateToHuggingFace(context, key, file, channelConfig) {
+    return await putHuggingFaceObject(context, key, file, {
+        ChannelName: channelConfig.name,
+        HfToken: channelConfig.token,
+        HfRepo: channelConfig.repo,
+        HfIsPrivate: channelConfig.isPrivate || false,
+    });
+}
+
+// 检查 Token 能否访问配置的仓库
+async function checkHuggingFaceHealth(channelConfig) {
+    if (!channelConfig.token || !channelConfig.repo) {
+        return { success: false, error: 'HuggingFace channel is not properly configured' };
+    }
+
+    const huggingfaceAPI = new HuggingFaceAPI(channelConfig.token, channelConfig.repo, channelConfig.isPrivate || false);
+    if (!await huggingfaceAPI.repoExists()) {
+        return { success: false, error: 'HuggingFace repository is not accessible' };
+    }
+    return { success: true };
+}
@@ -0,0 +1,153 @@
+/* 存储渠道驱动注册表：上传、分块上传、合并、读取、删除、复制等操作按渠道路由到对应的驱动 */
+
+/**
+ * 渠道驱动约定（新增存储渠道时实现一个驱动模块，并在下方注册）：
+ * {
+ *   name: 'cfr2',                // 上传参数 uploadChannel 的取值，同时是上传设置中的配置键
+ *   channel: 'CloudflareR2',     // 写入文件元数据的 Channel 值
+ *   aliases: ['Telegram'],       // 可选，同样由该驱动读取的旧版 Channel 值
+ *   chunkSize: 16 * 1024 * 1024, // 分块上传的分块大小，不支持分块上传时为 null
+ *   quota: true,                 // 是否支持渠道容量限制（按索引元数据中的 channelStats 统计）
+ *   secretFields: ['TgBotToken'], // 写入文件元数据的渠道凭据字段，不返回给普通用户和API Token
+ *
+ *   upload(context, fullId, metadata, returnLink)
+ *       上传 context.formdata 中的文件，写入元数据和数据库记录，返回响应，状态码 200 表示成功
+ *   uploadChunk(context, chunkData, chunkIndex, totalChunks, uploadId, originalFileName, originalFileType)
+ *       上传单个分块，返回 { success, error?, size, ... }，合并时作为 uploadResult 传回
+ *   mergeChunks(context, uploadId, completedChunks, metadata)
+ *       合并已上传的分块并写入数据库记录，返回 { success, result: [{ src }] }
+ *   abortChunks(context, uploadId, multipartInfo)
+ *       可选，放弃未完成的分块上传
+ *   read(context, imgRecord, fileId, encodedFileName, fileType)
+ *       读取文件内容，返回响应，请求带 Range 头时返回部分内容
+ *   delete(env, fileId, metadata)
+ *       可选，删除存储的文件内容，返回是否成功
+ *   copy(env, fileId, newFileId, metadata)
+ *       可选，以文件 ID 定位存储对象的渠道，将存储对象复制到新文件 ID，返回 { success, metadata?, error? }
+ *   pinObject(metadata, fileId)
+ *       可选，多条记录共享同一存储对象时，在元数据中固定存储对象的位置
+ *   putObject(context, key, file, sourceMetadata)
+ *       可选，使用源文件的渠道写入附属文件（如缩略图），返回需写入附属文件元数据的渠道信息，失败时返回 null
+ *   replicate(context, key, file, channelConfig)
+ *       可选，将文件副本写入指定的渠道，返回副本的渠道信息（读取、删除副本时作为元数据使用），不支持该文件时返回 null
+ *   healthCheck(channelConfig, env)
+ *       检查渠道配置是否可用，返回 { success, error? }
+ *   reconcile(channelConfig, records)
+ *       可选，比较渠道中实际存储的对象与该渠道的文件记录，返回 { orphans, missing, stored }
+ * }
+ */
+
+import { cloudflareR2Driver } from './cloudflareR2.js';
+import { telegramDriver } from './telegram.js';
+import { s3Driver } from './s3.js';
+import { b2Driver } from './b2.js';
+import { webdavDriver } from './webdav.js';
+import { githubDriver } from './github.js';
+import { huggingFaceDriver } from './huggingface.js';
+import { discordDriver } from './discord.js';
+import { isAdminUser } from '../userManager.js';
+
+const drivers = [];
+
+/**
+ * 注册渠道驱动，同名驱动会被替换
+ * @param {Object} driver - 渠道驱动
+ */
+export function registerChannelDriver(driver) {
+    const index = drivers.findIndex(item => item.name === driver.name);
+    if (index >= 0) {
+        drivers[index] = driver;
+    } else {
+        drivers.push(driver);
+    }
+}
+
+/**
+ * 按上传参数获取渠道驱动
+ * @param {string} name - 上传参数 uploadChannel 的取值，如 cfr2
+ * @returns {Object|null}
+ */
+export function getChannelDriver(name) {
+    return drivers.find(driver => driver.name === name) || null;
+}
+
+/**
+ * 按文件元数据中的 Channel 获取渠道驱动
+ * @param {string} channel - 元数据中的 Channel 值，如 CloudflareR2
+ * @returns {Object|null}
+ */
+export function getDriverByChannel(channel) {
+    if (!channel) {
+        return null;
+    }
+    return drivers.find(driver => driver.channel === channel || driver.aliases?.includes(channel)) || null;
+}
+
+/**
+ * 列出所有渠道驱动，顺序即上传失败自动切换渠道时的尝试顺序
+ * @returns {Array<Object>}
+ */
+export function listChannelDrivers() {
+    return [...drivers];
+}
+
+/**
+ * 按请求身份返回文件元数据：管理员可以查看渠道凭据，普通用户和API Token 只能看到移除凭据（包括副本位置中的凭据）后的元数据
+ * @param {Object} context - 上下文对象
+ * @param {Object} metadata - 文件元数据
+ * @returns {Object}
+ */
+export function toClientMetadata(context, metadata) {
+    const { user, apiToken } = context.data || {};
+    if (!metadata || (isAdminUser(user) && !apiToken)) {
+        return metadata;
+    }
+
+    const secretFields = drivers.flatMap(driver => driver.secretFields || []);
+    const strip = (source) => {
+        const result = { ...source };
+        for (const field of secretFields) {
+            delete result[field];
+        }
+        return result;
+    };
+
+    const result = strip(metadata);
+    if (Array.isArray(metadata.Replicas)) {
+        result.Replicas = metadata.Replicas.map(strip);
+    }
+    return result;
+}
+
+/**
+ * 文件 ID 变化时迁移存储对象：与其他记录共享存储对象时只固定对象位置，否则复制到新位置后删除原对象
+ * 以元数据定位存储对象的渠道无需迁移
+ * @param {Object} env - 环境变量
+ * @param {string} fileId - 原文件 ID
+ * @param {string} newFileId - 新文件 ID
+ * @param {Object} metadata - 文件元数据
+ * @param {boolean} shared - 是否与其他记录共享存储对象
+ * @returns {Promise<Object>} 迁移后的元数据
+ */
+export async function relocateChannelObject(env, fileId, newFileId, metadata, shared = false) {
+    const driver = getDriverByChannel(metadata.Channel);
+
+    if (shared) {
+        driver?.pinObject?.(metadata, fileId);
+        return metadata;
+    }
+    if (!driver?.copy) {
+        return metadata;
+    }
+
+    const result = await driver.copy(env, fileId, newFileId, metadata);
+    if (!result.success) {
+        throw new Error(result.error || `${driver.channel} copy failed`);
+    }
+    await driver.delete(env, fileId, metadata);
+
+    return result.metadata;
+}
+
+// 注册顺序即自动重试顺序（Discord 有单文件大小限制，放在最后尝试）
+[cloudflareR2Driver, telegramDriver, s3Driver, b2Driver, webdavDriver, huggingFaceDriver, githubDriver, discordDriver].forEach(registerChannelDriver);
@@ -0,0 +1,605 @@
+/* ======== S3 渠道驱动（支持自定义端点） ======== */
+import {
+    S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, CopyObjectCommand, HeadBucketCommand,
+    CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand
+} from "@aws-sdk/client-s3";
+import { getDatabase } from '../databaseAdapter.js';
+import {
+    createResponse, moderateContent, purgeCDNCache, buildUniqueFileId, endUpload, selectConsistentChannel
+} from '../../upload/uploadTools.js';
+import { setCommonHeaders, handleHeadRequest } from '../../file/fileTools.js';
+
+export const s3Driver = {
+    name: 's3',
+    channel: 'S3',
+    chunkSize: 16 * 1024 * 1024,
+    quota: true,
+    secretFields: ['S3AccessKeyId', 'S3SecretAccessKey'],
+    upload: uploadFileToS3,
+    uploadChunk: uploadSingleChunkToS3Multipart,
+    mergeChunks: mergeS3ChunksInfo,
+    abortChunks: abortS3MultipartUpload,
+    read: readS3File,
+    delete: deleteS3File,
+    copy: copyS3File,
+    putObject: putS3Object,
+    replicate: replicateToS3,
+    healthCheck: checkS3Health,
+};
+
+// 根据渠道配置创建 S3 客户端
+function createChannelClient(s3Channel) {
+    const { endpoint, pathStyle, accessKeyId, secretAccessKey, region } = s3Channel;
+    return new S3Client({
+        region: region || "auto", // R2 可用 "auto"
+        endpoint, // 自定义 S3 端点
+        credentials: { accessKeyId, secretAccessKey },
+        forcePathStyle: pathStyle // 是否启用路径风格
+    });
+}
+
+// 根据文件元数据创建 S3 客户端
+function createMetadataClient(metadata) {
+    return new S3Client({
+        region: metadata?.S3Region || "auto",
+        endpoint: metadata?.S3Endpoint,
+        credentials: {
+            accessKeyId: metadata?.S3AccessKeyId,
+            secretAccessKey: metadata?.S3SecretAccessKey
+        },
+        forcePathStyle: metadata?.S3PathStyle || false // 是否启用路径风格
+    });
+}
+
+// 构建对象的访问地址
+function buildS3Location(endpoint, bucketName, pathStyle, key) {
+    const s3ServerDomain = endpoint.replace(/https?:\/\//, "");
+    if (pathStyle) {
+        return `https://${s3ServerDomain}/${bucketName}/${key}`; // 采用路径风格的 URL
+    }
+    return `https://${bucketName}.${s3ServerDomain}/${key}`; // 采用虚拟主机风格的 URL
+}
+
+// 选择分块上传使用的渠道：优先使用指定的渠道名称，同一上传的所有分块使用同一渠道
+function selectChunkChannel(context, uploadId) {
+    const { uploadConfig, specifiedChannelName } = context;
+    const s3Settings = uploadConfig.s3;
+    const s3Channels = s3Settings.channels;
+
+    let s3Channel;
+    if (specifiedChannelName) {
+        s3Channel = s3Channels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!s3Channel) {
+        s3Channel = selectConsistentChannel(s3Channels, uploadId, s3Settings.loadBalance.enabled);
+    }
+    return s3Channel;
+}
+
+// 上传到 S3（支持自定义端点）
+async function uploadFileToS3(context, fullId, metadata, returnLink) {
+    const { env, waitUntil, uploadConfig, securityConfig, url, formdata, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    const uploadModerate = securityConfig.upload.moderate;
+
+    const s3Settings = uploadConfig.s3;
+    const s3Channels = s3Settings.channels;
+
+    // 选择渠道：优先使用指定的渠道名称
+    let s3Channel;
+    if (specifiedChannelName) {
+        s3Channel = s3Channels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!s3Channel) {
+        s3Channel = s3Settings.loadBalance.enabled
+            ? s3Channels[Math.floor(Math.random() * s3Channels.length)]
+            : s3Channels[0];
+    }
+
+    if (!s3Channel) {
+        return createResponse('Error: No S3 channel provided', { status: 400 });
+    }
+
+    const { endpoint, pathStyle, accessKeyId, secretAccessKey, bucketName, region, cdnDomain } = s3Channel;
+
+    // 创建 S3 客户端
+    const s3Client = createChannelClient(s3Channel);
+
+    // 获取文件
+    const file = formdata.get("file");
+    if (!file) return createResponse("Error: No file provided", { status: 400 });
+
+    // 转换 Blob 为 Uint8Array
+    const arrayBuffer = await file.arrayBuffer();
+    const uint8Array = new Uint8Array(arrayBuffer);
+
+    const s3FileName = fullId;
+
+    try {
+        // S3 上传参数
+        const putObjectParams = {
+            Bucket: bucketName,
+            Key: s3FileName,
+            Body: uint8Array, // 直接使用 Blob
+            ContentType: file.type
+        };
+
+        // 执行上传
+        await s3Client.send(new PutObjectCommand(putObjectParams));
+
+        // 更新 metadata
+        metadata.Channel = "S3";
+        metadata.ChannelName = s3Channel.name;
+        metadata.S3Location = buildS3Location(endpoint, bucketName, pathStyle, s3FileName);
+        metadata.S3Endpoint = endpoint;
+        metadata.S3PathStyle = pathStyle;
+        metadata.S3AccessKeyId = accessKeyId;
+        metadata.S3SecretAccessKey = secretAccessKey;
+        metadata.S3Region = region || "auto";
+        metadata.S3BucketName = bucketName;
+        metadata.S3FileKey = s3FileName;
+        // 保存 CDN 文件完整路径（如果配置了 CDN 域名）
+        if (cdnDomain) {
+            // 存储完整的 CDN 文件路径，而不是仅存储域名
+            metadata.S3CdnFileUrl = `${cdnDomain.replace(/\/$/, '')}/${s3FileName}`;
+        }
+
+        // 图像审查
+        if (uploadModerate && uploadModerate.enabled) {
+            try {
+                await db.put(fullId, "", { metadata });
+            } catch {
+                return createResponse("Error: Failed to write to KV database", { status: 500 });
+            }
+
+            const moderateUrl = `https://${url.hostname}/file/${fullId}`;
+            await purgeCDNCache(env, moderateUrl, url);
+            metadata.Label = await moderateContent(env, moderateUrl);
+        }
+
+        // 写入数据库
+        try {
+            await db.put(fullId, "", { metadata });
+        } catch {
+            return createResponse("Error: Failed to write to database", { status: 500 });
+        }
+
+        // 结束上传
+        waitUntil(endUpload(context, fullId, metadata));
+
+        return createResponse(JSON.stringify([{ src: returnLink }]), {
+            status: 200,
+            headers: {
+                "Content-Type": "application/json",
+            },
+        });
+    } catch (error) {
+        return createResponse(`Error: Failed to upload to S3 - ${error.message}`, { status: 500 });
+    }
+}
+
+// 上传单个分块到S3 (Multipart Upload)
+async function uploadSingleChunkToS3Multipart(context, chunkData, chunkIndex, totalChunks, uploadId, originalFileName, originalFileType) {
+    const { env } = context;
+    const db = getDatabase(env);
+
+    try {
+        const s3Channel = selectChunkChannel(context, uploadId);
+
+        if (!s3Channel) {
+            return { success: false, error: 'No S3 channel provided' };
+        }
+
+        console.log(`Uploading S3 chunk ${chunkIndex} for uploadId: ${uploadId}, selected channel: ${s3Channel.name || 'default'}`);
+
+        const { bucketName } = s3Channel;
+        const s3Client = createChannelClient(s3Channel);
+
+        const multipartKey = `multipart_${uploadId}`;
+
+        let finalFileId;
+
+        // 如果是第一个分块，生成并保存 finalFileId
+        if (chunkIndex === 0) {
+            finalFileId = await buildUniqueFileId(context, originalFileName, originalFileType);
+
+            const createResponse = await s3Client.send(new CreateMultipartUploadCommand({
+                Bucket: bucketName,
+                Key: finalFileId,
+                ContentType: originalFileType || 'application/octet-stream'
+            }));
+
+            const multipartInfo = {
+                uploadId: createResponse.UploadId,
+                key: finalFileId
+            };
+
+            // 保存multipart info
+            await db.put(multipartKey, JSON.stringify(multipartInfo), {
+                expirationTtl: 3600 // 1小时过期
+            });
+        } else {
+            // 其他分块需要等待第一个分块完成multipart upload初始化
+            let multipartInfoData = null;
+            let retryCount = 0;
+            const maxRetries = 30; // 最多等待60秒
+
+            while (!multipartInfoData && retryCount < maxRetries) {
+                multipartInfoData = await db.get(multipartKey);
+                if (!multipartInfoData) {
+                    // 等待2秒后重试
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    retryCount++;
+                    console.log(`S3 chunk ${chunkIndex} waiting for multipart initialization... (${retryCount}/${maxRetries})`);
+                }
+            }
+
+            if (!multipartInfoData) {
+                return { success: false, error: 'Multipart upload not initialized after waiting' };
+            }
+
+            const multipartInfo = JSON.parse(multipartInfoData);
+            finalFileId = multipartInfo.key;
+        }
+
+        // 获取multipart info
+        const multipartInfoData = await db.get(multipartKey);
+        if (!multipartInfoData) {
+            return { success: false, error: 'Multipart upload not initialized' };
+        }
+
+        const multipartInfo = JSON.parse(multipartInfoData);
+
+        // 上传分块
+        const uploadResponse = await s3Client.send(new UploadPartCommand({
+            Bucket: bucketName,
+            Key: finalFileId,
+            PartNumber: chunkIndex + 1,
+            UploadId: multipartInfo.uploadId,
+            Body: new Uint8Array(chunkData)
+        }));
+
+        if (!uploadResponse || !uploadResponse.ETag) {
+            throw new Error(`Failed to upload part ${chunkIndex + 1} to S3`);
+        }
+
+        return {
+            success: true,
+            partNumber: chunkIndex + 1,
+            etag: uploadResponse.ETag,
+            size: chunkData.byteLength,
+            uploadTime: Date.now(),
+            s3Channel: s3Channel.name,
+            multipartUploadId: multipartInfo.uploadId,
+            key: finalFileId
+        };
+
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// 合并S3分块信息
+async function mergeS3ChunksInfo(context, uploadId, completedChunks, metadata) {
+    const { env, waitUntil, url } = context;
+    const db = getDatabase(env);
+
+    try {
+        const s3Channel = selectChunkChannel(context, uploadId);
+
+        console.log(`Merging S3 chunks for uploadId: ${uploadId}, selected channel: ${s3Channel.name || 'default'}`);
+
+        const { endpoint, pathStyle, accessKeyId, secretAccessKey, bucketName, region } = s3Channel;
+        const s3Client = createChannelClient(s3Channel);
+
+        const multipartKey = `multipart_${uploadId}`;
+
+        // 获取multipart info
+        const multipartInfoData = await db.get(multipartKey);
+        if (!multipartInfoData) {
+            throw new Error('Multipart upload info not found');
+        }
+
+        const multipartInfo = JSON.parse(multipartInfoData);
+
+        // 组织所有分块
+        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
+        const parts = [];
+
+        for (const chunk of sortedChunks) {
+            const part = {
+                ETag: chunk.uploadResult.etag,
+                PartNumber: chunk.uploadResult.partNumber
+            };
+            parts.push(part);
+        }
+
+        // 完成multipart upload
+        await s3Client.send(new CompleteMultipartUploadCommand({
+            Bucket: bucketName,
+            Key: multipartInfo.key,
+            UploadId: multipartInfo.uploadId,
+            MultipartUpload: { Parts: parts }
+        }));
+
+        // 计算总大小
+        const totalSize = completedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
+
+        // 使用multipart info中的finalFileId更新metadata
+        const finalFileId = multipartInfo.key;
+        metadata.Channel = "S3";
+        metadata.ChannelName = s3Channel.name;
+        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
+        metadata.FileSizeBytes = totalSize;
+        metadata.S3Location = buildS3Location(endpoint, bucketName, pathStyle, finalFileId);
+        metadata.S3Endpoint = endpoint;
+        metadata.S3PathStyle = pathStyle;
+        metadata.S3AccessKeyId = accessKeyId;
+        metadata.S3SecretAccessKey = secretAccessKey;
+        metadata.S3Region = region || "auto";
+        metadata.S3BucketName = bucketName;
+        metadata.S3FileKey = finalFileId;
+
+        // 清理multipart info
+        await db.delete(multipartKey);
+
+        // 写入数据库
+        await db.put(finalFileId, "", { metadata });
+
+        // 异步结束上传
+        waitUntil(endUpload(context, finalFileId, metadata));
+
+        // 更新返回链接
+        const returnFormat = url.searchParams.get('returnFormat') || 'default';
+        let updatedReturnLink = '';
+        if (returnFormat === 'full') {
+            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
+        } else {
+            updatedReturnLink = `/file/${finalFileId}`;
+        }
+
+        return {
+            success: true,
+            result: [{ src: updatedReturnLink }]
+        };
+
+    } catch (error) {
+        throw new Error(`S3 merge failed: ${error.message}`);
+    }
+}
+
+// 清理S3 multipart upload
+async function abortS3MultipartUpload(context, uploadId, multipartInfo) {
+    const s3Channel = selectChunkChannel(context, uploadId);
+    if (!s3Channel) {
+        return;
+    }
+
+    const s3Client = createChannelClient(s3Channel);
+    await s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: s3Channel.bucketName,
+        Key: multipartInfo.key,
+        UploadId: multipartInfo.uploadId
+    }));
+}
+
+// 处理S3文件读取
+async function readS3File(context, imgRecord, fileId, encodedFileName, fileType) {
+    const { Referer, url, request } = context;
+    const metadata = imgRecord.metadata;
+
+    // 检查是否配置了 CDN 文件完整路径
+    const cdnFileUrl = metadata?.S3CdnFileUrl;
+
+    // 如果配置了 CDN 文件路径，通过 CDN 读取文件
+    if (cdnFileUrl) {
+        try {
+            // 处理 HEAD 请求
+            if (request.method === 'HEAD') {
+                const headers = new Headers();
+                setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+                return handleHeadRequest(headers);
+            }
+
+            // 构建请求头
+            const fetchHeaders = {};
+
+            // 支持 Range 请求
+            const range = request.headers.get('Range');
+            if (range) {
+                fetchHeaders['Range'] = range;
+            }
+
+            // 通过 CDN 获取文件（直接使用完整路径，无需拼接）
+            const response = await fetch(cdnFileUrl, {
+                method: 'GET',
+                headers: fetchHeaders
+            });
+
+            if (!response.ok && response.status !== 206) {
+                // CDN 读取失败，回退到 S3 API
+                console.warn(`CDN fetch failed (${response.status}), falling back to S3 API`);
+                return await readS3FileViaAPI(context, metadata, encodedFileName, fileType);
+            }
+
+            // 构建响应头
+            const headers = new Headers();
+            setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+            // 复制相关头部
+            if (response.headers.get('Content-Length')) {
+                headers.set('Content-Length', response.headers.get('Content-Length'));
+            }
+            if (response.headers.get('Content-Range')) {
+                headers.set('Content-Range', response.headers.get('Content-Range'));
+            }
+
+            return new Response(response.body, {
+                status: response.status,
+                headers
+            });
+
+        } catch (error) {
+            // CDN 读取出错，回退到 S3 API
+            console.error(`CDN fetch error: ${error.message}, falling back to S3 API`);
+            return await readS3FileViaAPI(context, metadata, encodedFileName, fileType);
+        }
+    }
+
+    // 没有配置 CDN 文件路径，使用 S3 API
+    return await readS3FileViaAPI(context, metadata, encodedFileName, fileType);
+}
+
+// 通过 S3 API 读取文件
+async function readS3FileViaAPI(context, metadata, encodedFileName, fileType) {
+    const { Referer, url, request } = context;
+
+    const s3Client = createMetadataClient(metadata);
+
+    const bucketName = metadata?.S3BucketName;
+    const key = metadata?.S3FileKey;
+
+    try {
+        // 检查Range请求头
+        const range = request.headers.get('Range');
+        const commandParams = {
+            Bucket: bucketName,
+            Key: key
+        };
+
+        if (range) {
+            // 添加Range参数用于部分内容请求
+            commandParams.Range = range;
+        }
+
+        const command = new GetObjectCommand(commandParams);
+        const response = await s3Client.send(command);
+
+        // 设置响应头
+        const headers = new Headers();
+        setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+        // 设置Content-Length和Content-Range头
+        if (response.ContentLength) {
+            headers.set('Content-Length', response.ContentLength.toString());
+        }
+
+        if (response.ContentRange) {
+            headers.set('Content-Range', response.ContentRange);
+        }
+
+        // 处理HEAD请求
+        if (request.method === 'HEAD') {
+            return handleHeadRequest(headers);
+        }
+
+        // 返回响应，支持流式传输
+        const statusCode = range ? 206 : 200; // Range请求返回206 Partial Content
+        return new Response(response.Body, {
+            status: statusCode,
+            headers
+        });
+
+    } catch (error) {
+        return new Response(`Error: Failed to fetch from S3 - ${error.message}`, { status: 500 });
+    }
+}
+
+// 删除 S3 渠道的图片
+async function deleteS3File(env, fileId, metadata) {
+    const s3Client = createMetadataClient(metadata);
+
+    try {
+        await s3Client.send(new DeleteObjectCommand({
+            Bucket: metadata?.S3BucketName,
+            Key: metadata?.S3FileKey,
+        }));
+        return true;
+    } catch (error) {
+        console.error("S3 Delete Failed:", error);
+        return false;
+    }
+}
+
+// 复制 S3 渠道的图片到新文件 ID
+async function copyS3File(env, fileId, newFileId, metadata) {
+    const s3Client = createMetadataClient(metadata);
+
+    const bucketName = metadata.S3BucketName;
+    const oldKey = metadata.S3FileKey;
+    const newKey = newFileId;
+
+    try {
+        await s3Client.send(new CopyObjectCommand({
+            Bucket: bucketName,
+            CopySource: `/${bucketName}/${oldKey}`,
+            Key: newKey,
+        }));
+    } catch (error) {
+        console.error("S3 Copy Failed:", error);
+        return { success: false, error: error.message };
+    }
+
+    // 返回新的 S3 文件信息
+    const newMetadata = {
+        ...metadata,
+        S3FileKey: newKey,
+        S3Location: buildS3Location(metadata.S3Endpoint, bucketName, metadata.S3PathStyle, newKey)
+    };
+    if (metadata.S3CdnFileUrl?.endsWith(`/${oldKey}`)) {
+        newMetadata.S3CdnFileUrl = metadata.S3CdnFileUrl.slice(0, -oldKey.length) + newKey;
+    }
+    return { success: true, metadata: newMetadata };
+}
+
+// 写入附属文件，与源文件使用同一存储桶
+async function putS3Object(context, key, file, sourceMetadata) {
+    const s3Client = createMetadataClient(sourceMetadata);
+    await s3Client.send(new PutObjectCommand({
+        Bucket: sourceMetadata.S3BucketName,
+        Key: key,
+        Body: new Uint8Array(await file.arrayBuffer()),
+        ContentType: file.type
+    }));
+
+    return {
+        Channel: "S3",
+        ChannelName: sourceMetadata.ChannelName,
+        S3Location: buildS3Location(sourceMetadata.S3Endpoint, sourceMetadata.S3BucketName, sourceMetadata.S3PathStyle, key),
+        S3Endpoint: sourceMetadata.S3Endpoint,
+        S3PathStyle: sourceMetadata.S3PathStyle,
+        S3AccessKeyId: sourceMetadata.S3AccessKeyId,
+        S3SecretAccessKey: sourceMetadata.S3SecretAccessKey,
+        S3Region: sourceMetadata.S3Region,
+        S3BucketName: sourceMetadata.S3BucketName,
+        S3FileKey: key,
+    };
+}
+
+// 写入文件副本，使用副本渠道的存储桶
+async function replicateToS3(context, key, file, channelConfig) {
+    return await putS3Object(context, key, file, {
+        ChannelName: channelConfig.name,
+        S3Endpoint: channelConfig.endpoint,
+        S3PathStyle: channelConfig.pathStyle || false,
+        S3AccessKeyId: channelConfig.accessKeyId,
+        S3SecretAccessKey: channelConfig.secretAccessKey,
+        S3Region: channelConfig.region || 'auto',
+        S3BucketName: channelConfig.bucketName,
+    });
+}
+
+// 检查存储桶是否可以访问
+async function checkS3Health(channelConfig) {
+    if (!channelConfig.endpoint || !channelConfig.bucketName) {
+        return { success: false, error: 'S3 channel is not properly configured' };
+    }
+
+    const s3Client = createChannelClient(channelConfig);
+    await s3Client.send(new HeadBucketCommand({ Bucket: channelConfig.bucketName }));
+    return { success: true };
+}
@@ -0,0 +1,946 @@
+/* ======== Telegram 渠道驱动（同时读取旧版 Telegram 渠道的文件） ======== */
+import { TelegramAPI } from '../telegramAPI.js';
+import { getDatabase } from '../databaseAdapter.js';
+import { createResponse, moderateContent, buildUniqueFileId, endUpload, selectConsistentChannel } from '../../upload/uploadTools.js';
+import { setCommonHeaders, setRangeHeaders, handleHeadRequest, getFileContent, return404 } from '../../file/fileTools.js';
+
+// 16MB 分片阈值 (TG Bot getFile download limit: 20MB, leave 4MB safety margin)
+const CHUNK_SIZE = 16 * 1024 * 1024;
+
+export const telegramDriver = {
+    name: 'telegram',
+    channel: 'TelegramNew',
+    aliases: ['Telegram'],
+    chunkSize: CHUNK_SIZE,
+    quota: false,
+    secretFields: ['TgBotToken'],
+    upload: uploadFileToTelegram,
+    uploadChunk: uploadSingleChunkToTelegram,
+    mergeChunks: mergeTelegramChunksInfo,
+    read: readTelegramFile,
+    putObject: putTelegramObject,
+    replicate: replicateToTelegram,
+    healthCheck: checkTelegramHealth,
+};
+
+// 选择分块上传使用的渠道：优先使用指定的渠道名称，同一上传的所有分块使用同一渠道
+function selectChunkChannel(context, uploadId) {
+    const { uploadConfig, specifiedChannelName } = context;
+    const tgSettings = uploadConfig.telegram;
+    const tgChannels = tgSettings.channels;
+
+    let tgChannel;
+    if (specifiedChannelName) {
+        tgChannel = tgChannels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!tgChannel) {
+        tgChannel = selectConsistentChannel(tgChannels, uploadId, tgSettings.loadBalance.enabled);
+    }
+    return tgChannel;
+}
+
+// 上传到Telegram，文件扩展名由上传接口存入 context.fileExt
+async function uploadFileToTelegram(context, fullId, metadata, returnLink) {
+    const { env, waitUntil, uploadConfig, url, formdata, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    const fileName = metadata.FileName;
+    const fileType = metadata.FileType;
+    const fileExt = context.fileExt || fileName.split('.').pop();
+
+    // 选择一个 Telegram 渠道上传
+    const tgSettings = uploadConfig.telegram;
+    const tgChannels = tgSettings.channels;
+
+    let tgChannel;
+    // 如果指定了渠道名称，优先使用指定的渠道
+    if (specifiedChannelName) {
+        tgChannel = tgChannels.find(ch => ch.name === specifiedChannelName);
+    }
+    // 未指定或未找到指定渠道，使用负载均衡或第一个
+    if (!tgChannel) {
+        tgChannel = tgSettings.loadBalance.enabled ? tgChannels[Math.floor(Math.random() * tgChannels.length)] : tgChannels[0];
+    }
+    if (!tgChannel) {
+        return createResponse('Error: No Telegram channel provided', { status: 400 });
+    }
+
+    const tgBotToken = tgChannel.botToken;
+    const tgChatId = tgChannel.chatId;
+    const tgProxyUrl = tgChannel.proxyUrl || '';
+    const file = formdata.get('file');
+    const fileSize = file.size;
+
+    const telegramAPI = new TelegramAPI(tgBotToken, tgProxyUrl);
+
+// 检测全量元数据
+    let caption = '';
+    let aiData = null; // 用于存储提取到的 AI 数据
+
+    // 注意：这里我们获取的是一个对象了
+    aiData = await extractAIPrompt(file);
+    if (aiData) {
+        caption = aiData.caption; // 图片使用预览版 Caption
+    }
+
+    if (fileSize > CHUNK_SIZE) {
+        // 大文件分片上传
+        return await uploadLargeFileToTelegram(context, file, fullId, metadata, fileName, returnLink, tgChannel);
+    }
+
+    // 由于TG会把gif后缀的文件转为视频，所以需要修改后缀名绕过限制
+    if (fileExt === 'gif') {
+        const newFileName = fileName.replace(/\.gif$/, '.jpeg');
+        const newFile = new File([formdata.get('file')], newFileName, { type: fileType });
+        formdata.set('file', newFile);
+    } else if (fileExt === 'webp') {
+        const newFileName = fileName.replace(/\.webp$/, '.jpeg');
+        const newFile = new File([formdata.get('file')], newFileName, { type: fileType });
+        formdata.set('file', newFile);
+    }
+
+    // 选择对应的发送接口
+    const fileTypeMap = {
+        'image/': { 'url': 'sendPhoto', 'type': 'photo' },
+        'video/': { 'url': 'sendVideo', 'type': 'video' },
+        'audio/': { 'url': 'sendAudio', 'type': 'audio' },
+        'application/pdf': { 'url': 'sendDocument', 'type': 'document' },
+    };
+
+    const defaultType = { 'url': 'sendDocument', 'type': 'document' };
+
+    let sendFunction = Object.keys(fileTypeMap).find(key => fileType.startsWith(key))
+        ? fileTypeMap[Object.keys(fileTypeMap).find(key => fileType.startsWith(key))]
+        : defaultType;
+
+    // GIF ICO 等发送接口特殊处理
+    if (fileType === 'image/gif' || fileType === 'image/webp' || fileExt === 'gif' || fileExt === 'webp') {
+        sendFunction = { 'url': 'sendAnimation', 'type': 'animation' };
+    } else if (fileType === 'image/svg+xml' || fileType === 'image/x-icon') {
+        sendFunction = { 'url': 'sendDocument', 'type': 'document' };
+    }
+
+    // 根据服务端压缩设置处理接口：从参数中获取serverCompress，如果为false，则使用sendDocument接口
+    if (url.searchParams.get('serverCompress') === 'false') {
+        sendFunction = { 'url': 'sendDocument', 'type': 'document' };
+    }
+
+// 上传文件到 Telegram
+    let res = createResponse('upload error, check your environment params about telegram channel!', { status: 400 });
+    try {
+        // 1. 发送图片 (使用预览版 Caption)
+        const response = await telegramAPI.sendFile(formdata.get('file'), tgChatId, sendFunction.url, sendFunction.type, caption);
+
+        // 检查 Telegram 响应是否成功
+        if (!response.ok) {
+            throw new Error(`Telegram API error: ${response.description}`);
+        }
+
+        // --- [新增逻辑]：补发完整提示词消息 ---
+        if (aiData && aiData.needsSecondMessage) {
+            try {
+                // 回复刚才发送成功的那张图
+                const messageId = response.result ? response.result.message_id : null;
+                await telegramAPI.sendMessage(tgChatId, aiData.fullText, messageId);
+            } catch (msgError) {
+                console.error('Failed to send extra prompt message:', msgError);
+            }
+        }
+        // ------------------------------------
+
+        // --- [核心修复]：必须保留以下三行，否则后面会报错 ---
+        const fileInfo = telegramAPI.getFileInfo(response);
+        const filePath = await telegramAPI.getFilePath(fileInfo.file_id);
+        const id = fileInfo.file_id;
+        // ------------------------------------------------
+
+        // 更新 FileSize
+        metadata.FileSize = (fileInfo.file_size / 1024 / 1024).toFixed(2);
+
+        // 构建返回给图床前端的成功响应
+        res = createResponse(
+            JSON.stringify([{ 'src': `${returnLink}` }]),
+            {
+                status: 200,
+                headers: { 'Content-Type': 'application/json' }
+            }
+        );
+
+        // 图像审查
+        const moderateDomain = tgProxyUrl ? `https://${tgProxyUrl}` : 'https://api.telegram.org';
+        const moderateUrl = `${moderateDomain}/file/bot${tgBotToken}/${filePath}`;
+        metadata.Label = await moderateContent(env, moderateUrl);
+
+        // 更新 metadata，写入数据库
+        try {
+            metadata.Channel = "TelegramNew";
+            metadata.ChannelName = tgChannel.name;
+            metadata.TgFileId = id;
+            metadata.TgChatId = tgChatId;
+            metadata.TgBotToken = tgBotToken;
+            if (tgProxyUrl) {
+                metadata.TgProxyUrl = tgProxyUrl;
+            }
+            await db.put(fullId, "", { metadata: metadata });
+        } catch (error) {
+            res = createResponse('Error: Failed to write to KV database', { status: 500 });
+        }
+
+        // 结束上传流程 (清除缓存等)
+        waitUntil(endUpload(context, fullId, metadata));
+
+    } catch (error) {
+        console.error('Telegram upload error:', error.message);
+        res = createResponse('upload error, check your environment params about telegram channel!', { status: 400 });
+    } finally {
+        return res;
+    }
+}
+
+// 单个大文件分块上传到Telegram
+async function uploadLargeFileToTelegram(context, file, fullId, metadata, fileName, returnLink, tgChannel) {
+    const { env, waitUntil } = context;
+    const db = getDatabase(env);
+
+    const tgBotToken = tgChannel.botToken;
+    const tgChatId = tgChannel.chatId;
+    const tgProxyUrl = tgChannel.proxyUrl || '';
+    const fileSize = file.size;
+    const totalChunks = Math.ceil(fileSize / CHUNK_SIZE);
+
+    // 为了避免CPU超时，限制最大分片数（考虑Cloudflare Worker的CPU时间限制）
+    if (totalChunks > 50) {
+        return createResponse('Error: File too large (exceeds 1GB limit)', { status: 413 });
+    }
+
+    const chunks = [];
+    const uploadedChunks = [];
+
+    try {
+        // 分片上传，每10个分片做一次微小延迟以避免CPU超时
+        for (let i = 0; i < totalChunks; i++) {
+            const start = i * CHUNK_SIZE;
+            const end = Math.min(start + CHUNK_SIZE, fileSize);
+            const chunkBlob = file.slice(start, end);
+
+            // 生成分片文件名
+            const chunkFileName = `${fileName}.part${i.toString().padStart(3, '0')}`;
+
+            // 上传分片（带重试机制）
+            const chunkInfo = await uploadChunkToTelegramWithRetry(
+                tgBotToken,
+                tgChatId,
+                tgProxyUrl,
+                chunkBlob,
+                chunkFileName,
+                i,
+                totalChunks
+            );
+
+            if (!chunkInfo) {
+                throw new Error(`Failed to upload chunk ${i + 1}/${totalChunks} after retries`);
+            }
+
+            // 验证分片信息完整性
+            if (!chunkInfo.file_id || !chunkInfo.file_size) {
+                throw new Error(`Invalid chunk info for chunk ${i + 1}/${totalChunks}`);
+            }
+
+            chunks.push({
+                index: i,
+                fileId: chunkInfo.file_id,
+                size: chunkInfo.file_size,
+                fileName: chunkFileName
+            });
+
+            uploadedChunks.push(chunkInfo.file_id);
+
+            // 每10个分片检查一下，添加微小延迟避免CPU限制
+            if (i > 0 && i % 10 === 0) {
+                await new Promise(resolve => setTimeout(resolve, 50)); // 50ms延迟
+            }
+        }
+
+        // 所有分片上传成功，更新metadata
+        metadata.Channel = "TelegramNew";
+        metadata.ChannelName = tgChannel.name;
+        metadata.TgChatId = tgChatId;
+        metadata.TgBotToken = tgBotToken;
+        if (tgProxyUrl) {
+            metadata.TgProxyUrl = tgProxyUrl;
+        }
+        metadata.IsChunked = true;
+        metadata.TotalChunks = totalChunks;
+        metadata.FileSize = (fileSize / 1024 / 1024).toFixed(2);
+
+
+        // 将分片信息存储到value中
+        const chunksData = JSON.stringify(chunks);
+
+        // 验证分片完整性
+        if (chunks.length !== totalChunks) {
+            throw new Error(`Chunk count mismatch: expected ${totalChunks}, got ${chunks.length}`);
+        }
+
+        // 写入最终的数据库记录，分片信息作为value
+        await db.put(fullId, chunksData, { metadata });
+
+        // 异步结束上传
+        waitUntil(endUpload(context, fullId, metadata));
+
+        return createResponse(
+            JSON.stringify([{ 'src': returnLink }]),
+            {
+                status: 200,
+                headers: {
+                    'Content-Type': 'application/json',
+                }
+            }
+        );
+
+    } catch (error) {
+        return createResponse(`Telegram Channel Error: Large file upload failed - ${error.message}`, { status: 500 });
+    }
+}
+
+// 上传单个分块到Telegram
+async function uploadSingleChunkToTelegram(context, chunkData, chunkIndex, totalChunks, uploadId, originalFileName, originalFileType) {
+    try {
+        const tgChannel = selectChunkChannel(context, uploadId);
+
+        if (!tgChannel) {
+            return { success: false, error: 'No Telegram channel provided' };
+        }
+
+        console.log(`Uploading Telegram chunk ${chunkIndex} for uploadId: ${uploadId}, selected channel: ${tgChannel.name || 'default'}`);
+
+        const tgBotToken = tgChannel.botToken;
+        const tgChatId = tgChannel.chatId;
+        const tgProxyUrl = tgChannel.proxyUrl || '';
+
+        // 创建分块文件名
+        const chunkFileName = `${originalFileName}.part${chunkIndex.toString().padStart(3, '0')}`;
+        const chunkBlob = new Blob([chunkData], { type: 'application/octet-stream' });
+
+        // 上传分块到Telegram（支持代理域名）
+        const chunkInfo = await uploadChunkToTelegramWithRetry(
+            tgBotToken,
+            tgChatId,
+            tgProxyUrl,
+            chunkBlob,
+            chunkFileName,
+            chunkIndex,
+            totalChunks, // 传入正确的totalChunks
+            2 // maxRetries
+        );
+
+        if (!chunkInfo) {
+            return { success: false, error: 'Failed to upload chunk to Telegram' };
+        }
+
+        return {
+            success: true,
+            fileId: chunkInfo.file_id,
+            size: chunkInfo.file_size,
+            fileName: chunkFileName,
+            uploadTime: Date.now(),
+            tgChannel: tgChannel.name
+        };
+
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+// 将每个分块上传至Telegram，支持失败重试（支持代理域名）
+async function uploadChunkToTelegramWithRetry(tgBotToken, tgChatId, tgProxyUrl, chunkBlob, chunkFileName, chunkIndex, totalChunks, maxRetries = 2) {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+        try {
+            const tgAPI = new TelegramAPI(tgBotToken, tgProxyUrl);
+
+            const caption = `Part ${chunkIndex + 1}/${totalChunks}`;
+
+            const response = await tgAPI.sendFile(chunkBlob, tgChatId, 'sendDocument', 'document', caption, chunkFileName);
+            if (!response.ok) {
+                throw new Error(response.description || 'Telegram API error');
+            }
+
+            const fileInfo = tgAPI.getFileInfo(response);
+            if (!fileInfo) {
+                throw new Error('Failed to extract file info from response');
+            }
+
+            return fileInfo;
+
+        } catch (error) {
+            console.warn(`Chunk ${chunkIndex} upload attempt ${attempt + 1} failed:`, error.message);
+
+            if (attempt === maxRetries - 1) {
+                return null; // 最后一次尝试也失败了
+            }
+
+            // 减少重试等待时间以节省CPU时间
+            await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+        }
+    }
+
+    return null;
+}
+
+// 合并Telegram分块信息
+async function mergeTelegramChunksInfo(context, uploadId, completedChunks, metadata) {
+    const { env, waitUntil, url } = context;
+    const db = getDatabase(env);
+
+    try {
+        const tgChannel = selectChunkChannel(context, uploadId);
+
+        console.log(`Merging Telegram chunks for uploadId: ${uploadId}, selected channel: ${tgChannel.name || 'default'}`);
+
+        const tgBotToken = tgChannel.botToken;
+        const tgChatId = tgChannel.chatId;
+
+        // 按顺序排列分块
+        const sortedChunks = completedChunks.sort((a, b) => a.index - b.index);
+
+        // 计算总大小
+        const totalSize = sortedChunks.reduce((sum, chunk) => sum + chunk.uploadResult.size, 0);
+
+        // 构建分块信息数组
+        const chunks = sortedChunks.map(chunk => ({
+            index: chunk.index,
+            fileId: chunk.uploadResult.fileId,
+            size: chunk.uploadResult.size,
+            fileName: chunk.uploadResult.fileName
+        }));
+
+        // 生成 finalFileId
+        const finalFileId = await buildUniqueFileId(context, metadata.FileName, metadata.FileType);
+
+        // 更新metadata
+        metadata.Channel = "TelegramNew";
+        metadata.ChannelName = tgChannel.name;
+        metadata.TgChatId = tgChatId;
+        metadata.TgBotToken = tgBotToken;
+        // 保存代理域名配置（如果有）
+        if (tgChannel.proxyUrl) {
+            metadata.TgProxyUrl = tgChannel.proxyUrl;
+        }
+        metadata.IsChunked = true;
+        metadata.TotalChunks = completedChunks.length;
+        metadata.FileSize = (totalSize / 1024 / 1024).toFixed(2);
+        metadata.FileSizeBytes = totalSize;
+
+        // 将分片信息存储到value中
+        const chunksData = JSON.stringify(chunks);
+
+        // 写入数据库
+        await db.put(finalFileId, chunksData, { metadata });
+
+        // 异步结束上传
+        waitUntil(endUpload(context, finalFileId, metadata));
+
+        // 生成返回链接
+        const returnFormat = url.searchParams.get('returnFormat') || 'default';
+        let updatedReturnLink = '';
+        if (returnFormat === 'full') {
+            updatedReturnLink = `${url.origin}/file/${finalFileId}`;
+        } else {
+            updatedReturnLink = `/file/${finalFileId}`;
+        }
+
+        return {
+            success: true,
+            result: [{ 'src': updatedReturnLink }]
+        };
+
+    } catch (error) {
+        throw new Error(`Telegram merge failed: ${error.message}`);
+    }
+}
+
+// 读取Telegram文件，旧版 Telegram 渠道的文件ID为 file_id + 扩展名
+async function readTelegramFile(context, imgRecord, fileId, encodedFileName, fileType) {
+    const { request, env, url, Referer } = context;
+
+    let TgFileID = ''; // Tg的file_id
+
+    if (imgRecord.metadata?.Channel === 'Telegram') {
+        TgFileID = fileId.split('.')[0]; // id为file_id + ext
+    } else {
+        // 检查是否为分片文件
+        if (imgRecord.metadata?.IsChunked === true) {
+            return await readTelegramChunkedFile(context, imgRecord, encodedFileName, fileType);
+        }
+
+        TgFileID = imgRecord.metadata?.TgFileId;
+
+        if (TgFileID === null) {
+            return new Response('Error: Failed to fetch image', { status: 500 });
+        }
+    }
+
+    // 获取TG图片真实地址（支持代理域名）
+    const TgBotToken = imgRecord.metadata?.TgBotToken || env.TG_BOT_TOKEN;
+    const TgProxyUrl = imgRecord.metadata?.TgProxyUrl || '';
+    const tgApi = new TelegramAPI(TgBotToken, TgProxyUrl);
+    const filePath = await tgApi.getFilePath(TgFileID);
+    if (filePath === null) {
+        return new Response('Error: Failed to fetch image path', { status: 500 });
+    }
+    // 使用代理域名或官方域名
+    const fileDomain = TgProxyUrl ? `https://${TgProxyUrl}` : 'https://api.telegram.org';
+    const targetUrl = `${fileDomain}/file/bot${TgBotToken}/${filePath}`;
+
+    try {
+        const response = await getFileContent(request, targetUrl);
+
+        if (response === null) {
+            return new Response('Error: Failed to fetch image', { status: 500 });
+        } else if (response.status === 404) {
+            return await return404(url);
+        }
+
+        const headers = new Headers(response.headers);
+        setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+        return new Response(response.body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+        });
+    } catch (error) {
+        return new Response('Error: ' + error, { status: 500 });
+    }
+}
+
+// 处理 Telegram 渠道分片文件读取
+async function readTelegramChunkedFile(context, imgRecord, encodedFileName, fileType) {
+    const { env, request, url, Referer } = context;
+
+    const metadata = imgRecord.metadata;
+    const TgBotToken = metadata.TgBotToken || env.TG_BOT_TOKEN;
+    const TgProxyUrl = metadata.TgProxyUrl || '';
+
+    // 从KV的value中读取分片信息
+    let chunks = [];
+    try {
+        if (imgRecord.value) {
+            chunks = JSON.parse(imgRecord.value);
+            // 确保分片按索引排序
+            chunks.sort((a, b) => a.index - b.index);
+        }
+    } catch (parseError) {
+        console.error('Failed to parse chunks data:', parseError);
+        return new Response('Error: Invalid chunks data', { status: 500 });
+    }
+
+    if (chunks.length === 0) {
+        return new Response('Error: No chunks found for this file', { status: 500 });
+    }
+
+    // 验证分片完整性
+    const expectedChunks = metadata.TotalChunks || chunks.length;
+    if (chunks.length !== expectedChunks) {
+        return new Response(`Error: Missing chunks, expected ${expectedChunks}, got ${chunks.length}`, { status: 500 });
+    }
+
+    // 计算文件总大小
+    const totalSize = chunks.reduce((total, chunk) => total + (chunk.size || 0), 0);
+
+    // 构建响应头
+    const headers = new Headers();
+    setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+    headers.set('Content-Length', totalSize.toString());
+
+    // 添加ETag支持
+    const etag = `"${metadata.TimeStamp || Date.now()}-${totalSize}"`;
+    headers.set('ETag', etag);
+
+    // 检查If-None-Match头（304缓存）
+    const ifNoneMatch = request.headers.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch === etag) {
+        return new Response(null, {
+            status: 304,
+            headers: {
+                'ETag': etag,
+                'Cache-Control': headers.get('Cache-Control'),
+                'Accept-Ranges': 'bytes'
+            }
+        });
+    }
+
+    // 检查Range请求头
+    const range = request.headers.get('Range');
+    let rangeStart = 0;
+    let rangeEnd = totalSize - 1;
+    let isRangeRequest = false;
+
+    if (range) {
+        const matches = range.match(/bytes=(\d+)-(\d*)/);
+        if (matches) {
+            rangeStart = parseInt(matches[1]);
+            rangeEnd = matches[2] ? parseInt(matches[2]) : totalSize - 1;
+            isRangeRequest = true;
+
+            // 验证范围有效性
+            if (rangeStart >= totalSize || rangeEnd >= totalSize || rangeStart > rangeEnd) {
+                return new Response('Range Not Satisfiable', { status: 416 });
+            }
+        }
+    }
+
+    // 处理HEAD请求
+    if (request.method === 'HEAD') {
+        return handleHeadRequest(headers, etag);
+    }
+
+    try {
+        // 创建支持Range请求的流
+        const stream = new ReadableStream({
+            async start(controller) {
+                try {
+                    let currentPosition = 0;
+
+                    for (let i = 0; i < chunks.length; i++) {
+                        const chunk = chunks[i];
+                        const chunkSize = chunk.size || 0;
+
+                        // 如果当前分片完全在请求范围之前，跳过
+                        if (currentPosition + chunkSize <= rangeStart) {
+                            currentPosition += chunkSize;
+                            continue;
+                        }
+
+                        // 如果当前分片完全在请求范围之后，结束
+                        if (currentPosition > rangeEnd) {
+                            break;
+                        }
+
+                        // 获取分片数据（支持代理域名）
+                        const chunkData = await fetchTelegramChunkWithRetry(TgBotToken, chunk, TgProxyUrl, 3);
+                        if (!chunkData) {
+                            throw new Error(`Failed to fetch chunk ${chunk.index} after retries`);
+                        }
+
+                        // 计算在当前分片中的起始和结束位置
+                        const chunkStart = Math.max(0, rangeStart - currentPosition);
+                        const chunkEnd = Math.min(chunkSize, rangeEnd - currentPosition + 1);
+
+                        // 如果需要部分分片数据
+                        if (chunkStart > 0 || chunkEnd < chunkSize) {
+                            const partialData = chunkData.slice(chunkStart, chunkEnd);
+                            controller.enqueue(partialData);
+                        } else {
+                            controller.enqueue(chunkData);
+                        }
+
+                        currentPosition += chunkSize;
+                    }
+
+                    controller.close();
+                } catch (error) {
+                    controller.error(error);
+                }
+            }
+        });
+
+        // 设置Range相关头部
+        if (isRangeRequest) {
+            setRangeHeaders(headers, rangeStart, rangeEnd, totalSize);
+
+            return new Response(stream, {
+                status: 206, // Partial Content
+                headers,
+            });
+        } else {
+            headers.set('Cache-Control', 'private, max-age=86400'); // CDN 不缓存完整文件，避免 CDN 不支持 Range 请求
+
+            return new Response(stream, {
+                status: 200,
+                headers,
+            });
+        }
+
+    } catch (error) {
+        return new Response(`Error: Failed to reconstruct chunked file - ${error.message}`, { status: 500 });
+    }
+}
+
+// 带重试机制的Telegram分片获取函数（支持代理域名）
+async function fetchTelegramChunkWithRetry(botToken, chunk, proxyUrl = '', maxRetries = 3) {
+    for (let attempt = 0; attempt < maxRetries; attempt++) {
+        try {
+            const tgApi = new TelegramAPI(botToken, proxyUrl);
+
+            const response = await tgApi.getFileContent(chunk.fileId);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            // 验证分片大小是否匹配
+            const chunkData = await response.arrayBuffer();
+            const actualSize = chunkData.byteLength;
+
+            // 如果有期望大小且不匹配，抛出错误
+            if (chunk.size && actualSize !== chunk.size) {
+                console.warn(`Chunk ${chunk.index} size mismatch: expected ${chunk.size}, got ${actualSize}`);
+            }
+
+            return new Uint8Array(chunkData);
+
+        } catch (error) {
+            console.warn(`Chunk ${chunk.index} fetch attempt ${attempt + 1} failed:`, error.message);
+
+            if (attempt === maxRetries - 1) {
+                return null; // 最后一次尝试也失败了
+            }
+
+            // 重试前等待一段时间
+            await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+        }
+    }
+
+    return null;
+}
+
+// 写入附属文件，使用源文件的 Bot 和聊天
+async function putTelegramObject(context, key, file, sourceMetadata) {
+    const telegramAPI = new TelegramAPI(sourceMetadata.TgBotToken, sourceMetadata.TgProxyUrl || '');
+    const response = await telegramAPI.sendFile(file, sourceMetadata.TgChatId, 'sendDocument', 'document', '', file.name);
+    const fileInfo = telegramAPI.getFileInfo(response);
+    if (!fileInfo) {
+        return null;
+    }
+
+    const channelMetadata = {
+        Channel: "TelegramNew",
+        ChannelName: sourceMetadata.ChannelName,
+        TgFileId: fileInfo.file_id,
+        TgChatId: sourceMetadata.TgChatId,
+        TgBotToken: sourceMetadata.TgBotToken,
+    };
+    if (sourceMetadata.TgProxyUrl) {
+        channelMetadata.TgProxyUrl = sourceMetadata.TgProxyUrl;
+    }
+    return channelMetadata;
+}
+
+// 写入文件副本，发送到副本渠道配置的聊天
+async function replicateToTelegram(context, key, file, channelConfig) {
+    return await putTelegramObject(context, key, file, {
+        ChannelName: channelConfig.name,
+        TgBotToken: channelConfig.botToken,
+        TgChatId: channelConfig.chatId,
+        TgProxyUrl: channelConfig.proxyUrl || '',
+    });
+}
+
+// 检查 Bot Token 是否有效，以及 Bot 能否访问配置的聊天
+async function checkTelegramHealth(channelConfig) {
+    if (!channelConfig.botToken || !channelConfig.chatId) {
+        return { success: false, error: 'Telegram channel is not properly configured' };
+    }
+
+    const telegramAPI = new TelegramAPI(channelConfig.botToken, channelConfig.proxyUrl || '');
+    const response = await telegramAPI.getChat(channelConfig.chatId);
+    if (!response.ok) {
+        return { success: false, error: response.description || 'Telegram API error' };
+    }
+    return { success: true };
+}
+
+// 提取图片中的 AI 生成提示词，用作 Telegram 消息的说明文字
+async function extractAIPrompt(file) {
+    if (file.type !== 'image/png') return null;
+    try {
+        const header = await file.slice(0, 262144).arrayBuffer();
+        const uint8 = new Uint8Array(header);
+        const view = new DataView(header);
+        const decoder = new TextDecoder();
+        
+        let offset = 8;
+        let info = { prompt: '', uc: '', steps: '', seed: '', sampler: '', characters: [] };
+        let found = false;
+
+        while (offset < uint8.length - 8) {
+            const length = view.getUint32(offset);
+            const type = decoder.decode(uint8.slice(offset + 4, offset + 8));
+            
+            if (type === 'tEXt' || type === 'iTXt') {
+                const data = uint8.slice(offset + 8, offset + 8 + length);
+                const textData = decoder.decode(data);
+                const parts = textData.split('\0');
+                const key = parts[0];
+                const value = parts[parts.length - 1] || '';
+
+                if (key === 'Description') {
+                    info.prompt = value;
+                    found = true;
+                } else if (key === 'Comment') {
+                    try {
+                        const json = JSON.parse(value);
+                        
+                        // --- 1. 读取基础信息 ---
+                        info.uc = json.uc || json.negative_prompt || '';
+                        info.steps = json.steps || '';
+                        info.seed = json.seed || '';
+                        info.sampler = json.sampler || json.sampler_name || 'N/A';
+                        
+                        if (json.prompt) info.prompt = json.prompt;
+
+                        // --- 2. 读取角色提示词 (兼容 V4 和旧版) ---
+                        let chars = [];
+                        // NovelAI V4 结构 (v4_prompt -> caption -> char_captions)
+                        if (json.v4_prompt && json.v4_prompt.caption && Array.isArray(json.v4_prompt.caption.char_captions)) {
+                            chars = json.v4_prompt.caption.char_captions
+                                .map(item => item.char_caption) 
+                                .filter(text => text && text.trim() !== "");
+                        } 
+                        // 旧版本结构
+                        else if (json.characterPrompts || json.character_prompts) {
+                            const raw = json.characterPrompts || json.character_prompts;
+                            if (Array.isArray(raw)) {
+                                chars = raw.map(c => c.prompt || c);
+                            }
+                        }
+                        info.characters = chars;
+                        found = true;
+                    } catch (e) {
+                        if (value.includes('masterpiece')) {
+                            info.prompt = value;
+                            found = true;
+                        }
+                    }
+                }
+            }
+            offset += 12 + length;
+        }
+
+        if (found) {
+            const escapeMd = (text) => {
+                if (!text) return 'N/A';
+                return String(text).replace(/[_*[\]()~>#\+\-=|{}.!]/g, '\\$&');
+            };
+
+            const headerStr = "💕 *Elin\\的咒语卡* 🌸\n\n"; 
+            const samplerStr = escapeMd(info.sampler || "N/A");
+            const stepsStr = escapeMd(info.steps || "N/A");
+            const seedStr = escapeMd(info.seed || "N/A");
+            const footerStr = `🧪 *Sampler*: ${samplerStr}\n🔢 *Steps*: ${stepsStr}  🎲 *Seed*: ${seedStr}`;
+
+            const rawPrompt = info.prompt || '';
+            const rawUc = info.uc || '';
+            const rawChars = info.characters || [];
+
+            // --- 1. 构建完整版文本 (Full Text) - 动态长度控制 ---
+            let fullText = headerStr;
+            fullText += "✨ *Full Prompt*\n```\n" + rawPrompt.substring(0, 2000) + "\n```\n\n";
+            
+            // Telegram 单条消息上限 4096，我们预留 100 字符安全空间
+            const TG_LIMIT = 4000;
+            
+            rawChars.forEach((char, index) => {
+                if (!char) return;
+                
+                // 估算当前已用长度
+                let currentLen = fullText.length + footerStr.length;
+                
+                // 构造角色块的头尾
+                const charHeader = `👤 *Character ${index + 1}*\n\`\`\`\n`;
+                const charFooter = `\n\`\`\`\n\n`;
+                
+                // 计算剩余可用空间
+                const available = TG_LIMIT - currentLen - charHeader.length - charFooter.length;
+                
+                // 如果还有空间（至少 50 字符），就往里塞
+                if (available > 50) {
+                    // 取 "角色文本长度" 和 "剩余空间" 中较小的一个，但最大不超过 3000 (防止单角色极长挤占所有空间)
+                    const cutLen = Math.min(char.length, available, 3000);
+                    fullText += charHeader + char.substring(0, cutLen) + charFooter;
+                }
+            });
+            
+            // 计算剩余空间给 Negative Prompt
+            let currentLenBeforeUc = fullText.length + footerStr.length;
+            let availableForUc = TG_LIMIT - currentLenBeforeUc - 50; // 50 是 UC 标题的开销
+            
+            if (rawUc && availableForUc > 50) {
+                const ucLen = Math.min(rawUc.length, availableForUc);
+                fullText += "❌ *Negative*\n```\n" + rawUc.substring(0, ucLen) + "\n```\n\n";
+            }
+            
+            fullText += footerStr;
+
+
+            // --- 2. 构建预览版 Caption (智能截断) ---
+            const MAX_CAPTION = 1024;
+            const structureCost = headerStr.length + footerStr.length + 80; 
+            let availableChars = MAX_CAPTION - structureCost;
+            if (availableChars < 200) availableChars = 200;
+
+            let previewPrompt = rawPrompt;
+            let previewUc = rawUc;
+            let previewChars = [...rawChars]; 
+            let isTruncated = false;
+
+            // 预计算总长度
+            let charsTotalLen = previewChars.reduce((sum, c) => sum + (c ? c.length : 0), 0);
+            let totalLen = previewPrompt.length + charsTotalLen + previewUc.length;
+            
+            if (totalLen > availableChars) {
+                isTruncated = true;
+                
+                // 1. 压缩 UC
+                if (previewUc.length > 50) previewUc = previewUc.substring(0, 50) + "...";
+                
+                // 2. 限制预览角色数量 (前3个)
+                const MAX_PREVIEW_CHARS = 3; 
+                if (previewChars.length > MAX_PREVIEW_CHARS) {
+                    previewChars = previewChars.slice(0, MAX_PREVIEW_CHARS);
+                }
+                
+                // 3. 压缩单个角色长度 (预览版每个角色只留 80 字，看个大概就行)
+                previewChars = previewChars.map(c => {
+                    if (c && c.length > 80) return c.substring(0, 80) + "...";
+                    return c || "";
+                });
+
+                // 4. 剩余给 Prompt
+                const used = previewUc.length + previewChars.reduce((sum, c) => sum + c.length + 25, 0);
+                const remaining = availableChars - used;
+                
+                if (previewPrompt.length > remaining) {
+                    previewPrompt = previewPrompt.substring(0, Math.max(remaining, 50)) + "...";
+                }
+            }
+
+            // 拼接 Caption
+            let caption = headerStr;
+            caption += "✨ *Prompt*\n```\n" + previewPrompt + "\n```\n\n";
+            
+            previewChars.forEach((char, index) => {
+                 if(char) caption += `👤 *Character ${index + 1}*\n\`\`\`\n${char}\n\`\`\`\n\n`;
+            });
+            
+            if (rawChars.length > previewChars.length) {
+                caption += `_(...还有 ${rawChars.length - previewChars.length} 个角色在完整版中)_\n\n`;
+            }
+
+            if (previewUc) caption += "❌ *Negative*\n```\n" + previewUc + "\n```\n\n";
+            caption += footerStr;
+
+            return {
+                caption: caption,
+                fullText: fullText,
+                // 只要原始文本里有角色，或者发生过截断，就确保发完整版
+                needsSecondMessage: isTruncated || (rawChars.length > 0)
+            };
+        }
+    } catch (e) { return null; }
+    return null;
+}
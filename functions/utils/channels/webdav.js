@@ -0,0 +1,238 @@
+/* ======== WebDAV 渠道驱动（Nextcloud、NAS 等） ======== */
+import { WebDAVAPI, joinWebDAVPath } from '../webdavAPI.js';
+import { getDatabase } from '../databaseAdapter.js';
+import { createResponse, moderateContent, purgeCDNCache, endUpload } from '../../upload/uploadTools.js';
+import { setCommonHeaders, handleHeadRequest } from '../../file/fileTools.js';
+
+export const webdavDriver = {
+    name: 'webdav',
+    channel: 'WebDAV',
+    chunkSize: null, // WebDAV 无通用的分块合并方式，不使用分块上传
+    quota: true,
+    secretFields: ['WebDAVUsername', 'WebDAVPassword'],
+    upload: uploadFileToWebDAV,
+    read: readWebDAVFile,
+    delete: deleteWebDAVFile,
+    copy: copyWebDAVFile,
+    putObject: putWebDAVObject,
+    replicate: replicateToWebDAV,
+    healthCheck: checkWebDAVHealth,
+};
+
+// 根据渠道配置创建 WebDAV 客户端
+function createChannelClient(webdavChannel) {
+    return new WebDAVAPI(webdavChannel.endpoint, webdavChannel.username, webdavChannel.password, webdavChannel.authType);
+}
+
+// 根据文件元数据创建 WebDAV 客户端
+function createMetadataClient(metadata) {
+    return new WebDAVAPI(metadata.WebDAVEndpoint, metadata.WebDAVUsername, metadata.WebDAVPassword, metadata.WebDAVAuthType);
+}
+
+// 构建写入文件元数据的渠道信息
+function buildWebDAVMetadata(webdavChannel, path) {
+    return {
+        Channel: "WebDAV",
+        ChannelName: webdavChannel.name,
+        WebDAVEndpoint: webdavChannel.endpoint,
+        WebDAVBasePath: webdavChannel.basePath || '',
+        WebDAVPath: path,
+        WebDAVUsername: webdavChannel.username || '',
+        WebDAVPassword: webdavChannel.password || '',
+        WebDAVAuthType: webdavChannel.authType || 'basic',
+    };
+}
+
+// 上传到 WebDAV
+async function uploadFileToWebDAV(context, fullId, metadata, returnLink) {
+    const { env, waitUntil, uploadConfig, securityConfig, url, formdata, specifiedChannelName } = context;
+    const db = getDatabase(env);
+
+    const uploadModerate = securityConfig.upload.moderate;
+
+    const webdavSettings = uploadConfig.webdav;
+    const webdavChannels = webdavSettings?.channels || [];
+
+    // 选择渠道：优先使用指定的渠道名称
+    let webdavChannel;
+    if (specifiedChannelName) {
+        webdavChannel = webdavChannels.find(ch => ch.name === specifiedChannelName);
+    }
+    if (!webdavChannel) {
+        webdavChannel = webdavSettings?.loadBalance?.enabled
+            ? webdavChannels[Math.floor(Math.random() * webdavChannels.length)]
+            : webdavChannels[0];
+    }
+
+    if (!webdavChannel) {
+        return createResponse('Error: No WebDAV channel provided', { status: 400 });
+    }
+    if (!webdavChannel.endpoint) {
+        return createResponse('Error: WebDAV channel not properly configured', { status: 400 });
+    }
+
+    // 获取文件
+    const file = formdata.get("file");
+    if (!file) return createResponse("Error: No file provided", { status: 400 });
+
+    const webdavPath = joinWebDAVPath(webdavChannel.basePath, fullId);
+
+    try {
+        const webdavAPI = createChannelClient(webdavChannel);
+        await webdavAPI.putFile(webdavPath, await file.arrayBuffer(), file.type);
+
+        // 更新 metadata
+        Object.assign(metadata, buildWebDAVMetadata(webdavChannel, webdavPath));
+
+        // 图像审查
+        if (uploadModerate && uploadModerate.enabled) {
+            try {
+                await db.put(fullId, "", { metadata });
+            } catch {
+                return createResponse("Error: Failed to write to KV database", { status: 500 });
+            }
+
+            const moderateUrl = `https://${url.hostname}/file/${fullId}`;
+            await purgeCDNCache(env, moderateUrl, url);
+            metadata.Label = await moderateContent(env, moderateUrl);
+        }
+
+        // 写入数据库
+        try {
+            await db.put(fullId, "", { metadata });
+        } catch {
+            return createResponse("Error: Failed to write to database", { status: 500 });
+        }
+
+        // 结束上传
+        waitUntil(endUpload(context, fullId, metadata));
+
+        return createResponse(JSON.stringify([{ src: returnLink }]), {
+            status: 200,
+            headers: {
+                "Content-Type": "application/json",
+            },
+        });
+    } catch (error) {
+        return createResponse(`Error: Failed to upload to WebDAV - ${error.message}`, { status: 500 });
+    }
+}
+
+// 读取 WebDAV 文件，Range 请求透传给服务器
+async function readWebDAVFile(context, imgRecord, fileId, encodedFileName, fileType) {
+    const { Referer, url, request } = context;
+    const metadata = imgRecord.metadata;
+
+    if (!metadata?.WebDAVEndpoint || !metadata?.WebDAVPath) {
+        return new Response('Error: WebDAV file info not found', { status: 500 });
+    }
+
+    const headers = new Headers();
+    setCommonHeaders(headers, encodedFileName, fileType, Referer, url);
+
+    // 处理 HEAD 请求，文件大小取自元数据，无需请求服务器
+    if (request.method === 'HEAD') {
+        if (metadata.FileSizeBytes) {
+            headers.set('Content-Length', String(metadata.FileSizeBytes));
+        }
+        return handleHeadRequest(headers);
+    }
+
+    try {
+        const webdavAPI = createMetadataClient(metadata);
+        const response = await webdavAPI.getFile(metadata.WebDAVPath, request.headers.get('Range'));
+
+        if (response.status === 404) {
+            return new Response('Error: Image Not Found', { status: 404 });
+        }
+        if (!response.ok) {
+            return new Response(`Error: Failed to fetch from WebDAV - ${response.status}`, { status: response.status });
+        }
+
+        // 复制相关头部（服务器不支持 Range 时返回完整内容）
+        if (response.headers.get('Content-Length')) {
+            headers.set('Content-Length', response.headers.get('Content-Length'));
+        }
+        if (response.headers.get('Content-Range')) {
+            headers.set('Content-Range', response.headers.get('Content-Range'));
+        }
+        if (response.headers.get('ETag')) {
+            headers.set('ETag', response.headers.get('ETag'));
+        }
+
+        return new Response(response.body, {
+            status: response.status,
+            headers
+        });
+    } catch (error) {
+        return new Response(`Error: Failed to fetch from WebDAV - ${error.message}`, { status: 500 });
+    }
+}
+
+// 删除 WebDAV 渠道的文件
+async function deleteWebDAVFile(env, fileId, metadata) {
+    if (!metadata?.WebDAVEndpoint || !metadata?.WebDAVPath) {
+        console.warn('WebDAV file missing required metadata for deletion');
+        return false;
+    }
+
+    const webdavAPI = createMetadataClient(metadata);
+    const success = await webdavAPI.deleteFile(metadata.WebDAVPath);
+    if (!success) {
+        console.error('WebDAV Delete Failed:', metadata.WebDAVPath);
+    }
+    return success;
+}
+
+// 复制 WebDAV 渠道的文件到新文件 ID，新路径使用原文件的基础路径
+async function copyWebDAVFile(env, fileId, newFileId, metadata) {
+    const oldPath = metadata.WebDAVPath;
+    const newPath = joinWebDAVPath(metadata.WebDAVBasePath, newFileId);
+
+    try {
+        const webdavAPI = createMetadataClient(metadata);
+        await webdavAPI.copyFile(oldPath, newPath);
+    } catch (error) {
+        console.error("WebDAV Copy Failed:", error);
+        return { success: false, error: error.message };
+    }
+
+    return { success: true, metadata: { ...metadata, WebDAVPath: newPath } };
+}
+
+// 写入附属文件，与源文件使用同一服务器和基础路径
+async function putWebDAVObject(context, key, file, sourceMetadata) {
+    const path = joinWebDAVPath(sourceMetadata.WebDAVBasePath, key);
+
+    const webdavAPI = createMetadataClient(sourceMetadata);
+    await webdavAPI.putFile(path, await file.arrayBuffer(), file.type);
+
+    return {
+        Channel: "WebDAV",
+        ChannelName: sourceMetadata.ChannelName,
+        WebDAVEndpoint: sourceMetadata.WebDAVEndpoint,
+        WebDAVBasePath: sourceMetadata.WebDAVBasePath || '',
+        WebDAVPath: path,
+        WebDAVUsername: sourceMetadata.WebDAVUsername,
+        WebDAVPassword: sourceMetadata.WebDAVPassword,
+        WebDAVAuthType: sourceMetadata.WebDAVAuthType,
+    };
+}
+
+// 写入文件副本，存放在副本渠道的基础路径下
+async function replicateToWebDAV(context, key, file, channelConfig) {
+    return await putWebDAVObject(context, key, file, buildWebDAVMetadata(channelConfig, ''));
+}
+
+// 检查服务器地址和认证信息是否可用（基础路径在首次上传时自动创建，不做检查）
+async function checkWebDAVHealth(channelConfig) {
+    if (!channelConfig.endpoint) {
+        return { success: false, error: 'WebDAV channel is not properly configured' };
+    }
+
+    const webdavAPI = createChannelClient(channelConfig);
+    if (!await webdavAPI.exists('')) {
+        return { success: false, error: 'WebDAV server is not accessible' };
+    }
+    return { success: true };
+}
@@ -153,6 +153,17 @@ export function getDatabase(env) {
     return adapter;
 }
 
+/**
+ * 判断键是否属于系统数据：manage@ 开头的键保存设置、索引、会话、审计日志等，chunk_ 开头的键保存分块上传的临时数据
+ * 这些键不能作为文件被读取、写入或删除，所有以文件ID访问数据库的入口（管理接口、S3、WebDAV）都需要拒绝
+ * @param {string} key - 文件ID或对象键（有无开头的斜杠均可）
+ * @returns {boolean}
+ */
+export function isSystemKey(key) {
+    const normalized = String(key || '').replace(/^\/+/, '');
+    return normalized.startsWith('manage@') || normalized.startsWith('chunk_');
+}
+
 /**
  * 检查数据库配置
  * @param {Object} env - 环境变量
@@ -0,0 +1,399 @@
+/* WebDAV 锁与自定义属性的存储 */
+
+/**
+ * 锁结构：
+ * - key: manage@dav@lock@${path}，path 为无头无尾的资源路径，根目录为空
+ * - value: JSON.stringify([{
+ *     token: "opaquelocktoken:<uuid>",
+ *     path: "photos/a.jpg",
+ *     scope: "exclusive" | "shared",
+ *     depth: "0" | "infinity",
+ *     owner: "<D:href>mailto:alice@example.com</D:href>",  // 客户端提交的 owner XML 片段
+ *     timeout: 3600,     // 秒
+ *     expiresAt: 1700000000000
+ *   }])
+ *
+ * 自定义属性（PROPPATCH 写入的 dead property）结构：
+ * - key: manage@dav@props@${path}
+ * - value: JSON.stringify({ "{urn:schemas-microsoft-com:}Win32FileAttributes": "00000020" })
+ *   属性名使用 Clark 表示法 {namespace}name
+ *
+ * 分段上传（PUT 携带 Content-Range）会话结构：
+ * - key: manage@dav@upload@${path}
+ * - value: JSON.stringify({
+ *     uploadId: "upload_1700000000000_abc",  // 上传接口的分块上传会话 ID
+ *     fileName: "video.mp4",
+ *     fileType: "video/mp4",
+ *     totalSize: 104857600,   // 文件总大小（字节）
+ *     chunkSize: 16777216,    // 分块大小（字节）
+ *     totalChunks: 7,
+ *     nextChunk: 2,           // 下一个要上传的分块序号
+ *     received: 40000000,     // 已接收的字节数
+ *     expiresAt: 1700000000000
+ *   })
+ *   不足一个分块的已接收数据暂存在 chunk_${uploadId}_pending
+ */
+
+const LOCK_KEY_PREFIX = 'manage@dav@lock@';
+const PROPS_KEY_PREFIX = 'manage@dav@props@';
+const UPLOAD_KEY_PREFIX = 'manage@dav@upload@';
+
+// 与上传接口的分块上传会话有效期一致（秒）
+export const UPLOAD_SESSION_TTL = 3600;
+
+export const DEFAULT_LOCK_TIMEOUT = 3600;
+const MAX_LOCK_TIMEOUT = 86400;
+
+/**
+ * 解析 Timeout 请求头，如 "Second-3600" 或 "Infinite, Second-4100000000"，取第一个可识别的值
+ * @param {string|null} header - Timeout 请求头
+ * @returns {number} 锁超时时间（秒），不超过一天
+ */
+export function parseLockTimeout(header) {
+    for (const value of String(header || '').split(',').map(v => v.trim())) {
+        if (value === 'Infinite') {
+            return MAX_LOCK_TIMEOUT;
+        }
+        const match = value.match(/^Second-(\d+)$/i);
+        if (match) {
+            return Math.min(Math.max(parseInt(match[1], 10), 1), MAX_LOCK_TIMEOUT);
+        }
+    }
+    return DEFAULT_LOCK_TIMEOUT;
+}
+
+// 某个路径的所有上级路径（不包括自身），根目录为空
+function getAncestorPaths(path) {
+    const ancestors = [''];
+    const segments = path ? path.split('/') : [];
+    for (let i = 1; i < segments.length; i++) {
+        ancestors.push(segments.slice(0, i).join('/'));
+    }
+    return path ? ancestors : [];
+}
+
+// 列出某个前缀下的所有键
+async function listKeys(db, prefix) {
+    const keys = [];
+    let cursor = null;
+
+    do {
+        const response = await db.list({
+            prefix: prefix,
+            limit: 1000,
+            cursor: cursor
+        });
+
+        for (const item of response.keys) {
+            // D1 使用 LIKE 匹配前缀，需要再次确认
+            if (item.name.startsWith(prefix)) {
+                keys.push(item.name);
+            }
+        }
+
+        cursor = response.list_complete ? null : response.cursor;
+    } while (cursor);
+
+    return keys;
+}
+
+// 某个路径下所有子资源的键前缀
+function getDescendantPrefix(keyPrefix, path) {
+    return keyPrefix + (path ? path + '/' : '');
+}
+
+// 读取路径上未过期的锁
+async function readLocks(db, path) {
+    const locksStr = await db.get(LOCK_KEY_PREFIX + path);
+    if (!locksStr) {
+        return [];
+    }
+
+    const now = Date.now();
+    return JSON.parse(locksStr).filter(lock => lock.expiresAt > now);
+}
+
+// 写入路径上的锁，没有锁时删除记录
+async function writeLocks(db, path, locks) {
+    if (locks.length === 0) {
+        await db.delete(LOCK_KEY_PREFIX + path);
+        return;
+    }
+    await db.put(LOCK_KEY_PREFIX + path, JSON.stringify(locks));
+}
+
+/**
+ * 获取作用于某个资源的锁：资源自身的锁，以及上级文件夹上 Depth 为 infinity 的锁
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @param {boolean} includeDescendants - 是否包括子资源上的锁（删除、移动文件夹时需要）
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getEffectiveLocks(db, path, includeDescendants = false) {
+    const locks = [...await readLocks(db, path)];
+
+    for (const ancestor of getAncestorPaths(path)) {
+        const ancestorLocks = await readLocks(db, ancestor);
+        locks.push(...ancestorLocks.filter(lock => lock.depth === 'infinity'));
+    }
+
+    if (includeDescendants) {
+        for (const key of await listKeys(db, getDescendantPrefix(LOCK_KEY_PREFIX, path))) {
+            locks.push(...await readLocks(db, key.substring(LOCK_KEY_PREFIX.length)));
+        }
+    }
+
+    return locks;
+}
+
+/**
+ * 列出某个路径及其子资源上的锁，用于 PROPFIND 的 lockdiscovery 属性
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @returns {Promise<Map<string, Array<Object>>>} 资源路径 -> 作用于该资源的锁
+ */
+export async function listLocks(db, path) {
+    const result = new Map();
+    const keys = await listKeys(db, getDescendantPrefix(LOCK_KEY_PREFIX, path));
+    const paths = [...getAncestorPaths(path), path, ...keys.map(key => key.substring(LOCK_KEY_PREFIX.length))];
+
+    for (const lockPath of new Set(paths)) {
+        const locks = await readLocks(db, lockPath);
+        if (locks.length > 0) {
+            result.set(lockPath, locks);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 检查请求是否可以修改某个资源：作用于资源的每个锁都需要在 If 请求头中提交对应的锁令牌
+ * 同一资源上的共享锁提交其中任意一个即可
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @param {Array<string>} tokens - 请求提交的锁令牌
+ * @param {boolean} includeDescendants - 是否检查子资源上的锁
+ * @returns {Promise<boolean>}
+ */
+export async function canModifyResource(db, path, tokens, includeDescendants = false) {
+    const locks = await getEffectiveLocks(db, path, includeDescendants);
+
+    const locksByPath = new Map();
+    for (const lock of locks) {
+        locksByPath.set(lock.path, [...(locksByPath.get(lock.path) || []), lock]);
+    }
+
+    for (const pathLocks of locksByPath.values()) {
+        if (!pathLocks.some(lock => tokens.includes(lock.token))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * 创建锁
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @param {Object} options - { scope, depth, owner, timeout }
+ * @returns {Promise<Object>} { success, lock?, error? }
+ */
+export async function createLock(db, path, options) {
+    const { scope = 'exclusive', depth = 'infinity', owner = '', timeout = DEFAULT_LOCK_TIMEOUT } = options;
+
+    if (!['exclusive', 'shared'].includes(scope)) {
+        return { success: false, error: '无效的锁范围' };
+    }
+
+    // 排他锁与任何锁冲突，共享锁只与排他锁冲突
+    const existing = await getEffectiveLocks(db, path, depth === 'infinity');
+    if (existing.some(lock => scope === 'exclusive' || lock.scope === 'exclusive')) {
+        return { success: false, error: '资源已被锁定' };
+    }
+
+    const lock = {
+        token: `opaquelocktoken:${crypto.randomUUID()}`,
+        path,
+        scope,
+        depth: depth === '0' ? '0' : 'infinity',
+        owner,
+        timeout,
+        expiresAt: Date.now() + timeout * 1000
+    };
+
+    await writeLocks(db, path, [...await readLocks(db, path), lock]);
+
+    return { success: true, lock };
+}
+
+/**
+ * 刷新锁的超时时间
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @param {Array<string>} tokens - 请求提交的锁令牌
+ * @param {number} timeout - 新的超时时间（秒）
+ * @returns {Promise<Object>} { success, lock?, error? }
+ */
+export async function refreshLock(db, path, tokens, timeout) {
+    const lock = (await getEffectiveLocks(db, path)).find(lock => tokens.includes(lock.token));
+    if (!lock) {
+        return { success: false, error: '锁不存在或已过期' };
+    }
+
+    const locks = await readLocks(db, lock.path);
+    const refreshed = { ...lock, timeout, expiresAt: Date.now() + timeout * 1000 };
+    await writeLocks(db, lock.path, locks.map(item => item.token === lock.token ? refreshed : item));
+
+    return { success: true, lock: refreshed };
+}
+
+/**
+ * 解除锁，请求路径可以是锁定的资源或其范围内的子资源
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @param {string} token - 锁令牌
+ * @returns {Promise<Object>} { success, error? }
+ */
+export async function removeLock(db, path, token) {
+    const lock = (await getEffectiveLocks(db, path)).find(lock => lock.token === token);
+    if (!lock) {
+        return { success: false, error: '锁不存在或已过期' };
+    }
+
+    const locks = await readLocks(db, lock.path);
+    await writeLocks(db, lock.path, locks.filter(item => item.token !== token));
+
+    return { success: true };
+}
+
+/**
+ * 删除资源及其子资源上的锁和自定义属性（资源被删除或移走后调用）
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ */
+export async function clearDavState(db, path) {
+    for (const keyPrefix of [LOCK_KEY_PREFIX, PROPS_KEY_PREFIX]) {
+        await db.delete(keyPrefix + path);
+        for (const key of await listKeys(db, getDescendantPrefix(keyPrefix, path))) {
+            await db.delete(key);
+        }
+    }
+}
+
+/**
+ * 读取资源的自定义属性
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @returns {Promise<Object>} Clark 表示法属性名 -> 属性值
+ */
+export async function getDeadProperties(db, path) {
+    const propsStr = await db.get(PROPS_KEY_PREFIX + path);
+    return propsStr ? JSON.parse(propsStr) : {};
+}
+
+/**
+ * 列出某个路径及其子资源的自定义属性
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @returns {Promise<Map<string, Object>>} 资源路径 -> 属性
+ */
+export async function listDeadProperties(db, path) {
+    const result = new Map();
+    const keys = [PROPS_KEY_PREFIX + path, ...await listKeys(db, getDescendantPrefix(PROPS_KEY_PREFIX, path))];
+
+    for (const key of keys) {
+        const propsStr = await db.get(key);
+        if (propsStr) {
+            result.set(key.substring(PROPS_KEY_PREFIX.length), JSON.parse(propsStr));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 保存资源的自定义属性，没有属性时删除记录
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 资源路径
+ * @param {Object} properties - Clark 表示法属性名 -> 属性值
+ */
+export async function saveDeadProperties(db, path, properties) {
+    if (Object.keys(properties).length === 0) {
+        await db.delete(PROPS_KEY_PREFIX + path);
+        return;
+    }
+    await db.put(PROPS_KEY_PREFIX + path, JSON.stringify(properties));
+}
+
+/**
+ * 复制资源及其子资源的自定义属性，move 为 true 时删除原属性
+ * 锁不随资源移动或复制
+ * @param {Object} db - 数据库适配器
+ * @param {string} from - 原资源路径
+ * @param {string} to - 新资源路径
+ * @param {boolean} move - 是否为移动
+ */
+export async function copyDeadProperties(db, from, to, move = false) {
+    for (const [path, properties] of await listDeadProperties(db, from)) {
+        const newPath = to + path.substring(from.length);
+        await db.put(PROPS_KEY_PREFIX + newPath, JSON.stringify(properties));
+        if (move) {
+            await db.delete(PROPS_KEY_PREFIX + path);
+        }
+    }
+}
+
+/**
+ * 读取路径上未过期的分段上传会话
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件路径
+ * @returns {Promise<Object|null>}
+ */
+export async function getUploadSession(db, path) {
+    const sessionStr = await db.get(UPLOAD_KEY_PREFIX + path);
+    if (!sessionStr) {
+        return null;
+    }
+
+    const session = JSON.parse(sessionStr);
+    return session.expiresAt > Date.now() ? session : null;
+}
+
+/**
+ * 保存分段上传会话及不足一个分块的已接收数据
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件路径
+ * @param {Object} session - 上传会话
+ * @param {ArrayBuffer} pending - 暂存数据
+ */
+export async function saveUploadSession(db, path, session, pending) {
+    await db.put(`chunk_${session.uploadId}_pending`, pending, {
+        expirationTtl: UPLOAD_SESSION_TTL
+    });
+    await db.put(UPLOAD_KEY_PREFIX + path, JSON.stringify(session), {
+        expirationTtl: UPLOAD_SESSION_TTL
+    });
+}
+
+/**
+ * 读取分段上传会话暂存的数据
+ * @param {Object} db - 数据库适配器
+ * @param {Object} session - 上传会话
+ * @returns {Promise<Uint8Array>}
+ */
+export async function getUploadPending(db, session) {
+    const record = await db.getWithMetadata(`chunk_${session.uploadId}_pending`, { type: 'arrayBuffer' });
+    return record?.value ? new Uint8Array(record.value) : new Uint8Array(0);
+}
+
+/**
+ * 删除分段上传会话及其暂存数据
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件路径
+ * @param {Object} session - 上传会话
+ */
+export async function deleteUploadSession(db, path, session) {
+    await db.delete(`chunk_${session.uploadId}_pending`);
+    await db.delete(UPLOAD_KEY_PREFIX + path);
+}
@@ -158,6 +158,30 @@ export class DiscordAPI {
         return response;
     }
 
+    /**
+     * 获取频道信息（用于检查 Bot Token 和频道 ID 是否可用）
+     * @param {string} channelId - 频道 ID
+     * @returns {Promise<Object|null>} 频道数据或 null
+     */
+    async getChannel(channelId) {
+        try {
+            const response = await fetch(`${this.baseURL}/channels/${channelId}`, {
+                method: 'GET',
+                headers: this.defaultHeaders
+            });
+
+            if (!response.ok) {
+                console.error('Discord getChannel error:', response.status, response.statusText);
+                return null;
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error getting Discord channel:', error.message);
+            return null;
+        }
+    }
+
     /**
      * 删除消息（用于删除文件）
      * @param {string} channelId - 频道 ID
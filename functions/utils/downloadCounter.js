@@ -0,0 +1,104 @@
+/* 下载次数计数：每次下载写入独立的键，并发下载不会因读改写元数据而丢失计数 */
+
+/**
+ * 计数键格式：manage@download@{计数ID}@{时间戳}_{随机串}
+ * - 计数ID 记录在文件元数据的 DownloadCounterId 中，文件移动、重命名后计数不变；
+ *   旧版文件没有计数ID，使用文件ID
+ * - 元数据中的 DownloadCount 为计数基数（旧版文件已记录的次数，新文件为 0）
+ * - 键名按时间排序，同时到达的下载请求按写入顺序决定哪些在次数限制内
+ */
+
+import { getDatabase } from './databaseAdapter.js';
+
+const DOWNLOAD_KEY_PREFIX = 'manage@download@';
+const KV_LIST_LIMIT = 1000;
+
+/**
+ * 为设置了下载次数限制的文件重置计数（新上传、复制的文件）
+ * @param {Object} metadata - 文件元数据，原地更新
+ */
+export function resetDownloadCounter(metadata) {
+    delete metadata.DownloadCount;
+    delete metadata.DownloadCounterId;
+    if (metadata.MaxDownloads) {
+        metadata.DownloadCount = 0;
+        metadata.DownloadCounterId = crypto.randomUUID();
+    }
+}
+
+/**
+ * 记录一次下载，并判断本次下载是否在次数限制内
+ * @param {Object} env - 环境变量
+ * @param {string} fileId - 文件ID
+ * @param {Object} metadata - 文件元数据
+ * @returns {Promise<boolean>} 是否允许本次下载
+ */
+export async function recordDownload(env, fileId, metadata) {
+    const db = getDatabase(env);
+    const prefix = buildDownloadPrefix(fileId, metadata);
+    const key = `${prefix}${Date.now().toString(36).padStart(9, '0')}_${crypto.randomUUID().slice(0, 8)}`;
+    await db.put(key, '');
+
+    // 列表可能尚未包含刚写入的键，此时按排在最后处理
+    const keys = await listDownloadKeys(db, prefix);
+    const position = keys.includes(key) ? keys.indexOf(key) : keys.length;
+    return (metadata.DownloadCount || 0) + position < metadata.MaxDownloads;
+}
+
+/**
+ * 读取文件的下载次数
+ * @param {Object} env - 环境变量
+ * @param {string} fileId - 文件ID
+ * @param {Object} metadata - 文件元数据
+ * @returns {Promise<number>}
+ */
+export async function getDownloadCount(env, fileId, metadata) {
+    const keys = await listDownloadKeys(getDatabase(env), buildDownloadPrefix(fileId, metadata));
+    return (metadata.DownloadCount || 0) + keys.length;
+}
+
+/**
+ * 删除文件的下载计数（删除文件时调用）
+ * @param {Object} env - 环境变量
+ * @param {string} fileId - 文件ID
+ * @param {Object} metadata - 文件元数据
+ */
+export async function clearDownloadCount(env, fileId, metadata) {
+    const db = getDatabase(env);
+    for (const key of await listDownloadKeys(db, buildDownloadPrefix(fileId, metadata))) {
+        await db.delete(key);
+    }
+}
+
+function buildDownloadPrefix(fileId, metadata) {
+    return `${DOWNLOAD_KEY_PREFIX}${metadata?.DownloadCounterId || fileId}@`;
+}
+
+// 按前缀列出计数键，按键名（写入时间）排序
+async function listDownloadKeys(db, prefix) {
+    const keys = [];
+
+    try {
+        let cursor = null;
+        do {
+            const response = await db.list({
+                prefix: prefix,
+                limit: KV_LIST_LIMIT,
+                cursor: cursor
+            });
+
+            for (const item of response.keys) {
+                // D1 使用 LIKE 匹配前缀，需要再次确认
+                if (item.name.startsWith(prefix)) {
+                    keys.push(item.name);
+                }
+            }
+
+            cursor = response.list_complete ? null : response.cursor;
+        } while (cursor);
+    } catch (error) {
+        console.error(`Error reading download count ${prefix}:`, error);
+    }
+
+    return keys.sort();
+}
@@ -0,0 +1,191 @@
+/* 文件别名：文件移动或重命名后，旧文件 ID 仍可通过别名访问到新文件 */
+
+/**
+ * 别名记录结构：
+ * - key: manage@alias@${旧文件ID}
+ * - value: JSON.stringify({
+ *     id: "photos/old.jpg",        // 旧文件 ID
+ *     target: "archive/old.jpg",   // 新文件 ID
+ *     mode: "redirect",            // redirect=301 重定向到新地址, serve=在旧地址直接返回新文件的内容
+ *     createdAt: "2024-01-01T00:00:00.000Z"
+ *   })
+ * 旧文件 ID 上重新上传了文件时，文件记录优先于别名
+ */
+
+const ALIAS_KEY_PREFIX = 'manage@alias@';
+const MAX_ALIAS_HOPS = 5; // 多次移动形成别名链时，最多追踪的层数
+
+/**
+ * 别名的访问方式
+ */
+export const ALIAS_MODES = ['redirect', 'serve'];
+
+/**
+ * 读取别名记录
+ * @param {Object} db - 数据库适配器
+ * @param {string} fileId - 旧文件 ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getFileAlias(db, fileId) {
+    const aliasStr = await db.get(ALIAS_KEY_PREFIX + fileId);
+    return aliasStr ? JSON.parse(aliasStr) : null;
+}
+
+/**
+ * 创建从旧文件 ID 指向新文件 ID 的别名，已有的同名别名会被覆盖
+ * @param {Object} db - 数据库适配器
+ * @param {string} fileId - 旧文件 ID
+ * @param {string} target - 新文件 ID
+ * @param {string} mode - 访问方式，见 ALIAS_MODES
+ * @returns {Promise<Object>} { success, alias?, error? }
+ */
+export async function createFileAlias(db, fileId, target, mode = 'redirect') {
+    if (!fileId || !target || fileId === target || fileId.startsWith('manage@') || target.startsWith('manage@')) {
+        return { success: false, error: '无效的别名' };
+    }
+    if (!ALIAS_MODES.includes(mode)) {
+        return { success: false, error: '无效的别名访问方式' };
+    }
+
+    const alias = {
+        id: fileId,
+        target,
+        mode,
+        createdAt: new Date().toISOString()
+    };
+    await db.put(ALIAS_KEY_PREFIX + fileId, JSON.stringify(alias));
+
+    return { success: true, alias };
+}
+
+/**
+ * 解析别名，文件多次移动时沿别名链找到最终的文件 ID，访问方式取请求的文件 ID 上的别名
+ * @param {Object} db - 数据库适配器
+ * @param {string} fileId - 请求的文件 ID
+ * @returns {Promise<Object|null>} { target: 最终的文件 ID, mode }，没有别名或最终文件不存在时返回 null
+ */
+export async function resolveFileAlias(db, fileId) {
+    let mode = null;
+    let current = fileId;
+
+    for (let i = 0; i < MAX_ALIAS_HOPS; i++) {
+        const alias = await getFileAlias(db, current);
+        if (!alias || alias.target === fileId) {
+            break;
+        }
+        mode = mode || alias.mode || 'redirect';
+        current = alias.target;
+        // 目标文件存在时不再继续追踪
+        if (await fileRecordExists(db, current)) {
+            return { target: current, mode };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 分页列出别名
+ * @param {Object} db - 数据库适配器
+ * @param {Object} options - { prefix: 旧文件 ID 前缀, limit, cursor: 上一页最后一个别名的旧文件 ID }
+ * @returns {Promise<Object>} { aliases: [{ ...别名, resolvedTarget: 沿别名链找到的文件 ID，已失效时为 null }], cursor }
+ */
+export async function listFileAliases(db, options = {}) {
+    const { prefix = '', limit = 50 } = options;
+    const listPrefix = ALIAS_KEY_PREFIX + prefix;
+    const afterKey = options.cursor ? ALIAS_KEY_PREFIX + options.cursor : '';
+    const aliases = [];
+    let listCursor = null;
+
+    do {
+        const response = await db.list({ prefix: listPrefix, limit: 1000, cursor: listCursor });
+        listCursor = response.list_complete ? null : response.cursor;
+
+        for (const item of response.keys) {
+            // D1 使用 LIKE 匹配前缀，需要再次确认
+            if (!item.name.startsWith(listPrefix) || item.name <= afterKey) {
+                continue;
+            }
+
+            const aliasStr = await db.get(item.name);
+            if (!aliasStr) {
+                continue;
+            }
+
+            const alias = JSON.parse(aliasStr);
+            const resolved = await resolveFileAlias(db, alias.id);
+            aliases.push({ ...alias, resolvedTarget: resolved ? resolved.target : null });
+            if (aliases.length >= limit) {
+                return { aliases, cursor: alias.id };
+            }
+        }
+    } while (listCursor);
+
+    return { aliases, cursor: null };
+}
+
+/**
+ * 删除别名
+ * @param {Object} db - 数据库适配器
+ * @param {string} fileId - 旧文件 ID
+ * @returns {Promise<Object>} { success, alias?, error? }
+ */
+export async function deleteFileAlias(db, fileId) {
+    const alias = fileId ? await getFileAlias(db, fileId) : null;
+    if (!alias) {
+        return { success: false, error: '别名不存在' };
+    }
+
+    await db.delete(ALIAS_KEY_PREFIX + fileId);
+    return { success: true, alias };
+}
+
+/**
+ * 清理别名：删除最终指向的文件已不存在的别名，指定 before 时同时删除在此之前创建的别名
+ * @param {Object} db - 数据库适配器
+ * @param {Object} options - { before: 时间戳（毫秒） }
+ * @returns {Promise<Object>} { success, pruned: 删除的旧文件 ID }
+ */
+export async function pruneFileAliases(db, options = {}) {
+    const { before = 0 } = options;
+    const pruneIds = [];
+    let listCursor = null;
+
+    // 先收集再删除，避免删除时影响别名链的解析
+    do {
+        const response = await db.list({ prefix: ALIAS_KEY_PREFIX, limit: 1000, cursor: listCursor });
+        listCursor = response.list_complete ? null : response.cursor;
+
+        for (const item of response.keys) {
+            if (!item.name.startsWith(ALIAS_KEY_PREFIX)) {
+                continue;
+            }
+
+            const fileId = item.name.substring(ALIAS_KEY_PREFIX.length);
+            const alias = await getFileAlias(db, fileId);
+            if (!alias) {
+                continue;
+            }
+            if ((before && new Date(alias.createdAt).getTime() < before) || !await resolveFileAlias(db, fileId)) {
+                pruneIds.push(fileId);
+            }
+        }
+    } while (listCursor);
+
+    for (const fileId of pruneIds) {
+        await db.delete(ALIAS_KEY_PREFIX + fileId);
+    }
+
+    return { success: true, pruned: pruneIds };
+}
+
+/**
+ * 判断文件记录是否存在（KV 对不存在的键返回 value 和 metadata 均为 null 的结果）
+ * @param {Object} db - 数据库适配器
+ * @param {string} fileId - 文件 ID
+ * @returns {Promise<boolean>}
+ */
+export async function fileRecordExists(db, fileId) {
+    const record = await db.getWithMetadata(fileId);
+    return !!record && (record.value !== null || !!record.metadata);
+}
@@ -0,0 +1,187 @@
+/* 文件过期与阅后即焚 */
+
+import { getDatabase } from './databaseAdapter.js';
+import { readIndex, removeFileFromIndex, batchRemoveFilesFromIndex } from './indexManager.js';
+import { deleteFile } from '../api/manage/delete/[[path]].js';
+import { recordAudit, SYSTEM_ACTOR } from './auditLog.js';
+import { resetDownloadCounter, recordDownload, getDownloadCount } from './downloadCounter.js';
+
+const LAST_SWEEP_KEY = 'manage@expiry@lastSweep';
+const SWEEP_INTERVAL = 60 * 60 * 1000; // 自动清理的最小间隔：1小时
+
+/**
+ * 从上传请求的 URL 参数中解析过期设置
+ * - expiresAt: 过期时间，毫秒时间戳或 ISO 日期字符串
+ * - ttl: 有效期，单位秒（与 expiresAt 同时指定时取较早者）
+ * - maxDownloads: 最大下载次数
+ * @param {URL} url - 上传请求 URL
+ * @returns {Object} 需要写入 metadata 的字段 { ExpiresAt?, MaxDownloads?, DownloadCount?, DownloadCounterId? }
+ */
+export function parseExpiryParams(url) {
+    const result = {};
+
+    const candidates = [];
+    const expiresAtParam = url.searchParams.get('expiresAt');
+    if (expiresAtParam) {
+        const expiresAt = /^\d+$/.test(expiresAtParam) ? parseInt(expiresAtParam, 10) : Date.parse(expiresAtParam);
+        if (!isNaN(expiresAt)) {
+            candidates.push(expiresAt);
+        }
+    }
+
+    const ttl = parseInt(url.searchParams.get('ttl'), 10);
+    if (!isNaN(ttl) && ttl > 0) {
+        candidates.push(Date.now() + ttl * 1000);
+    }
+
+    if (candidates.length > 0) {
+        result.ExpiresAt = Math.min(...candidates);
+    }
+
+    const maxDownloads = parseInt(url.searchParams.get('maxDownloads'), 10);
+    if (!isNaN(maxDownloads) && maxDownloads > 0) {
+        result.MaxDownloads = maxDownloads;
+        resetDownloadCounter(result);
+    }
+
+    return result;
+}
+
+/**
+ * 判断文件是否设置了过期或下载次数限制
+ * @param {Object} metadata - 文件元数据
+ * @returns {boolean}
+ */
+export function hasExpiryLimit(metadata) {
+    return !!(metadata?.ExpiresAt || metadata?.MaxDownloads);
+}
+
+/**
+ * 判断文件是否已失效（过期或达到下载次数上限）
+ * @param {Object} metadata - 文件元数据
+ * @param {number} now - 当前时间戳
+ * @returns {boolean}
+ */
+export function isFileExpired(metadata, now = Date.now()) {
+    if (metadata?.ExpiresAt && now >= metadata.ExpiresAt) {
+        return true;
+    }
+
+    if (metadata?.MaxDownloads && (metadata.DownloadCount || 0) >= metadata.MaxDownloads) {
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * 读取文件前检查过期和下载次数限制（/file、S3 和 WebDAV 共用），已失效的文件在后台删除
+ * 从头读取文件内容时（非 HEAD 请求，没有 Range 或 Range 从 0 开始）记录一次下载；计数写入独立的键，并发下载不会丢失计数
+ * @param {Object} context - 上下文对象，需包含 env 和 waitUntil
+ * @param {Request} request - 读取文件的请求
+ * @param {string} fileId - 文件ID
+ * @param {Object} metadata - 文件元数据
+ * @param {Object} options - 选项
+ * @param {boolean} options.countDownload - 是否记录下载次数，为 false 时只检查是否已达到上限，默认为 true
+ * @returns {Promise<boolean>} 文件是否已失效
+ */
+export async function checkFileExpiry(context, request, fileId, metadata, options = {}) {
+    const { countDownload = true } = options;
+    if (!hasExpiryLimit(metadata)) {
+        return false;
+    }
+
+    const { env } = context;
+    let expired = isFileExpired(metadata);
+    if (!expired && metadata.MaxDownloads) {
+        const range = request.headers.get('Range');
+        if (countDownload && request.method !== 'HEAD' && (!range || /^bytes=0-/.test(range))) {
+            expired = !await recordDownload(env, fileId, metadata);
+        } else {
+            expired = await getDownloadCount(env, fileId, metadata) >= metadata.MaxDownloads;
+        }
+    }
+
+    if (expired) {
+        // 惰性清理：删除底层对象和数据库记录，并从索引中移除
+        const url = new URL(request.url);
+        const cdnUrl = `https://${url.hostname}/file/${fileId}`;
+        context.waitUntil(deleteFile(env, fileId, cdnUrl, url).then(async success => {
+            if (success) {
+                await removeFileFromIndex(context, fileId);
+                await recordAudit(context, { action: 'file.expire', targets: [fileId], before: metadata, actor: SYSTEM_ACTOR });
+            }
+        }));
+    }
+
+    return expired;
+}
+
+/**
+ * 清理所有已失效的文件：通过各渠道的删除逻辑删除底层对象，并从索引中移除
+ * @param {Object} context - 上下文对象
+ * @param {Object} options - 选项
+ * @param {boolean} options.force - 是否忽略清理间隔，默认为 false
+ * @returns {Object} 清理结果 { success, deleted, failed, skipped? }
+ */
+export async function sweepExpiredFiles(context, options = {}) {
+    const { env, request } = context;
+    const { force = false } = options;
+    const db = getDatabase(env);
+
+    try {
+        // 控制自动清理频率
+        const now = Date.now();
+        if (!force) {
+            const lastSweep = parseInt(await db.get(LAST_SWEEP_KEY), 10) || 0;
+            if (now - lastSweep < SWEEP_INTERVAL) {
+                return { success: true, deleted: [], failed: [], skipped: true };
+            }
+        }
+        await db.put(LAST_SWEEP_KEY, now.toString());
+
+        const result = await readIndex(context, { count: -1, includeSubdirFiles: true, owner: null, allowedDirs: null, trash: 'include' });
+        if (!result.success) {
+            return { success: false, deleted: [], failed: [], error: 'Failed to read index' };
+        }
+
+        const url = new URL(request.url);
+        const deleted = [];
+        const failed = [];
+
+        for (const file of result.files) {
+            if (!hasExpiryLimit(file.metadata)) {
+                continue;
+            }
+
+            // 下载次数记录在独立的计数键中，需要读取最新的计数
+            let metadata = file.metadata;
+            if (metadata.MaxDownloads && !isFileExpired(metadata, now)) {
+                metadata = { ...metadata, DownloadCount: await getDownloadCount(env, file.id, metadata) };
+            }
+
+            if (!isFileExpired(metadata, now)) {
+                continue;
+            }
+
+            const cdnUrl = `https://${url.hostname}/file/${file.id}`;
+            const success = await deleteFile(env, file.id, cdnUrl, url);
+            if (success) {
+                deleted.push(file.id);
+            } else {
+                failed.push(file.id);
+            }
+        }
+
+        if (deleted.length > 0) {
+            await batchRemoveFilesFromIndex(context, deleted);
+            await recordAudit(context, { action: 'file.expire', targets: deleted, actor: SYSTEM_ACTOR });
+        }
+
+        console.log(`Expired files sweep completed: ${deleted.length} deleted, ${failed.length} failed`);
+        return { success: true, deleted, failed };
+    } catch (error) {
+        console.error('Error sweeping expired files:', error);
+        return { success: false, deleted: [], failed: [], error: error.message };
+    }
+}
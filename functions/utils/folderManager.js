@@ -0,0 +1,400 @@
+/* 文件夹管理：持久化的文件夹记录，使不包含任何文件的空文件夹也能存在 */
+
+/**
+ * 文件夹记录结构：
+ * - key: manage@folder@${path}，path 为无头无尾的文件夹路径，如 "photos/2024"
+ * - value: JSON.stringify({
+ *     path: "photos/2024",
+ *     description: "2024 年的照片",
+ *     cover: "photos/2024/cover.jpg",  // 封面图片的文件 ID
+ *     uploadChannel: "cfr2",           // 默认上传渠道，上传请求未指定渠道时使用，子文件夹继承；为空时不指定
+ *     channelName: "",                 // 默认上传渠道的名称，为空时自动选择
+ *     replicas: [{ uploadChannel: "telegram", channelName: "" }],  // 副本渠道，上传到该文件夹的文件同时写入这些渠道，子文件夹继承；为空时使用全局复制策略
+ *     isPrivate: false,                // 私有文件夹及其子文件夹不在公开浏览中展示
+ *     sortOrder: 0,                    // 列表中按排序值从小到大排列，相同时按名称排列
+ *     createdAt: "2024-01-01T00:00:00.000Z",
+ *     updatedAt: "2024-01-01T00:00:00.000Z",
+ *     deletedAt: 1700000000000         // 文件夹移入回收站的时间戳，未删除时没有该字段
+ *   })
+ * 包含文件的文件夹仍由文件 ID 隐式产生，文件夹记录只是补充
+ * 回收站中的文件夹记录对 getFolder、listFolders 不可见；恢复其中的文件时一并恢复，保留期满后随回收站清理删除
+ */
+
+const FOLDER_KEY_PREFIX = 'manage@folder@';
+
+/**
+ * 可以设为文件夹默认上传渠道的渠道
+ */
+export const FOLDER_UPLOAD_CHANNELS = ['telegram', 'cfr2', 's3', 'b2', 'webdav', 'discord', 'huggingface', 'github'];
+
+const DESCRIPTION_MAX_LENGTH = 1000;
+const MAX_REPLICAS = 3;
+
+/**
+ * 文件夹属性的默认值，没有记录的文件夹也使用这些值
+ */
+export const DEFAULT_FOLDER_ATTRIBUTES = {
+    description: '',
+    cover: '',
+    uploadChannel: '',
+    channelName: '',
+    replicas: [],
+    isPrivate: false,
+    sortOrder: 0
+};
+
+/**
+ * 规范化文件夹路径：无头无尾，根目录为空
+ * @param {string} path - 文件夹路径
+ * @returns {string}
+ */
+export function normalizeFolderPath(path) {
+    return String(path || '').replace(/^\/+/, '').replace(/\/{2,}/g, '/').replace(/\/+$/, '');
+}
+
+// 校验并规范化文件夹属性，只保留传入的字段
+function normalizeFolderAttributes(attributes) {
+    const result = {};
+
+    if (attributes.description !== undefined) {
+        if (typeof attributes.description !== 'string' || attributes.description.length > DESCRIPTION_MAX_LENGTH) {
+            return { error: `描述必须是不超过 ${DESCRIPTION_MAX_LENGTH} 个字符的字符串` };
+        }
+        result.description = attributes.description;
+    }
+    if (attributes.cover !== undefined) {
+        if (typeof attributes.cover !== 'string' || attributes.cover.startsWith('manage@')) {
+            return { error: '无效的封面文件' };
+        }
+        result.cover = attributes.cover.replace(/^\/+/, '');
+    }
+    if (attributes.uploadChannel !== undefined) {
+        if (attributes.uploadChannel !== '' && !FOLDER_UPLOAD_CHANNELS.includes(attributes.uploadChannel)) {
+            return { error: '无效的上传渠道' };
+        }
+        result.uploadChannel = attributes.uploadChannel;
+    }
+    if (attributes.channelName !== undefined) {
+        if (typeof attributes.channelName !== 'string') {
+            return { error: '无效的渠道名称' };
+        }
+        result.channelName = attributes.channelName;
+    }
+    if (attributes.replicas !== undefined) {
+        if (!Array.isArray(attributes.replicas) || attributes.replicas.length > MAX_REPLICAS) {
+            return { error: `副本渠道必须是不超过 ${MAX_REPLICAS} 项的数组` };
+        }
+        const invalid = attributes.replicas.some(replica => !FOLDER_UPLOAD_CHANNELS.includes(replica?.uploadChannel)
+            || (replica.channelName !== undefined && typeof replica.channelName !== 'string'));
+        if (invalid) {
+            return { error: '无效的副本渠道' };
+        }
+        result.replicas = attributes.replicas.map(replica => ({
+            uploadChannel: replica.uploadChannel,
+            channelName: replica.channelName || ''
+        }));
+    }
+    if (attributes.isPrivate !== undefined) {
+        if (typeof attributes.isPrivate !== 'boolean') {
+            return { error: 'isPrivate 必须是布尔值' };
+        }
+        result.isPrivate = attributes.isPrivate;
+    }
+    if (attributes.sortOrder !== undefined) {
+        if (!Number.isInteger(attributes.sortOrder)) {
+            return { error: '排序值必须是整数' };
+        }
+        result.sortOrder = attributes.sortOrder;
+    }
+
+    return { attributes: result };
+}
+
+/**
+ * 读取文件夹记录
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件夹路径
+ * @returns {Promise<Object|null>} 文件夹记录，不存在时返回 null
+ */
+export async function getFolder(db, path) {
+    const folder = await readFolderRecord(db, path);
+    return folder && !folder.deletedAt ? folder : null;
+}
+
+// 读取文件夹记录，包括回收站中的记录
+async function readFolderRecord(db, path) {
+    const folderPath = normalizeFolderPath(path);
+    if (!folderPath) {
+        return null;
+    }
+
+    const folderStr = await db.get(FOLDER_KEY_PREFIX + folderPath);
+    return folderStr ? JSON.parse(folderStr) : null;
+}
+
+/**
+ * 列出某个文件夹下的所有文件夹记录（包括多级子文件夹，不包括该文件夹本身）
+ * @param {Object} db - 数据库适配器
+ * @param {string} parent - 上级文件夹路径，为空时列出全部
+ * @param {Object} options - 选项
+ * @param {boolean} options.includeTrashed - 是否包括回收站中的文件夹记录，默认为 false
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listFolders(db, parent = '', options = {}) {
+    const { includeTrashed = false } = options;
+    const parentPath = normalizeFolderPath(parent);
+    const prefix = FOLDER_KEY_PREFIX + (parentPath ? parentPath + '/' : '');
+    const folders = [];
+    let cursor = null;
+
+    do {
+        const response = await db.list({
+            prefix: prefix,
+            limit: 1000,
+            cursor: cursor
+        });
+
+        for (const item of response.keys) {
+            // D1 使用 LIKE 匹配前缀，需要再次确认
+            if (!item.name.startsWith(prefix)) {
+                continue;
+            }
+            const folderStr = await db.get(item.name);
+            if (!folderStr) {
+                continue;
+            }
+            const folder = JSON.parse(folderStr);
+            if (includeTrashed || !folder.deletedAt) {
+                folders.push(folder);
+            }
+        }
+
+        cursor = response.list_complete ? null : response.cursor;
+    } while (cursor);
+
+    return folders;
+}
+
+/**
+ * 创建文件夹记录
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件夹路径
+ * @param {Object} attributes - 文件夹属性 { description, cover, uploadChannel, channelName, replicas, isPrivate, sortOrder }，均可选
+ * @returns {Promise<Object>} { success, folder?, error? }
+ */
+export async function createFolder(db, path, attributes = {}) {
+    const folderPath = normalizeFolderPath(path);
+    if (!folderPath || folderPath.startsWith('manage@') || folderPath.split('/').some(segment => segment === '.' || segment === '..')) {
+        return { success: false, error: '无效的文件夹路径' };
+    }
+    if (await getFolder(db, folderPath)) {
+        return { success: false, error: '文件夹已存在' };
+    }
+
+    const normalized = normalizeFolderAttributes(attributes);
+    if (normalized.error) {
+        return { success: false, error: normalized.error };
+    }
+
+    const now = new Date().toISOString();
+    const folder = {
+        path: folderPath,
+        ...DEFAULT_FOLDER_ATTRIBUTES,
+        ...normalized.attributes,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await db.put(FOLDER_KEY_PREFIX + folderPath, JSON.stringify(folder));
+
+    return { success: true, folder };
+}
+
+/**
+ * 更新文件夹属性，文件夹还没有记录（只由文件隐式产生）时创建记录
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件夹路径
+ * @param {Object} attributes - 要修改的文件夹属性
+ * @returns {Promise<Object>} { success, folder?, error? }
+ */
+export async function updateFolder(db, path, attributes) {
+    const existing = await getFolder(db, path);
+    if (!existing) {
+        return await createFolder(db, path, attributes);
+    }
+
+    const normalized = normalizeFolderAttributes(attributes);
+    if (normalized.error) {
+        return { success: false, error: normalized.error };
+    }
+
+    const folder = {
+        ...existing,
+        ...normalized.attributes,
+        updatedAt: new Date().toISOString()
+    };
+
+    await db.put(FOLDER_KEY_PREFIX + folder.path, JSON.stringify(folder));
+
+    return { success: true, folder };
+}
+
+/**
+ * 获取上传到某个文件夹时使用的默认上传渠道：取该文件夹或最近的上级文件夹设置的渠道
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 上传文件夹路径
+ * @returns {Promise<Object|null>} { uploadChannel, channelName }，没有设置时返回 null
+ */
+export async function getFolderUploadChannel(db, path) {
+    const segments = normalizeFolderPath(path).split('/').filter(Boolean);
+
+    for (let i = segments.length; i > 0; i--) {
+        const folder = await getFolder(db, segments.slice(0, i).join('/'));
+        if (folder?.uploadChannel) {
+            return { uploadChannel: folder.uploadChannel, channelName: folder.channelName || '' };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 获取上传到某个文件夹时使用的副本渠道：取该文件夹或最近的上级文件夹设置的副本渠道
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件夹路径
+ * @returns {Promise<Array<Object>|null>} [{ uploadChannel, channelName }]，没有设置时返回 null
+ */
+export async function getFolderReplicas(db, path) {
+    const segments = normalizeFolderPath(path).split('/').filter(Boolean);
+
+    for (let i = segments.length; i > 0; i--) {
+        const folder = await getFolder(db, segments.slice(0, i).join('/'));
+        if (folder?.replicas?.length) {
+            return folder.replicas;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 判断路径是否位于某个私有文件夹内（包括私有文件夹本身）
+ * @param {string} path - 文件夹路径或文件 ID
+ * @param {Array<string>} privatePaths - 私有文件夹路径，由 listFolders 的结果筛选得到
+ * @returns {boolean}
+ */
+export function isInPrivateFolder(path, privatePaths) {
+    const normalized = normalizeFolderPath(path);
+    return privatePaths.some(privatePath => normalized === privatePath || normalized.startsWith(privatePath + '/'));
+}
+
+/**
+ * 删除文件夹记录及其所有子文件夹记录
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件夹路径
+ * @param {Object} options - 选项
+ * @param {boolean} options.trash - 是否移入回收站（保留记录并标记 deletedAt），默认为 false，彻底删除时包括回收站中的记录
+ * @returns {Promise<Object>} { success, deleted: 删除的文件夹路径 }
+ */
+export async function deleteFolders(db, path, options = {}) {
+    const { trash = false } = options;
+    const folderPath = normalizeFolderPath(path);
+    if (!folderPath) {
+        return { success: false, deleted: [] };
+    }
+
+    const deleted = [];
+    const folders = await listFolders(db, folderPath, { includeTrashed: !trash });
+    const self = trash ? await getFolder(db, folderPath) : await readFolderRecord(db, folderPath);
+    if (self) {
+        folders.push(self);
+    }
+
+    const deletedAt = Date.now();
+    for (const folder of folders) {
+        if (trash) {
+            await db.put(FOLDER_KEY_PREFIX + folder.path, JSON.stringify({ ...folder, deletedAt }));
+        } else {
+            await db.delete(FOLDER_KEY_PREFIX + folder.path);
+        }
+        deleted.push(folder.path);
+    }
+
+    return { success: true, deleted };
+}
+
+/**
+ * 恢复回收站中的文件夹记录：恢复文件时调用，恢复文件所在文件夹及其所有上级文件夹的记录
+ * @param {Object} db - 数据库适配器
+ * @param {string} path - 文件夹路径
+ * @returns {Promise<Array<string>>} 恢复的文件夹路径
+ */
+export async function restoreFolders(db, path) {
+    const segments = normalizeFolderPath(path).split('/').filter(Boolean);
+    const restored = [];
+
+    for (let i = segments.length; i > 0; i--) {
+        const folder = await readFolderRecord(db, segments.slice(0, i).join('/'));
+        if (folder?.deletedAt) {
+            const { deletedAt, ...restoredFolder } = folder;
+            await db.put(FOLDER_KEY_PREFIX + folder.path, JSON.stringify(restoredFolder));
+            restored.push(folder.path);
+        }
+    }
+
+    return restored;
+}
+
+/**
+ * 彻底删除移入回收站早于指定时间的文件夹记录
+ * @param {Object} db - 数据库适配器
+ * @param {number} before - 时间戳
+ * @returns {Promise<Array<string>>} 删除的文件夹路径
+ */
+export async function purgeTrashedFolders(db, before) {
+    const purged = [];
+    for (const folder of await listFolders(db, '', { includeTrashed: true })) {
+        if (folder.deletedAt && folder.deletedAt <= before) {
+            await db.delete(FOLDER_KEY_PREFIX + folder.path);
+            purged.push(folder.path);
+        }
+    }
+    return purged;
+}
+
+/**
+ * 移动文件夹记录及其所有子文件夹记录，目标位置已有的记录会被覆盖
+ * @param {Object} db - 数据库适配器
+ * @param {string} from - 原文件夹路径
+ * @param {string} to - 新文件夹路径
+ * @returns {Promise<Object>} { success, moved: [{ from, to }] }
+ */
+export async function moveFolders(db, from, to) {
+    const fromPath = normalizeFolderPath(from);
+    const toPath = normalizeFolderPath(to);
+    if (!fromPath || !toPath) {
+        return { success: false, moved: [] };
+    }
+
+    const folders = await listFolders(db, fromPath);
+    const self = await getFolder(db, fromPath);
+    if (self) {
+        folders.push(self);
+    }
+
+    const moved = [];
+    const now = new Date().toISOString();
+    for (const folder of folders) {
+        const newPath = toPath + folder.path.substring(fromPath.length);
+        const movedFolder = { ...folder, path: newPath, updatedAt: now };
+        // 封面文件位于被移动的文件夹内时随之移动
+        if (folder.cover && folder.cover.startsWith(fromPath + '/')) {
+            movedFolder.cover = toPath + folder.cover.substring(fromPath.length);
+        }
+        await db.put(FOLDER_KEY_PREFIX + newPath, JSON.stringify(movedFolder));
+        await db.delete(FOLDER_KEY_PREFIX + folder.path);
+        moved.push({ from: folder.path, to: newPath });
+    }
+
+    return { success: true, moved };
+}
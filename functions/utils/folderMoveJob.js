@@ -0,0 +1,265 @@
+/* 文件夹移动任务：在服务端分批移动文件夹中的所有文件，记录进度，失败或中断后可以继续执行 */
+
+/**
+ * 任务记录结构：
+ * - key: manage@folderMove@${任务ID}
+ * - value: JSON.stringify({
+ *     id: "fm_xxx",
+ *     from: "photos/2024",          // 原文件夹路径
+ *     to: "archive/2024",           // 新文件夹路径
+ *     redirect: true,               // 是否在旧文件 ID 上保留指向新文件的别名
+ *     status: "running" | "completed" | "failed",
+ *     total: 120,                   // 创建任务时文件夹中的文件数
+ *     moved: 80,                    // 已移动的文件数
+ *     failed: ["photos/2024/a.jpg"],// 移动失败的文件，继续执行时重试
+ *     batch: 2,                     // 下一批的序号，每批在单独的请求中执行
+ *     error: "",
+ *     createdAt, updatedAt, finishedAt
+ *   })
+ * 运行中的任务超过 JOB_STALE_TIME 没有更新进度时视为已中断，可以继续执行
+ */
+
+import { getDatabase } from './databaseAdapter.js';
+import { readIndex, batchMoveFilesInIndex } from './indexManager.js';
+import { normalizeFolderPath, moveFolders } from './folderManager.js';
+import { createFileAlias } from './fileAlias.js';
+import { purgeRandomFileListCache, purgePublicFileListCache } from './purgeCache.js';
+import { recordAudit } from './auditLog.js';
+import { moveFile, notifyMoveWebhooks } from '../api/manage/move/[[path]].js';
+
+const JOB_KEY_PREFIX = 'manage@folderMove@';
+const JOB_BATCH_SIZE = 50; // 每批移动的文件数，每批完成后保存进度
+const JOB_STALE_TIME = 2 * 60 * 1000; // 运行中的任务超过该时间没有进度视为已中断
+const JOB_TTL = 7 * 24 * 60 * 60; // 任务记录的保留时间（秒），仅 KV 生效
+
+function generateJobId() {
+    return 'fm_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+}
+
+async function saveJob(db, job) {
+    job.updatedAt = new Date().toISOString();
+    await db.put(JOB_KEY_PREFIX + job.id, JSON.stringify(job), {
+        expirationTtl: JOB_TTL
+    });
+}
+
+/**
+ * 读取文件夹移动任务
+ * @param {Object} db - 数据库适配器
+ * @param {string} jobId - 任务ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getFolderMoveJob(db, jobId) {
+    if (!jobId) {
+        return null;
+    }
+    const jobStr = await db.get(JOB_KEY_PREFIX + jobId);
+    return jobStr ? JSON.parse(jobStr) : null;
+}
+
+/**
+ * 判断任务是否可以继续执行：执行失败，或运行中但已长时间没有进度
+ * @param {Object} job - 任务记录
+ * @returns {boolean}
+ */
+export function isFolderMoveJobResumable(job) {
+    if (job.status === 'failed') {
+        return true;
+    }
+    return job.status === 'running' && Date.now() - new Date(job.updatedAt).getTime() > JOB_STALE_TIME;
+}
+
+/**
+ * 创建文件夹移动任务
+ * @param {Object} context - 上下文对象
+ * @param {string} from - 原文件夹路径
+ * @param {string} to - 新文件夹路径
+ * @param {Object} options - { redirect: 是否在旧文件 ID 上保留别名 }
+ * @returns {Promise<Object>} { success, job?, error? }
+ */
+export async function createFolderMoveJob(context, from, to, options = {}) {
+    const fromPath = normalizeFolderPath(from);
+    const toPath = normalizeFolderPath(to);
+    if (!fromPath || !toPath || toPath.startsWith('manage@') || toPath.split('/').some(segment => segment === '.' || segment === '..')) {
+        return { success: false, error: '无效的文件夹路径' };
+    }
+    if (toPath === fromPath || toPath.startsWith(fromPath + '/')) {
+        return { success: false, error: '不能将文件夹移动到自身或其子文件夹中' };
+    }
+
+    const listing = await readIndex(context, {
+        directory: fromPath,
+        includeSubdirFiles: true,
+        countOnly: true,
+        trash: 'include'
+    });
+
+    const now = new Date().toISOString();
+    const job = {
+        id: generateJobId(),
+        from: fromPath,
+        to: toPath,
+        redirect: options.redirect === true,
+        status: 'running',
+        total: listing.totalCount || 0,
+        moved: 0,
+        failed: [],
+        batch: 0,
+        error: '',
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null
+    };
+    await saveJob(getDatabase(context.env), job);
+
+    return { success: true, job };
+}
+
+/**
+ * 重新开始执行失败或中断的任务：之前失败的文件会被重试，仍在执行的旧批次随之失效
+ * @param {Object} context - 上下文对象
+ * @param {string} jobId - 任务ID
+ * @returns {Promise<Object|null>} 更新后的任务记录
+ */
+export async function restartFolderMoveJob(context, jobId) {
+    const db = getDatabase(context.env);
+    const job = await getFolderMoveJob(db, jobId);
+    if (!job || !isFolderMoveJobResumable(job)) {
+        return job;
+    }
+
+    job.status = 'running';
+    job.error = '';
+    job.failed = [];
+    job.batch = (job.batch || 0) + 1;
+    await saveJob(db, job);
+    return job;
+}
+
+/**
+ * 执行文件夹移动任务的一批文件：移动后更新索引并保存进度，还有剩余文件时请求下一批，
+ * 每次调用只处理一批，避免单个请求的后台任务超出执行时间
+ * @param {Object} context - 上下文对象
+ * @param {string} jobId - 任务ID
+ * @param {number} batch - 批次序号，与任务记录不一致时（重复或已失效的请求）不执行
+ * @returns {Promise<Object>} 本批执行结束时的任务记录
+ */
+export async function runFolderMoveJob(context, jobId, batch) {
+    const { env } = context;
+    const db = getDatabase(env);
+    const url = new URL(context.request.url);
+
+    const job = await getFolderMoveJob(db, jobId);
+    if (!job || job.status !== 'running' || (job.batch || 0) !== batch) {
+        return job;
+    }
+
+    // 先推进批次序号，同一批次的重复请求不会再次执行
+    job.batch = batch + 1;
+    await saveJob(db, job);
+
+    let hasMore = false;
+    try {
+        // 已移动的文件不再出现在原文件夹中，跳过之前失败的文件即可取到下一批
+        const listing = await readIndex(context, {
+            directory: job.from,
+            includeSubdirFiles: true,
+            count: JOB_BATCH_SIZE + job.failed.length,
+            trash: 'include'
+        });
+        if (!listing.success) {
+            throw new Error('Failed to read index');
+        }
+
+        const files = listing.files.filter(file => !job.failed.includes(file.id)).slice(0, JOB_BATCH_SIZE);
+        hasMore = files.length === JOB_BATCH_SIZE;
+
+        const movedFiles = [];
+        for (const file of files) {
+            const newFileId = job.to + file.id.substring(job.from.length);
+            const cdnUrl = `https://${url.hostname}/file/${file.id}`;
+
+            // 缩略图使用与文件ID无关的随机键，移动后元数据中的 ThumbnailId 仍然有效
+            if (await moveFile(env, file.id, newFileId, cdnUrl, url)) {
+                movedFiles.push({ fileId: file.id, newFileId });
+                if (job.redirect) {
+                    await createFileAlias(db, file.id, newFileId);
+                }
+            } else {
+                job.failed.push(file.id);
+            }
+        }
+
+        // 等待索引更新，下一批读取时才能看到本批的移动结果
+        if (movedFiles.length > 0) {
+            await batchMoveFilesInIndex(context, movedFiles.map(file => ({
+                originalFileId: file.fileId,
+                newFileId: file.newFileId
+            })));
+            await notifyMoveWebhooks(context, movedFiles);
+        }
+        job.moved += movedFiles.length;
+
+        // 全部文件移动完成后，持久化的文件夹记录（包括空文件夹）随之移动
+        if (!hasMore) {
+            if (job.failed.length > 0) {
+                job.status = 'failed';
+                job.error = '部分文件移动失败';
+            } else {
+                await moveFolders(db, job.from, job.to);
+                job.status = 'completed';
+                job.finishedAt = new Date().toISOString();
+            }
+        }
+    } catch (e) {
+        console.error('Folder move job failed:', e);
+        hasMore = false;
+        job.status = 'failed';
+        job.error = e.message;
+    }
+
+    await saveJob(db, job);
+
+    if (hasMore) {
+        await requestNextBatch(context, job);
+        return job;
+    }
+
+    // 空文件夹不会经过单个文件的缓存清除，这里清除两个文件夹所在目录的列表缓存
+    const fromParent = job.from.split('/').slice(0, -1).join('/');
+    const toParent = job.to.split('/').slice(0, -1).join('/');
+    await purgeRandomFileListCache(url.origin, fromParent, toParent, job.from, job.to);
+    await purgePublicFileListCache(url.origin, fromParent, toParent, job.from, job.to);
+
+    if (job.status === 'completed') {
+        await recordAudit(context, {
+            action: 'folder.move',
+            targets: [job.from, job.to],
+            before: { folder: job.from },
+            after: { folder: job.to, jobId: job.id, moved: job.moved, redirect: job.redirect }
+        });
+    }
+
+    return job;
+}
+
+// 以当前请求的认证信息调用文件夹接口执行下一批，下一批在新的请求中运行
+// 请求失败时任务停留在运行状态，超过 JOB_STALE_TIME 后可以继续执行
+async function requestNextBatch(context, job) {
+    const originUrl = new URL(context.request.url);
+    const runUrl = `${originUrl.protocol}//${originUrl.host}/api/manage/folders?action=run`;
+
+    const headers = new Headers(context.request.headers);
+    headers.set('Content-Type', 'application/json');
+    headers.delete('Content-Length');
+
+    try {
+        await fetch(runUrl, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({ id: job.id, batch: job.batch })
+        });
+    } catch (error) {
+        console.error(`Failed to request next batch of folder move job ${job.id}:`, error);
+    }
+}
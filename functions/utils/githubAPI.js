@@ -0,0 +1,370 @@
+/**
+ * GitHub API 封装类
+ * 小文件通过 Contents API 提交到仓库，大文件作为 Release 附件上传
+ */
+export class GitHubAPI {
+    constructor(token, repo, branch = 'main') {
+        this.token = token;
+        this.repo = repo;  // 格式: owner/repo-name
+        this.branch = branch || 'main';
+        this.baseURL = 'https://api.github.com';
+        this.uploadURL = 'https://uploads.github.com';
+        this.defaultHeaders = {
+            'Authorization': `Bearer ${this.token}`,
+            'Accept': 'application/vnd.github+json',
+            'X-GitHub-Api-Version': '2022-11-28',
+            'User-Agent': 'CloudFlare-ImgBed'
+        };
+    }
+
+    /**
+     * 获取仓库信息（用于检查 Token 和仓库是否可用，size 为仓库占用空间，单位 KB）
+     * @returns {Promise<Object|null>} 仓库数据或 null
+     */
+    async getRepo() {
+        try {
+            const response = await fetch(`${this.baseURL}/repos/${this.repo}`, {
+                headers: this.defaultHeaders
+            });
+
+            if (!response.ok) {
+                console.error('GitHub getRepo error:', response.status, response.statusText);
+                return null;
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error getting GitHub repo:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 通过 Contents API 提交文件，文件已存在时覆盖
+     * @param {string} path - 仓库中的文件路径
+     * @param {Blob} file - 文件内容
+     * @param {string} message - 提交信息
+     * @returns {Promise<Object>} 提交后的文件信息 { path, sha, size }
+     */
+    async putContent(path, file, message) {
+        const content = encodeBase64(new Uint8Array(await file.arrayBuffer()));
+        const body = { message, content, branch: this.branch };
+
+        let response = await fetch(this.buildContentsUrl(path), {
+            method: 'PUT',
+            headers: { ...this.defaultHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        // 422 表示文件已存在，覆盖时需要提供原文件的 sha
+        if (response.status === 422) {
+            const sha = await this.getContentSha(path);
+            if (sha) {
+                response = await fetch(this.buildContentsUrl(path), {
+                    method: 'PUT',
+                    headers: { ...this.defaultHeaders, 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...body, sha })
+                });
+            }
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`GitHub API error: ${response.status} - ${errorData.message || response.statusText}`);
+        }
+
+        const result = await response.json();
+        return {
+            path: result.content.path,
+            sha: result.content.sha,
+            size: result.content.size
+        };
+    }
+
+    /**
+     * 获取仓库中文件的 sha（删除、覆盖文件时需要）
+     * @param {string} path - 仓库中的文件路径
+     * @returns {Promise<string|null>}
+     */
+    async getContentSha(path) {
+        try {
+            const response = await fetch(`${this.buildContentsUrl(path)}?ref=${encodeURIComponent(this.branch)}`, {
+                headers: this.defaultHeaders
+            });
+            if (!response.ok) {
+                return null;
+            }
+
+            const data = await response.json();
+            return data.sha || null;
+        } catch (error) {
+            console.error('Error getting GitHub content sha:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 通过 Contents API 读取文件原始内容（私有仓库使用）
+     * @param {string} path - 仓库中的文件路径
+     * @param {string|null} range - Range 请求头
+     * @returns {Promise<Response>} GitHub 的原始响应
+     */
+    async getContentRaw(path, range = null) {
+        const headers = { ...this.defaultHeaders, 'Accept': 'application/vnd.github.raw' };
+        if (range) {
+            headers['Range'] = range;
+        }
+
+        return await fetch(`${this.buildContentsUrl(path)}?ref=${encodeURIComponent(this.branch)}`, { headers });
+    }
+
+    /**
+     * 删除仓库中的文件，文件不存在时视为删除成功
+     * @param {string} path - 仓库中的文件路径
+     * @param {string|null} sha - 文件的 sha，为空时先查询
+     * @param {string} message - 提交信息
+     * @returns {Promise<boolean>} 是否删除成功
+     */
+    async deleteContent(path, sha = null, message = 'Delete file') {
+        try {
+            let response = await this.requestDeleteContent(path, sha || await this.getContentSha(path), message);
+
+            // 409 表示 sha 与仓库中的文件不一致，重新查询后再试一次
+            if (response.status === 409) {
+                response = await this.requestDeleteContent(path, await this.getContentSha(path), message);
+            }
+
+            if (response.ok || response.status === 404) {
+                return true;
+            }
+
+            console.error('GitHub deleteContent error:', response.status, response.statusText);
+            return false;
+        } catch (error) {
+            console.error('Error deleting GitHub content:', error.message);
+            return false;
+        }
+    }
+
+    async requestDeleteContent(path, sha, message) {
+        if (!sha) {
+            return new Response(null, { status: 404 });
+        }
+
+        return await fetch(this.buildContentsUrl(path), {
+            method: 'DELETE',
+            headers: { ...this.defaultHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message, sha, branch: this.branch })
+        });
+    }
+
+    /**
+     * 获取指定标签的 Release，不存在时创建
+     * @param {string} tag - Release 标签
+     * @returns {Promise<Object>} Release 数据
+     */
+    async getOrCreateRelease(tag) {
+        const response = await fetch(`${this.baseURL}/repos/${this.repo}/releases/tags/${encodeURIComponent(tag)}`, {
+            headers: this.defaultHeaders
+        });
+        if (response.ok) {
+            return await response.json();
+        }
+        if (response.status !== 404) {
+            throw new Error(`GitHub API error: ${response.status} - ${response.statusText}`);
+        }
+
+        const createResponse = await fetch(`${this.baseURL}/repos/${this.repo}/releases`, {
+            method: 'POST',
+            headers: { ...this.defaultHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                tag_name: tag,
+                target_commitish: this.branch,
+                name: tag,
+                body: 'Files uploaded by CloudFlare-ImgBed'
+            })
+        });
+        if (!createResponse.ok) {
+            const errorData = await createResponse.json().catch(() => ({}));
+            throw new Error(`Failed to create release: ${createResponse.status} - ${errorData.message || createResponse.statusText}`);
+        }
+
+        return await createResponse.json();
+    }
+
+    /**
+     * 上传 Release 附件
+     * @param {number} releaseId - Release ID
+     * @param {string} name - 附件名称（同一 Release 中不能重复）
+     * @param {Blob} file - 文件内容
+     * @returns {Promise<Object>} 附件信息 { id, name, size, downloadUrl }
+     */
+    async uploadReleaseAsset(releaseId, name, file) {
+        const response = await fetch(`${this.uploadURL}/repos/${this.repo}/releases/${releaseId}/assets?name=${encodeURIComponent(name)}`, {
+            method: 'POST',
+            headers: {
+                ...this.defaultHeaders,
+                'Content-Type': file.type || 'application/octet-stream'
+            },
+            body: file
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`GitHub API error: ${response.status} - ${errorData.message || response.statusText}`);
+        }
+
+        const asset = await response.json();
+        return {
+            id: asset.id,
+            name: asset.name,
+            size: asset.size,
+            downloadUrl: asset.browser_download_url
+        };
+    }
+
+    /**
+     * 读取 Release 附件内容（私有仓库使用）
+     * 附件接口会重定向到带签名的下载地址，手动跟随重定向，避免把 Token 发送到其他域名
+     * @param {number} assetId - 附件 ID
+     * @param {string|null} range - Range 请求头
+     * @returns {Promise<Response>} 下载地址的原始响应
+     */
+    async getReleaseAsset(assetId, range = null) {
+        const response = await fetch(`${this.baseURL}/repos/${this.repo}/releases/assets/${assetId}`, {
+            headers: { ...this.defaultHeaders, 'Accept': 'application/octet-stream' },
+            redirect: 'manual'
+        });
+
+        const location = response.headers.get('Location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+            return response;
+        }
+
+        const headers = {};
+        if (range) {
+            headers['Range'] = range;
+        }
+        return await fetch(location, { headers });
+    }
+
+    /**
+     * 删除 Release 附件，附件不存在时视为删除成功
+     * @param {number} assetId - 附件 ID
+     * @returns {Promise<boolean>} 是否删除成功
+     */
+    async deleteReleaseAsset(assetId) {
+        try {
+            const response = await fetch(`${this.baseURL}/repos/${this.repo}/releases/assets/${assetId}`, {
+                method: 'DELETE',
+                headers: this.defaultHeaders
+            });
+
+            if (response.ok || response.status === 404) {
+                return true;
+            }
+
+            console.error('GitHub deleteReleaseAsset error:', response.status, response.statusText);
+            return false;
+        } catch (error) {
+            console.error('Error deleting GitHub release asset:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 列出分支中的所有文件
+     * @returns {Promise<Array<Object>>} 文件列表 [{ path, size, sha }]
+     */
+    async listTree() {
+        const response = await fetch(`${this.baseURL}/repos/${this.repo}/git/trees/${encodeURIComponent(this.branch)}?recursive=1`, {
+            headers: this.defaultHeaders
+        });
+
+        // 空仓库没有任何分支
+        if (response.status === 404 || response.status === 409) {
+            return [];
+        }
+        if (!response.ok) {
+            throw new Error(`GitHub API error: ${response.status} - ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        if (data.truncated) {
+            console.warn(`GitHub tree of ${this.repo} is truncated, listing may be incomplete`);
+        }
+
+        return (data.tree || [])
+            .filter(item => item.type === 'blob')
+            .map(item => ({ path: item.path, size: item.size, sha: item.sha }));
+    }
+
+    /**
+     * 列出指定标签的 Release 中的所有附件，Release 不存在时返回空列表
+     * @param {string} tag - Release 标签
+     * @returns {Promise<Array<Object>>} 附件列表 [{ id, name, size }]
+     */
+    async listReleaseAssets(tag) {
+        const releaseResponse = await fetch(`${this.baseURL}/repos/${this.repo}/releases/tags/${encodeURIComponent(tag)}`, {
+            headers: this.defaultHeaders
+        });
+        if (releaseResponse.status === 404) {
+            return [];
+        }
+        if (!releaseResponse.ok) {
+            throw new Error(`GitHub API error: ${releaseResponse.status} - ${releaseResponse.statusText}`);
+        }
+        const release = await releaseResponse.json();
+
+        const assets = [];
+        for (let page = 1; ; page++) {
+            const response = await fetch(`${this.baseURL}/repos/${this.repo}/releases/${release.id}/assets?per_page=100&page=${page}`, {
+                headers: this.defaultHeaders
+            });
+            if (!response.ok) {
+                throw new Error(`GitHub API error: ${response.status} - ${response.statusText}`);
+            }
+
+            const pageAssets = await response.json();
+            assets.push(...pageAssets.map(asset => ({ id: asset.id, name: asset.name, size: asset.size })));
+            if (pageAssets.length < 100) {
+                break;
+            }
+        }
+        return assets;
+    }
+
+    /**
+     * 构建 Contents API 地址，逐段编码路径
+     */
+    buildContentsUrl(path) {
+        return `${this.baseURL}/repos/${this.repo}/contents/${encodeGitHubPath(path)}`;
+    }
+
+    /**
+     * 构建公开仓库中文件的访问地址
+     * @param {string} path - 仓库中的文件路径
+     * @param {string} cdn - raw 使用 raw.githubusercontent.com，jsdelivr 使用 jsDelivr CDN
+     * @returns {string}
+     */
+    buildPublicUrl(path, cdn = 'raw') {
+        if (cdn === 'jsdelivr') {
+            return `https://cdn.jsdelivr.net/gh/${this.repo}@${this.branch}/${encodeGitHubPath(path)}`;
+        }
+        return `https://raw.githubusercontent.com/${this.repo}/${this.branch}/${encodeGitHubPath(path)}`;
+    }
+}
+
+function encodeGitHubPath(path) {
+    return String(path || '').split('/').filter(Boolean).map(encodeURIComponent).join('/');
+}
+
+// 分段转换，避免大文件展开参数时栈溢出
+function encodeBase64(bytes) {
+    let binary = '';
+    const step = 0x8000;
+    for (let i = 0; i < bytes.length; i += step) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + step));
+    }
+    return btoa(binary);
+}
@@ -0,0 +1,231 @@
+/* 图片处理工具：基于 WASM 编解码器的缩放与格式转换 */
+
+import decodeJpeg, { init as initJpegDecode } from '@jsquash/jpeg/decode.js';
+import encodeJpeg, { init as initJpegEncode } from '@jsquash/jpeg/encode.js';
+import decodePng, { init as initPngDecode } from '@jsquash/png/decode.js';
+import encodePng, { init as initPngEncode } from '@jsquash/png/encode.js';
+import decodeWebp, { init as initWebpDecode } from '@jsquash/webp/decode.js';
+import encodeWebp, { init as initWebpEncode } from '@jsquash/webp/encode.js';
+import decodeAvif, { init as initAvifDecode } from '@jsquash/avif/decode.js';
+import encodeAvif, { init as initAvifEncode } from '@jsquash/avif/encode.js';
+import resize, { initResize } from '@jsquash/resize';
+
+import JPEG_DEC_WASM from '@jsquash/jpeg/codec/dec/mozjpeg_dec.wasm';
+import JPEG_ENC_WASM from '@jsquash/jpeg/codec/enc/mozjpeg_enc.wasm';
+import PNG_WASM from '@jsquash/png/codec/pkg/squoosh_png_bg.wasm';
+import WEBP_DEC_WASM from '@jsquash/webp/codec/dec/webp_dec.wasm';
+import WEBP_ENC_WASM from '@jsquash/webp/codec/enc/webp_enc.wasm';
+import AVIF_DEC_WASM from '@jsquash/avif/codec/dec/avif_dec.wasm';
+import AVIF_ENC_WASM from '@jsquash/avif/codec/enc/avif_enc.wasm';
+import RESIZE_WASM from '@jsquash/resize/lib/resize/pkg/squoosh_resize_bg.wasm';
+
+const MAX_DIMENSION = 4096; // 输出图片的最大边长
+const MAX_SOURCE_PIXELS = 16 * 1024 * 1024; // 源图最大像素数，避免解码时超出 Worker 内存限制
+const DEFAULT_QUALITY = 80;
+
+const FIT_MODES = ['contain', 'cover', 'fill'];
+
+// 输出格式与 MIME 类型对应关系
+const FORMAT_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    avif: 'image/avif',
+};
+
+// 各格式编解码器，WASM 模块在同一实例内只初始化一次
+const CODECS = {
+    'image/jpeg': {
+        init: () => Promise.all([initJpegDecode(JPEG_DEC_WASM), initJpegEncode(JPEG_ENC_WASM)]),
+        decode: (buffer) => decodeJpeg(buffer),
+        encode: (imageData, quality) => encodeJpeg(imageData, { quality }),
+    },
+    'image/png': {
+        init: () => Promise.all([initPngDecode(PNG_WASM), initPngEncode(PNG_WASM)]),
+        decode: (buffer) => decodePng(buffer),
+        encode: (imageData) => encodePng(imageData),
+    },
+    'image/webp': {
+        init: () => Promise.all([initWebpDecode(WEBP_DEC_WASM), initWebpEncode(WEBP_ENC_WASM)]),
+        decode: (buffer) => decodeWebp(buffer),
+        encode: (imageData, quality) => encodeWebp(imageData, { quality }),
+    },
+    'image/avif': {
+        init: () => Promise.all([initAvifDecode(AVIF_DEC_WASM), initAvifEncode(AVIF_ENC_WASM)]),
+        decode: (buffer) => decodeAvif(buffer),
+        encode: (imageData, quality) => encodeAvif(imageData, { quality, speed: 8 }),
+    },
+};
+
+const codecInitPromises = {};
+let resizeInitPromise = null;
+
+async function getCodec(mimeType) {
+    const codec = CODECS[mimeType];
+    if (!codec) {
+        throw new Error(`Unsupported image type: ${mimeType}`);
+    }
+
+    if (!codecInitPromises[mimeType]) {
+        codecInitPromises[mimeType] = codec.init();
+    }
+    await codecInitPromises[mimeType];
+
+    return codec;
+}
+
+async function ensureResizeInit() {
+    if (!resizeInitPromise) {
+        resizeInitPromise = initResize(RESIZE_WASM);
+    }
+    await resizeInitPromise;
+}
+
+// 解析正整数参数，非法值返回 null
+function parsePositiveInt(value, max) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    const num = parseInt(value, 10);
+    if (isNaN(num) || num <= 0) {
+        return null;
+    }
+
+    return Math.min(num, max);
+}
+
+/**
+ * 从请求 URL 中解析图片处理参数
+ * 支持参数：w（宽度）、h（高度）、fit（contain | cover | fill）、format（webp | avif | jpeg | png）、q（质量 1-100）
+ * @param {URL} url - 请求 URL
+ * @returns {Object|null} 处理参数，未指定任何处理参数时返回 null
+ */
+export function parseTransformOptions(url) {
+    const params = url.searchParams;
+
+    const width = parsePositiveInt(params.get('w'), MAX_DIMENSION);
+    const height = parsePositiveInt(params.get('h'), MAX_DIMENSION);
+    const quality = parsePositiveInt(params.get('q'), 100);
+
+    const fitParam = (params.get('fit') || '').toLowerCase();
+    const fit = FIT_MODES.includes(fitParam) ? fitParam : 'contain';
+
+    const formatParam = (params.get('format') || '').toLowerCase();
+    const format = formatParam === 'jpg' ? 'jpeg' : formatParam;
+
+    if (width === null && height === null && quality === null && !FORMAT_TYPES[format]) {
+        return null;
+    }
+
+    return {
+        width,
+        height,
+        fit,
+        format: FORMAT_TYPES[format] ? format : null,
+        quality: quality || DEFAULT_QUALITY,
+    };
+}
+
+/**
+ * 生成处理参数对应的变体键，用于缓存
+ * @param {Object} options - parseTransformOptions 返回的处理参数
+ * @returns {string} 变体键，例如 w320-h0-contain-webp-q80
+ */
+export function buildVariantKey(options) {
+    return [
+        `w${options.width || 0}`,
+        `h${options.height || 0}`,
+        options.fit,
+        options.format || 'orig',
+        `q${options.quality}`,
+    ].join('-');
+}
+
+/**
+ * 判断文件类型是否支持处理
+ * @param {string} fileType - 文件 MIME 类型
+ * @returns {boolean}
+ */
+export function isTransformableImage(fileType) {
+    return !!fileType && !!CODECS[fileType.toLowerCase()];
+}
+
+/**
+ * 判断源图尺寸是否在可处理范围内，未记录尺寸时视为可处理
+ * @param {Object} metadata - 文件元数据
+ * @returns {boolean}
+ */
+export function isWithinTransformLimit(metadata) {
+    const width = Number(metadata?.Width) || 0;
+    const height = Number(metadata?.Height) || 0;
+    return width * height <= MAX_SOURCE_PIXELS;
+}
+
+// 根据 fit 模式计算目标尺寸，contain 模式不放大原图
+function computeTargetSize(srcWidth, srcHeight, options) {
+    const { width, height, fit } = options;
+
+    if (!width && !height) {
+        return { width: srcWidth, height: srcHeight, crop: false };
+    }
+
+    // 只指定一边时按比例缩放
+    if (!width || !height) {
+        const scale = width ? width / srcWidth : height / srcHeight;
+        const finalScale = Math.min(scale, 1);
+        return {
+            width: Math.max(1, Math.round(srcWidth * finalScale)),
+            height: Math.max(1, Math.round(srcHeight * finalScale)),
+            crop: false
+        };
+    }
+
+    if (fit === 'fill') {
+        return { width, height, crop: false };
+    }
+
+    if (fit === 'cover') {
+        return { width, height, crop: true };
+    }
+
+    const scale = Math.min(width / srcWidth, height / srcHeight, 1);
+    return {
+        width: Math.max(1, Math.round(srcWidth * scale)),
+        height: Math.max(1, Math.round(srcHeight * scale)),
+        crop: false
+    };
+}
+
+/**
+ * 缩放并重新编码图片
+ * @param {ArrayBuffer} buffer - 原图数据
+ * @param {string} sourceType - 原图 MIME 类型
+ * @param {Object} options - parseTransformOptions 返回的处理参数
+ * @returns {Promise<Object>} { data: ArrayBuffer, contentType, width, height }
+ */
+export async function transformImage(buffer, sourceType, options) {
+    const sourceCodec = await getCodec(sourceType.toLowerCase());
+    let imageData = await sourceCodec.decode(buffer);
+
+    const target = computeTargetSize(imageData.width, imageData.height, options);
+    if (target.width !== imageData.width || target.height !== imageData.height) {
+        await ensureResizeInit();
+        imageData = await resize(imageData, {
+            width: target.width,
+            height: target.height,
+            fitMethod: target.crop ? 'contain' : 'stretch', // contain 会居中裁剪以保持比例
+        });
+    }
+
+    const contentType = options.format ? FORMAT_TYPES[options.format] : sourceType.toLowerCase();
+    const targetCodec = await getCodec(contentType);
+    const data = await targetCodec.encode(imageData, options.quality);
+
+    return {
+        data,
+        contentType,
+        width: imageData.width,
+        height: imageData.height
+    };
+}
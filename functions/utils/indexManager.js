@@ -35,13 +35,20 @@
  *       // 根据操作类型包含不同的数据
  *     }
  *   }
+ *
+ * 内容哈希引用表（用于上传去重）：
+ * - key: manage@hash@${sha256}@${fileId}，每个引用一条记录，按前缀列出同一内容的所有引用
+ * - value: 添加引用的时间戳
+ * - 引用同一哈希的文件共享同一个底层存储对象，最后一个引用删除时才删除底层对象
  */
 
 import { getDatabase, checkDatabaseConfig } from './databaseAdapter.js';
+import { getFolder, listFolders, DEFAULT_FOLDER_ATTRIBUTES } from './folderManager.js';
 
 const INDEX_KEY = 'manage@index';
 const INDEX_META_KEY = 'manage@index@meta'; // 索引元数据键
 const OPERATION_KEY_PREFIX = 'manage@index@operation_';
+const HASH_KEY_PREFIX = 'manage@hash@'; // 内容哈希查找表键前缀
 // D1 单字段限制 2MB，KV 限制 25MB，根据数据库类型动态设置
 const INDEX_CHUNK_SIZE_D1 = 500; // D1 数据库分块大小
 const INDEX_CHUNK_SIZE_KV = 5000; // KV 存储分块大小
@@ -485,6 +492,9 @@ export async function mergeOperationsToIndex(context, options = {}) {
  * @param {Array<string>} options.excludeTags - 必须排除的标签数组
  * @param {boolean} options.countOnly - 仅返回总数
  * @param {boolean} options.includeSubdirFiles - 是否包含子目录下的文件
+ * @param {string|null} options.owner - 上传用户筛选，默认取 context.data.user 中的普通用户；传入 null 表示不限制
+ * @param {Array<string>|null} options.allowedDirs - 允许访问的目录前缀，默认取 context.data.apiToken 中的目录限制；传入 null 表示不限制
+ * @param {string} options.trash - 回收站筛选：'exclude'=不含回收站中的文件（默认）, 'only'=仅回收站中的文件, 'include'=不限
  */
 export async function readIndex(context, options = {}) {
     try {
@@ -502,7 +512,10 @@ export async function readIndex(context, options = {}) {
             includeTags = [],
             excludeTags = [],
             countOnly = false,
-            includeSubdirFiles = false
+            includeSubdirFiles = false,
+            owner = getContextOwner(context),
+            allowedDirs = getContextAllowedDirs(context),
+            trash = 'exclude'
         } = options;
 
         // 将参数统一转换为数组形式
@@ -530,6 +543,26 @@ export async function readIndex(context, options = {}) {
 
         let filteredFiles = index.files;
 
+        // 回收站过滤：已删除到回收站的文件默认不可见
+        if (trash === 'exclude') {
+            filteredFiles = filteredFiles.filter(file => !file.metadata.DeletedAt);
+        } else if (trash === 'only') {
+            filteredFiles = filteredFiles.filter(file => file.metadata.DeletedAt);
+        }
+
+        // 上传用户过滤：普通用户只能看到自己上传的文件
+        if (owner) {
+            filteredFiles = filteredFiles.filter(file => file.metadata.Owner === owner);
+        }
+
+        // API Token 目录限制
+        if (allowedDirs && allowedDirs.length > 0) {
+            filteredFiles = filteredFiles.filter(file => {
+                const fileDir = file.metadata.Directory ? file.metadata.Directory : extractDirectory(file.id);
+                return allowedDirs.some(prefix => fileDir.startsWith(prefix));
+            });
+        }
+
         // 目录过滤
         if (directory) {
             const normalizedDir = directory.endsWith('/') ? directory : directory + '/';
@@ -719,8 +752,15 @@ export async function readIndex(context, options = {}) {
             resultFiles = resultFiles.slice(startIndex, endIndex);
         }
 
-        // 提取目录信息
+        // 提取目录信息，同时统计每个子文件夹中的文件数和总大小（包括多级子文件夹中的文件）
         const directories = new Set();
+        const folderStats = new Map();
+        const getFolderStats = (subDir) => {
+            if (!folderStats.has(subDir)) {
+                folderStats.set(subDir, { fileCount: 0, totalBytes: 0, subFolders: new Set() });
+            }
+            return folderStats.get(subDir);
+        };
         filteredFiles.forEach(file => {
             const fileDir = file.metadata.Directory ? file.metadata.Directory : extractDirectory(file.id);
             if (fileDir && fileDir.startsWith(dirPrefix)) {
@@ -729,16 +769,60 @@ export async function readIndex(context, options = {}) {
                 if (firstSlashIndex !== -1) {
                     const subDir = dirPrefix + relativePath.substring(0, firstSlashIndex);
                     directories.add(subDir);
+
+                    const stats = getFolderStats(subDir);
+                    stats.fileCount++;
+                    stats.totalBytes += getFileSizeBytes(file.metadata);
+                    const childName = relativePath.substring(firstSlashIndex + 1).split('/')[0];
+                    if (childName) {
+                        stats.subFolders.add(childName);
+                    }
                 }
             }
         });
 
+        // 持久化的文件夹记录：提供文件夹属性；未使用筛选条件时，没有文件的空文件夹也作为子目录返回
+        const folderRecords = await listVisibleFolders(context, directory, owner, allowedDirs);
+        const hasFilters = search || channelArr.length > 0 || listTypeArr.length > 0 || accessStatusArr.length > 0
+            || labelArr.length > 0 || fileTypeArr.length > 0 || channelNameArr.length > 0
+            || includeTags.length > 0 || excludeTags.length > 0 || trash !== 'exclude';
+        if (!hasFilters) {
+            folderRecords.forEach(folder => {
+                const [childName, grandChildName] = folder.path.substring(dirPrefix.length).split('/');
+                const subDir = dirPrefix + childName;
+                directories.add(subDir);
+                if (grandChildName) {
+                    getFolderStats(subDir).subFolders.add(grandChildName);
+                }
+            });
+        }
+
+        // 子文件夹按排序值从小到大排列，相同时按名称排列
+        const recordMap = new Map(folderRecords.map(folder => [folder.path, folder]));
+        const folders = Array.from(directories).map(subDir => {
+            const stats = folderStats.get(subDir);
+            return {
+                ...DEFAULT_FOLDER_ATTRIBUTES,
+                ...recordMap.get(subDir),
+                path: subDir,
+                name: subDir.substring(subDir.lastIndexOf('/') + 1),
+                fileCount: stats ? stats.fileCount : 0,
+                folderCount: stats ? stats.subFolders.size : 0,
+                totalBytes: stats ? stats.totalBytes : 0
+            };
+        }).sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+
+        // 当前文件夹的属性
+        const currentFolder = directory ? await getFolder(getDatabase(context.env), directory) : null;
+
         // 直接子文件夹数目
         const directFolderCount = directories.size;
 
         return {
             files: resultFiles,
-            directories: Array.from(directories),
+            directories: folders.map(folder => folder.path),
+            folders: folders,
+            folder: currentFolder ? { ...DEFAULT_FOLDER_ATTRIBUTES, ...currentFolder } : null,
             totalCount: totalCount,
             directFileCount: directFileCount,
             directFolderCount: directFolderCount,
@@ -752,6 +836,8 @@ export async function readIndex(context, options = {}) {
         return {
             files: [],
             directories: [],
+            folders: [],
+            folder: null,
             totalCount: 0,
             indexLastUpdated: Date.now(),
             returnedCount: 0,
@@ -921,7 +1007,7 @@ export async function getIndexInfo(context) {
  * 获取索引元数据（轻量级，只读取 meta，不读取整个索引）
  * 用于容量检查等场景，避免读取整个索引
  * @param {Object} context - 上下文对象
- * @returns {Object} 索引元数据，包含 totalCount, totalSizeMB, channelStats 等
+ * @returns {Object} 索引元数据，包含 totalCount, totalSizeMB, channelStats, uploaderStats 等
  */
 export async function getIndexMeta(context) {
     const { env } = context;
@@ -944,6 +1030,8 @@ export async function getIndexMeta(context) {
             totalCount: metadata.totalCount || 0,
             totalSizeMB: metadata.totalSizeMB || 0,
             channelStats: metadata.channelStats || {},
+            uploaderStats: metadata.uploaderStats || null,
+            uploaderStatsDay: metadata.uploaderStatsDay || null,
             lastUpdated: metadata.lastUpdated
         };
     } catch (error) {
@@ -957,13 +1045,186 @@ export async function getIndexMeta(context) {
     }
 }
 
+/**
+ * 汇总尚未合并到索引的操作中各上传者新增的用量（索引元数据中的上传者统计只在合并时更新）
+ * 按操作顺序处理：同一文件只计入最后一次添加，之后被删除的文件不再计入，移动的文件跟随新ID；
+ * 已合并文件的元数据更新同样以添加操作记录，会在下次合并前被重复计入，用量只会偏大
+ * @param {Object} context - 上下文对象
+ * @returns {Promise<Object>} { 上传者统计键: { storedBytes, filesToday } }，键的格式同索引元数据的 uploaderStats
+ */
+export async function getPendingUploaderStats(context) {
+    const { env } = context;
+    const db = getDatabase(env);
+
+    const metadataStr = await db.get(INDEX_META_KEY);
+    const lastOperationId = metadataStr ? JSON.parse(metadataStr).lastOperationId : null;
+
+    const pendingFiles = new Map();
+    let cursor = null;
+    do {
+        const response = await db.list({ prefix: OPERATION_KEY_PREFIX, limit: KV_LIST_LIMIT, cursor });
+        for (const item of response.keys) {
+            if (lastOperationId && item.name <= OPERATION_KEY_PREFIX + lastOperationId) {
+                continue;
+            }
+
+            const operationData = await db.get(item.name);
+            if (!operationData) {
+                continue;
+            }
+            const { type, data } = JSON.parse(operationData);
+            switch (type) {
+                case 'add':
+                    pendingFiles.set(data.fileId, data.metadata);
+                    break;
+                case 'batch_add':
+                    for (const file of data.files) {
+                        pendingFiles.set(file.fileId, file.metadata);
+                    }
+                    break;
+                case 'remove':
+                    pendingFiles.delete(data.fileId);
+                    break;
+                case 'batch_remove':
+                    for (const fileId of data.fileIds) {
+                        pendingFiles.delete(fileId);
+                    }
+                    break;
+                case 'move':
+                case 'batch_move':
+                    for (const move of type === 'move' ? [data] : data.operations) {
+                        if (pendingFiles.has(move.originalFileId)) {
+                            pendingFiles.delete(move.originalFileId);
+                            pendingFiles.set(move.newFileId, move.metadata);
+                        }
+                    }
+                    break;
+            }
+        }
+        cursor = response.cursor;
+    } while (cursor);
+
+    const stats = {};
+    const dayStart = new Date().setUTCHours(0, 0, 0, 0);
+    for (const metadata of pendingFiles.values()) {
+        for (const key of getUploaderStatsKeys(metadata)) {
+            if (!stats[key]) {
+                stats[key] = { storedBytes: 0, filesToday: 0 };
+            }
+            stats[key].storedBytes += Number(metadata.FileSizeBytes) || 0;
+            if ((metadata.TimeStamp || 0) >= dayStart) {
+                stats[key].filesToday += 1;
+            }
+        }
+    }
+
+    return stats;
+}
+
+/* ============= 内容哈希去重相关函数 ============= */
+
+/**
+ * 获取引用指定内容哈希的所有文件ID
+ * @param {Object} context - 上下文对象
+ * @param {string} hash - 文件内容的 SHA-256 十六进制字符串
+ * @returns {Array} 文件ID数组，不存在时返回空数组
+ */
+export async function getFileHashRefs(context, hash) {
+    const { env } = context;
+    const db = getDatabase(env);
+    const prefix = buildHashRefPrefix(hash);
+    const refs = [];
+
+    try {
+        let cursor = null;
+        do {
+            const response = await db.list({
+                prefix: prefix,
+                limit: KV_LIST_LIMIT,
+                cursor: cursor
+            });
+
+            for (const item of response.keys) {
+                // D1 使用 LIKE 匹配前缀，需要再次确认
+                if (item.name.startsWith(prefix)) {
+                    refs.push(item.name.substring(prefix.length));
+                }
+            }
+
+            cursor = response.list_complete ? null : response.cursor;
+        } while (cursor);
+    } catch (error) {
+        console.error(`Error reading hash refs ${hash}:`, error);
+    }
+
+    return refs;
+}
+
+/**
+ * 为内容哈希添加文件引用
+ * @param {Object} context - 上下文对象
+ * @param {string} hash - 文件内容的 SHA-256 十六进制字符串
+ * @param {string} fileId - 文件 ID
+ */
+export async function addFileHashRef(context, hash, fileId) {
+    const db = getDatabase(context.env);
+    await db.put(buildHashRefPrefix(hash) + fileId, Date.now().toString());
+}
+
+/**
+ * 移除内容哈希的文件引用
+ * @param {Object} context - 上下文对象
+ * @param {string} hash - 文件内容的 SHA-256 十六进制字符串
+ * @param {string} fileId - 文件 ID
+ * @returns {Array} 剩余的文件ID数组，为空时表示底层对象可以删除
+ */
+export async function removeFileHashRef(context, hash, fileId) {
+    const db = getDatabase(context.env);
+    await db.delete(buildHashRefPrefix(hash) + fileId);
+
+    return (await getFileHashRefs(context, hash)).filter(id => id !== fileId);
+}
+
+/**
+ * 文件移动或重命名后更新内容哈希的文件引用（先添加新引用再移除原引用，过程中引用数不会降为零）
+ * @param {Object} context - 上下文对象
+ * @param {string} hash - 文件内容的 SHA-256 十六进制字符串
+ * @param {string} originalFileId - 原文件 ID
+ * @param {string} newFileId - 新文件 ID
+ */
+export async function moveFileHashRef(context, hash, originalFileId, newFileId) {
+    if (originalFileId === newFileId) {
+        return;
+    }
+
+    const db = getDatabase(context.env);
+    await db.put(buildHashRefPrefix(hash) + newFileId, Date.now().toString());
+    await db.delete(buildHashRefPrefix(hash) + originalFileId);
+}
+
+// 每个引用单独一条记录，并发上传、删除同一内容时互不覆盖
+function buildHashRefPrefix(hash) {
+    return `${HASH_KEY_PREFIX}${hash}@`;
+}
+
 /* ============= 原子操作相关函数 ============= */
 
+// 最近一次记录操作的时间戳
+let lastOperationTimestamp = 0;
+
+/**
+ * 生成操作时间戳：同一请求内连续记录的操作可能落在同一毫秒，保持递增以确保按记录顺序应用
+ */
+function nextOperationTimestamp() {
+    lastOperationTimestamp = Math.max(Date.now(), lastOperationTimestamp + 1);
+    return lastOperationTimestamp;
+}
+
 /**
  * 生成唯一的操作ID
+ * @param {number} timestamp - 操作时间戳
  */
-function generateOperationId() {
-    const timestamp = Date.now();
+function generateOperationId(timestamp) {
     const random = Math.random().toString(36).substring(2, 9);
     return `${timestamp}_${random}`;
 }
@@ -978,10 +1239,11 @@ async function recordOperation(context, type, data) {
     const { env } = context;
     const db = getDatabase(env);
 
-    const operationId = generateOperationId();
+    const timestamp = nextOperationTimestamp();
+    const operationId = generateOperationId(timestamp);
     const operation = {
         type,
-        timestamp: Date.now(),
+        timestamp,
         data
     };
     
@@ -1367,6 +1629,56 @@ async function getIndex(context) {
     };
 }
 
+/**
+ * 获取当前请求需要限制的上传用户（内部函数）
+ * 管理员、API Token 及未登录用户账户的请求不限制
+ * @param {Object} context - 上下文对象
+ */
+function getContextOwner(context) {
+    const user = context.data?.user;
+    return user && user.role !== 'admin' ? user.username : null;
+}
+
+/**
+ * 获取当前请求的 API Token 允许访问的目录前缀（内部函数）
+ * @param {Object} context - 上下文对象
+ */
+function getContextAllowedDirs(context) {
+    const allowedDirs = context.data?.apiToken?.allowedDirs;
+    return allowedDirs && allowedDirs.length > 0 ? allowedDirs : null;
+}
+
+/**
+ * 列出当前请求可以看到的文件夹记录（内部函数）：普通用户只能看到主目录下的文件夹，限定目录的 API Token 只能看到允许的目录下的文件夹
+ * @param {Object} context - 上下文对象
+ * @param {string} directory - 上级目录，列出其下的所有文件夹记录
+ * @param {string|null} owner - 上传用户筛选
+ * @param {Array<string>|null} allowedDirs - 允许访问的目录前缀
+ */
+async function listVisibleFolders(context, directory, owner, allowedDirs) {
+    const folders = await listFolders(getDatabase(context.env), directory);
+    const homeDir = context.data?.user?.homeDir || '';
+
+    return folders.filter(folder => {
+        const folderDir = folder.path + '/';
+        if (owner && !folderDir.startsWith(homeDir)) {
+            return false;
+        }
+        if (allowedDirs && allowedDirs.length > 0 && !allowedDirs.some(prefix => folderDir.startsWith(prefix))) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * 文件大小（字节），旧文件只记录了以 MB 为单位的大小（内部函数）
+ * @param {Object} metadata - 文件元数据
+ */
+function getFileSizeBytes(metadata) {
+    return Number(metadata.FileSizeBytes) || Math.round((parseFloat(metadata.FileSize) || 0) * 1024 * 1024);
+}
+
 /**
  * 从文件路径提取目录（内部函数）
  * @param {string} filePath - 文件路径
@@ -1452,6 +1764,21 @@ async function promiseLimit(tasks, concurrency = BATCH_SIZE) {
     return results;
 }
 
+/**
+ * 获取文件在上传者用量统计中的键（内部函数）：API Token 上传为 token:{Token ID}，用户账户上传为 user:{用户名}
+ * @param {Object} metadata - 文件元数据
+ */
+function getUploaderStatsKeys(metadata) {
+    const keys = [];
+    if (metadata?.UploadToken) {
+        keys.push(`token:${metadata.UploadToken}`);
+    }
+    if (metadata?.Owner) {
+        keys.push(`user:${metadata.Owner}`);
+    }
+    return keys;
+}
+
 /**
  * 保存分块索引到数据库
  * @param {Object} context - 上下文对象，包含 env
@@ -1473,22 +1800,50 @@ async function saveChunkedIndex(context, index) {
             chunks.push(chunk);
         }
         
-        // 计算各渠道容量统计
+        // 计算各渠道容量统计和各上传者用量统计
         const channelStats = {};
+        const uploaderStats = {};
+        const countedObjects = new Set();
+        const dayStart = new Date().setUTCHours(0, 0, 0, 0);
         let totalSizeMB = 0;
         
         for (const file of files) {
             const channelName = file.metadata?.ChannelName;
+            const fileHash = file.metadata?.FileHash;
             const fileSize = parseFloat(file.metadata?.FileSize) || 0;
             
             totalSizeMB += fileSize;
+
+            // 上传者用量：回收站中的文件仍占用存储空间，同样计入
+            for (const key of getUploaderStatsKeys(file.metadata)) {
+                if (!uploaderStats[key]) {
+                    uploaderStats[key] = { storedBytes: 0, fileCount: 0, filesToday: 0 };
+                }
+                uploaderStats[key].storedBytes += Number(file.metadata.FileSizeBytes) || 0;
+                uploaderStats[key].fileCount += 1;
+                if ((file.metadata.TimeStamp || 0) >= dayStart) {
+                    uploaderStats[key].filesToday += 1;
+                }
+            }
             
-            if (channelName) {
-                if (!channelStats[channelName]) {
-                    channelStats[channelName] = { usedMB: 0, fileCount: 0 };
+            // 副本同样占用所在渠道的容量
+            const storedChannels = [channelName, ...(file.metadata?.Replicas || []).map(replica => replica.ChannelName)];
+            for (const name of storedChannels) {
+                if (!name) {
+                    continue;
+                }
+                // 内容去重的别名与源文件共享存储对象，同一渠道中相同内容只统计一次
+                if (fileHash) {
+                    if (countedObjects.has(`${name}@${fileHash}`)) {
+                        continue;
+                    }
+                    countedObjects.add(`${name}@${fileHash}`);
+                }
+                if (!channelStats[name]) {
+                    channelStats[name] = { usedMB: 0, fileCount: 0 };
                 }
-                channelStats[channelName].usedMB += fileSize;
-                channelStats[channelName].fileCount += 1;
+                channelStats[name].usedMB += fileSize;
+                channelStats[name].fileCount += 1;
             }
         }
         
@@ -1498,6 +1853,8 @@ async function saveChunkedIndex(context, index) {
             totalCount: index.totalCount,
             totalSizeMB: Math.round(totalSizeMB * 100) / 100,
             channelStats,
+            uploaderStats,
+            uploaderStatsDay: dayStart,
             lastOperationId: index.lastOperationId,
             chunkCount: chunks.length,
             chunkSize: chunkSize
@@ -0,0 +1,130 @@
+/* 密码哈希工具：基于 WebCrypto 的 PBKDF2-SHA256（密码）和加盐 SHA-256（高熵的 API Token） */
+
+const PBKDF2_ITERATIONS = 100000; // Workers 运行时允许的最大迭代次数
+const SALT_LENGTH = 16;
+const HASH_LENGTH = 32;
+
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+async function deriveBits(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        HASH_LENGTH * 8
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * 计算密码哈希
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} 格式为 pbkdf2$<迭代次数>$<salt>$<hash> 的哈希字符串
+ */
+export async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const hash = await deriveBits(password, salt, PBKDF2_ITERATIONS);
+    return `pbkdf2$${PBKDF2_ITERATIONS}$${bytesToHex(salt)}$${bytesToHex(hash)}`;
+}
+
+/**
+ * 判断字符串是否为 hashPassword 生成的哈希
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isPasswordHash(value) {
+    return typeof value === 'string' && /^pbkdf2\$\d+\$[0-9a-f]+\$[0-9a-f]+$/.test(value);
+}
+
+/**
+ * 校验密码是否与哈希匹配
+ * @param {string} password - 明文密码
+ * @param {string} storedHash - hashPassword 生成的哈希
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || !isPasswordHash(storedHash)) {
+        return false;
+    }
+
+    const [, iterations, saltHex, hashHex] = storedHash.split('$');
+    const hash = await deriveBits(password, hexToBytes(saltHex), parseInt(iterations, 10));
+    return bytesEqual(hash, hexToBytes(hashHex));
+}
+
+/**
+ * 计算 API Token 哈希（Token 本身为高熵随机串，使用加盐 SHA-256 即可，校验开销远低于 PBKDF2）
+ * @param {string} token - 明文 Token
+ * @returns {Promise<string>} 格式为 sha256$<salt>$<hash> 的哈希字符串
+ */
+export async function hashToken(token) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+    const hash = await sha256(salt, token);
+    return `sha256$${bytesToHex(salt)}$${bytesToHex(hash)}`;
+}
+
+/**
+ * 校验 Token 是否与哈希匹配
+ * @param {string} token - 明文 Token
+ * @param {string} storedHash - hashToken 生成的哈希
+ * @returns {Promise<boolean>}
+ */
+export async function verifyToken(token, storedHash) {
+    if (typeof token !== 'string' || typeof storedHash !== 'string' || !/^sha256\$[0-9a-f]+\$[0-9a-f]+$/.test(storedHash)) {
+        return false;
+    }
+
+    const [, saltHex, hashHex] = storedHash.split('$');
+    const hash = await sha256(hexToBytes(saltHex), token);
+    return bytesEqual(hash, hexToBytes(hashHex));
+}
+
+/**
+ * 常量时间比较两个字符串，用于兼容尚未迁移的明文凭据
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') {
+        return false;
+    }
+    const encoder = new TextEncoder();
+    return bytesEqual(encoder.encode(a), encoder.encode(b));
+}
+
+async function sha256(salt, value) {
+    const valueBytes = new TextEncoder().encode(value);
+    const data = new Uint8Array(salt.length + valueBytes.length);
+    data.set(salt);
+    data.set(valueBytes, salt.length);
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+// 常量时间比较
+function bytesEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff === 0;
+}
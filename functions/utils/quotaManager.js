@@ -0,0 +1,223 @@
+/* 上传配额管理：按 API Token 和用户账户限制存储量、每日上传数和单文件大小 */
+
+/**
+ * 配额结构（0 表示不限制）：
+ * quota: {
+ *     maxBytes: 0,        // 最大存储字节数
+ *     maxFilesPerDay: 0,  // 每日最大上传文件数（按 UTC 自然日）
+ *     maxFileSize: 0      // 单文件最大字节数
+ * }
+ *
+ * 用量根据索引中的文件元数据统计：
+ * - API Token 上传的文件记录 UploadToken（Token ID）
+ * - 用户账户上传的文件记录 Owner（用户名）
+ * 合并索引操作时按上传者汇总用量，写入索引元数据的 uploaderStats；上传时读取索引元数据，
+ * 并加上尚未合并的索引操作中该上传者新增的文件，避免两次合并之间的上传绕过配额
+ */
+
+import { readIndex, getIndexMeta, getPendingUploaderStats } from './indexManager.js';
+import { fetchUploadConfig } from './sysConfig.js';
+
+const QUOTA_FIELDS = ['maxBytes', 'maxFilesPerDay', 'maxFileSize'];
+const UPLOADER_QUOTA_THRESHOLD = 90; // 上传者存储配额的告警阈值（百分比）
+
+/**
+ * 规范化配额设置，非法值视为不限制
+ * @param {Object} quota - 配额设置
+ * @returns {Object} { maxBytes, maxFilesPerDay, maxFileSize }
+ */
+export function normalizeQuota(quota) {
+    const result = {};
+    for (const field of QUOTA_FIELDS) {
+        const value = parseInt(quota?.[field], 10);
+        result[field] = !isNaN(value) && value > 0 ? value : 0;
+    }
+    return result;
+}
+
+/**
+ * 判断配额是否有任何限制
+ * @param {Object} quota - 配额设置
+ * @returns {boolean}
+ */
+export function hasQuotaLimit(quota) {
+    return !!quota && QUOTA_FIELDS.some(field => quota[field] > 0);
+}
+
+/**
+ * 获取当前请求的上传者身份
+ * @param {Object} data - 中间件数据对象
+ * @returns {Object|null} { type: 'token' | 'user', id, quota }，匿名上传返回 null
+ */
+export function getUploaderIdentity(data) {
+    if (data?.apiToken) {
+        return { type: 'token', id: data.apiToken.id, quota: normalizeQuota(data.apiToken.quota) };
+    }
+    if (data?.user) {
+        return { type: 'user', id: data.user.username, quota: normalizeQuota(data.user.quota) };
+    }
+    return null;
+}
+
+/**
+ * 将上传者身份写入文件元数据
+ * @param {Object} metadata - 文件元数据
+ * @param {Object} data - 中间件数据对象
+ */
+export function setUploaderMetadata(metadata, data) {
+    if (data?.apiToken) {
+        metadata.UploadToken = data.apiToken.id;
+    }
+    if (data?.user) {
+        metadata.Owner = data.user.username;
+    }
+}
+
+/**
+ * 统计上传者的用量
+ * @param {Object} context - 上下文对象
+ * @param {Object} identity - getUploaderIdentity 返回的身份
+ * @returns {Promise<Object>} { storedBytes, filesToday }
+ */
+export async function getUploaderUsage(context, identity) {
+    const indexMeta = await getIndexMeta(context);
+    if (indexMeta.uploaderStats) {
+        const key = `${identity.type}:${identity.id}`;
+        const stats = indexMeta.uploaderStats[key];
+        const pending = (await getPendingUploaderStats(context))[key];
+        const dayStart = new Date().setUTCHours(0, 0, 0, 0);
+        return {
+            storedBytes: (stats?.storedBytes || 0) + (pending?.storedBytes || 0),
+            // 统计在之前的自然日生成时，今日上传的文件尚未计入
+            filesToday: (indexMeta.uploaderStatsDay === dayStart ? stats?.filesToday || 0 : 0) + (pending?.filesToday || 0)
+        };
+    }
+
+    // 旧版索引元数据没有上传者统计，回退到读取索引统计（回收站中的文件仍占用存储空间，同样计入用量）
+    const result = await readIndex(context, { count: -1, includeSubdirFiles: true, owner: null, allowedDirs: null, trash: 'include' });
+    if (!result.success) {
+        throw new Error('Failed to read index');
+    }
+
+    const field = identity.type === 'token' ? 'UploadToken' : 'Owner';
+    const dayStart = new Date().setUTCHours(0, 0, 0, 0);
+
+    let storedBytes = 0;
+    let filesToday = 0;
+    for (const file of result.files) {
+        if (file.metadata[field] !== identity.id) {
+            continue;
+        }
+        storedBytes += Number(file.metadata.FileSizeBytes) || 0;
+        if ((file.metadata.TimeStamp || 0) >= dayStart) {
+            filesToday++;
+        }
+    }
+
+    return { storedBytes, filesToday };
+}
+
+/**
+ * 检查本次上传是否超出配额
+ * @param {Object} context - 上下文对象，需包含 data
+ * @param {number|null} fileSize - 本次上传的文件字节数，未知时只检查每日文件数和剩余存储量
+ * @returns {Promise<Object>} { allowed: true } 或 { allowed: false, status, message, remaining }
+ */
+export async function checkUploadQuota(context, fileSize = null) {
+    const identity = getUploaderIdentity(context.data);
+    if (!identity || !hasQuotaLimit(identity.quota)) {
+        return { allowed: true };
+    }
+
+    const { quota } = identity;
+    const usage = await getUploaderUsage(context, identity);
+    const remaining = {
+        bytes: quota.maxBytes ? Math.max(0, quota.maxBytes - usage.storedBytes) : null,
+        filesToday: quota.maxFilesPerDay ? Math.max(0, quota.maxFilesPerDay - usage.filesToday) : null,
+        maxFileSize: quota.maxFileSize || null
+    };
+
+    if (quota.maxFileSize && fileSize !== null && fileSize > quota.maxFileSize) {
+        return {
+            allowed: false,
+            status: 413,
+            message: `File size ${fileSize} bytes exceeds the limit of ${quota.maxFileSize} bytes per file`,
+            remaining
+        };
+    }
+
+    if (remaining.filesToday === 0) {
+        return {
+            allowed: false,
+            status: 429,
+            message: `Daily upload limit of ${quota.maxFilesPerDay} files reached`,
+            remaining
+        };
+    }
+
+    if (remaining.bytes !== null && (remaining.bytes === 0 || (fileSize !== null && fileSize > remaining.bytes))) {
+        return {
+            allowed: false,
+            status: 413,
+            message: `Storage quota exceeded, ${remaining.bytes} bytes remaining`,
+            remaining
+        };
+    }
+
+    return { allowed: true, remaining };
+}
+
+/**
+ * 检查本次上传后是否有容量越过告警阈值：上传者的存储配额达到 UPLOADER_QUOTA_THRESHOLD，
+ * 或 R2、S3 渠道的已用容量达到渠道容量限制中设置的阈值（与上传时停用渠道的阈值相同）
+ * @param {Object} context - 上下文对象，需包含 data
+ * @param {Object} metadata - 本次上传文件的元数据
+ * @returns {Promise<Array<Object>>} 越过阈值的容量 [{ type: 'uploader' | 'channel', name, usedBytes, limitBytes, threshold }]
+ */
+export async function checkQuotaThresholds(context, metadata) {
+    const crossed = [];
+    const fileBytes = Number(metadata.FileSizeBytes) || 0;
+
+    const identity = getUploaderIdentity(context.data);
+    const checkUploader = !!identity?.quota.maxBytes;
+
+    const uploadConfig = await fetchUploadConfig(context.env);
+    const channelSettings = { CloudflareR2: uploadConfig.cfr2, S3: uploadConfig.s3 }[metadata.Channel];
+    const channel = channelSettings?.channels.find(ch => ch.name === metadata.ChannelName);
+    const checkChannel = !!(channel?.quota?.enabled && channel.quota.limitGB);
+
+    if (!checkUploader && !checkChannel) {
+        return crossed;
+    }
+
+    // 本次上传的索引操作已记录，上传者用量中已包含本次上传的文件
+    if (checkUploader) {
+        const usedBytes = (await getUploaderUsage(context, identity)).storedBytes;
+        const limitBytes = identity.quota.maxBytes;
+        const thresholdBytes = limitBytes * UPLOADER_QUOTA_THRESHOLD / 100;
+        if (usedBytes - fileBytes < thresholdBytes && usedBytes >= thresholdBytes) {
+            crossed.push({ type: 'uploader', name: identity.id, usedBytes, limitBytes, threshold: UPLOADER_QUOTA_THRESHOLD });
+        }
+    }
+
+    if (checkChannel) {
+        // 渠道容量使用索引元数据中的统计，按 FileSize（MB）累加
+        const indexMeta = await getIndexMeta(context);
+        const fileMB = parseFloat(metadata.FileSize) || 0;
+        const usedMB = (indexMeta.channelStats[channel.name]?.usedMB || 0) + fileMB;
+        const limitMB = channel.quota.limitGB * 1024;
+        const threshold = channel.quota.threshold || 95;
+        const thresholdMB = limitMB * threshold / 100;
+        if (usedMB - fileMB < thresholdMB && usedMB >= thresholdMB) {
+            crossed.push({
+                type: 'channel',
+                name: channel.name,
+                usedBytes: Math.round(usedMB * 1024 * 1024),
+                limitBytes: limitMB * 1024 * 1024,
+                threshold
+            });
+        }
+    }
+
+    return crossed;
+}
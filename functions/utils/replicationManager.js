@@ -0,0 +1,316 @@
+/* 文件复制：按全局或文件夹的复制策略，将文件写入主渠道以外的副本渠道，主渠道读取失败时由副本提供 */
+
+/**
+ * 副本位置记录在文件元数据的 Replicas 中：
+ * Replicas: [{
+ *     Channel: "TelegramNew",        // 与主渠道元数据相同的渠道信息，由副本渠道驱动的 replicate 返回
+ *     ChannelName: "Telegram_env",
+ *     TgFileId: "...", ...,
+ *     ReplicatedAt: 1700000000000
+ * }]
+ * 复制策略：
+ * - 全局：上传设置中的 replication { enabled, mode, replicas: [{ uploadChannel, channelName }] }
+ * - 文件夹：文件夹属性 replicas，优先于全局策略，子文件夹继承
+ * mode 为 upload 时在上传结束时写入副本，为 background 时只由后台任务补写（对全局和文件夹策略都生效）；
+ * 后台任务同时补写上传时失败的副本和设置策略之前上传的文件
+ */
+
+import { getDatabase } from './databaseAdapter.js';
+import { readIndex, batchAddFilesToIndex } from './indexManager.js';
+import { listFolders, getFolderReplicas } from './folderManager.js';
+import { fetchUploadConfig } from './sysConfig.js';
+import { getChannelDriver, getDriverByChannel } from './channels/index.js';
+
+const REPLICA_KEY_PREFIX = 'manage@replica/';
+const LAST_SWEEP_KEY = 'manage@replication@lastSweep';
+const FAILURES_KEY = 'manage@replication@failures';
+const SWEEP_INTERVAL = 15 * 60 * 1000; // 后台复制的最小间隔：15分钟
+const SWEEP_BATCH_SIZE = 20; // 每次后台复制最多处理的文件数
+const MAX_ATTEMPTS = 3; // 单个文件复制失败的最大次数，超过后不再自动重试
+const MAX_REPLICA_SIZE = 20 * 1024 * 1024; // 超过 20MB 的文件不复制
+
+/**
+ * 上传结束时按复制策略写入副本，并将副本位置写入文件元数据
+ * @param {Object} context - 上下文对象，需包含 env、url 和 uploadConfig
+ * @param {string} fileId - 文件ID
+ * @param {Object} metadata - 文件元数据（已包含主渠道信息），写入副本后原地更新
+ * @returns {Promise<boolean>} 是否写入了新的副本
+ */
+export async function replicateOnUpload(context, fileId, metadata) {
+    const replication = context.uploadConfig?.replication;
+    if (replication?.mode === 'background') {
+        return false;
+    }
+
+    try {
+        const db = getDatabase(context.env);
+        const folderReplicas = await getFolderReplicas(db, getFileFolder(fileId));
+        const policy = folderReplicas || (replication?.enabled ? replication.replicas || [] : []);
+        if (!policy.length) {
+            return false;
+        }
+
+        const file = context.formdata?.get('file') || null;
+        const { added } = await replicateFile(context, fileId, metadata, policy, file);
+        if (added > 0) {
+            const record = await db.getWithMetadata(fileId);
+            await db.put(fileId, record?.value || "", { metadata });
+        }
+        return added > 0;
+    } catch (error) {
+        console.error(`Failed to replicate ${fileId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * 后台补写缺少的副本（按间隔节流，每次处理一批文件）
+ * @param {Object} context - 上下文对象
+ * @param {Object} options - 选项
+ * @param {boolean} options.force - 是否忽略复制间隔，默认为 false
+ * @returns {Object} 复制结果 { success, replicated, failed, skipped? }
+ */
+export async function sweepReplication(context, options = {}) {
+    const { env } = context;
+    const { force = false } = options;
+    const db = getDatabase(env);
+
+    try {
+        // 控制后台复制频率
+        const now = Date.now();
+        if (!force) {
+            const lastSweep = parseInt(await db.get(LAST_SWEEP_KEY), 10) || 0;
+            if (now - lastSweep < SWEEP_INTERVAL) {
+                return { success: true, replicated: [], failed: [], skipped: true };
+            }
+        }
+        await db.put(LAST_SWEEP_KEY, now.toString());
+
+        const uploadConfig = context.uploadConfig || await fetchUploadConfig(env);
+        const sweepContext = { ...context, uploadConfig, formdata: null };
+
+        // 一次读取所有文件夹策略，避免逐个文件查询上级文件夹
+        const folderPolicies = new Map();
+        for (const folder of await listFolders(db)) {
+            if (folder.replicas?.length) {
+                folderPolicies.set(folder.path, folder.replicas);
+            }
+        }
+        const globalPolicy = uploadConfig.replication?.enabled ? uploadConfig.replication.replicas || [] : [];
+        if (!globalPolicy.length && folderPolicies.size === 0) {
+            return { success: true, replicated: [], failed: [], skipped: true };
+        }
+
+        const result = await readIndex(context, { count: -1, includeSubdirFiles: true, owner: null, allowedDirs: null, trash: 'exclude' });
+        if (!result.success) {
+            return { success: false, replicated: [], failed: [], error: 'Failed to read index' };
+        }
+
+        const failures = JSON.parse(await db.get(FAILURES_KEY) || '{}');
+        const replicated = [];
+        const failed = [];
+        let processed = 0;
+
+        for (const file of result.files) {
+            if (processed >= SWEEP_BATCH_SIZE) {
+                break;
+            }
+            if ((failures[file.id] || 0) >= MAX_ATTEMPTS || !isReplicable(file.metadata)) {
+                continue;
+            }
+
+            const policy = findFolderPolicy(folderPolicies, file.id) || globalPolicy;
+            if (!resolveTargets(sweepContext.uploadConfig, file.metadata, policy).length) {
+                continue;
+            }
+            processed++;
+
+            // 索引中的元数据可能不是最新的，以数据库记录为准
+            const record = await db.getWithMetadata(file.id);
+            if (!record?.metadata) {
+                continue;
+            }
+
+            const metadata = record.metadata;
+            const { added, errors } = await replicateFile(sweepContext, file.id, metadata, policy);
+            if (added > 0) {
+                await db.put(file.id, record.value || "", { metadata });
+                replicated.push({ fileId: file.id, metadata });
+            }
+            if (errors > 0) {
+                failures[file.id] = (failures[file.id] || 0) + 1;
+                failed.push(file.id);
+            } else {
+                delete failures[file.id];
+            }
+        }
+
+        await db.put(FAILURES_KEY, JSON.stringify(failures));
+        if (replicated.length > 0) {
+            await batchAddFilesToIndex(context, replicated);
+        }
+
+        console.log(`Replication sweep completed: ${replicated.length} replicated, ${failed.length} failed`);
+        return { success: true, replicated: replicated.map(item => item.fileId), failed };
+    } catch (error) {
+        console.error('Error sweeping replication:', error);
+        return { success: false, replicated: [], failed: [], error: error.message };
+    }
+}
+
+/**
+ * 删除文件的所有副本
+ * @param {Object} env - 环境变量
+ * @param {string} fileId - 文件ID
+ * @param {Object} metadata - 文件元数据
+ * @returns {Promise<boolean>} 是否全部删除成功
+ */
+export async function deleteReplicas(env, fileId, metadata) {
+    let success = true;
+
+    for (const replica of metadata?.Replicas || []) {
+        const driver = getDriverByChannel(replica.Channel);
+        if (!driver?.delete) {
+            continue;
+        }
+
+        try {
+            if (!await driver.delete(env, fileId, replica)) {
+                success = false;
+            }
+        } catch (error) {
+            console.error(`Failed to delete ${replica.Channel} replica of ${fileId}:`, error);
+            success = false;
+        }
+    }
+
+    return success;
+}
+
+/**
+ * 列出存放在某个渠道中的副本，作为该渠道的文件记录参与对账
+ * @param {Object} context - 上下文对象
+ * @param {Object} driver - 渠道驱动
+ * @param {string} channelName - 渠道名称
+ * @returns {Promise<Array<Object>>} [{ id, metadata }]，metadata 为副本的渠道信息
+ */
+export async function listReplicaRecords(context, driver, channelName) {
+    const result = await readIndex(context, { count: -1, includeSubdirFiles: true, owner: null, allowedDirs: null, trash: 'include' });
+    const records = [];
+
+    for (const file of result.files || []) {
+        for (const replica of file.metadata.Replicas || []) {
+            if (getDriverByChannel(replica.Channel) === driver && replica.ChannelName === channelName) {
+                records.push({ id: file.id, metadata: { ...replica, FileSizeBytes: file.metadata.FileSizeBytes } });
+            }
+        }
+    }
+
+    return records;
+}
+
+// 文件所在的文件夹路径
+function getFileFolder(fileId) {
+    return fileId.split('/').slice(0, -1).join('/');
+}
+
+// 在已读取的文件夹策略中查找文件所在文件夹或最近的上级文件夹的策略
+function findFolderPolicy(folderPolicies, fileId) {
+    const segments = getFileFolder(fileId).split('/').filter(Boolean);
+
+    for (let i = segments.length; i > 0; i--) {
+        const replicas = folderPolicies.get(segments.slice(0, i).join('/'));
+        if (replicas) {
+            return replicas;
+        }
+    }
+    return null;
+}
+
+// 只复制由渠道驱动存储、且大小不超过限制的文件；内容去重产生的别名与源文件共享存储对象和副本，不单独复制
+function isReplicable(metadata) {
+    return !!getDriverByChannel(metadata?.Channel) && !metadata.AliasOf && !(Number(metadata.FileSizeBytes) > MAX_REPLICA_SIZE);
+}
+
+// 计算还需要写入的副本渠道配置：跳过主渠道、已有的副本和不可用的渠道
+function resolveTargets(uploadConfig, metadata, policy) {
+    const primaryDriver = getDriverByChannel(metadata.Channel);
+    const stored = [{ Channel: metadata.Channel, ChannelName: metadata.ChannelName }, ...(metadata.Replicas || [])];
+    const targets = [];
+
+    for (const item of policy) {
+        const driver = getChannelDriver(item.uploadChannel);
+        if (!driver?.replicate) {
+            continue;
+        }
+        // R2 只绑定了一个存储桶，与主渠道同为 R2 时副本没有意义
+        if (driver === primaryDriver && driver.name === 'cfr2') {
+            continue;
+        }
+
+        const covered = stored.some(location => getDriverByChannel(location.Channel) === driver
+            && (!item.channelName || location.ChannelName === item.channelName));
+        if (covered) {
+            continue;
+        }
+
+        const channels = uploadConfig?.[driver.name]?.channels || [];
+        const channelConfig = item.channelName ? channels.find(ch => ch.name === item.channelName) : channels[0];
+        if (channelConfig && !targets.some(target => target.channelConfig === channelConfig)) {
+            targets.push({ driver, channelConfig });
+        }
+    }
+
+    return targets;
+}
+
+// 将文件写入所有缺少的副本渠道，成功的副本追加到元数据的 Replicas 中
+async function replicateFile(context, fileId, metadata, policy, file = null) {
+    const targets = isReplicable(metadata) ? resolveTargets(context.uploadConfig, metadata, policy) : [];
+    if (!targets.length) {
+        return { added: 0, errors: 0 };
+    }
+
+    const source = file || await readSourceObject(context, fileId, metadata);
+    if (!source) {
+        return { added: 0, errors: targets.length };
+    }
+
+    const replicas = [...(metadata.Replicas || [])];
+    let errors = 0;
+    for (const { driver, channelConfig } of targets) {
+        try {
+            // 副本使用独立的键（文件名加时间戳前缀），文件移动或同名覆盖时不会互相影响
+            const key = REPLICA_KEY_PREFIX + fileId.replace(/[^/]+$/, name => `${Date.now().toString(36)}_${name}`);
+            const channelMetadata = await driver.replicate(context, key, source, channelConfig);
+            if (channelMetadata) {
+                replicas.push({ ...channelMetadata, ReplicatedAt: Date.now() });
+            }
+        } catch (error) {
+            console.error(`Failed to replicate ${fileId} to ${driver.channel} ${channelConfig.name}:`, error);
+            errors++;
+        }
+    }
+
+    const added = replicas.length - (metadata.Replicas?.length || 0);
+    if (added > 0) {
+        metadata.Replicas = replicas;
+    }
+    return { added, errors };
+}
+
+// 从主渠道读取完整文件内容
+async function readSourceObject(context, fileId, metadata) {
+    const driver = getDriverByChannel(metadata.Channel);
+    const origin = context.url?.origin || new URL(context.request.url).origin;
+    const url = new URL(`/file/${fileId}`, origin);
+    const readContext = { env: context.env, waitUntil: context.waitUntil, request: new Request(url), url, Referer: null };
+
+    const response = await driver.read(readContext, { value: null, metadata }, fileId, encodeURIComponent(metadata.FileName || fileId), metadata.FileType);
+    if (!response.ok) {
+        return null;
+    }
+
+    const fileName = metadata.FileName || fileId.split('/').pop();
+    return new File([await response.arrayBuffer()], fileName, { type: metadata.FileType || 'application/octet-stream' });
+}
@@ -0,0 +1,331 @@
+/* AWS Signature Version 4 签名校验，供 S3 兼容接口使用 */
+
+/**
+ * 支持的签名方式：
+ * - Authorization 请求头签名和预签名 URL（X-Amz-* 查询参数）
+ * - 请求体哈希：十六进制 SHA-256、UNSIGNED-PAYLOAD、STREAMING-AWS4-HMAC-SHA256-PAYLOAD（逐块校验签名）、
+ *   STREAMING-UNSIGNED-PAYLOAD-TRAILER（只解码，不校验）
+ * 签名密钥为 API Token 的 S3 凭证，区域不做限制，服务名必须为 s3
+ */
+
+import { timingSafeEqual } from './passwordHash.js';
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const MAX_CLOCK_SKEW = 15 * 60 * 1000; // 允许的客户端时间偏差：15分钟
+const MAX_PRESIGN_EXPIRES = 7 * 24 * 60 * 60; // 预签名 URL 最长有效期：7天
+const EMPTY_SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+export const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+export const STREAMING_PAYLOAD = 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD';
+export const STREAMING_UNSIGNED_TRAILER = 'STREAMING-UNSIGNED-PAYLOAD-TRAILER';
+
+const encoder = new TextEncoder();
+
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(data) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return bytesToHex(new Uint8Array(await crypto.subtle.digest('SHA-256', bytes)));
+}
+
+async function hmac(key, value) {
+    const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        typeof key === 'string' ? encoder.encode(key) : key,
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(value)));
+}
+
+// 按 RFC 3986 编码，只保留非保留字符
+function uriEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+// 将 20130524T000000Z 格式的时间解析为时间戳
+function parseAmzDate(amzDate) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(amzDate || '');
+    if (!match) {
+        return NaN;
+    }
+    const [, y, mo, d, h, mi, s] = match.map(Number);
+    return Date.UTC(y, mo - 1, d, h, mi, s);
+}
+
+function authError(code, message, status = 403) {
+    return { valid: false, code, message, status };
+}
+
+/**
+ * 解析请求中的 SigV4 认证信息
+ * @param {Request} request - 请求对象
+ * @returns {Object} 解析结果 { accessKeyId, scope, signedHeaders, signature, amzDate, payloadHash, presigned, expires }，
+ *                   格式错误时返回 { valid: false, code, message, status }
+ */
+export function parseSigV4Request(request) {
+    const url = new URL(request.url);
+    const authHeader = request.headers.get('Authorization');
+    let credential, signedHeaders, signature, amzDate, payloadHash;
+    let presigned = false;
+    let expires = 0;
+
+    if (authHeader) {
+        if (!authHeader.startsWith(ALGORITHM + ' ')) {
+            return authError('InvalidRequest', 'Only AWS4-HMAC-SHA256 signatures are supported', 400);
+        }
+        const fields = {};
+        for (const part of authHeader.substring(ALGORITHM.length + 1).split(',')) {
+            const index = part.indexOf('=');
+            if (index > 0) {
+                fields[part.substring(0, index).trim()] = part.substring(index + 1).trim();
+            }
+        }
+        credential = fields.Credential;
+        signedHeaders = fields.SignedHeaders;
+        signature = fields.Signature;
+        amzDate = request.headers.get('x-amz-date');
+        payloadHash = request.headers.get('x-amz-content-sha256');
+        if (!payloadHash) {
+            return authError('InvalidRequest', 'Missing required header for this request: x-amz-content-sha256', 400);
+        }
+    } else if (url.searchParams.has('X-Amz-Algorithm')) {
+        if (url.searchParams.get('X-Amz-Algorithm') !== ALGORITHM) {
+            return authError('InvalidRequest', 'Only AWS4-HMAC-SHA256 signatures are supported', 400);
+        }
+        presigned = true;
+        credential = url.searchParams.get('X-Amz-Credential');
+        signedHeaders = url.searchParams.get('X-Amz-SignedHeaders');
+        signature = url.searchParams.get('X-Amz-Signature');
+        amzDate = url.searchParams.get('X-Amz-Date');
+        payloadHash = url.searchParams.get('X-Amz-Content-Sha256') || UNSIGNED_PAYLOAD;
+        expires = parseInt(url.searchParams.get('X-Amz-Expires'), 10);
+        if (isNaN(expires) || expires < 1 || expires > MAX_PRESIGN_EXPIRES) {
+            return authError('AuthorizationQueryParametersError', 'X-Amz-Expires must be between 1 and 604800 seconds', 400);
+        }
+    } else {
+        return authError('AccessDenied', 'Missing authentication');
+    }
+
+    const [accessKeyId, date, region, service, terminator] = (credential || '').split('/');
+    if (!accessKeyId || !date || !region || service !== 's3' || terminator !== 'aws4_request'
+        || !signedHeaders || !signature || !amzDate || !amzDate.startsWith(date)) {
+        return authError('AuthorizationHeaderMalformed', 'The authorization header is malformed', 400);
+    }
+
+    return {
+        accessKeyId,
+        scope: `${date}/${region}/${service}/aws4_request`,
+        signedHeaders: signedHeaders.toLowerCase().split(';'),
+        signature,
+        amzDate,
+        payloadHash,
+        presigned,
+        expires
+    };
+}
+
+/**
+ * 构建规范请求（Canonical Request）
+ * @param {Request} request - 请求对象
+ * @param {Object} auth - parseSigV4Request 的返回结果
+ * @returns {string}
+ */
+export function buildCanonicalRequest(request, auth) {
+    const url = new URL(request.url);
+
+    // 路径逐段解码后重新编码，兼容客户端不同的转义方式
+    const canonicalUri = url.pathname.split('/').map(segment => uriEncode(safeDecode(segment))).join('/') || '/';
+
+    // 查询参数按编码后的键、值排序，预签名请求不包含签名本身
+    const canonicalQuery = url.search.substring(1).split('&')
+        .filter(pair => pair)
+        .map(pair => {
+            const index = pair.indexOf('=');
+            const key = index === -1 ? pair : pair.substring(0, index);
+            const value = index === -1 ? '' : pair.substring(index + 1);
+            return [uriEncode(safeDecode(key)), uriEncode(safeDecode(value))];
+        })
+        .filter(([key]) => !(auth.presigned && key === 'X-Amz-Signature'))
+        .sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+
+    const canonicalHeaders = auth.signedHeaders
+        .map(name => `${name}:${(request.headers.get(name) || '').trim().replace(/\s+/g, ' ')}\n`)
+        .join('');
+
+    return [
+        request.method,
+        canonicalUri,
+        canonicalQuery,
+        canonicalHeaders,
+        auth.signedHeaders.join(';'),
+        auth.payloadHash
+    ].join('\n');
+}
+
+/**
+ * 计算签名密钥
+ * @param {string} secretAccessKey - S3 凭证的 Secret Access Key
+ * @param {string} scope - 凭证范围 date/region/service/aws4_request
+ * @returns {Promise<Uint8Array>}
+ */
+export async function deriveSigningKey(secretAccessKey, scope) {
+    const [date, region, service] = scope.split('/');
+    const dateKey = await hmac('AWS4' + secretAccessKey, date);
+    const regionKey = await hmac(dateKey, region);
+    const serviceKey = await hmac(regionKey, service);
+    return await hmac(serviceKey, 'aws4_request');
+}
+
+/**
+ * 校验请求签名和时间
+ * @param {Request} request - 请求对象
+ * @param {Object} auth - parseSigV4Request 的返回结果
+ * @param {string} secretAccessKey - S3 凭证的 Secret Access Key
+ * @returns {Promise<Object>} { valid, signingKey }，校验失败时返回 { valid: false, code, message, status }
+ */
+export async function verifySigV4Request(request, auth, secretAccessKey) {
+    const requestTime = parseAmzDate(auth.amzDate);
+    if (isNaN(requestTime)) {
+        return authError('AccessDenied', 'Invalid X-Amz-Date');
+    }
+
+    const now = Date.now();
+    if (auth.presigned) {
+        if (requestTime - now > MAX_CLOCK_SKEW) {
+            return authError('AccessDenied', 'Request is not valid yet');
+        }
+        if (now > requestTime + auth.expires * 1000) {
+            return authError('AccessDenied', 'Request has expired');
+        }
+    } else if (Math.abs(now - requestTime) > MAX_CLOCK_SKEW) {
+        return authError('RequestTimeTooSkewed', 'The difference between the request time and the current time is too large');
+    }
+
+    if (!auth.signedHeaders.includes('host')) {
+        return authError('AccessDenied', 'The host header must be signed');
+    }
+
+    const canonicalRequest = buildCanonicalRequest(request, auth);
+    const stringToSign = [ALGORITHM, auth.amzDate, auth.scope, await sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = await deriveSigningKey(secretAccessKey, auth.scope);
+    const expected = bytesToHex(await hmac(signingKey, stringToSign));
+
+    if (!timingSafeEqual(expected, auth.signature)) {
+        return authError('SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided');
+    }
+
+    return { valid: true, signingKey };
+}
+
+/**
+ * 读取并校验请求体，aws-chunked 编码的请求体解码后返回原始内容
+ * @param {Request} request - 请求对象
+ * @param {Object} auth - parseSigV4Request 的返回结果
+ * @param {Uint8Array} signingKey - verifySigV4Request 返回的签名密钥
+ * @returns {Promise<Object>} { valid, body: Uint8Array }，校验失败时返回 { valid: false, code, message, status }
+ */
+export async function readSigV4Payload(request, auth, signingKey) {
+    const raw = new Uint8Array(await request.arrayBuffer());
+    const { payloadHash } = auth;
+
+    if (payloadHash === UNSIGNED_PAYLOAD) {
+        return { valid: true, body: raw };
+    }
+
+    if (payloadHash === STREAMING_PAYLOAD || payloadHash === STREAMING_UNSIGNED_TRAILER) {
+        const decoded = await decodeChunkedPayload(raw, auth, payloadHash === STREAMING_PAYLOAD ? signingKey : null);
+        if (!decoded.valid) {
+            return decoded;
+        }
+        const decodedLength = request.headers.get('x-amz-decoded-content-length');
+        if (decodedLength !== null && parseInt(decodedLength, 10) !== decoded.body.length) {
+            return authError('IncompleteBody', 'The decoded content length does not match x-amz-decoded-content-length', 400);
+        }
+        return decoded;
+    }
+
+    if (!/^[0-9a-f]{64}$/.test(payloadHash)) {
+        return authError('NotImplemented', `Unsupported x-amz-content-sha256 value: ${payloadHash}`, 501);
+    }
+    if (await sha256Hex(raw) !== payloadHash) {
+        return authError('XAmzContentSHA256Mismatch', 'The provided x-amz-content-sha256 header does not match what was computed', 400);
+    }
+    return { valid: true, body: raw };
+}
+
+// 解码 aws-chunked 请求体：<十六进制长度>[;chunk-signature=<签名>]\r\n<数据>\r\n ... 以长度为 0 的块结束
+// 传入签名密钥时逐块校验签名，每块签名以前一块的签名为种子，第一块以请求签名为种子
+async function decodeChunkedPayload(raw, auth, signingKey) {
+    const chunks = [];
+    let totalLength = 0;
+    let offset = 0;
+    let previousSignature = auth.signature;
+
+    while (offset < raw.length) {
+        const lineEnd = findCrlf(raw, offset);
+        if (lineEnd === -1) {
+            break;
+        }
+        const header = new TextDecoder().decode(raw.subarray(offset, lineEnd));
+        const [sizeHex, ...extensions] = header.split(';');
+        const size = parseInt(sizeHex, 16);
+        if (isNaN(size) || lineEnd + 2 + size > raw.length) {
+            return authError('IncompleteBody', 'Malformed aws-chunked payload', 400);
+        }
+
+        const data = raw.subarray(lineEnd + 2, lineEnd + 2 + size);
+        if (signingKey) {
+            const chunkSignature = extensions
+                .map(ext => ext.split('='))
+                .find(([name]) => name === 'chunk-signature')?.[1];
+            const stringToSign = [
+                'AWS4-HMAC-SHA256-PAYLOAD', auth.amzDate, auth.scope, previousSignature, EMPTY_SHA256, await sha256Hex(data)
+            ].join('\n');
+            const expected = bytesToHex(await hmac(signingKey, stringToSign));
+            if (!timingSafeEqual(expected, chunkSignature)) {
+                return authError('SignatureDoesNotMatch', 'The chunk signature does not match');
+            }
+            previousSignature = expected;
+        }
+
+        if (size === 0) {
+            // 结束块之后为可选的尾部校验头，不影响内容
+            const body = new Uint8Array(totalLength);
+            let position = 0;
+            for (const chunk of chunks) {
+                body.set(chunk, position);
+                position += chunk.length;
+            }
+            return { valid: true, body };
+        }
+
+        chunks.push(data);
+        totalLength += size;
+        offset = lineEnd + 2 + size + 2;
+    }
+
+    return authError('IncompleteBody', 'Malformed aws-chunked payload', 400);
+}
+
+function findCrlf(bytes, start) {
+    for (let i = start; i < bytes.length - 1; i++) {
+        if (bytes[i] === 13 && bytes[i + 1] === 10) {
+            return i;
+        }
+    }
+    return -1;
+}
@@ -0,0 +1,309 @@
+/* 管理端登录会话：签名的 HttpOnly 会话 Cookie 与 CSRF Token */
+
+/**
+ * 会话结构：
+ * - Cookie: imgbed_session=<会话ID>.<HMAC签名>，HttpOnly
+ * - Cookie: imgbed_csrf=<CSRF Token>，供前端读取后放入 X-CSRF-Token 请求头
+ * - key: manage@session@${SHA-256(会话ID)}，数据库中不保存会话ID明文
+ * - value: JSON.stringify({
+ *     id: "<SHA-256(会话ID)>",
+ *     type: "admin" | "user",   // admin 为系统管理员账号，user 为用户账户
+ *     username: "alice",
+ *     csrfToken: "...",
+ *     twoFactor: true,          // 登录时是否通过了两步验证
+ *     ip: "203.0.113.5",
+ *     userAgent: "...",
+ *     createdAt: "2024-01-01T00:00:00.000Z",
+ *     lastSeenAt: "2024-01-01T00:00:00.000Z",
+ *     expiresAt: "2024-01-08T00:00:00.000Z"
+ *   })
+ */
+
+import { getSecurityConfig } from '../api/manage/sysConfig/security.js';
+import { generateSigningSecret } from './urlSigner.js';
+import { timingSafeEqual } from './passwordHash.js';
+import { getPublicUser } from './userManager.js';
+
+const SESSION_KEY_PREFIX = 'manage@session@';
+export const SESSION_COOKIE = 'imgbed_session';
+export const CSRF_COOKIE = 'imgbed_csrf';
+export const CSRF_HEADER = 'X-CSRF-Token';
+const SESSION_COOKIE_PATH = '/api/manage';
+const LAST_SEEN_UPDATE_INTERVAL = 5 * 60 * 1000; // 最近活动时间的最小更新间隔：5分钟
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return bytesToHex(new Uint8Array(digest));
+}
+
+async function hmacHex(secret, value) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+    return bytesToHex(new Uint8Array(signature));
+}
+
+function getCookie(request, name) {
+    const cookies = request.headers.get('Cookie') || '';
+    const match = cookies.match(new RegExp('(?:^|;\\s*)' + name + '=([^;]+)'));
+    return match ? match[1] : null;
+}
+
+// 读取会话配置，未配置会话密钥时自动生成并写入安全设置
+async function getSessionConfig(db, env) {
+    const securityConfig = await getSecurityConfig(db, env);
+    if (securityConfig.session.secret) {
+        return securityConfig.session;
+    }
+
+    const settingsStr = await db.get('manage@sysConfig@security');
+    const settings = settingsStr ? JSON.parse(settingsStr) : {};
+    settings.session = { ...settings.session, secret: generateSigningSecret() };
+    await db.put('manage@sysConfig@security', JSON.stringify(settings));
+
+    return { ...securityConfig.session, secret: settings.session.secret };
+}
+
+/**
+ * 创建会话
+ * @param {Object} db - 数据库适配器
+ * @param {Object} env - 环境变量
+ * @param {Request} request - 登录请求
+ * @param {Object} options - { type: 'admin' | 'user', username, twoFactor: 是否通过了两步验证 }
+ * @returns {Promise<Object>} { cookies: Set-Cookie 数组, csrfToken, expiresAt }
+ */
+export async function createSession(db, env, request, options) {
+    const { secret, lifetime } = await getSessionConfig(db, env);
+
+    const sessionId = generateSigningSecret();
+    const now = new Date();
+    const session = {
+        id: await sha256Hex(sessionId),
+        type: options.type,
+        username: options.username,
+        csrfToken: generateSigningSecret(),
+        twoFactor: !!options.twoFactor,
+        ip: request.headers.get('CF-Connecting-IP') || '',
+        userAgent: request.headers.get('User-Agent') || '',
+        createdAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + lifetime * 1000).toISOString()
+    };
+
+    await db.put(SESSION_KEY_PREFIX + session.id, JSON.stringify(session), { expirationTtl: lifetime });
+
+    const secure = new URL(request.url).protocol === 'https:' ? '; Secure' : '';
+    const cookieValue = `${sessionId}.${await hmacHex(secret, sessionId)}`;
+
+    return {
+        cookies: [
+            `${SESSION_COOKIE}=${cookieValue}; Path=${SESSION_COOKIE_PATH}; Max-Age=${lifetime}; HttpOnly; SameSite=Lax${secure}`,
+            `${CSRF_COOKIE}=${session.csrfToken}; Path=/; Max-Age=${lifetime}; SameSite=Lax${secure}`
+        ],
+        csrfToken: session.csrfToken,
+        expiresAt: session.expiresAt
+    };
+}
+
+/**
+ * 生成清除会话 Cookie 的 Set-Cookie 数组
+ * @returns {Array<string>}
+ */
+export function clearSessionCookies() {
+    return [
+        `${SESSION_COOKIE}=; Path=${SESSION_COOKIE_PATH}; Max-Age=0; HttpOnly; SameSite=Lax`,
+        `${CSRF_COOKIE}=; Path=/; Max-Age=0; SameSite=Lax`
+    ];
+}
+
+/**
+ * 读取并校验请求中的会话 Cookie
+ * @param {Object} db - 数据库适配器
+ * @param {Object} env - 环境变量
+ * @param {Request} request - 请求对象
+ * @returns {Promise<Object|null>} 有效的会话记录，否则返回 null
+ */
+export async function getSession(db, env, request) {
+    const cookieValue = getCookie(request, SESSION_COOKIE);
+    if (!cookieValue) {
+        return null;
+    }
+
+    const [sessionId, signature] = cookieValue.split('.');
+    if (!sessionId || !signature) {
+        return null;
+    }
+
+    const { secret } = (await getSecurityConfig(db, env)).session;
+    if (!secret || !timingSafeEqual(signature, await hmacHex(secret, sessionId))) {
+        return null;
+    }
+
+    const key = SESSION_KEY_PREFIX + await sha256Hex(sessionId);
+    const sessionStr = await db.get(key);
+    if (!sessionStr) {
+        return null;
+    }
+
+    const session = JSON.parse(sessionStr);
+    if (Date.now() >= new Date(session.expiresAt).getTime()) {
+        await db.delete(key);
+        return null;
+    }
+
+    // 记录最近活动时间（按间隔节流，避免频繁写入）
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_UPDATE_INTERVAL) {
+        session.lastSeenAt = new Date().toISOString();
+        const ttl = Math.ceil((new Date(session.expiresAt).getTime() - Date.now()) / 1000);
+        try {
+            await db.put(key, JSON.stringify(session), { expirationTtl: Math.max(ttl, 60) });
+        } catch (e) {
+            console.error('Failed to update session last seen time:', e);
+        }
+    }
+
+    return session;
+}
+
+/**
+ * 标记会话已通过两步验证（在当前会话中启用两步验证后使用）
+ * @param {Object} db - 数据库适配器
+ * @param {string} id - 会话记录ID
+ */
+export async function markSessionTwoFactor(db, id) {
+    const key = SESSION_KEY_PREFIX + id;
+    const sessionStr = await db.get(key);
+    if (!sessionStr) {
+        return;
+    }
+
+    const session = JSON.parse(sessionStr);
+    session.twoFactor = true;
+    const ttl = Math.ceil((new Date(session.expiresAt).getTime() - Date.now()) / 1000);
+    await db.put(key, JSON.stringify(session), { expirationTtl: Math.max(ttl, 60) });
+}
+
+/**
+ * 解析会话对应的当前用户；管理员账号已更换、用户已被删除，或启用两步验证前创建的管理员（包括管理员角色用户）会话返回 null
+ * @param {Object} db - 数据库适配器
+ * @param {Object} session - 会话记录
+ * @param {Object} securityConfig - 安全设置
+ * @returns {Promise<Object|null>} 用户信息（不包含密码哈希）
+ */
+export async function resolveSessionUser(db, session, securityConfig) {
+    if (session.type === 'admin') {
+        if (session.username !== securityConfig.auth.admin.adminUsername) {
+            return null;
+        }
+        if (securityConfig.twoFactor?.enabled && !session.twoFactor) {
+            return null;
+        }
+        return { username: session.username, role: 'admin', homeDir: '' };
+    }
+
+    const user = await getPublicUser(db, session.username);
+    if (user?.role === 'admin' && securityConfig.twoFactor?.enabled && !session.twoFactor) {
+        return null;
+    }
+    return user;
+}
+
+/**
+ * 校验修改类请求的 CSRF Token（GET、HEAD、OPTIONS 请求无需校验）
+ * @param {Request} request - 请求对象
+ * @param {Object} session - 会话记录
+ * @returns {boolean}
+ */
+export function verifyCsrfToken(request, session) {
+    if (SAFE_METHODS.includes(request.method)) {
+        return true;
+    }
+    return timingSafeEqual(request.headers.get(CSRF_HEADER) || '', session.csrfToken);
+}
+
+/**
+ * 列出所有未过期的会话（不包含 CSRF Token）
+ * @param {Object} db - 数据库适配器
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listSessions(db) {
+    const sessions = [];
+    let cursor = null;
+
+    do {
+        const response = await db.list({
+            prefix: SESSION_KEY_PREFIX,
+            limit: 1000,
+            cursor: cursor
+        });
+
+        for (const item of response.keys) {
+            const sessionStr = await db.get(item.name);
+            if (!sessionStr) {
+                continue;
+            }
+
+            const { csrfToken, ...session } = JSON.parse(sessionStr);
+            if (Date.now() >= new Date(session.expiresAt).getTime()) {
+                await db.delete(item.name);
+                continue;
+            }
+            sessions.push(session);
+        }
+
+        cursor = response.list_complete ? null : response.cursor;
+    } while (cursor);
+
+    return sessions;
+}
+
+/**
+ * 撤销单个会话
+ * @param {Object} db - 数据库适配器
+ * @param {string} id - 会话记录ID
+ * @returns {Promise<boolean>} 会话存在时返回 true
+ */
+export async function revokeSession(db, id) {
+    if (!/^[0-9a-f]{64}$/.test(id || '')) {
+        return false;
+    }
+
+    const key = SESSION_KEY_PREFIX + id;
+    if (!await db.get(key)) {
+        return false;
+    }
+
+    await db.delete(key);
+    return true;
+}
+
+/**
+ * 撤销某个用户的所有会话，用于删除用户或修改密码后强制重新登录
+ * @param {Object} db - 数据库适配器
+ * @param {string} username - 用户名
+ * @param {string|null} type - 会话类型，为空时不限
+ * @returns {Promise<number>} 撤销的会话数
+ */
+export async function revokeUserSessions(db, username, type = null) {
+    const sessions = await listSessions(db);
+    let revoked = 0;
+
+    for (const session of sessions) {
+        if (session.username === username && (!type || session.type === type)) {
+            await db.delete(SESSION_KEY_PREFIX + session.id);
+            revoked++;
+        }
+    }
+
+    return revoked;
+}
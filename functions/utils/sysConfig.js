@@ -4,6 +4,7 @@ import { getPageConfig } from '../api/manage/sysConfig/page';
 import { getOthersConfig } from '../api/manage/sysConfig/others';
 import { getDatabase } from './databaseAdapter.js';
 import { getIndexMeta } from './indexManager.js';
+import { listChannelDrivers } from './channels/index.js';
 
 /**
  * 根据容量限制过滤渠道
@@ -57,18 +58,20 @@ export async function fetchUploadConfig(env, context = null) {
     try {
         const db = getDatabase(env);
         const settings = await getUploadConfig(db, env);
-        // 去除 已禁用 的渠道
-        settings.telegram.channels = settings.telegram.channels.filter((channel) => channel.enabled);
-        settings.cfr2.channels = settings.cfr2.channels.filter((channel) => channel.enabled);
-        settings.s3.channels = settings.s3.channels.filter((channel) => channel.enabled);
-        settings.discord.channels = settings.discord.channels.filter((channel) => channel.enabled);
-        settings.huggingface.channels = settings.huggingface.channels.filter((channel) => channel.enabled);
+        for (const driver of listChannelDrivers()) {
+            const channelSettings = settings[driver.name];
+            if (!channelSettings) {
+                continue;
+            }
+
+            // 去除 已禁用 的渠道
+            channelSettings.channels = channelSettings.channels.filter((channel) => channel.enabled);
 
-        // 根据容量限制过滤渠道（仅 R2 和 S3）
-        // 需要 context 来调用 getIndexMeta
-        if (context) {
-            settings.cfr2.channels = await filterChannelsByQuota(context, settings.cfr2.channels);
-            settings.s3.channels = await filterChannelsByQuota(context, settings.s3.channels);
+            // 根据容量限制过滤渠道（仅支持容量限制的渠道，如 R2 和 S3）
+            // 需要 context 来调用 getIndexMeta
+            if (context && driver.quota) {
+                channelSettings.channels = await filterChannelsByQuota(context, channelSettings.channels);
+            }
         }
 
         return settings;
@@ -79,8 +82,13 @@ export async function fetchUploadConfig(env, context = null) {
             telegram: { channels: [] },
             cfr2: { channels: [] },
             s3: { channels: [] },
+            b2: { channels: [] },
+            webdav: { channels: [] },
             discord: { channels: [] },
-            huggingface: { channels: [] }
+            huggingface: { channels: [] },
+            github: { channels: [] },
+            thumbnail: { enabled: false },
+            replication: { enabled: false }
         };
     }
 }
@@ -96,12 +104,15 @@ export async function fetchSecurityConfig(env) {
         return {
             auth: {
                 user: { authCode: "" },
-                admin: { adminUsername: "", adminPassword: "" }
+                admin: { adminUsername: "", adminPasswordHash: "" }
             },
             upload: {
                 moderate: { enabled: false, channel: "default", moderateContentApiKey: "", nsfwApiPath: "" }
             },
-            access: { allowedDomains: "", whiteListMode: false }
+            access: { allowedDomains: "", whiteListMode: false },
+            signing: { secret: "" },
+            session: { secret: "", lifetime: 7 * 24 * 60 * 60 },
+            twoFactor: { enabled: false }
         };
     }
 }
@@ -167,4 +167,17 @@ async sendFile(file, chatId, functionName, functionType, caption = '', fileName
         return response;
     }
 
+    /**
+     * 获取聊天信息（用于检查 Bot Token 和聊天ID是否可用）
+     * @param {string} chatId - 聊天ID
+     * @returns {Promise<Object>} API响应结果
+     */
+    async getChat(chatId) {
+        const response = await fetch(`${this.baseURL}/getChat?chat_id=${encodeURIComponent(chatId)}`, {
+            method: 'GET',
+            headers: this.defaultHeaders,
+        });
+        return await response.json();
+    }
+
 }
@@ -1,12 +1,25 @@
 // API Token权限验证工具函数
-import { getTokenPermissions } from '../api/manage/apiTokens.js';
+import { findApiToken, getApiTokenLastUsed, touchApiToken } from '../api/manage/apiTokens.js';
+
+/*
+ * Token 可授予的权限：
+ * - upload: 上传文件
+ * - list: 列出文件
+ * - delete: 删除文件、管理回收站
+ * - move / rename / tags: 移动、重命名文件，修改标签
+ * - manage: 签名链接、文件元数据和黑白名单
+ * - admin: 仅限管理员的接口，包含以上所有权限
+ */
+
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000; // 最近使用时间的最小更新间隔：5分钟
 
 /**
  * 验证API Token权限
  * @param {Request} request - 请求对象
  * @param {Object} db - 数据库适配器
- * @param {string} requiredPermission - 需要的权限 ('upload', 'delete', 'list')
- * @returns {Promise<{valid: boolean, error?: string}>}
+ * @param {string} requiredPermission - 需要的权限（见文件开头的权限说明）
+ * @returns {Promise<{valid: boolean, error?: string, forbidden?: boolean, token?: Object}>} 验证通过时 token 为 Token 记录，
+ *          Token 有效但缺少所需权限时 forbidden 为 true
  */
 export async function validateApiToken(request, db, requiredPermission) {
     const authHeader = request.headers.get('Authorization');
@@ -29,18 +42,170 @@ export async function validateApiToken(request, db, requiredPermission) {
     }
 
     // 获取Token权限
-    const permissions = await getTokenPermissions(db, token);
-    
-    if (!permissions) {
+    const tokenData = await findApiToken(db, token);
+    if (!tokenData?.permissions) {
         return { valid: false, error: '无效的Token' };
     }
 
-    // 检查权限，如果不需要特定权限（requiredPermission为null），则只要token有效就通过
-    if (requiredPermission !== null && !permissions.includes(requiredPermission)) {
-        return { valid: false, error: `缺少${requiredPermission}权限` };
+    return await checkTokenAccess(request, db, tokenData, requiredPermission);
+}
+
+/**
+ * 检查已识别的Token记录是否可用于当前请求：权限、有效期和IP白名单，通过时记录最近使用时间
+ * @param {Request} request - 请求对象
+ * @param {Object} db - 数据库适配器
+ * @param {Object} tokenData - Token记录
+ * @param {string|null} requiredPermission - 需要的权限（见文件开头的权限说明），为 null 时不检查权限
+ * @returns {Promise<{valid: boolean, error?: string, forbidden?: boolean, token?: Object}>} 验证通过时 token 为 Token 记录
+ */
+export async function checkTokenAccess(request, db, tokenData, requiredPermission) {
+    const permissions = tokenData.permissions || [];
+
+    // 检查权限，如果不需要特定权限（requiredPermission为null），则只要token有效就通过；admin 权限包含其他所有权限
+    if (requiredPermission !== null && !permissions.includes(requiredPermission) && !permissions.includes('admin')) {
+        return { valid: false, forbidden: true, error: `缺少${requiredPermission}权限` };
+    }
+
+    // 检查有效期
+    if (tokenData.expiresAt && Date.now() >= new Date(tokenData.expiresAt).getTime()) {
+        return { valid: false, error: 'Token已过期' };
+    }
+
+    // 检查IP白名单，仅信任 Cloudflare 提供的客户端IP
+    if (tokenData.allowedIps?.length > 0) {
+        const clientIp = request.headers.get('CF-Connecting-IP');
+        if (!clientIp || !tokenData.allowedIps.some(rule => isIpInRange(clientIp, rule))) {
+            return { valid: false, error: '当前IP不允许使用该Token' };
+        }
+    }
+
+    // 记录最近使用时间（按间隔节流，避免频繁写入）
+    try {
+        const lastUsedAt = await getApiTokenLastUsed(db, tokenData.id);
+        if (!lastUsedAt || Date.now() - new Date(lastUsedAt).getTime() > LAST_USED_UPDATE_INTERVAL) {
+            await touchApiToken(db, tokenData.id);
+        }
+    } catch (e) {
+        console.error('Failed to update token last used time:', e);
+    }
+
+    return { valid: true, token: tokenData };
+}
+
+/**
+ * 提取中间件中使用的Token身份信息（不包含Token值）
+ * @param {Object} tokenData - Token记录
+ * @returns {Object} { id, name, quota, allowedDirs, allowedChannels }
+ */
+export function toTokenIdentity(tokenData) {
+    return {
+        id: tokenData.id,
+        name: tokenData.name,
+        quota: tokenData.quota,
+        allowedDirs: tokenData.allowedDirs || [],
+        allowedChannels: tokenData.allowedChannels || []
+    };
+}
+
+/**
+ * 判断目录是否在Token允许的目录前缀内，未限制目录时始终允许
+ * @param {Object|null} tokenIdentity - toTokenIdentity 返回的身份信息
+ * @param {string} directory - 目录路径（有无首尾斜杠均可）
+ * @returns {boolean}
+ */
+export function isDirAllowedForToken(tokenIdentity, directory) {
+    const allowedDirs = tokenIdentity?.allowedDirs || [];
+    if (allowedDirs.length === 0) {
+        return true;
+    }
+
+    const dir = String(directory || '').replace(/^\/+/, '').replace(/\/{2,}/g, '/').replace(/\/$/, '');
+    const normalizedDir = dir === '' ? '' : dir + '/';
+    return allowedDirs.some(prefix => normalizedDir.startsWith(prefix));
+}
+
+/**
+ * 判断上传渠道是否被Token允许，未限制渠道时始终允许
+ * @param {Object|null} tokenIdentity - toTokenIdentity 返回的身份信息
+ * @param {string} channel - 上传渠道参数（telegram、cfr2、s3、b2、webdav、discord、huggingface、github、external）
+ * @returns {boolean}
+ */
+export function isChannelAllowedForToken(tokenIdentity, channel) {
+    const allowedChannels = tokenIdentity?.allowedChannels || [];
+    return allowedChannels.length === 0 || allowedChannels.includes(channel);
+}
+
+/**
+ * 判断IP是否匹配单个IP或CIDR网段，支持IPv4和IPv6
+ * @param {string} ip - 客户端IP
+ * @param {string} rule - IP或CIDR，例如 203.0.113.5、10.0.0.0/8、2001:db8::/32
+ * @returns {boolean}
+ */
+export function isIpInRange(ip, rule) {
+    const [rangeIp, prefixStr] = rule.trim().split('/');
+    const ipValue = parseIp(ip);
+    const rangeValue = parseIp(rangeIp);
+    if (!ipValue || !rangeValue || ipValue.bits !== rangeValue.bits) {
+        return false;
     }
 
-    return { valid: true };
+    const prefix = prefixStr === undefined ? ipValue.bits : parseInt(prefixStr, 10);
+    if (isNaN(prefix) || prefix < 0 || prefix > ipValue.bits) {
+        return false;
+    }
+
+    const shift = BigInt(ipValue.bits - prefix);
+    return (ipValue.value >> shift) === (rangeValue.value >> shift);
+}
+
+// 将IP地址解析为数值，返回 { value: BigInt, bits: 32 | 128 }，非法地址返回 null
+function parseIp(ip) {
+    if (!ip) {
+        return null;
+    }
+
+    if (ip.includes(':')) {
+        // IPv4 映射的 IPv6 地址，例如 ::ffff:192.0.2.1
+        const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) {
+            return parseIp(mapped[1]);
+        }
+
+        const halves = ip.split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const missing = 8 - head.length - tail.length;
+        if (missing < 0 || (halves.length === 1 && missing !== 0)) {
+            return null;
+        }
+
+        const groups = [...head, ...Array(missing).fill('0'), ...tail];
+        let value = 0n;
+        for (const group of groups) {
+            if (!/^[0-9a-f]{1,4}$/i.test(group)) {
+                return null;
+            }
+            value = (value << 16n) + BigInt(parseInt(group, 16));
+        }
+        return { value, bits: 128 };
+    }
+
+    const parts = ip.split('.');
+    if (parts.length !== 4) {
+        return null;
+    }
+    let value = 0n;
+    for (const part of parts) {
+        const num = parseInt(part, 10);
+        if (!/^\d{1,3}$/.test(part) || num > 255) {
+            return null;
+        }
+        value = (value << 8n) + BigInt(num);
+    }
+    return { value, bits: 32 };
 }
 
 /**
@@ -68,17 +233,6 @@ export async function getTokenInfo(request, kv) {
         return null;
     }
 
-    // 从KV中获取Token信息
-    const settingsStr = await kv.get('manage@sysConfig@security');
-    const settings = settingsStr ? JSON.parse(settingsStr) : {};
-    const tokens = settings.apiTokens?.tokens || {};
-    
-    // 查找匹配的token
-    for (const tokenId in tokens) {
-        if (tokens[tokenId].token === token) {
-            return tokens[tokenId];
-        }
-    }
-    
-    return null;
+    // 从KV中获取Token信息（按哈希匹配，不包含Token明文和哈希）
+    return await findApiToken(kv, token);
 }
@@ -0,0 +1,157 @@
+/* TOTP 一次性密码工具：RFC 6238（基于 RFC 4226 HOTP），基于 WebCrypto 的 HMAC
+ * 可用 RFC 6238 附录 B 的测试向量离线校验：generateTotp(base32Encode(密钥字节), 时间, { digits: 8, algorithm: 'SHA-256' }) */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_OPTIONS = {
+    digits: 6,
+    period: 30,          // 时间步长（秒）
+    algorithm: 'SHA-1',  // 身份验证器应用普遍只支持 SHA-1
+};
+
+/**
+ * Base32 编码（RFC 4648，不带填充）
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function base32Encode(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Base32 解码，忽略大小写、空格和填充
+ * @param {string} input
+ * @returns {Uint8Array}
+ */
+export function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return new Uint8Array(bytes);
+}
+
+/**
+ * 生成随机 TOTP 密钥（160 位，Base32 编码）
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+/**
+ * 计算 HOTP（RFC 4226）
+ * @param {Uint8Array} key - 密钥字节
+ * @param {number} counter - 计数器
+ * @param {Object} options - { digits, algorithm }
+ * @returns {Promise<string>} 补零后的一次性密码
+ */
+export async function generateHotp(key, counter, options = {}) {
+    const { digits, algorithm } = { ...DEFAULT_OPTIONS, ...options };
+
+    // 计数器为 8 字节大端整数
+    const message = new Uint8Array(8);
+    let remaining = counter;
+    for (let i = 7; i >= 0; i--) {
+        message[i] = remaining % 256;
+        remaining = Math.floor(remaining / 256);
+    }
+
+    const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: algorithm }, false, ['sign']);
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, message));
+
+    // 动态截断
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * 计算 TOTP（RFC 6238）
+ * @param {string} secret - Base32 编码的密钥
+ * @param {number} time - 秒级时间戳，默认为当前时间
+ * @param {Object} options - { digits, period, algorithm }
+ * @returns {Promise<string>}
+ */
+export async function generateTotp(secret, time = Date.now() / 1000, options = {}) {
+    const { period } = { ...DEFAULT_OPTIONS, ...options };
+    return await generateHotp(base32Decode(secret), Math.floor(time / period), options);
+}
+
+/**
+ * 校验 TOTP，允许前后若干个时间步长的时钟偏差
+ * @param {string} secret - Base32 编码的密钥
+ * @param {string} code - 用户输入的一次性密码
+ * @param {Object} options - { digits, period, algorithm, window: 允许偏差的步长数，默认 1, time: 秒级时间戳 }
+ * @returns {Promise<number|null>} 匹配时返回对应的时间步（用于防止重放），否则返回 null
+ */
+export async function verifyTotp(secret, code, options = {}) {
+    const { digits, period, window = 1, time = Date.now() / 1000 } = { ...DEFAULT_OPTIONS, ...options };
+
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = Math.floor(time / period);
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (step >= 0 && await generateHotp(key, step, options) === normalized) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 生成身份验证器应用的配置 URI（可直接生成二维码）
+ * @param {string} secret - Base32 编码的密钥
+ * @param {string} account - 账号名
+ * @param {string} issuer - 签发方名称
+ * @returns {string} otpauth://totp/... URI
+ */
+export function buildOtpauthUri(secret, account, issuer) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DEFAULT_OPTIONS.digits),
+        period: String(DEFAULT_OPTIONS.period),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
@@ -0,0 +1,201 @@
+/* 回收站：删除文件时先标记为已删除，保留期满后再删除渠道中的存储对象 */
+
+/**
+ * 回收站中的文件：
+ * - 数据库记录和渠道中的存储对象保持不变，元数据增加 DeletedAt（删除时间戳）和 DeletedBy（操作者名称）
+ * - readIndex 默认不返回回收站中的文件，随机图、公开浏览等接口和文件访问均不可见
+ * - 保留天数在其他设置 trash.retentionDays 中配置，默认 30 天，为 0 时直接彻底删除
+ * - 删除文件夹时文件夹记录同样保留（见 folderManager），恢复文件时一并恢复所在的文件夹
+ */
+
+import { getDatabase } from './databaseAdapter.js';
+import { readIndex, addFileToIndex, batchRemoveFilesFromIndex } from './indexManager.js';
+import { fetchOthersConfig } from './sysConfig.js';
+import { purgeCFCache, purgeRandomFileListCache, purgePublicFileListCache } from './purgeCache.js';
+import { deleteFile } from '../api/manage/delete/[[path]].js';
+import { recordAudit, getAuditActor, SYSTEM_ACTOR } from './auditLog.js';
+import { restoreFolders, purgeTrashedFolders } from './folderManager.js';
+
+const LAST_SWEEP_KEY = 'manage@trash@lastSweep';
+const SWEEP_INTERVAL = 60 * 60 * 1000; // 自动清理的最小间隔：1小时
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 读取回收站保留天数
+ * @param {Object} env - 环境变量
+ * @returns {Promise<number>} 保留天数，0 表示不使用回收站
+ */
+export async function getTrashRetentionDays(env) {
+    const othersConfig = await fetchOthersConfig(env);
+    return othersConfig.trash?.retentionDays ?? 30;
+}
+
+/**
+ * 判断文件是否在回收站中
+ * @param {Object} metadata - 文件元数据
+ * @returns {boolean}
+ */
+export function isFileTrashed(metadata) {
+    return !!metadata?.DeletedAt;
+}
+
+// 文件可见状态变化后清除 CDN 缓存和列表缓存
+async function purgeFileCaches(env, fileId, url) {
+    await purgeCFCache(env, `https://${url.hostname}/file/${fileId}`);
+    const normalizedFolder = fileId.split('/').slice(0, -1).join('/');
+    await purgeRandomFileListCache(url.origin, normalizedFolder);
+    await purgePublicFileListCache(url.origin, normalizedFolder);
+}
+
+/**
+ * 将文件移入回收站
+ * @param {Object} context - 上下文对象
+ * @param {string} fileId - 文件ID
+ * @returns {Promise<Object|null>} 移入前的文件元数据，文件不存在时返回 null
+ */
+export async function trashFile(context, fileId) {
+    const { env, request } = context;
+    const db = getDatabase(env);
+
+    const record = await db.getWithMetadata(fileId);
+    if (!record) {
+        return null;
+    }
+
+    const before = { ...(record.metadata || {}) };
+    if (isFileTrashed(before)) {
+        return before;
+    }
+
+    const metadata = {
+        ...before,
+        DeletedAt: Date.now(),
+        DeletedBy: getAuditActor(context).name
+    };
+    await db.put(fileId, record.value || "", { metadata });
+    await addFileToIndex(context, fileId, metadata);
+    await purgeFileCaches(env, fileId, new URL(request.url));
+
+    return before;
+}
+
+/**
+ * 从回收站恢复文件
+ * @param {Object} context - 上下文对象
+ * @param {string} fileId - 文件ID
+ * @returns {Promise<boolean>} 文件不存在或不在回收站中时返回 false
+ */
+export async function restoreFile(context, fileId) {
+    const { env, request } = context;
+    const db = getDatabase(env);
+
+    const record = await db.getWithMetadata(fileId);
+    if (!record || !isFileTrashed(record.metadata)) {
+        return false;
+    }
+
+    const metadata = { ...record.metadata };
+    delete metadata.DeletedAt;
+    delete metadata.DeletedBy;
+    await db.put(fileId, record.value || "", { metadata });
+    await addFileToIndex(context, fileId, metadata);
+    await restoreFolders(db, fileId.split('/').slice(0, -1).join('/'));
+    await purgeFileCaches(env, fileId, new URL(request.url));
+
+    return true;
+}
+
+/**
+ * 彻底删除文件：删除渠道中的存储对象和数据库记录，并从索引中移除
+ * @param {Object} context - 上下文对象
+ * @param {Array<string>} fileIds - 文件ID数组
+ * @returns {Promise<Object>} { deleted, failed }
+ */
+export async function purgeFiles(context, fileIds) {
+    const { env, request } = context;
+    const url = new URL(request.url);
+    const deleted = [];
+    const failed = [];
+
+    for (const fileId of fileIds) {
+        const cdnUrl = `https://${url.hostname}/file/${fileId}`;
+        if (await deleteFile(env, fileId, cdnUrl, url)) {
+            deleted.push(fileId);
+        } else {
+            failed.push(fileId);
+        }
+    }
+
+    if (deleted.length > 0) {
+        await batchRemoveFilesFromIndex(context, deleted);
+    }
+
+    return { deleted, failed };
+}
+
+/**
+ * 列出回收站中的文件（按当前请求的用户和Token范围过滤），附带预计彻底删除时间
+ * @param {Object} context - 上下文对象
+ * @param {Object} options - readIndex 的筛选选项（search、directory、start、count 等）
+ * @returns {Promise<Object>} readIndex 的返回结果，每个文件的 metadata 增加 PurgeAt
+ */
+export async function listTrash(context, options = {}) {
+    const retentionDays = await getTrashRetentionDays(context.env);
+    const result = await readIndex(context, { includeSubdirFiles: true, ...options, trash: 'only' });
+    if (!result.success) {
+        return result;
+    }
+
+    result.files = result.files.map(file => ({
+        ...file,
+        metadata: { ...file.metadata, PurgeAt: file.metadata.DeletedAt + retentionDays * DAY_MS }
+    }));
+    return result;
+}
+
+/**
+ * 彻底删除回收站中已超过保留期的文件
+ * @param {Object} context - 上下文对象
+ * @param {Object} options - 选项
+ * @param {boolean} options.force - 是否忽略清理间隔，默认为 false
+ * @returns {Object} 清理结果 { success, deleted, failed, skipped? }
+ */
+export async function sweepTrash(context, options = {}) {
+    const { env } = context;
+    const { force = false } = options;
+    const db = getDatabase(env);
+
+    try {
+        // 控制自动清理频率
+        const now = Date.now();
+        if (!force) {
+            const lastSweep = parseInt(await db.get(LAST_SWEEP_KEY), 10) || 0;
+            if (now - lastSweep < SWEEP_INTERVAL) {
+                return { success: true, deleted: [], failed: [], skipped: true };
+            }
+        }
+        await db.put(LAST_SWEEP_KEY, now.toString());
+
+        const retentionDays = await getTrashRetentionDays(env);
+        const result = await readIndex(context, { count: -1, includeSubdirFiles: true, owner: null, allowedDirs: null, trash: 'only' });
+        if (!result.success) {
+            return { success: false, deleted: [], failed: [], error: 'Failed to read index' };
+        }
+
+        const expiredIds = result.files
+            .filter(file => now - file.metadata.DeletedAt >= retentionDays * DAY_MS)
+            .map(file => file.id);
+
+        const { deleted, failed } = await purgeFiles(context, expiredIds);
+        if (deleted.length > 0) {
+            await recordAudit(context, { action: 'file.purge', targets: deleted, actor: SYSTEM_ACTOR });
+        }
+        await purgeTrashedFolders(db, now - retentionDays * DAY_MS);
+
+        console.log(`Trash sweep completed: ${deleted.length} deleted, ${failed.length} failed`);
+        return { success: true, deleted, failed };
+    } catch (error) {
+        console.error('Error sweeping trash:', error);
+        return { success: false, deleted: [], failed: [], error: error.message };
+    }
+}
@@ -0,0 +1,203 @@
+/* 管理员的两步验证（TOTP）：启用后管理员账号和管理员角色的用户登录时都需要提供验证码 */
+
+/**
+ * 保存在安全设置 manage@sysConfig@security 的 twoFactor 字段中：
+ * twoFactor: {
+ *     enabled: false,
+ *     secret: "",          // 已启用的 TOTP 密钥（Base32）
+ *     pendingSecret: "",   // 正在设置、尚未确认的 TOTP 密钥
+ *     recoveryCodes: [],   // 恢复码的加盐哈希，每个恢复码只能使用一次
+ *     lastUsedStep: 0      // 最近一次使用的时间步，同一验证码不能重复使用
+ * }
+ *
+ * API Token 不受两步验证限制，可继续用于自动化脚本。
+ */
+
+import { generateTotpSecret, verifyTotp, buildOtpauthUri, base32Encode } from './totp.js';
+import { hashToken, verifyToken } from './passwordHash.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+async function readSettings(db) {
+    const settingsStr = await db.get('manage@sysConfig@security');
+    const settings = settingsStr ? JSON.parse(settingsStr) : {};
+    settings.twoFactor = settings.twoFactor || {};
+    return settings;
+}
+
+async function writeSettings(db, settings) {
+    await db.put('manage@sysConfig@security', JSON.stringify(settings));
+}
+
+// 恢复码格式为 xxxxx-xxxxx，校验时忽略大小写、空格和短横线
+function normalizeRecoveryCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+async function generateRecoveryCodes() {
+    const codes = [];
+    const hashes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = base32Encode(crypto.getRandomValues(new Uint8Array(7))).substring(0, 10);
+        codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`.toLowerCase());
+        hashes.push(await hashToken(raw));
+    }
+    return { codes, hashes };
+}
+
+/**
+ * 校验 TOTP 验证码或恢复码，恢复码校验通过后即失效
+ * @param {Object} settings - 安全设置（会被修改，调用方负责写回）
+ * @param {string} code - 验证码或恢复码
+ * @returns {Promise<boolean>}
+ */
+async function consumeCode(settings, code) {
+    const twoFactor = settings.twoFactor;
+
+    const step = await verifyTotp(twoFactor.secret, code);
+    if (step !== null) {
+        if (step <= (twoFactor.lastUsedStep || 0)) {
+            return false;
+        }
+        twoFactor.lastUsedStep = step;
+        return true;
+    }
+
+    const recoveryCode = normalizeRecoveryCode(code);
+    if (!recoveryCode) {
+        return false;
+    }
+    const recoveryCodes = twoFactor.recoveryCodes || [];
+    for (let i = 0; i < recoveryCodes.length; i++) {
+        if (await verifyToken(recoveryCode, recoveryCodes[i])) {
+            recoveryCodes.splice(i, 1);
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * 读取两步验证状态
+ * @param {Object} db - 数据库适配器
+ * @returns {Promise<Object>} { enabled, pending, recoveryCodesRemaining }
+ */
+export async function getTwoFactorStatus(db) {
+    const { twoFactor } = await readSettings(db);
+    return {
+        enabled: !!twoFactor.enabled,
+        pending: !!twoFactor.pendingSecret,
+        recoveryCodesRemaining: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0
+    };
+}
+
+/**
+ * 开始设置两步验证：生成待确认的密钥和配置 URI
+ * @param {Object} db - 数据库适配器
+ * @param {string} account - 管理员用户名
+ * @param {string} issuer - 签发方名称，显示在身份验证器应用中
+ * @returns {Promise<Object>} { success, secret?, otpauthUri?, error? }
+ */
+export async function beginTwoFactorSetup(db, account, issuer) {
+    const settings = await readSettings(db);
+    if (settings.twoFactor.enabled) {
+        return { success: false, error: '两步验证已启用' };
+    }
+
+    const secret = generateTotpSecret();
+    settings.twoFactor.pendingSecret = secret;
+    await writeSettings(db, settings);
+
+    return { success: true, secret, otpauthUri: buildOtpauthUri(secret, account, issuer) };
+}
+
+/**
+ * 使用待确认密钥生成的验证码启用两步验证，并生成恢复码
+ * @param {Object} db - 数据库适配器
+ * @param {string} code - 验证码
+ * @returns {Promise<Object>} { success, recoveryCodes?, error? }，恢复码明文只返回这一次
+ */
+export async function enableTwoFactor(db, code) {
+    const settings = await readSettings(db);
+    const { pendingSecret } = settings.twoFactor;
+    if (!pendingSecret) {
+        return { success: false, error: '请先生成两步验证密钥' };
+    }
+
+    const step = await verifyTotp(pendingSecret, code);
+    if (step === null) {
+        return { success: false, error: '验证码错误' };
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    settings.twoFactor = {
+        enabled: true,
+        secret: pendingSecret,
+        pendingSecret: '',
+        recoveryCodes: hashes,
+        lastUsedStep: step
+    };
+    await writeSettings(db, settings);
+
+    return { success: true, recoveryCodes: codes };
+}
+
+/**
+ * 关闭两步验证，需要提供验证码或恢复码
+ * @param {Object} db - 数据库适配器
+ * @param {string} code - 验证码或恢复码
+ * @returns {Promise<Object>} { success, error? }
+ */
+export async function disableTwoFactor(db, code) {
+    const settings = await readSettings(db);
+    if (!settings.twoFactor.enabled) {
+        return { success: false, error: '两步验证未启用' };
+    }
+    if (!await consumeCode(settings, code)) {
+        return { success: false, error: '验证码错误' };
+    }
+
+    settings.twoFactor = { enabled: false };
+    await writeSettings(db, settings);
+
+    return { success: true };
+}
+
+/**
+ * 重新生成恢复码，原有恢复码全部失效
+ * @param {Object} db - 数据库适配器
+ * @param {string} code - 验证码或恢复码
+ * @returns {Promise<Object>} { success, recoveryCodes?, error? }
+ */
+export async function regenerateRecoveryCodes(db, code) {
+    const settings = await readSettings(db);
+    if (!settings.twoFactor.enabled) {
+        return { success: false, error: '两步验证未启用' };
+    }
+    if (!await consumeCode(settings, code)) {
+        return { success: false, error: '验证码错误' };
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    settings.twoFactor.recoveryCodes = hashes;
+    await writeSettings(db, settings);
+
+    return { success: true, recoveryCodes: codes };
+}
+
+/**
+ * 登录时校验第二步验证码（TOTP 或恢复码）
+ * @param {Object} db - 数据库适配器
+ * @param {string} code - 验证码或恢复码
+ * @returns {Promise<boolean>}
+ */
+export async function verifyTwoFactorCode(db, code) {
+    const settings = await readSettings(db);
+    if (!settings.twoFactor.enabled || !await consumeCode(settings, code)) {
+        return false;
+    }
+
+    await writeSettings(db, settings);
+    return true;
+}
@@ -0,0 +1,101 @@
+/* 文件链接签名工具：基于 HMAC-SHA256 的限时访问链接 */
+
+const DEFAULT_EXPIRES_IN = 60 * 60; // 默认有效期：1小时（秒）
+const MAX_EXPIRES_IN = 365 * 24 * 60 * 60; // 最长有效期：1年（秒）
+
+async function importKey(secret) {
+    return await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+}
+
+function toBase64Url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// 常量时间比较，避免通过响应时间推测签名
+function safeEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * 生成随机签名密钥
+ * @returns {string}
+ */
+export function generateSigningSecret() {
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    return toBase64Url(bytes);
+}
+
+/**
+ * 计算文件链接签名，签名内容为 `${fileId}:${exp}`
+ * @param {string} secret - 签名密钥
+ * @param {string} fileId - 文件ID
+ * @param {number} exp - 过期时间（秒级时间戳）
+ * @returns {Promise<string>} base64url 编码的签名
+ */
+export async function signFileUrl(secret, fileId, exp) {
+    const key = await importKey(secret);
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${fileId}:${exp}`));
+    return toBase64Url(signature);
+}
+
+/**
+ * 生成带签名的文件访问链接
+ * @param {string} origin - 站点源，例如 https://example.com
+ * @param {string} fileId - 文件ID
+ * @param {string} secret - 签名密钥
+ * @param {number} expiresIn - 有效期（秒）
+ * @returns {Promise<Object>} { url, exp }
+ */
+export async function createSignedUrl(origin, fileId, secret, expiresIn = DEFAULT_EXPIRES_IN) {
+    const duration = Math.min(Math.max(parseInt(expiresIn, 10) || DEFAULT_EXPIRES_IN, 1), MAX_EXPIRES_IN);
+    const exp = Math.floor(Date.now() / 1000) + duration;
+    const sig = await signFileUrl(secret, fileId, exp);
+
+    const encodedPath = fileId.split('/').map(encodeURIComponent).join('/');
+    return {
+        url: `${origin}/file/${encodedPath}?exp=${exp}&sig=${sig}`,
+        exp
+    };
+}
+
+/**
+ * 校验请求 URL 中的签名参数（sig、exp）
+ * @param {URL} url - 请求 URL
+ * @param {string} fileId - 文件ID
+ * @param {string} secret - 签名密钥
+ * @returns {Promise<boolean>} 签名有效且未过期时返回 true
+ */
+export async function verifySignedUrl(url, fileId, secret) {
+    const sig = url.searchParams.get('sig');
+    const exp = parseInt(url.searchParams.get('exp'), 10);
+
+    if (!secret || !sig || isNaN(exp)) {
+        return false;
+    }
+
+    if (Math.floor(Date.now() / 1000) > exp) {
+        return false;
+    }
+
+    const expected = await signFileUrl(secret, fileId, exp);
+    return safeEqual(sig, expected);
+}
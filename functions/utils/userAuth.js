@@ -1,6 +1,7 @@
 import { fetchSecurityConfig } from './sysConfig';
-import { validateApiToken } from './tokenValidator';
+import { validateApiToken, toTokenIdentity } from './tokenValidator';
 import { getDatabase } from './databaseAdapter.js';
+import { authenticateUser } from './userManager.js';
 
 /** 
  * 客户端用户认证
@@ -8,12 +9,30 @@ import { getDatabase } from './databaseAdapter.js';
  * @param {URL} url - 请求的URL
  * @param {Request} request - 请求对象
  * @param {string|null} requiredPermission - 如果提供，则进行Token验证
+ * @param {Object|null} data - 中间件数据对象，Token 认证通过时写入 data.apiToken，用户账户认证通过时写入 data.user
  * @return {Promise<boolean>} 返回是否认证通过
  */
-export async function userAuthCheck(env, url, request, requiredPermission = null) {
+export async function userAuthCheck(env, url, request, requiredPermission = null, data = null) {
+    // 协议适配层（如 S3 兼容接口）已完成 Token 认证和权限检查，直接调用处理函数时沿用其身份
+    if (data?.apiToken) {
+        return true;
+    }
+
     // 首先使用Token验证
     const tokenValidation = await validateApiToken(request, getDatabase(env), requiredPermission);
     if (tokenValidation.valid) {
+        if (data) {
+            data.apiToken = toTokenIdentity(tokenValidation.token);
+        }
+        return true;
+    }
+
+    // 使用用户账户验证（Basic 认证）
+    const user = await basicUserAuth(env, request);
+    if (user) {
+        if (data) {
+            data.user = user;
+        }
         return true;
     }
         
@@ -72,6 +91,32 @@ export function UnauthorizedResponse(reason) {
     });
 }
 
+/**
+ * 使用 Basic 认证头中的用户名和密码校验用户账户
+ * @param {Object} env - 环境变量
+ * @param {Request} request - 请求对象
+ * @return {Promise<Object|null>} 认证通过时返回用户信息，否则返回 null
+ */
+export async function basicUserAuth(env, request) {
+    const authorization = request.headers.get('Authorization');
+    if (!authorization || !authorization.startsWith('Basic ')) {
+        return null;
+    }
+
+    try {
+        const buffer = Uint8Array.from(atob(authorization.substring(6)), character => character.charCodeAt(0));
+        const decoded = new TextDecoder().decode(buffer).normalize();
+        const index = decoded.indexOf(':');
+        if (index === -1) {
+            return null;
+        }
+
+        return await authenticateUser(getDatabase(env), decoded.substring(0, index), decoded.substring(index + 1));
+    } catch (e) {
+        return null;
+    }
+}
+
 function isValidAuthCode(rightAuthCode, authCode) {
     return authCode === rightAuthCode;
 }
@@ -0,0 +1,238 @@
+/* 用户账户管理 */
+
+/**
+ * 用户账户结构：
+ * - key: manage@user@${username}
+ * - value: JSON.stringify({
+ *     username: "alice",
+ *     passwordHash: "pbkdf2$100000$<salt>$<hash>",
+ *     role: "admin" | "user",
+ *     homeDir: "alice/",      // 主目录前缀，普通用户的上传文件存放在该目录下
+ *     quota: { maxBytes, maxFilesPerDay, maxFileSize },  // 上传配额，0 表示不限制
+ *     createdAt: "2024-01-01T00:00:00.000Z",
+ *     updatedAt: "2024-01-01T00:00:00.000Z"
+ *   })
+ */
+
+import { hashPassword, verifyPassword } from './passwordHash.js';
+import { normalizeQuota } from './quotaManager.js';
+
+const USER_KEY_PREFIX = 'manage@user@';
+const USER_ROLES = ['admin', 'user'];
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// 规范化主目录：无头有尾，根目录为空
+function normalizeHomeDir(homeDir) {
+    const dir = String(homeDir || '').replace(/^\/+/, '').replace(/\/{2,}/g, '/').replace(/\/$/, '');
+    return dir === '' ? '' : dir + '/';
+}
+
+// 去掉密码哈希，返回可公开的用户信息
+function toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+}
+
+/**
+ * 读取用户
+ * @param {Object} db - 数据库适配器
+ * @param {string} username - 用户名
+ * @returns {Promise<Object|null>} 用户记录（包含密码哈希），不存在时返回 null
+ */
+export async function getUser(db, username) {
+    if (!username || !USERNAME_PATTERN.test(username)) {
+        return null;
+    }
+
+    const userStr = await db.get(USER_KEY_PREFIX + username);
+    return userStr ? JSON.parse(userStr) : null;
+}
+
+/**
+ * 读取用户（不包含密码哈希）
+ * @param {Object} db - 数据库适配器
+ * @param {string} username - 用户名
+ * @returns {Promise<Object|null>} 用户信息，不存在时返回 null
+ */
+export async function getPublicUser(db, username) {
+    const user = await getUser(db, username);
+    return user ? toPublicUser(user) : null;
+}
+
+/**
+ * 列出所有用户（不包含密码哈希）
+ * @param {Object} db - 数据库适配器
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listUsers(db) {
+    const users = [];
+    let cursor = null;
+
+    do {
+        const response = await db.list({
+            prefix: USER_KEY_PREFIX,
+            limit: 1000,
+            cursor: cursor
+        });
+
+        for (const item of response.keys) {
+            const userStr = await db.get(item.name);
+            if (userStr) {
+                users.push(toPublicUser(JSON.parse(userStr)));
+            }
+        }
+
+        cursor = response.list_complete ? null : response.cursor;
+    } while (cursor);
+
+    return users;
+}
+
+/**
+ * 创建用户
+ * @param {Object} db - 数据库适配器
+ * @param {Object} options - { username, password, role, homeDir, quota }
+ * @returns {Promise<Object>} { success, user?, error? }
+ */
+export async function createUser(db, options) {
+    const { username, password, role = 'user', homeDir, quota } = options;
+
+    if (!username || !USERNAME_PATTERN.test(username)) {
+        return { success: false, error: '用户名只能包含字母、数字、下划线、点和短横线' };
+    }
+    if (!password) {
+        return { success: false, error: '密码不能为空' };
+    }
+    if (!USER_ROLES.includes(role)) {
+        return { success: false, error: '无效的角色' };
+    }
+    if (await getUser(db, username)) {
+        return { success: false, error: '用户已存在' };
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+        username,
+        passwordHash: await hashPassword(password),
+        role,
+        homeDir: normalizeHomeDir(homeDir ?? username),
+        quota: normalizeQuota(quota),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await db.put(USER_KEY_PREFIX + username, JSON.stringify(user));
+
+    return { success: true, user: toPublicUser(user) };
+}
+
+/**
+ * 更新用户的密码、角色、主目录或配额
+ * @param {Object} db - 数据库适配器
+ * @param {string} username - 用户名
+ * @param {Object} updates - { password?, role?, homeDir?, quota? }
+ * @returns {Promise<Object>} { success, user?, error? }
+ */
+export async function updateUser(db, username, updates) {
+    const user = await getUser(db, username);
+    if (!user) {
+        return { success: false, error: '用户不存在' };
+    }
+
+    if (updates.role !== undefined) {
+        if (!USER_ROLES.includes(updates.role)) {
+            return { success: false, error: '无效的角色' };
+        }
+        user.role = updates.role;
+    }
+    if (updates.homeDir !== undefined) {
+        user.homeDir = normalizeHomeDir(updates.homeDir);
+    }
+    if (updates.quota !== undefined) {
+        user.quota = normalizeQuota(updates.quota);
+    }
+    if (updates.password) {
+        user.passwordHash = await hashPassword(updates.password);
+    }
+    user.updatedAt = new Date().toISOString();
+
+    await db.put(USER_KEY_PREFIX + username, JSON.stringify(user));
+
+    return { success: true, user: toPublicUser(user) };
+}
+
+/**
+ * 删除用户（用户上传的文件保留）
+ * @param {Object} db - 数据库适配器
+ * @param {string} username - 用户名
+ * @returns {Promise<Object>} { success, error? }
+ */
+export async function deleteUser(db, username) {
+    if (!await getUser(db, username)) {
+        return { success: false, error: '用户不存在' };
+    }
+
+    await db.delete(USER_KEY_PREFIX + username);
+    return { success: true };
+}
+
+/**
+ * 校验用户名和密码
+ * @param {Object} db - 数据库适配器
+ * @param {string} username - 用户名
+ * @param {string} password - 明文密码
+ * @returns {Promise<Object|null>} 校验通过时返回用户信息（不包含密码哈希），否则返回 null
+ */
+export async function authenticateUser(db, username, password) {
+    const user = await getUser(db, username);
+    if (!user || !await verifyPassword(password, user.passwordHash)) {
+        return null;
+    }
+
+    return toPublicUser(user);
+}
+
+/**
+ * 判断用户是否为管理员（未登录用户账户的请求视为管理员，如管理员账号或 API Token）
+ * @param {Object|null} user - 用户信息
+ * @returns {boolean}
+ */
+export function isAdminUser(user) {
+    return !user || user.role === 'admin';
+}
+
+/**
+ * 判断文件是否属于用户
+ * @param {Object|null} user - 用户信息
+ * @param {Object} metadata - 文件元数据
+ * @returns {boolean}
+ */
+export function isFileOwnedBy(user, metadata) {
+    return isAdminUser(user) || metadata?.Owner === user.username;
+}
+
+/**
+ * 判断目录是否在用户主目录下
+ * @param {Object|null} user - 用户信息
+ * @param {string} directory - 目录路径
+ * @returns {boolean}
+ */
+export function isInHomeDir(user, directory) {
+    if (isAdminUser(user)) {
+        return true;
+    }
+    return normalizeHomeDir(directory).startsWith(user.homeDir);
+}
+
+/**
+ * 将上传目录限定到用户主目录下
+ * @param {Object|null} user - 用户信息
+ * @param {string} folder - 请求的上传目录（无头无尾）
+ * @returns {string} 实际上传目录（无头无尾）
+ */
+export function resolveUploadFolder(user, folder) {
+    if (isAdminUser(user) || !user.homeDir || isInHomeDir(user, folder)) {
+        return folder;
+    }
+    return (user.homeDir + folder).replace(/\/$/, '');
+}
@@ -0,0 +1,275 @@
+/**
+ * WebDAV API 封装类
+ * 用于在 WebDAV 服务器（Nextcloud、NAS 等）上读写文件，支持 Basic 和 Digest 认证
+ */
+export class WebDAVAPI {
+    constructor(endpoint, username = '', password = '', authType = 'basic') {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.username = username;
+        this.password = password;
+        this.authType = authType === 'digest' ? 'digest' : 'basic';
+        this.digestChallenge = null; // 服务器返回的 Digest 认证参数，后续请求复用
+        this.nonceCount = 0;
+    }
+
+    /**
+     * 构建文件的完整 URL，逐段编码路径
+     * @param {string} path - 相对于服务器地址的路径
+     * @returns {string}
+     */
+    buildUrl(path) {
+        const segments = String(path || '').split('/').filter(Boolean).map(encodeURIComponent);
+        return `${this.endpoint}/${segments.join('/')}`;
+    }
+
+    /**
+     * 发送 WebDAV 请求，Digest 认证时在收到 401 后根据质询重新发送一次
+     * @param {string} method - 请求方法
+     * @param {string} path - 相对于服务器地址的路径
+     * @param {Object} options - headers 请求头，body 请求体（需可重复发送）
+     * @returns {Promise<Response>}
+     */
+    async request(method, path, options = {}) {
+        const url = this.buildUrl(path);
+
+        // 带请求体时先获取 Digest 质询，避免请求体被发送两次
+        if (this.authType === 'digest' && !this.digestChallenge && options.body) {
+            await this.fetchDigestChallenge();
+        }
+
+        let response = await fetch(url, {
+            method,
+            headers: await this.buildHeaders(method, url, options.headers),
+            body: options.body
+        });
+
+        if (response.status === 401 && this.authType === 'digest') {
+            const challenge = parseDigestChallenge(response.headers.get('WWW-Authenticate'));
+            if (challenge) {
+                this.digestChallenge = challenge;
+                this.nonceCount = 0;
+                response = await fetch(url, {
+                    method,
+                    headers: await this.buildHeaders(method, url, options.headers),
+                    body: options.body
+                });
+            }
+        }
+
+        return response;
+    }
+
+    /**
+     * 请求服务器地址以获取 Digest 质询
+     */
+    async fetchDigestChallenge() {
+        try {
+            const response = await fetch(this.buildUrl(''), {
+                method: 'PROPFIND',
+                headers: { 'Depth': '0' }
+            });
+            this.digestChallenge = parseDigestChallenge(response.headers.get('WWW-Authenticate'));
+        } catch (error) {
+            console.error('Error fetching WebDAV digest challenge:', error.message);
+        }
+    }
+
+    /**
+     * 构建带认证信息的请求头
+     */
+    async buildHeaders(method, url, extraHeaders = {}) {
+        const headers = new Headers(extraHeaders);
+        if (!this.username) {
+            return headers;
+        }
+
+        if (this.authType === 'basic') {
+            headers.set('Authorization', `Basic ${encodeBase64(`${this.username}:${this.password}`)}`);
+        } else if (this.digestChallenge) {
+            headers.set('Authorization', await this.buildDigestAuthorization(method, url));
+        }
+        return headers;
+    }
+
+    /**
+     * 根据质询计算 Digest 认证头（RFC 7616，支持 MD5 和 MD5-sess）
+     */
+    async buildDigestAuthorization(method, url) {
+        const { realm = '', nonce = '', opaque, qop, algorithm = 'MD5' } = this.digestChallenge;
+        const { pathname, search } = new URL(url);
+        const uri = pathname + search;
+        const cnonce = crypto.randomUUID().replace(/-/g, '');
+        const nc = (++this.nonceCount).toString(16).padStart(8, '0');
+
+        let ha1 = await md5(`${this.username}:${realm}:${this.password}`);
+        if (algorithm.toUpperCase() === 'MD5-SESS') {
+            ha1 = await md5(`${ha1}:${nonce}:${cnonce}`);
+        }
+        const ha2 = await md5(`${method}:${uri}`);
+
+        // 服务器提供 qop 时仅使用 auth
+        const useQop = qop && qop.split(',').map(item => item.trim()).includes('auth');
+        const response = useQop
+            ? await md5(`${ha1}:${nonce}:${nc}:${cnonce}:auth:${ha2}`)
+            : await md5(`${ha1}:${nonce}:${ha2}`);
+
+        const parts = [
+            `username="${this.username}"`,
+            `realm="${realm}"`,
+            `nonce="${nonce}"`,
+            `uri="${uri}"`,
+            `algorithm=${algorithm}`,
+            `response="${response}"`
+        ];
+        if (useQop) {
+            parts.push('qop=auth', `nc=${nc}`, `cnonce="${cnonce}"`);
+        }
+        if (opaque) {
+            parts.push(`opaque="${opaque}"`);
+        }
+        return `Digest ${parts.join(', ')}`;
+    }
+
+    /**
+     * 上传文件，父目录不存在时自动创建
+     * @param {string} path - 文件路径
+     * @param {ArrayBuffer|Uint8Array} body - 文件内容
+     * @param {string} contentType - 文件类型
+     */
+    async putFile(path, body, contentType = 'application/octet-stream') {
+        const options = { headers: { 'Content-Type': contentType || 'application/octet-stream' }, body };
+
+        let response = await this.request('PUT', path, options);
+        if (response.status === 409) {
+            // 409 Conflict 表示父目录不存在
+            await this.createDirectory(getParentPath(path));
+            response = await this.request('PUT', path, options);
+        }
+
+        if (!response.ok) {
+            throw new Error(`WebDAV API error: ${response.status} - ${response.statusText}`);
+        }
+    }
+
+    /**
+     * 逐级创建目录，已存在的目录会被跳过
+     * @param {string} path - 目录路径
+     */
+    async createDirectory(path) {
+        const segments = String(path || '').split('/').filter(Boolean);
+        for (let i = 1; i <= segments.length; i++) {
+            const response = await this.request('MKCOL', segments.slice(0, i).join('/') + '/');
+            // 405 Method Not Allowed 表示目录已存在
+            if (!response.ok && response.status !== 405) {
+                throw new Error(`WebDAV MKCOL error: ${response.status} - ${response.statusText}`);
+            }
+        }
+    }
+
+    /**
+     * 获取文件内容
+     * @param {string} path - 文件路径
+     * @param {string|null} range - Range 请求头
+     * @returns {Promise<Response>} 服务器的原始响应
+     */
+    async getFile(path, range = null) {
+        const headers = {};
+        if (range) {
+            headers['Range'] = range;
+        }
+        return await this.request('GET', path, { headers });
+    }
+
+    /**
+     * 在服务器上复制文件，目标父目录不存在时自动创建
+     * @param {string} fromPath - 源文件路径
+     * @param {string} toPath - 目标文件路径
+     */
+    async copyFile(fromPath, toPath) {
+        const options = { headers: { 'Destination': this.buildUrl(toPath), 'Overwrite': 'T' } };
+
+        let response = await this.request('COPY', fromPath, options);
+        if (response.status === 409) {
+            await this.createDirectory(getParentPath(toPath));
+            response = await this.request('COPY', fromPath, options);
+        }
+
+        if (!response.ok) {
+            throw new Error(`WebDAV COPY error: ${response.status} - ${response.statusText}`);
+        }
+    }
+
+    /**
+     * 删除文件，文件不存在时视为删除成功
+     * @param {string} path - 文件路径
+     * @returns {Promise<boolean>} 是否删除成功
+     */
+    async deleteFile(path) {
+        try {
+            const response = await this.request('DELETE', path);
+            if (response.ok || response.status === 404) {
+                return true;
+            }
+
+            console.error('WebDAV deleteFile error:', response.status, response.statusText);
+            return false;
+        } catch (error) {
+            console.error('Error deleting WebDAV file:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * 检查路径是否存在且可访问（用于检查服务器地址和认证信息是否可用）
+     * @param {string} path - 目录路径
+     * @returns {Promise<boolean>}
+     */
+    async exists(path) {
+        try {
+            const response = await this.request('PROPFIND', path, { headers: { 'Depth': '0' } });
+            return response.ok;
+        } catch (error) {
+            console.error('Error checking WebDAV path:', error.message);
+            return false;
+        }
+    }
+}
+
+// 拼接基础路径与文件路径
+export function joinWebDAVPath(basePath, fileId) {
+    return [basePath, fileId].join('/').split('/').filter(Boolean).join('/');
+}
+
+function getParentPath(path) {
+    return String(path || '').split('/').filter(Boolean).slice(0, -1).join('/');
+}
+
+// 解析 WWW-Authenticate 头中的 Digest 质询参数
+function parseDigestChallenge(header) {
+    if (!header || !/^\s*Digest\s/i.test(header)) {
+        return null;
+    }
+
+    const params = header.replace(/^\s*Digest\s/i, '');
+    const challenge = {};
+    const regex = /(\w+)=(?:"([^"]*)"|([^\s,]+))/g;
+    let match;
+    while ((match = regex.exec(params)) !== null) {
+        challenge[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+    }
+    return challenge;
+}
+
+function encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+async function md5(text) {
+    const hashBuffer = await crypto.subtle.digest('MD5', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,499 @@
+/* Webhook 通知：文件上传、删除、移动、屏蔽、内容审查和配额事件推送到外部地址 */
+
+/**
+ * Webhook 配置保存在 manage@sysConfig@webhooks：
+ * {
+ *     webhooks: {
+ *         "<Webhook ID>": {
+ *             id, name, url,
+ *             secret: "...",            // 签名密钥
+ *             events: ["file.uploaded"],
+ *             enabled: true,
+ *             createdAt, updatedAt
+ *         }
+ *     }
+ * }
+ *
+ * 投递记录：
+ * - key: manage@webhook@delivery@${反转时间戳}_${随机串}，按 key 排序即为时间倒序
+ * - value: JSON.stringify({
+ *     id, webhookId, event, url,
+ *     payload: "<请求体 JSON 字符串>",
+ *     status: "pending" | "success" | "failed",
+ *     attempts: [{ time, status: HTTP 状态码或 0, error, duration }],
+ *     nextAttemptAt: 1700000000000 | null,
+ *     createdAt: 1700000000000
+ *   })
+ * - metadata: { time, webhookId, event, status, nextAttemptAt }
+ *
+ * 请求体为 { id: 投递ID, event, createdAt, data }，请求头：
+ * - X-ImgBed-Event: 事件名称
+ * - X-ImgBed-Delivery: 投递ID，重新投递时不变，可用于去重
+ * - X-ImgBed-Signature: t=<秒级时间戳>,v1=<HMAC-SHA256(secret, `${t}.${请求体}`) 的十六进制>
+ */
+
+import { getDatabase } from './databaseAdapter.js';
+import { generateSigningSecret } from './urlSigner.js';
+
+const WEBHOOKS_KEY = 'manage@sysConfig@webhooks';
+const DELIVERY_KEY_PREFIX = 'manage@webhook@delivery@';
+const LAST_RETRY_KEY = 'manage@webhook@lastRetry';
+const MAX_TIMESTAMP = 9999999999999;
+const RETRY_INTERVAL = 60 * 1000; // 重试检查的最小间隔：1分钟
+const RETRY_DELAYS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60]; // 失败后的重试间隔（秒），逐次退避
+const REQUEST_TIMEOUT = 10 * 1000;
+const MAX_DELIVERIES = 500; // 保留的投递记录数
+const DELIVERY_TTL = 30 * 24 * 60 * 60; // 投递记录的保留时间（秒），仅 KV 生效
+
+/**
+ * 支持的事件
+ */
+export const WEBHOOK_EVENTS = [
+    'file.uploaded', 'file.deleted', 'file.moved', 'file.blocked', 'moderation.flagged', 'quota.threshold'
+];
+
+async function readWebhooks(db) {
+    const settingsStr = await db.get(WEBHOOKS_KEY);
+    const settings = settingsStr ? JSON.parse(settingsStr) : {};
+    settings.webhooks = settings.webhooks || {};
+    return settings;
+}
+
+async function writeWebhooks(db, settings) {
+    await db.put(WEBHOOKS_KEY, JSON.stringify(settings));
+}
+
+// 去掉签名密钥，返回可公开的 Webhook 信息
+function toPublicWebhook(webhook) {
+    const { secret, ...publicWebhook } = webhook;
+    return publicWebhook;
+}
+
+function generateWebhookId() {
+    return 'wh_' + Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
+}
+
+function generateDeliveryId() {
+    const random = Math.random().toString(36).substring(2, 10);
+    return `${String(MAX_TIMESTAMP - Date.now()).padStart(13, '0')}_${random}`;
+}
+
+// 校验并规范化 Webhook 的地址和事件
+function normalizeWebhookFields(fields) {
+    const result = {};
+
+    if (fields.url !== undefined) {
+        let url;
+        try {
+            url = new URL(fields.url);
+        } catch (e) {
+            return { error: '无效的 Webhook 地址' };
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return { error: 'Webhook 地址必须以 http:// 或 https:// 开头' };
+        }
+        result.url = url.toString();
+    }
+
+    if (fields.events !== undefined) {
+        if (!Array.isArray(fields.events) || fields.events.length === 0) {
+            return { error: '至少需要订阅一个事件' };
+        }
+        const invalid = fields.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (invalid.length > 0) {
+            return { error: `不支持的事件: ${invalid.join(', ')}` };
+        }
+        result.events = [...new Set(fields.events)];
+    }
+
+    if (fields.name !== undefined) {
+        result.name = String(fields.name || '').trim();
+    }
+    if (fields.enabled !== undefined) {
+        result.enabled = !!fields.enabled;
+    }
+    if (fields.secret !== undefined && fields.secret !== '') {
+        result.secret = String(fields.secret);
+    }
+
+    return { fields: result };
+}
+
+/**
+ * 列出所有 Webhook（不包含签名密钥）
+ * @param {Object} db - 数据库适配器
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listWebhooks(db) {
+    const { webhooks } = await readWebhooks(db);
+    return Object.values(webhooks).map(toPublicWebhook);
+}
+
+/**
+ * 创建 Webhook，未指定签名密钥时自动生成
+ * @param {Object} db - 数据库适配器
+ * @param {Object} options - { name, url, secret?, events, enabled? }
+ * @returns {Promise<Object>} { success, webhook?, secret?, error? }，签名密钥明文只在创建时返回
+ */
+export async function createWebhook(db, options) {
+    if (!options.url || !options.events) {
+        return { success: false, error: '缺少必要参数' };
+    }
+
+    const { fields, error } = normalizeWebhookFields(options);
+    if (error) {
+        return { success: false, error };
+    }
+
+    const settings = await readWebhooks(db);
+    const now = new Date().toISOString();
+    const webhook = {
+        id: generateWebhookId(),
+        name: fields.name || '',
+        url: fields.url,
+        secret: fields.secret || generateSigningSecret(),
+        events: fields.events,
+        enabled: fields.enabled ?? true,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    settings.webhooks[webhook.id] = webhook;
+    await writeWebhooks(db, settings);
+
+    return { success: true, webhook: toPublicWebhook(webhook), secret: webhook.secret };
+}
+
+/**
+ * 更新 Webhook 的名称、地址、签名密钥、事件或启用状态
+ * @param {Object} db - 数据库适配器
+ * @param {string} id - Webhook ID
+ * @param {Object} updates - { name?, url?, secret?, events?, enabled? }
+ * @returns {Promise<Object>} { success, webhook?, error? }
+ */
+export async function updateWebhook(db, id, updates) {
+    const settings = await readWebhooks(db);
+    const webhook = settings.webhooks[id];
+    if (!webhook) {
+        return { success: false, error: 'Webhook 不存在' };
+    }
+
+    const { fields, error } = normalizeWebhookFields(updates);
+    if (error) {
+        return { success: false, error };
+    }
+
+    Object.assign(webhook, fields, { updatedAt: new Date().toISOString() });
+    await writeWebhooks(db, settings);
+
+    return { success: true, webhook: toPublicWebhook(webhook) };
+}
+
+/**
+ * 删除 Webhook
+ * @param {Object} db - 数据库适配器
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object>} { success, error? }
+ */
+export async function deleteWebhook(db, id) {
+    const settings = await readWebhooks(db);
+    if (!settings.webhooks[id]) {
+        return { success: false, error: 'Webhook 不存在' };
+    }
+
+    delete settings.webhooks[id];
+    await writeWebhooks(db, settings);
+
+    return { success: true };
+}
+
+/**
+ * 判断是否有已启用的 Webhook 订阅了某个事件，用于跳过计算量较大的事件数据准备
+ * @param {Object} env - 环境变量
+ * @param {string} event - 事件名称
+ * @returns {Promise<boolean>}
+ */
+export async function hasWebhookSubscribers(env, event) {
+    try {
+        const { webhooks } = await readWebhooks(getDatabase(env));
+        return Object.values(webhooks).some(webhook => webhook.enabled && webhook.events.includes(event));
+    } catch (error) {
+        console.error('Failed to read webhooks:', error);
+        return false;
+    }
+}
+
+/**
+ * 将文件元数据转换为事件中的文件信息，只包含公开字段，不包含渠道凭据
+ * @param {string} fileId - 文件ID
+ * @param {Object} metadata - 文件元数据
+ * @param {string} origin - 站点地址
+ * @returns {Object}
+ */
+export function toWebhookFile(fileId, metadata, origin) {
+    metadata = metadata || {};
+    return {
+        id: fileId,
+        url: `${origin}/file/${fileId}`,
+        name: metadata.FileName || fileId.split('/').pop(),
+        type: metadata.FileType || null,
+        size: Number(metadata.FileSizeBytes) || null,
+        channel: metadata.Channel || null,
+        channelName: metadata.ChannelName || null,
+        directory: metadata.Directory ?? fileId.substring(0, fileId.lastIndexOf('/') + 1),
+        label: metadata.Label || null,
+        tags: metadata.Tags || [],
+        owner: metadata.Owner || null,
+        uploadedAt: metadata.TimeStamp || null
+    };
+}
+
+async function hmacHex(secret, value) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function saveDelivery(db, delivery) {
+    await db.put(DELIVERY_KEY_PREFIX + delivery.id, JSON.stringify(delivery), {
+        expirationTtl: DELIVERY_TTL,
+        metadata: {
+            time: delivery.createdAt,
+            webhookId: delivery.webhookId,
+            event: delivery.event,
+            status: delivery.status,
+            nextAttemptAt: delivery.nextAttemptAt
+        }
+    });
+}
+
+/**
+ * 发送一次投递请求，记录结果，失败时按退避间隔安排下次重试
+ * @param {Object} db - 数据库适配器
+ * @param {Object} webhook - Webhook 配置（包含签名密钥）
+ * @param {Object} delivery - 投递记录（会被修改）
+ * @param {boolean} scheduleRetry - 失败后是否安排自动重试
+ */
+async function attemptDelivery(db, webhook, delivery, scheduleRetry = true) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = await hmacHex(webhook.secret, `${timestamp}.${delivery.payload}`);
+    const startTime = Date.now();
+    const attempt = { time: startTime, status: 0, error: null, duration: 0 };
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ImgBed-Webhook',
+                'X-ImgBed-Event': delivery.event,
+                'X-ImgBed-Delivery': delivery.id,
+                'X-ImgBed-Signature': `t=${timestamp},v1=${signature}`
+            },
+            body: delivery.payload,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+        attempt.status = response.status;
+        if (!response.ok) {
+            attempt.error = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        attempt.error = error.message;
+    }
+    attempt.duration = Date.now() - startTime;
+
+    delivery.attempts.push(attempt);
+    const retries = delivery.attempts.length - 1;
+    if (!attempt.error) {
+        delivery.status = 'success';
+        delivery.nextAttemptAt = null;
+    } else if (scheduleRetry && retries < RETRY_DELAYS.length) {
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = Date.now() + RETRY_DELAYS[retries] * 1000;
+    } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+    }
+
+    await saveDelivery(db, delivery);
+}
+
+/**
+ * 向订阅了该事件的所有 Webhook 推送事件，推送失败只记录错误，不影响原操作
+ * @param {Object} context - 上下文对象
+ * @param {string} event - 事件名称
+ * @param {Object} data - 事件数据
+ */
+export async function dispatchWebhookEvent(context, event, data) {
+    try {
+        const db = getDatabase(context.env);
+        const { webhooks } = await readWebhooks(db);
+        const targets = Object.values(webhooks).filter(webhook => webhook.enabled && webhook.events.includes(event));
+
+        for (const webhook of targets) {
+            const id = generateDeliveryId();
+            const createdAt = Date.now();
+            const delivery = {
+                id,
+                webhookId: webhook.id,
+                event,
+                url: webhook.url,
+                payload: JSON.stringify({ id, event, createdAt: new Date(createdAt).toISOString(), data }),
+                status: 'pending',
+                attempts: [],
+                nextAttemptAt: null,
+                createdAt
+            };
+            await attemptDelivery(db, webhook, delivery);
+        }
+
+        if (targets.length > 0) {
+            await retryWebhookDeliveries(context);
+        }
+    } catch (error) {
+        console.error(`Failed to dispatch webhook event ${event}:`, error);
+    }
+}
+
+/**
+ * 重试到期的失败投递，并清理超出保留数量的投递记录
+ * @param {Object} context - 上下文对象
+ * @param {Object} options - 选项
+ * @param {boolean} options.force - 是否忽略检查间隔，默认为 false
+ * @returns {Promise<Object>} { success, retried, skipped? }
+ */
+export async function retryWebhookDeliveries(context, options = {}) {
+    const { force = false } = options;
+    const db = getDatabase(context.env);
+
+    try {
+        const now = Date.now();
+        if (!force) {
+            const lastRetry = parseInt(await db.get(LAST_RETRY_KEY), 10) || 0;
+            if (now - lastRetry < RETRY_INTERVAL) {
+                return { success: true, retried: 0, skipped: true };
+            }
+        }
+        await db.put(LAST_RETRY_KEY, now.toString());
+
+        const { webhooks } = await readWebhooks(db);
+        let retried = 0;
+        let seen = 0;
+        let cursor = null;
+
+        do {
+            const response = await db.list({ prefix: DELIVERY_KEY_PREFIX, limit: 1000, cursor });
+            cursor = response.list_complete ? null : response.cursor;
+
+            for (const item of response.keys) {
+                // 按时间倒序排列，超出保留数量的旧记录直接删除
+                if (++seen > MAX_DELIVERIES) {
+                    await db.delete(item.name);
+                    continue;
+                }
+
+                const meta = item.metadata || {};
+                if (meta.status !== 'pending' || !meta.nextAttemptAt || meta.nextAttemptAt > now) {
+                    continue;
+                }
+
+                const deliveryStr = await db.get(item.name);
+                if (!deliveryStr) {
+                    continue;
+                }
+                const delivery = JSON.parse(deliveryStr);
+                const webhook = webhooks[delivery.webhookId];
+                if (!webhook || !webhook.enabled) {
+                    delivery.status = 'failed';
+                    delivery.nextAttemptAt = null;
+                    await saveDelivery(db, delivery);
+                    continue;
+                }
+
+                await attemptDelivery(db, webhook, delivery);
+                retried++;
+            }
+        } while (cursor);
+
+        return { success: true, retried };
+    } catch (error) {
+        console.error('Error retrying webhook deliveries:', error);
+        return { success: false, retried: 0, error: error.message };
+    }
+}
+
+/**
+ * 查询投递记录（时间倒序）
+ * @param {Object} db - 数据库适配器
+ * @param {Object} options - { webhookId, event, status, limit, cursor: 上一页最后一条记录的ID }
+ * @returns {Promise<Object>} { deliveries, cursor }，没有更多记录时 cursor 为 null
+ */
+export async function listWebhookDeliveries(db, options = {}) {
+    const { webhookId = '', event = '', status = '', limit = 50 } = options;
+    const afterKey = options.cursor ? DELIVERY_KEY_PREFIX + options.cursor : '';
+    const deliveries = [];
+    let listCursor = null;
+
+    do {
+        const response = await db.list({ prefix: DELIVERY_KEY_PREFIX, limit: 1000, cursor: listCursor });
+        listCursor = response.list_complete ? null : response.cursor;
+
+        for (const item of response.keys) {
+            const meta = item.metadata || {};
+            if (item.name <= afterKey) {
+                continue;
+            }
+            if ((webhookId && meta.webhookId !== webhookId) || (event && meta.event !== event) || (status && meta.status !== status)) {
+                continue;
+            }
+
+            const deliveryStr = await db.get(item.name);
+            if (!deliveryStr) {
+                continue;
+            }
+
+            const delivery = JSON.parse(deliveryStr);
+            deliveries.push(delivery);
+            if (deliveries.length >= limit) {
+                return { deliveries, cursor: delivery.id };
+            }
+        }
+    } while (listCursor);
+
+    return { deliveries, cursor: null };
+}
+
+/**
+ * 立即重新投递，使用原请求体和当前的 Webhook 地址、签名密钥
+ * @param {Object} db - 数据库适配器
+ * @param {string} deliveryId - 投递ID
+ * @returns {Promise<Object>} { success, delivery?, error? }
+ */
+export async function redeliverWebhook(db, deliveryId) {
+    if (!/^\d{13}_[a-z0-9]+$/.test(deliveryId || '')) {
+        return { success: false, error: '投递记录不存在' };
+    }
+
+    const deliveryStr = await db.get(DELIVERY_KEY_PREFIX + deliveryId);
+    if (!deliveryStr) {
+        return { success: false, error: '投递记录不存在' };
+    }
+
+    const delivery = JSON.parse(deliveryStr);
+    const { webhooks } = await readWebhooks(db);
+    const webhook = webhooks[delivery.webhookId];
+    if (!webhook) {
+        return { success: false, error: 'Webhook 不存在' };
+    }
+
+    delivery.url = webhook.url;
+    await attemptDelivery(db, webhook, delivery, false);
+
+    return { success: delivery.status === 'success', delivery };
+}
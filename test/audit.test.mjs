@@ -0,0 +1,94 @@
+/* 审计日志测试：管理操作写入审计日志，且不包含凭据 */
+import assert from 'node:assert/strict';
+import { ORIGIN, createEnv, createContext, createApiToken, putFile } from './support/env.mjs';
+import { onRequest as apiTokensHandler } from '../functions/api/manage/apiTokens.js';
+import { onRequest as usersHandler } from '../functions/api/manage/users.js';
+import { onRequest as metadataHandler } from '../functions/api/manage/metadata/[[path]].js';
+import { onRequestPost as restoreHandler } from '../functions/api/manage/batch/restore/chunk.js';
+
+function auditEntries(env) {
+    return [...env.img_url.store.entries()]
+        .filter(([key]) => key.startsWith('manage@audit@'))
+        .map(([, item]) => JSON.parse(item.value));
+}
+
+async function callAdmin(env, handler, path, init = {}, params = {}) {
+    const context = createContext(env, new Request(ORIGIN + path, init), params);
+    context.data.user = { username: 'admin', role: 'admin' };
+    const response = await handler(context);
+    await Promise.allSettled(context.pending);
+    return response;
+}
+
+describe('审计日志', function () {
+    let env;
+
+    beforeEach(async function () {
+        env = await createEnv();
+    });
+
+    it('记录 Token 的创建、修改和撤销，不包含 Token 和密钥', async function () {
+        const created = await createApiToken(env, ['upload'], { s3Credentials: true });
+        await callAdmin(env, apiTokensHandler, '/api/manage/apiTokens', {
+            method: 'PUT',
+            body: JSON.stringify({ tokenId: created.id, permissions: ['upload', 'list'] }),
+        });
+        await callAdmin(env, apiTokensHandler, `/api/manage/apiTokens?id=${created.id}`, { method: 'DELETE' });
+
+        const entries = auditEntries(env);
+        assert.deepEqual(entries.map(entry => entry.action).sort(), ['token.create', 'token.revoke', 'token.update']);
+        assert.deepEqual(entries.find(entry => entry.action === 'token.update').after.permissions, ['upload', 'list']);
+
+        const serialized = JSON.stringify(entries);
+        assert.equal(serialized.includes(created.token), false);
+        assert.equal(serialized.includes(created.token.substring(0, 15)), false);
+        assert.equal(serialized.includes(created.s3SecretAccessKey), false);
+    });
+
+    it('记录用户的创建和角色修改，不包含密码', async function () {
+        await callAdmin(env, usersHandler, '/api/manage/users', {
+            method: 'POST',
+            body: JSON.stringify({ username: 'alice', password: 'first-password', role: 'user' }),
+        });
+        await callAdmin(env, usersHandler, '/api/manage/users', {
+            method: 'PUT',
+            body: JSON.stringify({ username: 'alice', password: 'second-password', role: 'admin' }),
+        });
+
+        const entries = auditEntries(env);
+        const update = entries.find(entry => entry.action === 'user.update');
+        assert.ok(entries.find(entry => entry.action === 'user.create'));
+        assert.equal(update.before.role, 'user');
+        assert.equal(update.after.role, 'admin');
+
+        const serialized = JSON.stringify(entries);
+        assert.equal(serialized.includes('first-password'), false);
+        assert.equal(serialized.includes('second-password'), false);
+    });
+
+    it('记录文件元数据修改', async function () {
+        await putFile(env, 'a.png');
+        await callAdmin(env, metadataHandler, '/api/manage/metadata/a.png', {
+            method: 'PATCH',
+            body: JSON.stringify({ Private: true }),
+        }, { path: 'a.png' });
+
+        const [entry] = auditEntries(env);
+        assert.equal(entry.action, 'file.metadata');
+        assert.deepEqual(entry.targets, ['a.png']);
+        assert.equal(entry.before.Private, false);
+        assert.equal(entry.after.Private, true);
+    });
+
+    it('恢复设置时只记录键', async function () {
+        await callAdmin(env, restoreHandler, '/api/manage/batch/restore/chunk', {
+            method: 'POST',
+            body: JSON.stringify({ type: 'settings', data: { 'sysConfig@others': { webDAV: { password: 'dav-password' } } } }),
+        });
+
+        const [entry] = auditEntries(env);
+        assert.equal(entry.action, 'settings.restore');
+        assert.deepEqual(entry.targets, ['manage@sysConfig@others']);
+        assert.equal(JSON.stringify(entry).includes('dav-password'), false);
+    });
+});
@@ -0,0 +1,66 @@
+/* 上传配额测试：两次索引合并之间的上传同样计入用量 */
+import assert from 'node:assert/strict';
+import { createEnv, createContext, putFile } from './support/env.mjs';
+import { addFileToIndex, removeFileFromIndex, mergeOperationsToIndex, rebuildIndex } from '../functions/utils/indexManager.js';
+import { checkUploadQuota } from '../functions/utils/quotaManager.js';
+
+function uploadContext(env, quota) {
+    const context = createContext(env, new Request('https://img.example.com/upload'));
+    context.data.apiToken = { id: 'token1', quota };
+    return context;
+}
+
+function fileMetadata(size) {
+    return { FileSizeBytes: size, TimeStamp: Date.now(), UploadToken: 'token1', Channel: 'CloudflareR2', ChannelName: 'R2_env' };
+}
+
+describe('上传配额', function () {
+    let env;
+    let context;
+
+    beforeEach(async function () {
+        env = await createEnv();
+        context = uploadContext(env, { maxBytes: 100, maxFilesPerDay: 2 });
+
+        // 生成包含上传者统计的索引元数据
+        await putFile(env, 'other.png');
+        await rebuildIndex(context);
+    });
+
+    it('尚未合并的上传计入每日文件数', async function () {
+        await addFileToIndex(context, 'a.png', fileMetadata(10));
+        await addFileToIndex(context, 'b.png', fileMetadata(10));
+
+        const result = await checkUploadQuota(context, 10);
+        assert.equal(result.allowed, false);
+        assert.equal(result.status, 429);
+    });
+
+    it('尚未合并的上传计入存储量', async function () {
+        await addFileToIndex(context, 'a.png', fileMetadata(80));
+
+        const result = await checkUploadQuota(context, 30);
+        assert.equal(result.allowed, false);
+        assert.equal(result.status, 413);
+        assert.equal(result.remaining.bytes, 20);
+    });
+
+    it('合并后不重复计入', async function () {
+        await addFileToIndex(context, 'a.png', fileMetadata(40));
+        await mergeOperationsToIndex(context);
+
+        const result = await checkUploadQuota(context, 10);
+        assert.equal(result.allowed, true);
+        assert.equal(result.remaining.bytes, 60);
+        assert.equal(result.remaining.filesToday, 1);
+    });
+
+    it('尚未合并的删除释放用量', async function () {
+        await addFileToIndex(context, 'a.png', fileMetadata(80));
+        await removeFileFromIndex(context, 'a.png');
+
+        const result = await checkUploadQuota(context, 30);
+        assert.equal(result.allowed, true);
+        assert.equal(result.remaining.bytes, 100);
+    });
+});
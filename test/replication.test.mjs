@@ -0,0 +1,41 @@
+/* 副本接管测试：删除带副本的源文件时，共享存储对象的其他文件记录接管副本 */
+import assert from 'node:assert/strict';
+import { ORIGIN, createEnv, createContext, putFile } from './support/env.mjs';
+import { addFileHashRef } from '../functions/utils/indexManager.js';
+import { deleteFile } from '../functions/api/manage/delete/[[path]].js';
+
+const HASH = 'a'.repeat(64);
+const S3_REPLICA = { Channel: 'S3', ChannelName: 's3-backup', S3FileKey: 'a.png' };
+
+describe('副本接管', function () {
+    let env;
+
+    beforeEach(async function () {
+        env = await createEnv();
+        const context = createContext(env, new Request(ORIGIN));
+
+        // b.png 是 a.png 的去重别名，后台复制只写入了源文件 a.png 的记录
+        await putFile(env, 'a.png', { FileHash: HASH, Replicas: [S3_REPLICA] });
+        await putFile(env, 'b.png', { FileHash: HASH, AliasOf: 'a.png' });
+        await env.img_r2.delete('b.png');
+        await addFileHashRef(context, HASH, 'a.png');
+        await addFileHashRef(context, HASH, 'b.png');
+    });
+
+    it('删除源文件后其他引用接管副本，存储对象保留', async function () {
+        const url = new URL(ORIGIN);
+        assert.equal(await deleteFile(env, 'a.png', `${ORIGIN}/file/a.png`, url), true);
+
+        assert.equal(env.img_url.store.has('a.png'), false);
+        assert.deepEqual(env.img_url.store.get('b.png').metadata.Replicas, [S3_REPLICA]);
+        assert.ok(env.img_r2.objects.has('a.png'));
+    });
+
+    it('已有相同渠道副本的引用不重复添加', async function () {
+        const metadata = env.img_url.store.get('b.png').metadata;
+        await env.img_url.put('b.png', '', { metadata: { ...metadata, Replicas: [S3_REPLICA] } });
+
+        await deleteFile(env, 'a.png', `${ORIGIN}/file/a.png`, new URL(ORIGIN));
+        assert.deepEqual(env.img_url.store.get('b.png').metadata.Replicas, [S3_REPLICA]);
+    });
+});
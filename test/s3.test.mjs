@@ -0,0 +1,124 @@
+/* S3 兼容接口测试：SigV4 签名和预签名 URL，以及与 /file 相同的过期和下载次数限制 */
+import assert from 'node:assert/strict';
+import { ORIGIN, createEnv, createContext, createApiToken, putFile } from './support/env.mjs';
+import { presignS3Url, signS3Request } from './support/sigv4.mjs';
+import { onRequest as s3Handler } from '../functions/s3/[[path]].js';
+
+const OBJECT_URL = `${ORIGIN}/s3/imgbed/docs/a.txt`;
+
+async function callS3(env, request) {
+    // Workers 中的请求总是带有 Host 请求头
+    const headers = new Headers(request.headers);
+    headers.set('host', new URL(request.url).host);
+
+    const context = createContext(env, new Request(request, { headers, duplex: 'half' }));
+    const response = await s3Handler(context);
+    while (context.pending.length > 0) {
+        await Promise.allSettled(context.pending.splice(0));
+    }
+    return response;
+}
+
+describe('S3 兼容接口', function () {
+    let env;
+    let credentials;
+
+    beforeEach(async function () {
+        env = await createEnv();
+        await env.img_url.put('manage@sysConfig@others', JSON.stringify({ s3Api: { enabled: true, uploadChannel: 'cfr2' } }));
+
+        const token = await createApiToken(env, ['upload', 'list', 'delete'], { s3Credentials: true });
+        credentials = { accessKeyId: token.s3AccessKeyId, secretAccessKey: token.s3SecretAccessKey };
+        await putFile(env, 'docs/a.txt', { FileType: 'text/plain' }, 'hello');
+    });
+
+    describe('预签名 URL', function () {
+        it('读取对象', async function () {
+            const response = await callS3(env, new Request(presignS3Url(credentials, 'GET', OBJECT_URL)));
+
+            assert.equal(response.status, 200);
+            assert.equal(await response.text(), 'hello');
+        });
+
+        it('拒绝被篡改的预签名 URL', async function () {
+            const url = new URL(presignS3Url(credentials, 'GET', OBJECT_URL));
+            url.pathname = '/s3/imgbed/docs/b.txt';
+
+            const response = await callS3(env, new Request(url));
+            assert.equal(response.status, 403);
+            assert.match(await response.text(), /SignatureDoesNotMatch/);
+        });
+
+        it('拒绝已过期的预签名 URL', async function () {
+            const date = new Date(Date.now() - 10 * 60 * 1000);
+            const response = await callS3(env, new Request(presignS3Url(credentials, 'GET', OBJECT_URL, { expires: 60, date })));
+
+            assert.equal(response.status, 403);
+        });
+
+        it('拒绝其他 Token 的密钥签名', async function () {
+            const response = await callS3(env, new Request(presignS3Url({ ...credentials, secretAccessKey: 'wrong' }, 'GET', OBJECT_URL)));
+
+            assert.equal(response.status, 403);
+        });
+    });
+
+    describe('请求头签名', function () {
+        it('上传后可以读取', async function () {
+            const url = `${ORIGIN}/s3/imgbed/docs/new.txt`;
+            const put = await callS3(env, signS3Request(credentials, 'PUT', url, 'uploaded'));
+            assert.equal(put.status, 200);
+
+            const get = await callS3(env, signS3Request(credentials, 'GET', url));
+            assert.equal(get.status, 200);
+            assert.equal(await get.text(), 'uploaded');
+        });
+    });
+
+    describe('覆盖对象', function () {
+        it('原有的文件移入回收站', async function () {
+            const put = await callS3(env, signS3Request(credentials, 'PUT', OBJECT_URL, 'replaced'));
+            assert.equal(put.status, 200);
+
+            const get = await callS3(env, signS3Request(credentials, 'GET', OBJECT_URL));
+            assert.equal(await get.text(), 'replaced');
+
+            const trashedId = [...env.img_url.store.keys()].find(key => /^docs\/a\.replaced-\d+\.txt$/.test(key));
+            assert.ok(trashedId);
+            assert.ok(env.img_url.store.get(trashedId).metadata.DeletedAt);
+            assert.equal(new TextDecoder().decode(env.img_r2.objects.get(trashedId)), 'hello');
+        });
+
+        it('未启用回收站时彻底删除原有的文件', async function () {
+            await env.img_url.put('manage@sysConfig@others', JSON.stringify({ s3Api: { enabled: true, uploadChannel: 'cfr2' }, trash: { retentionDays: 0 } }));
+
+            const put = await callS3(env, signS3Request(credentials, 'PUT', OBJECT_URL, 'replaced'));
+            assert.equal(put.status, 200);
+            assert.deepEqual([...env.img_url.store.keys()].filter(key => key.startsWith('docs/')), ['docs/a.txt']);
+        });
+    });
+
+    describe('过期和下载次数限制', function () {
+        it('已过期的对象不可读取并被删除', async function () {
+            await putFile(env, 'docs/a.txt', { ExpiresAt: Date.now() - 1000 }, 'hello');
+
+            const response = await callS3(env, signS3Request(credentials, 'GET', OBJECT_URL));
+            assert.equal(response.status, 404);
+            assert.equal(env.img_url.store.has('docs/a.txt'), false);
+        });
+
+        it('达到下载次数上限后不可读取', async function () {
+            await putFile(env, 'docs/a.txt', { MaxDownloads: 1, DownloadCount: 0, DownloadCounterId: 'counter' }, 'hello');
+
+            const first = await callS3(env, signS3Request(credentials, 'GET', OBJECT_URL));
+            assert.equal(first.status, 200);
+
+            const head = await callS3(env, signS3Request(credentials, 'HEAD', OBJECT_URL));
+            assert.equal(head.status, 404);
+
+            const second = await callS3(env, signS3Request(credentials, 'GET', OBJECT_URL));
+            assert.equal(second.status, 404);
+            assert.equal(env.img_url.store.has('docs/a.txt'), false);
+        });
+    });
+});
@@ -0,0 +1,52 @@
+/* 签名链接测试：签名接口的 Token 权限，以及私有文件的签名访问 */
+import assert from 'node:assert/strict';
+import { ORIGIN, createEnv, createApiToken, callManageApi, callFileRoute, putFile } from './support/env.mjs';
+import { onRequest as signHandler } from '../functions/api/manage/sign/[[path]].js';
+
+const FILE_ID = 'private/secret.png';
+
+function signRequest(token) {
+    return new Request(`${ORIGIN}/api/manage/sign/${FILE_ID}?expiresIn=600`, {
+        headers: { Authorization: `Bearer ${token}` },
+    });
+}
+
+describe('签名链接', function () {
+    let env;
+
+    beforeEach(async function () {
+        env = await createEnv();
+        await putFile(env, FILE_ID, { Private: true }, 'secret');
+    });
+
+    it('只有上传权限的 Token 不能生成签名链接', async function () {
+        const { token } = await createApiToken(env, ['upload']);
+        const response = await callManageApi(env, signRequest(token), signHandler, { path: FILE_ID.split('/') });
+
+        assert.equal(response.status, 403);
+        const settings = JSON.parse(await env.img_url.get('manage@sysConfig@security'));
+        assert.equal(settings.signing, undefined);
+    });
+
+    it('拥有 manage 权限的 Token 生成的链接可以访问私有文件', async function () {
+        const { token } = await createApiToken(env, ['manage']);
+        const response = await callManageApi(env, signRequest(token), signHandler, { path: FILE_ID.split('/') });
+        assert.equal(response.status, 200);
+
+        const { url } = await response.json();
+        const signed = await callFileRoute(env, new URL(url).pathname + new URL(url).search);
+        assert.equal(signed.status, 200);
+        assert.equal(await signed.text(), 'secret');
+    });
+
+    it('私有文件没有签名或签名被篡改时拒绝访问', async function () {
+        const { token } = await createApiToken(env, ['manage']);
+        const { url } = await (await callManageApi(env, signRequest(token), signHandler, { path: FILE_ID.split('/') })).json();
+        const signedUrl = new URL(url);
+
+        assert.notEqual((await callFileRoute(env, `/file/${FILE_ID}`)).status, 200);
+
+        signedUrl.searchParams.set('exp', String(Number(signedUrl.searchParams.get('exp')) + 60));
+        assert.notEqual((await callFileRoute(env, signedUrl.pathname + signedUrl.search)).status, 200);
+    });
+});
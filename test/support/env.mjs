@@ -0,0 +1,185 @@
+/* 测试辅助：内存 KV 和 R2、运行环境，以及调用管理接口和文件访问接口 */
+import { onRequest as manageMiddleware } from '../../functions/api/manage/_middleware.js';
+import { onRequest as apiTokensHandler } from '../../functions/api/manage/apiTokens.js';
+import { onRequest as fileHandler } from '../../functions/file/[[path]].js';
+
+export const ORIGIN = 'https://img.example.com';
+
+/**
+ * 内存实现的 KV 命名空间，支持元数据、前缀列表和游标分页
+ * @returns {Object} KV 命名空间，store 为底层的 Map
+ */
+export function createMemoryKv() {
+    const store = new Map();
+
+    return {
+        store,
+        get: async (key) => store.get(key)?.value ?? null,
+        getWithMetadata: async (key) => store.has(key)
+            ? { value: store.get(key).value, metadata: store.get(key).metadata ?? null }
+            : { value: null, metadata: null },
+        put: async (key, value, options = {}) => {
+            store.set(key, { value, metadata: options.metadata });
+        },
+        delete: async (key) => {
+            store.delete(key);
+        },
+        list: async ({ prefix = '', limit = 1000, cursor } = {}) => {
+            const names = [...store.keys()].filter(name => name.startsWith(prefix)).sort();
+            const start = cursor ? parseInt(cursor, 10) : 0;
+            const page = names.slice(start, start + limit);
+            const complete = start + limit >= names.length;
+            return {
+                keys: page.map(name => ({ name, metadata: store.get(name).metadata ?? null })),
+                list_complete: complete,
+                cursor: complete ? undefined : String(start + limit),
+            };
+        },
+    };
+}
+
+/**
+ * 内存实现的 R2 存储桶，支持读取、写入、删除和 Range 读取
+ * @returns {Object} R2 存储桶，objects 为底层的 Map
+ */
+export function createMemoryR2() {
+    const objects = new Map();
+
+    return {
+        objects,
+        put: async (key, value) => {
+            objects.set(key, new Uint8Array(await new Response(value).arrayBuffer()));
+        },
+        get: async (key, options = {}) => {
+            if (!objects.has(key)) {
+                return null;
+            }
+            const data = objects.get(key);
+            const offset = options.range?.offset ?? 0;
+            const length = options.range?.length ?? data.length - offset;
+            return {
+                body: new Blob([data.subarray(offset, offset + length)]).stream(),
+                size: data.length,
+                range: options.range ? { offset, length } : undefined,
+                httpEtag: '"etag"',
+                writeHttpMetadata: () => {},
+            };
+        },
+        delete: async (key) => {
+            objects.delete(key);
+        },
+    };
+}
+
+/**
+ * 创建启用了管理员认证的运行环境
+ * @param {Object} securityConfig - 额外写入的安全设置
+ * @returns {Object} env，env.img_url 为内存 KV，env.img_r2 为内存 R2
+ */
+export async function createEnv(securityConfig = {}) {
+    const env = { img_url: createMemoryKv(), img_r2: createMemoryR2() };
+    await env.img_url.put('manage@sysConfig@security', JSON.stringify({
+        auth: { admin: { adminUsername: 'admin' } },
+        ...securityConfig,
+    }));
+    return env;
+}
+
+/**
+ * 创建上下文对象，waitUntil 的任务保存在 pending 中
+ * @param {Object} env - 运行环境
+ * @param {Request} request - 请求对象
+ * @param {Object} params - 路由参数
+ * @returns {Object}
+ */
+export function createContext(env, request, params = {}) {
+    const pending = [];
+    return {
+        request,
+        env,
+        params,
+        data: {},
+        pending,
+        waitUntil: promise => pending.push(promise),
+    };
+}
+
+/**
+ * 依次执行管理接口的中间件和处理函数，等待后台任务完成后返回响应
+ * @param {Object} env - 运行环境
+ * @param {Request} request - 请求对象
+ * @param {Function} handler - 接口处理函数
+ * @param {Object} params - 路由参数
+ * @returns {Promise<Response>}
+ */
+export async function callManageApi(env, request, handler, params = {}) {
+    const context = createContext(env, request, params);
+    let index = 0;
+    context.next = async () => index < manageMiddleware.length
+        ? manageMiddleware[index++](context)
+        : handler(context);
+
+    const response = await context.next();
+    while (context.pending.length > 0) {
+        await Promise.allSettled(context.pending.splice(0));
+    }
+    return response;
+}
+
+/**
+ * 调用文件访问接口
+ * @param {Object} env - 运行环境
+ * @param {string} path - 以 /file/ 开头的路径，可带查询参数
+ * @param {Object} init - 请求选项
+ * @returns {Promise<Response>}
+ */
+export async function callFileRoute(env, path, init = {}) {
+    const request = new Request(ORIGIN + path, init);
+    const fileId = new URL(request.url).pathname.replace(/^\/file\//, '');
+    const context = createContext(env, request, { path: fileId.split('/') });
+
+    const response = await fileHandler(context);
+    while (context.pending.length > 0) {
+        await Promise.allSettled(context.pending.splice(0));
+    }
+    return response;
+}
+
+/**
+ * 通过 Token 管理接口创建 API Token
+ * @param {Object} env - 运行环境
+ * @param {Array<string>} permissions - 权限列表
+ * @param {Object} options - 其他 Token 设置（allowedDirs、allowedChannels、s3Credentials 等）
+ * @returns {Promise<Object>} 创建结果，token 为明文 Token
+ */
+export async function createApiToken(env, permissions, options = {}) {
+    const request = new Request(`${ORIGIN}/api/manage/apiTokens`, {
+        method: 'POST',
+        body: JSON.stringify({ name: 'test', owner: 'admin', permissions, ...options }),
+    });
+    const response = await apiTokensHandler(createContext(env, request));
+    return await response.json();
+}
+
+/**
+ * 保存一个存储在 R2 中的文件及其记录
+ * @param {Object} env - 运行环境
+ * @param {string} fileId - 文件ID
+ * @param {Object} metadata - 额外的文件元数据
+ * @param {string} content - 文件内容
+ */
+export async function putFile(env, fileId, metadata = {}, content = 'file content') {
+    await env.img_r2.put(fileId, content);
+    await env.img_url.put(fileId, '', {
+        metadata: {
+            FileName: fileId.split('/').pop(),
+            FileType: 'image/png',
+            FileSize: '0.01',
+            FileSizeBytes: content.length,
+            Channel: 'CloudflareR2',
+            ChannelName: 'R2_env',
+            TimeStamp: Date.now(),
+            ...metadata,
+        },
+    });
+}
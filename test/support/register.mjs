@@ -0,0 +1,29 @@
+/* 测试环境：注册导入路径解析，并提供 Workers 运行时的全局对象和扩展 */
+import { register } from 'node:module';
+import { createHash } from 'node:crypto';
+
+register('./resolve.mjs', import.meta.url);
+
+// 缓存清除在测试中不产生效果
+globalThis.caches ??= {
+    default: {
+        match: async () => null,
+        put: async () => {},
+        delete: async () => true,
+    },
+};
+
+// 测试不访问外部网络（CDN 缓存清除、渠道接口等），外部请求统一返回 503
+globalThis.fetch = async () => new Response('Network access is disabled in tests', { status: 503 });
+
+// Workers 的 crypto.subtle.digest 额外支持 MD5（S3 接口计算 ETag 使用）
+const digest = crypto.subtle.digest.bind(crypto.subtle);
+crypto.subtle.digest = async (algorithm, data) => {
+    const name = typeof algorithm === 'string' ? algorithm : algorithm?.name;
+    if (String(name).toUpperCase() !== 'MD5') {
+        return digest(algorithm, data);
+    }
+    const bytes = ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+    const hash = createHash('md5').update(bytes).digest();
+    return hash.buffer.slice(hash.byteOffset, hash.byteOffset + hash.byteLength);
+};
@@ -0,0 +1,23 @@
+// Pages Functions 由打包工具解析导入路径，源码中的相对导入可以省略 .js 扩展名，Node 中按 .js 补全
+export async function resolve(specifier, context, nextResolve) {
+    if ((specifier.startsWith('./') || specifier.startsWith('../')) && !/\.m?js$/.test(specifier)) {
+        try {
+            return await nextResolve(specifier + '.js', context);
+        } catch (error) {
+            // 不是省略了扩展名的文件，按原路径解析
+        }
+    }
+    return nextResolve(specifier, context);
+}
+
+// Workers 运行时中导入 .wasm 文件得到编译好的 WebAssembly.Module
+export async function load(url, context, nextLoad) {
+    if (url.endsWith('.wasm')) {
+        return {
+            format: 'module',
+            source: `import { readFileSync } from 'node:fs';\nexport default new WebAssembly.Module(readFileSync(new URL(${JSON.stringify(url)})));`,
+            shortCircuit: true,
+        };
+    }
+    return nextLoad(url, context);
+}
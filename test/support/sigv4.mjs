@@ -0,0 +1,107 @@
+/* 测试辅助：按 AWS Signature Version 4 规范生成 S3 请求签名和预签名 URL（独立于被测的签名校验实现） */
+import { createHash, createHmac } from 'node:crypto';
+
+const REGION = 'us-east-1';
+
+function sha256Hex(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, value) {
+    return createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 编码，S3 查询参数的规范形式
+function uriEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function amzDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+function signatureFor(secretAccessKey, dateTime, canonicalRequest) {
+    const scope = `${dateTime.slice(0, 8)}/${REGION}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', dateTime, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    let key = hmac('AWS4' + secretAccessKey, dateTime.slice(0, 8));
+    for (const part of [REGION, 's3', 'aws4_request']) {
+        key = hmac(key, part);
+    }
+    return { scope, signature: hmac(key, stringToSign).toString('hex') };
+}
+
+function canonicalQuery(params) {
+    return [...params.entries()]
+        .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+        .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+}
+
+/**
+ * 生成预签名 URL
+ * @param {Object} credentials - { accessKeyId, secretAccessKey }
+ * @param {string} method - 请求方法
+ * @param {string} url - 完整 URL（路径已编码）
+ * @param {Object} options - { expires: 有效期（秒），date: 签名时间 }
+ * @returns {string} 预签名 URL
+ */
+export function presignS3Url(credentials, method, url, options = {}) {
+    const { expires = 300, date = new Date() } = options;
+    const target = new URL(url);
+    const dateTime = amzDate(date);
+
+    target.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    target.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${dateTime.slice(0, 8)}/${REGION}/s3/aws4_request`);
+    target.searchParams.set('X-Amz-Date', dateTime);
+    target.searchParams.set('X-Amz-Expires', String(expires));
+    target.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const canonicalRequest = [
+        method,
+        target.pathname,
+        canonicalQuery(target.searchParams),
+        `host:${target.host}\n`,
+        'host',
+        'UNSIGNED-PAYLOAD',
+    ].join('\n');
+
+    const { signature } = signatureFor(credentials.secretAccessKey, dateTime, canonicalRequest);
+    target.searchParams.set('X-Amz-Signature', signature);
+    return target.toString();
+}
+
+/**
+ * 生成使用 Authorization 请求头签名的请求
+ * @param {Object} credentials - { accessKeyId, secretAccessKey }
+ * @param {string} method - 请求方法
+ * @param {string} url - 完整 URL（路径已编码）
+ * @param {string|Uint8Array} body - 请求体
+ * @returns {Request}
+ */
+export function signS3Request(credentials, method, url, body = '') {
+    const target = new URL(url);
+    const dateTime = amzDate(new Date());
+    const payloadHash = sha256Hex(body);
+
+    const canonicalRequest = [
+        method,
+        target.pathname,
+        canonicalQuery(target.searchParams),
+        `host:${target.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${dateTime}\n`,
+        'host;x-amz-content-sha256;x-amz-date',
+        payloadHash,
+    ].join('\n');
+
+    const { scope, signature } = signatureFor(credentials.secretAccessKey, dateTime, canonicalRequest);
+    return new Request(target, {
+        method,
+        headers: {
+            'x-amz-date': dateTime,
+            'x-amz-content-sha256': payloadHash,
+            'Authorization': `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=${signature}`,
+        },
+        body: ['GET', 'HEAD'].includes(method) ? undefined : body,
+    });
+}
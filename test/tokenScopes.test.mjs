@@ -0,0 +1,114 @@
+/* API Token 权限测试：管理接口按路由要求显式授予的权限 */
+import assert from 'node:assert/strict';
+import { ORIGIN, createEnv, createContext, createApiToken, callManageApi, putFile } from './support/env.mjs';
+import { onRequest as moveHandler } from '../functions/api/manage/move/[[path]].js';
+import { onRequest as renameHandler } from '../functions/api/manage/rename/[[path]].js';
+import { onRequest as metadataHandler } from '../functions/api/manage/metadata/[[path]].js';
+import { onRequest as blockHandler } from '../functions/api/manage/block/[[path]].js';
+import { onRequest as whiteHandler } from '../functions/api/manage/white/[[path]].js';
+import { onRequest as tagsHandler } from '../functions/api/manage/tags/[[path]].js';
+import { onRequest as deleteHandler } from '../functions/api/manage/delete/[[path]].js';
+import { onRequest as listHandler } from '../functions/api/manage/list.js';
+import { onRequest as apiTokensHandler } from '../functions/api/manage/apiTokens.js';
+import { onRequest as usersHandler } from '../functions/api/manage/users.js';
+
+const FILE_ID = 'photos/a.png';
+
+// 每个修改数据的接口：请求、处理函数和所需权限
+const ROUTES = [
+    { permission: 'move', path: `/api/manage/move/${FILE_ID}?dist=archive`, handler: moveHandler },
+    { permission: 'rename', path: `/api/manage/rename/${FILE_ID}`, handler: renameHandler, method: 'POST', body: { newFileId: 'photos/b.png' } },
+    { permission: 'manage', path: `/api/manage/metadata/${FILE_ID}`, handler: metadataHandler, method: 'PATCH', body: { Private: false } },
+    { permission: 'manage', path: `/api/manage/block/${FILE_ID}`, handler: blockHandler },
+    { permission: 'manage', path: `/api/manage/white/${FILE_ID}`, handler: whiteHandler },
+    { permission: 'tags', path: `/api/manage/tags/${FILE_ID}`, handler: tagsHandler, method: 'POST', body: { action: 'add', tags: ['x'] } },
+    { permission: 'delete', path: `/api/manage/delete/${FILE_ID}`, handler: deleteHandler },
+    { permission: 'list', path: '/api/manage/list?dir=photos', handler: listHandler },
+    { permission: 'admin', path: '/api/manage/apiTokens', handler: apiTokensHandler },
+    { permission: 'admin', path: '/api/manage/users', handler: usersHandler },
+];
+
+function tokenRequest(token, route) {
+    return new Request(ORIGIN + route.path, {
+        method: route.method || 'GET',
+        headers: { Authorization: `Bearer ${token}` },
+        body: route.body ? JSON.stringify(route.body) : undefined,
+    });
+}
+
+function routeParams(route) {
+    const path = new URL(ORIGIN + route.path).pathname.split('/').slice(4);
+    return { path: path.join(',') };
+}
+
+describe('API Token 权限', function () {
+    let env;
+
+    beforeEach(async function () {
+        env = await createEnv();
+        await putFile(env, FILE_ID);
+    });
+
+    for (const route of ROUTES) {
+        it(`只有上传权限的 Token 不能访问 ${route.path.split('?')[0]}`, async function () {
+            const { token } = await createApiToken(env, ['upload']);
+            const response = await callManageApi(env, tokenRequest(token, route), route.handler, routeParams(route));
+
+            assert.equal(response.status, 403);
+            assert.match(await response.text(), new RegExp(`${route.permission} permission`));
+            assert.ok(env.img_url.store.has(FILE_ID));
+        });
+    }
+
+    it('拥有对应权限的 Token 可以访问', async function () {
+        const { token } = await createApiToken(env, ['tags']);
+        const route = ROUTES.find(item => item.handler === tagsHandler);
+        const response = await callManageApi(env, tokenRequest(token, route), tagsHandler, routeParams(route));
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(env.img_url.store.get(FILE_ID).metadata.Tags, ['x']);
+    });
+
+    it('修改元数据需要 manage 权限', async function () {
+        const route = { path: `/api/manage/metadata/${FILE_ID}`, method: 'PATCH', body: { Private: true } };
+
+        const { token: tagsToken } = await createApiToken(env, ['tags', 'move', 'rename', 'upload', 'list', 'delete']);
+        let response = await callManageApi(env, tokenRequest(tagsToken, route), metadataHandler, routeParams(route));
+        assert.equal(response.status, 403);
+        assert.equal(env.img_url.store.get(FILE_ID).metadata.Private, undefined);
+
+        const { token: manageToken } = await createApiToken(env, ['manage']);
+        response = await callManageApi(env, tokenRequest(manageToken, route), metadataHandler, routeParams(route));
+        assert.equal(response.status, 200);
+        assert.equal(env.img_url.store.get(FILE_ID).metadata.Private, true);
+    });
+
+    it('admin 权限包含其他权限', async function () {
+        const { token } = await createApiToken(env, ['admin']);
+        const route = ROUTES.find(item => item.handler === tagsHandler);
+        const response = await callManageApi(env, tokenRequest(token, route), tagsHandler, routeParams(route));
+
+        assert.equal(response.status, 200);
+    });
+
+    it('记录最近使用时间时不改写安全设置', async function () {
+        const { id, token } = await createApiToken(env, ['list']);
+        const securityBefore = await env.img_url.get('manage@sysConfig@security');
+
+        const route = ROUTES.find(item => item.handler === listHandler);
+        const response = await callManageApi(env, tokenRequest(token, route), listHandler);
+        assert.equal(response.status, 200);
+        assert.equal(await env.img_url.get('manage@sysConfig@security'), securityBefore);
+        assert.ok(await env.img_url.get(`manage@apiToken@used@${id}`));
+
+        const { tokens } = await (await apiTokensHandler(createContext(env, new Request(`${ORIGIN}/api/manage/apiTokens`)))).json();
+        assert.ok(tokens.find(item => item.id === id).lastUsedAt);
+    });
+
+    it('无效的 Token 返回 401', async function () {
+        const route = ROUTES.find(item => item.handler === listHandler);
+        const response = await callManageApi(env, tokenRequest('imgbed_invalid', route), listHandler);
+
+        assert.equal(response.status, 401);
+    });
+});
@@ -0,0 +1,79 @@
+/* 回收站测试：删除后恢复文件和文件夹记录，保留期满后清理 */
+import assert from 'node:assert/strict';
+import { ORIGIN, createEnv, createContext, callManageApi, callFileRoute, createApiToken, putFile } from './support/env.mjs';
+import { rebuildIndex } from '../functions/utils/indexManager.js';
+import { sweepTrash } from '../functions/utils/trashManager.js';
+import { createFolder, getFolder, listFolders } from '../functions/utils/folderManager.js';
+import { getDatabase } from '../functions/utils/databaseAdapter.js';
+import { onRequest as deleteHandler } from '../functions/api/manage/delete/[[path]].js';
+import { onRequest as trashHandler } from '../functions/api/manage/trash.js';
+
+describe('回收站', function () {
+    let env;
+    let token;
+
+    beforeEach(async function () {
+        env = await createEnv();
+        ({ token } = await createApiToken(env, ['delete', 'list']));
+        await putFile(env, 'photos/2024/a.png', {}, 'image');
+        await createFolder(getDatabase(env), 'photos', { description: '照片' });
+        await createFolder(getDatabase(env), 'photos/empty');
+        await rebuildIndex(createContext(env, new Request(ORIGIN)));
+    });
+
+    function manageRequest(path, init = {}) {
+        return new Request(ORIGIN + path, { ...init, headers: { Authorization: `Bearer ${token}` } });
+    }
+
+    async function restore(fileIds) {
+        const request = manageRequest('/api/manage/trash', { method: 'POST', body: JSON.stringify({ fileIds }) });
+        return await (await callManageApi(env, request, trashHandler)).json();
+    }
+
+    it('删除的文件可以恢复', async function () {
+        const response = await callManageApi(env, manageRequest('/api/manage/delete/photos/2024/a.png'), deleteHandler, { path: 'photos,2024,a.png' });
+        assert.equal((await response.json()).trashed, true);
+        assert.equal((await callFileRoute(env, '/file/photos/2024/a.png')).status, 404);
+
+        const trash = await (await callManageApi(env, manageRequest('/api/manage/trash'), trashHandler)).json();
+        assert.deepEqual(trash.files.map(file => file.id), ['photos/2024/a.png']);
+
+        assert.deepEqual((await restore(['photos/2024/a.png'])).restored, ['photos/2024/a.png']);
+        const file = await callFileRoute(env, '/file/photos/2024/a.png');
+        assert.equal(file.status, 200);
+        assert.equal(await file.text(), 'image');
+    });
+
+    it('删除文件夹后恢复其中的文件时恢复文件夹记录', async function () {
+        const response = await callManageApi(env, manageRequest('/api/manage/delete/photos?folder=true'), deleteHandler, { path: 'photos' });
+        assert.deepEqual((await response.json()).deleted, ['photos/2024/a.png']);
+
+        const db = getDatabase(env);
+        assert.equal(await getFolder(db, 'photos'), null);
+        assert.deepEqual(await listFolders(db), []);
+        assert.ok(env.img_url.store.has('manage@folder@photos'));
+
+        await restore(['photos/2024/a.png']);
+        assert.equal((await getFolder(db, 'photos')).description, '照片');
+        assert.equal(await getFolder(db, 'photos/empty'), null);
+    });
+
+    it('保留期满后清理文件和文件夹记录', async function () {
+        await env.img_url.put('manage@sysConfig@others', JSON.stringify({ trash: { retentionDays: 1 } }));
+        await callManageApi(env, manageRequest('/api/manage/delete/photos?folder=true'), deleteHandler, { path: 'photos' });
+
+        const later = Date.now() + 2 * 24 * 60 * 60 * 1000;
+        const realNow = Date.now;
+        Date.now = () => later;
+        try {
+            const context = createContext(env, new Request(ORIGIN));
+            const result = await sweepTrash(context, { force: true });
+            assert.deepEqual(result.deleted, ['photos/2024/a.png']);
+        } finally {
+            Date.now = realNow;
+        }
+
+        assert.equal(env.img_url.store.has('photos/2024/a.png'), false);
+        assert.equal([...env.img_url.store.keys()].some(key => key.startsWith('manage@folder@')), false);
+    });
+});
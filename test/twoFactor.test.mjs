@@ -0,0 +1,114 @@
+/* 两步验证测试：RFC 6238 附录 B 测试向量，以及登录验证码的防重放和恢复码 */
+import assert from 'node:assert/strict';
+import { generateTotp, verifyTotp, base32Encode } from '../functions/utils/totp.js';
+import { beginTwoFactorSetup, enableTwoFactor, verifyTwoFactorCode, getTwoFactorStatus } from '../functions/utils/twoFactor.js';
+
+// RFC 6238 附录 B：各算法使用的 ASCII 密钥
+const SEEDS = {
+    'SHA-1': '12345678901234567890',
+    'SHA-256': '12345678901234567890123456789012',
+    'SHA-512': '1234567890123456789012345678901234567890123456789012345678901234',
+};
+
+// [时间, SHA-1, SHA-256, SHA-512]
+const VECTORS = [
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1111111111, '14050471', '67062674', '99943326'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+    [20000000000, '65353130', '77737706', '47863826'],
+];
+
+function seedSecret(algorithm) {
+    return base32Encode(new TextEncoder().encode(SEEDS[algorithm]));
+}
+
+// 模拟数据库适配器，只保存字符串值
+function createMemoryDb() {
+    const store = new Map();
+    return {
+        get: async (key) => store.get(key) ?? null,
+        put: async (key, value) => { store.set(key, value); },
+        delete: async (key) => { store.delete(key); },
+    };
+}
+
+describe('totp', function () {
+    Object.keys(SEEDS).forEach((algorithm, column) => {
+        describe(`RFC 6238 ${algorithm}`, function () {
+            for (const vector of VECTORS) {
+                const [time, expected] = [vector[0], vector[column + 1]];
+
+                it(`T=${time} 生成 ${expected}`, async function () {
+                    const code = await generateTotp(seedSecret(algorithm), time, { digits: 8, algorithm });
+                    assert.equal(code, expected);
+                });
+
+                it(`T=${time} 校验 ${expected}`, async function () {
+                    const step = await verifyTotp(seedSecret(algorithm), expected, { digits: 8, algorithm, time });
+                    assert.equal(step, Math.floor(time / 30));
+                });
+            }
+        });
+    });
+
+    it('允许前后一个时间步长的偏差', async function () {
+        const secret = seedSecret('SHA-1');
+        const code = await generateTotp(secret, 1111111109 - 30);
+        assert.notEqual(await verifyTotp(secret, code, { time: 1111111109 }), null);
+        assert.equal(await verifyTotp(secret, code, { time: 1111111109 + 60 }), null);
+    });
+
+    it('拒绝格式错误的验证码', async function () {
+        const secret = seedSecret('SHA-1');
+        assert.equal(await verifyTotp(secret, '12345', { time: 59 }), null);
+        assert.equal(await verifyTotp(secret, 'abcdef', { time: 59 }), null);
+        assert.equal(await verifyTotp('', '287082', { time: 59 }), null);
+    });
+});
+
+describe('twoFactor', function () {
+    let db;
+    let secret;
+    let recoveryCodes;
+    let enabledAt;
+
+    beforeEach(async function () {
+        db = createMemoryDb();
+        const setup = await beginTwoFactorSetup(db, 'admin', 'ImgBed');
+        assert.equal(setup.success, true);
+        secret = setup.secret;
+
+        enabledAt = Date.now() / 1000;
+        const enabled = await enableTwoFactor(db, await generateTotp(secret, enabledAt));
+        assert.equal(enabled.success, true);
+        recoveryCodes = enabled.recoveryCodes;
+    });
+
+    it('启用后状态包含全部恢复码', async function () {
+        const status = await getTwoFactorStatus(db);
+        assert.equal(status.enabled, true);
+        assert.equal(status.recoveryCodesRemaining, recoveryCodes.length);
+    });
+
+    it('同一验证码不能重复使用', async function () {
+        assert.equal(await verifyTwoFactorCode(db, await generateTotp(secret, enabledAt)), false);
+
+        const nextCode = await generateTotp(secret, enabledAt + 30);
+        assert.equal(await verifyTwoFactorCode(db, nextCode), true);
+        assert.equal(await verifyTwoFactorCode(db, nextCode), false);
+    });
+
+    it('恢复码只能使用一次', async function () {
+        const code = recoveryCodes[0].toUpperCase().replace('-', ' ');
+        assert.equal(await verifyTwoFactorCode(db, code), true);
+        assert.equal(await verifyTwoFactorCode(db, code), false);
+        assert.equal((await getTwoFactorStatus(db)).recoveryCodesRemaining, recoveryCodes.length - 1);
+    });
+
+    it('拒绝错误的验证码', async function () {
+        assert.equal(await verifyTwoFactorCode(db, '000000x'), false);
+        assert.equal(await verifyTwoFactorCode(db, 'wrong-code'), false);
+    });
+});
@@ -0,0 +1,54 @@
+/* 上传去重测试：限定了上传渠道的 API Token 不复用其他渠道中的文件 */
+import assert from 'node:assert/strict';
+import { ORIGIN, createEnv, createContext } from './support/env.mjs';
+import { addFileHashRef } from '../functions/utils/indexManager.js';
+import { calculateFileHash } from '../functions/upload/uploadTools.js';
+import { onRequest as uploadHandler } from '../functions/upload/index.js';
+
+const CONTENT = 'same content';
+
+async function upload(env, apiToken) {
+    const formData = new FormData();
+    formData.append('file', new File([CONTENT], 'b.txt', { type: 'text/plain' }));
+
+    const request = new Request(`${ORIGIN}/upload?uploadChannel=cfr2&uploadNameType=origin&reuseExisting=false`, { method: 'POST', body: formData });
+    const context = createContext(env, request);
+    context.data.apiToken = { id: 'token1', name: 'test', quota: {}, allowedDirs: [], allowedChannels: [], ...apiToken };
+
+    const response = await uploadHandler(context);
+    await Promise.allSettled(context.pending);
+    assert.equal(response.status, 200);
+    return (await response.json())[0].src.replace(/^\/file\//, '');
+}
+
+describe('上传去重', function () {
+    let env;
+
+    beforeEach(async function () {
+        env = await createEnv();
+
+        // 已有一个存储在 Telegram 渠道中的相同内容的文件
+        const hash = await calculateFileHash(new File([CONTENT], 'a.txt'));
+        await env.img_url.put('a.txt', '', {
+            metadata: { FileName: 'a.txt', FileType: 'text/plain', Channel: 'TelegramNew', ChannelName: 'tg', TgFileId: 'tg-file', FileHash: hash }
+        });
+        await addFileHashRef(createContext(env, new Request(ORIGIN)), hash, 'a.txt');
+    });
+
+    it('未限制渠道的 Token 复用已有文件', async function () {
+        const fileId = await upload(env, {});
+
+        const { metadata } = env.img_url.store.get(fileId);
+        assert.equal(metadata.AliasOf, 'a.txt');
+        assert.equal(metadata.Channel, 'TelegramNew');
+    });
+
+    it('限定了上传渠道的 Token 不复用其他渠道中的文件', async function () {
+        const fileId = await upload(env, { allowedChannels: ['cfr2'] });
+
+        const { metadata } = env.img_url.store.get(fileId);
+        assert.equal(metadata.AliasOf, undefined);
+        assert.equal(metadata.Channel, 'CloudflareR2');
+        assert.equal(new TextDecoder().decode(env.img_r2.objects.get(fileId)), CONTENT);
+    });
+});
@@ -0,0 +1,53 @@
+/* WebDAV 文件读取测试：私有文件和下载次数限制 */
+import assert from 'node:assert/strict';
+import { ORIGIN, createEnv, createContext, putFile } from './support/env.mjs';
+import { onRequest as davHandler } from '../functions/dav/[[path]].js';
+
+async function davGet(env, path) {
+    const request = new Request(`${ORIGIN}/dav/${path}`, {
+        headers: { Authorization: `Basic ${btoa('dav:pass')}` },
+    });
+    const context = createContext(env, request);
+    const response = await davHandler(context);
+    while (context.pending.length > 0) {
+        await Promise.allSettled(context.pending.splice(0));
+    }
+    return response;
+}
+
+describe('WebDAV 文件读取', function () {
+    let env;
+
+    beforeEach(async function () {
+        env = await createEnv();
+        await env.img_url.put('manage@sysConfig@others', JSON.stringify({ webDAV: { enabled: true, username: 'dav', password: 'pass' } }));
+    });
+
+    it('可以读取私有文件', async function () {
+        await putFile(env, 'private/a.txt', { Private: true }, 'secret');
+
+        const response = await davGet(env, 'private/a.txt');
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), 'secret');
+    });
+
+    it('读取不计入下载次数', async function () {
+        await putFile(env, 'docs/a.txt', { MaxDownloads: 1, DownloadCount: 0, DownloadCounterId: 'counter' }, 'hello');
+
+        for (let i = 0; i < 3; i++) {
+            const response = await davGet(env, 'docs/a.txt');
+            assert.equal(response.status, 200);
+            assert.equal(await response.text(), 'hello');
+        }
+        assert.ok(env.img_url.store.has('docs/a.txt'));
+        assert.equal([...env.img_url.store.keys()].some(key => key.startsWith('manage@download@')), false);
+    });
+
+    it('已过期的文件不可读取', async function () {
+        await putFile(env, 'docs/a.txt', { ExpiresAt: Date.now() - 1000 }, 'hello');
+
+        const response = await davGet(env, 'docs/a.txt');
+        assert.equal(response.status, 404);
+        assert.equal(env.img_url.store.has('docs/a.txt'), false);
+    });
+});